@@ -0,0 +1,79 @@
+/**
+ * Authentication and CORS configuration
+ *
+ * API routes need a JWT access token from POST /api/auth/login. Access
+ * tokens are short-lived (ACCESS_TOKEN_TTL seconds) and are renewed with
+ * a refresh token (REFRESH_TOKEN_TTL seconds), both signed with JWT_SECRET.
+ * Integrations send an API key in the X-API-Key header instead.
+ * AUTH_ENABLED=false turns authentication off for local development only.
+ *
+ * Browsers may call the API from the CORS_ORIGIN origins (comma-separated);
+ * by default only the local frontend dev server in development, and no
+ * cross-origin callers in production.
+ */
+
+import dotenv from 'dotenv';
+import { positiveInteger } from './resilience.js';
+
+// Load environment variables (quietly, so CLI JSON output stays parseable)
+dotenv.config({ quiet: true });
+
+// Lowest to highest: each role can do everything the ones before it can
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+// What an API key may do, as the role its requests run with
+export const API_KEY_SCOPES = {
+  read: 'viewer',
+  export: 'analyst'
+};
+
+export const DEV_CORS_ORIGIN = 'http://localhost:3000';
+
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Read the authentication configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} enabled, jwtSecret (null to generate one per process), accessTokenTtl and refreshTokenTtl (seconds)
+ * @throws {Error} If a setting is invalid, or production would run without a secret or without auth
+ */
+export const getAuthConfig = (env = process.env) => {
+  const flag = (env.AUTH_ENABLED || 'true').trim().toLowerCase();
+  if (!['true', 'false'].includes(flag)) {
+    throw new Error(`Invalid AUTH_ENABLED "${env.AUTH_ENABLED}". Must be true or false`);
+  }
+
+  const enabled = flag === 'true';
+  const production = env.NODE_ENV === 'production';
+
+  if (!enabled && production) {
+    throw new Error('AUTH_ENABLED=false is not allowed when NODE_ENV=production');
+  }
+  if (enabled && production && !env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set when NODE_ENV=production');
+  }
+  if (env.JWT_SECRET && env.JWT_SECRET.length < MIN_SECRET_LENGTH) {
+    throw new Error(`JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  return {
+    enabled,
+    jwtSecret: env.JWT_SECRET || null,
+    accessTokenTtl: positiveInteger(env, 'ACCESS_TOKEN_TTL', 15 * 60),
+    refreshTokenTtl: positiveInteger(env, 'REFRESH_TOKEN_TTL', 7 * 24 * 60 * 60)
+  };
+};
+
+/**
+ * Read the allowed CORS origins from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>|string|boolean} Origin list, '*' when set explicitly, or false for none
+ */
+export const getCorsOrigin = (env = process.env) => {
+  if (env.CORS_ORIGIN) {
+    const origins = env.CORS_ORIGIN.split(',').map(origin => origin.trim()).filter(Boolean);
+    return origins.includes('*') ? '*' : origins;
+  }
+
+  return env.NODE_ENV === 'production' ? false : [DEV_CORS_ORIGIN];
+};
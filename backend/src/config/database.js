@@ -2,16 +2,49 @@
  * MongoDB Database Configuration and Connection
  */
 
+import { EventEmitter } from 'events';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 
-// Load environment variables
-dotenv.config();
+// Load environment variables (quietly, so CLI JSON output stays parseable)
+dotenv.config({ quiet: true });
 
-class Database {
+/**
+ * Connection states reported by getStatus()
+ * reconnecting means the connection was wanted but is down, and retries are scheduled
+ */
+export const CONNECTION_STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting'
+};
+
+/**
+ * Delay before a reconnect attempt: doubles per attempt up to a ceiling
+ * @param {number} attempt - Attempts already made (0 for the first retry)
+ * @param {Object} options - baseDelayMs and maxDelayMs
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, { baseDelayMs = 1000, maxDelayMs = 30000 } = {}) =>
+  Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+
+/**
+ * Emits 'connected' when MongoDB becomes available and 'disconnected' when
+ * an established connection is lost
+ */
+class Database extends EventEmitter {
   constructor() {
+    super();
     this.connection = null;
     this.isConnected = false;
+    this.status = CONNECTION_STATES.DISCONNECTED;
+    this.reconnectOptions = { baseDelayMs: 1000, maxDelayMs: 30000 };
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.lastError = null;
+    this.listenersAttached = false;
   }
 
   /**
@@ -26,13 +59,16 @@ class Database {
 
     try {
       const uri = process.env.MONGODB_URI;
-      
+
       if (!uri) {
         throw new Error('MONGODB_URI is not defined in environment variables');
       }
 
       console.log('🔄 Connecting to MongoDB...');
-      
+      if (this.status !== CONNECTION_STATES.RECONNECTING) {
+        this.status = CONNECTION_STATES.CONNECTING;
+      }
+
       // Connect with optimized options
       this.connection = await mongoose.connect(uri, {
         maxPoolSize: 10,
@@ -40,41 +76,130 @@ class Database {
         socketTimeoutMS: 45000,
       });
 
-      this.isConnected = true;
       console.log('✅ Connected to MongoDB Atlas successfully!');
-      
+
       if (mongoose.connection && mongoose.connection.db) {
         console.log(`📁 Database: ${mongoose.connection.db.databaseName}`);
       }
-      
-      // Handle connection events
-      mongoose.connection.on('error', (err) => {
-        console.error('❌ MongoDB connection error:', err);
-        this.isConnected = false;
-      });
 
-      mongoose.connection.on('disconnected', () => {
-        console.log('⚠️  MongoDB disconnected');
-        this.isConnected = false;
-      });
-
-      // Graceful shutdown
-      process.on('SIGINT', async () => {
-        await this.disconnect();
-        process.exit(0);
-      });
+      this.attachListeners();
+      this.markConnected();
 
     } catch (error) {
       console.error('❌ Failed to connect to MongoDB:', error.message);
+      this.lastError = error.message;
+      if (this.status === CONNECTION_STATES.CONNECTING) {
+        this.status = CONNECTION_STATES.DISCONNECTED;
+      }
       throw error;
     }
   }
 
+  /**
+   * Handle connection events (once, however often connect() runs)
+   */
+  attachListeners() {
+    if (this.listenersAttached) {
+      return;
+    }
+    this.listenersAttached = true;
+
+    mongoose.connection.on('error', (err) => {
+      console.error('❌ MongoDB connection error:', err);
+      this.isConnected = false;
+    });
+
+    mongoose.connection.on('disconnected', () => {
+      this.isConnected = false;
+
+      // An intentional disconnect() has already set the state
+      if (this.status === CONNECTION_STATES.CONNECTED) {
+        console.log('⚠️  MongoDB disconnected');
+        this.status = CONNECTION_STATES.RECONNECTING;
+        this.emit('disconnected');
+        this.scheduleReconnect();
+      }
+    });
+
+    // The driver also reconnects on its own; whichever comes first wins
+    mongoose.connection.on('reconnected', () => this.markConnected());
+
+    // Graceful shutdown
+    process.on('SIGINT', async () => {
+      await this.disconnect();
+      process.exit(0);
+    });
+  }
+
+  /**
+   * Record a live connection and stop retrying
+   */
+  markConnected() {
+    const wasDown = this.status === CONNECTION_STATES.RECONNECTING;
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    this.isConnected = true;
+    this.status = CONNECTION_STATES.CONNECTED;
+
+    if (wasDown) {
+      console.log('✅ MongoDB reconnected');
+    }
+    this.emit('connected');
+  }
+
+  /**
+   * Keep trying to connect, waiting longer after each failed attempt
+   * @param {Object} options - baseDelayMs and maxDelayMs (defaults to reconnectOptions)
+   */
+  scheduleReconnect(options = {}) {
+    this.reconnectOptions = { ...this.reconnectOptions, ...options };
+
+    if (this.reconnectTimer || this.status === CONNECTION_STATES.CONNECTED) {
+      return;
+    }
+
+    this.status = CONNECTION_STATES.RECONNECTING;
+    const delay = getBackoffDelay(this.reconnectAttempts, this.reconnectOptions);
+    this.nextRetryAt = new Date(Date.now() + delay);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.reconnectAttempts++;
+
+      try {
+        if (mongoose.connection.readyState === 1) {
+          this.markConnected();
+        } else if (mongoose.connection.readyState === 0) {
+          await this.connect();
+        } else {
+          // The driver is already connecting; check again after the next delay
+          this.scheduleReconnect();
+        }
+      } catch (error) {
+        const nextDelay = getBackoffDelay(this.reconnectAttempts, this.reconnectOptions);
+        console.warn(`⚠️  MongoDB reconnect attempt ${this.reconnectAttempts} failed; retrying in ${Math.round(nextDelay / 1000)}s`);
+        this.scheduleReconnect();
+      }
+    }, delay);
+
+    // Pending retries must not keep the process alive on shutdown
+    this.reconnectTimer.unref();
+  }
+
   /**
    * Disconnect from MongoDB
    * @returns {Promise<void>}
    */
   async disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.status = CONNECTION_STATES.DISCONNECTED;
+
     if (this.connection) {
       await mongoose.connection.close();
       this.isConnected = false;
@@ -90,6 +215,19 @@ class Database {
     return this.isConnected && mongoose.connection.readyState === 1;
   }
 
+  /**
+   * Describe the connection for health checks
+   * @returns {Object} status, reconnectAttempts, nextRetryAt and lastError
+   */
+  getStatus() {
+    return {
+      status: this.status,
+      reconnectAttempts: this.reconnectAttempts,
+      nextRetryAt: this.nextRetryAt ? this.nextRetryAt.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+
   /**
    * Get database instance
    * @returns {mongoose.Connection}
@@ -105,4 +243,3 @@ class Database {
 // Export singleton instance
 const database = new Database();
 export default database;
-
@@ -0,0 +1,38 @@
+/**
+ * Privacy configuration
+ *
+ * Phone numbers (and, with MASK_CUSTOMER_NAMES=true, customer names) are
+ * masked in transaction responses and exports for callers below PII_ROLE.
+ * Numbers stored without a country code are shown with PHONE_COUNTRY_CODE.
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables (quietly, so CLI JSON output stays parseable)
+dotenv.config({ quiet: true });
+
+// Lowest role that sees phone numbers and customer names in full
+export const PII_ROLE = 'admin';
+
+/**
+ * Read the privacy configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} maskNames and countryCode (digits only)
+ * @throws {Error} If a setting is invalid
+ */
+export const getPrivacyConfig = (env = process.env) => {
+  const flag = (env.MASK_CUSTOMER_NAMES || 'false').trim().toLowerCase();
+  if (!['true', 'false'].includes(flag)) {
+    throw new Error(`Invalid MASK_CUSTOMER_NAMES "${env.MASK_CUSTOMER_NAMES}". Must be true or false`);
+  }
+
+  const countryCode = (env.PHONE_COUNTRY_CODE || '91').trim().replace(/^\+/, '');
+  if (!/^\d{1,3}$/.test(countryCode)) {
+    throw new Error(`Invalid PHONE_COUNTRY_CODE "${env.PHONE_COUNTRY_CODE}". Must be 1-3 digits`);
+  }
+
+  return {
+    maskNames: flag === 'true',
+    countryCode
+  };
+};
@@ -0,0 +1,52 @@
+/**
+ * MongoDB resilience configuration
+ *
+ * Controls how the API behaves while MongoDB is unreachable: how often it
+ * tries to reconnect, when the circuit breaker stops sending queries, and
+ * which CSV file (FALLBACK_DATA_FILE) serves read-only data in the meantime.
+ * Without a fallback file, reads return 503 until MongoDB is back.
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables (quietly, so CLI JSON output stays parseable)
+dotenv.config({ quiet: true });
+
+/**
+ * Read a positive integer setting
+ * @param {Object} env - Environment variables
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when the variable is not set
+ * @returns {number} Setting value
+ * @throws {Error} If the variable is not a positive integer
+ */
+export const positiveInteger = (env, name, defaultValue) => {
+  if (env[name] === undefined || env[name] === '') {
+    return defaultValue;
+  }
+
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid ${name} "${env[name]}". Must be a positive integer`);
+  }
+  return value;
+};
+
+/**
+ * Read the resilience configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} fallbackDataFile, fallbackProfile, reconnect and circuitBreaker settings
+ * @throws {Error} If a numeric setting is invalid
+ */
+export const getResilienceConfig = (env = process.env) => ({
+  fallbackDataFile: env.FALLBACK_DATA_FILE || null,
+  fallbackProfile: env.FALLBACK_DATA_PROFILE || null,
+  reconnect: {
+    baseDelayMs: positiveInteger(env, 'RECONNECT_BASE_DELAY_MS', 1000),
+    maxDelayMs: positiveInteger(env, 'RECONNECT_MAX_DELAY_MS', 30000)
+  },
+  circuitBreaker: {
+    failureThreshold: positiveInteger(env, 'CIRCUIT_FAILURE_THRESHOLD', 5),
+    resetTimeoutMs: positiveInteger(env, 'CIRCUIT_RESET_MS', 30000)
+  }
+});
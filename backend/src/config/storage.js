@@ -0,0 +1,41 @@
+/**
+ * Storage backend configuration
+ *
+ * STORAGE_BACKEND selects where the API reads and writes transactions:
+ * "mongo" (default) uses MONGODB_URI, "memory" loads DATA_FILE (a CSV in the
+ * dataset's layout, or any layout described by the DATA_PROFILE mapping
+ * profile) at startup and needs no database, and "sqlite" opens the embedded
+ * database file SQLITE_FILE (filled with `npm run import:sqlite`).
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables (quietly, so CLI JSON output stays parseable)
+dotenv.config({ quiet: true });
+
+export const STORAGE_BACKENDS = ['mongo', 'memory', 'sqlite'];
+
+export const DEFAULT_DATA_FILE = 'data/sales_data.csv';
+
+export const DEFAULT_SQLITE_FILE = 'data/sales.sqlite';
+
+/**
+ * Read the storage configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} backend, dataFile, profile (mapping profile name or null) and sqliteFile
+ * @throws {Error} If STORAGE_BACKEND is not a known backend
+ */
+export const getStorageConfig = (env = process.env) => {
+  const backend = (env.STORAGE_BACKEND || 'mongo').trim().toLowerCase();
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Invalid STORAGE_BACKEND "${backend}". Must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  return {
+    backend,
+    dataFile: env.DATA_FILE || DEFAULT_DATA_FILE,
+    profile: env.DATA_PROFILE || null,
+    sqliteFile: env.SQLITE_FILE || DEFAULT_SQLITE_FILE
+  };
+};
@@ -0,0 +1,64 @@
+/**
+ * Analytics Controller - Handles HTTP requests for charts and breakdowns
+ */
+
+import transactionRepository from '../services/transactionRepository.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { validateGranularity, validateDimension } from '../utils/validators.js';
+import { parseFilters } from '../utils/queryParams.js';
+
+/**
+ * Gets bucketed totals over time
+ * GET /api/analytics/timeseries
+ */
+export const getTimeSeries = async (req, res, next) => {
+  try {
+    const { search, filters, granularity } = req.query;
+
+    const granularityValidation = validateGranularity(granularity);
+    if (!granularityValidation.isValid) {
+      throw new ValidationError('Invalid granularity', granularityValidation.errors);
+    }
+
+    const result = await transactionRepository.getTimeSeries({
+      search,
+      filters: parseFilters(filters),
+      granularity
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets per-value totals for a categorical dimension
+ * GET /api/analytics/breakdown
+ */
+export const getBreakdown = async (req, res, next) => {
+  try {
+    const { search, filters, dimension } = req.query;
+
+    const dimensionValidation = validateDimension(dimension);
+    if (!dimensionValidation.isValid) {
+      throw new ValidationError('Invalid dimension', dimensionValidation.errors);
+    }
+
+    const result = await transactionRepository.getBreakdown({
+      search,
+      filters: parseFilters(filters),
+      dimension
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * API Key Controller - Handles HTTP requests for integration API keys
+ */
+
+import apiKeyService from '../services/apiKeyService.js';
+import auditService from '../services/auditService.js';
+import { NotFoundError } from '../utils/errorHandler.js';
+
+/**
+ * Creates an API key; the key itself is only in this response
+ * POST /api/api-keys
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scope } = req.body || {};
+
+    const apiKey = await apiKeyService.createKey({
+      name,
+      scope,
+      createdBy: req.user.username
+    });
+
+    auditService.recordRequest(req, {
+      action: 'apiKey.create',
+      filter: { apiKeyId: apiKey.id },
+      count: 1,
+      details: { name: apiKey.name, scope: apiKey.scope }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists API keys
+ * GET /api/api-keys
+ */
+export const listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys({
+      includeRevoked: req.query.includeRevoked === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes an API key
+ * DELETE /api/api-keys/:id
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const apiKey = await apiKeyService.revokeKey(id);
+
+    if (!apiKey) {
+      throw new NotFoundError(`API key ${id} not found`);
+    }
+
+    auditService.recordRequest(req, { action: 'apiKey.revoke', filter: { apiKeyId: id }, count: 1 });
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
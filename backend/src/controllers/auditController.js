@@ -0,0 +1,24 @@
+/**
+ * Audit Controller - Handles HTTP requests for the audit log
+ */
+
+import auditService from '../services/auditService.js';
+
+/**
+ * Lists audit events, newest first
+ * GET /api/audit-log
+ */
+export const getAuditLog = async (req, res, next) => {
+  try {
+    const { user, action, requestId, from, to, page, pageSize } = req.query;
+
+    const result = await auditService.listEvents({ user, action, requestId, from, to, page, pageSize });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
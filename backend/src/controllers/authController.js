@@ -0,0 +1,91 @@
+/**
+ * Auth Controller - Handles HTTP requests for sign-in and tokens
+ */
+
+import authService from '../services/authService.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { validateCredentials } from '../utils/validators.js';
+
+/**
+ * Checks that the body has the given non-empty string fields
+ * @param {Object} body - Request body
+ * @param {Array<string>} fields - Required fields
+ * @throws {ValidationError} If any is missing
+ */
+const requireFields = (body, fields) => {
+  const validation = validateCredentials(body, fields);
+  if (!validation.isValid) {
+    throw new ValidationError('Invalid request body', validation.errors);
+  }
+};
+
+/**
+ * Signs in with a username and password
+ * POST /api/auth/login
+ */
+export const login = async (req, res, next) => {
+  try {
+    requireFields(req.body, ['username', 'password']);
+
+    const session = await authService.login(req.body.username, req.body.password);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchanges a refresh token for new tokens
+ * POST /api/auth/refresh
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    requireFields(req.body, ['refreshToken']);
+
+    const session = await authService.refresh(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes a refresh token
+ * POST /api/auth/logout
+ */
+export const logout = async (req, res, next) => {
+  try {
+    requireFields(req.body, ['refreshToken']);
+
+    const revoked = await authService.logout(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets the signed-in caller
+ * GET /api/auth/me
+ */
+export const getCurrentUser = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...req.user,
+      authEnabled: authService.enabled
+    }
+  });
+};
@@ -0,0 +1,47 @@
+/**
+ * Customer Controller - Handles HTTP requests for customer views
+ */
+
+import transactionRepository from '../services/transactionRepository.js';
+import privacyService from '../services/privacyService.js';
+import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
+
+/**
+ * Gets a customer's profile, lifetime metrics and recent transactions
+ * GET /api/customers/:customerId
+ */
+export const getCustomer = async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { recentLimit } = req.query;
+
+    let parsedLimit;
+    if (recentLimit !== undefined) {
+      parsedLimit = parseInt(recentLimit);
+      if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        throw new ValidationError('Invalid recentLimit', ['recentLimit must be between 1 and 100']);
+      }
+    }
+
+    const customer = await transactionRepository.getCustomerSummary(customerId, {
+      recentLimit: parsedLimit
+    });
+
+    if (!customer) {
+      throw new NotFoundError(`Customer ${customerId} not found`);
+    }
+
+    const mask = privacyService.maskerFor(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        ...customer,
+        profile: mask(customer.profile),
+        recentTransactions: customer.recentTransactions.map(mask)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
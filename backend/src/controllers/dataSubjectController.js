@@ -0,0 +1,78 @@
+/**
+ * Data Subject Controller - Handles HTTP requests for customer privacy requests
+ *
+ * The customer is given in the body rather than the URL, so phone numbers
+ * stay out of access logs.
+ */
+
+import dataSubjectService from '../services/dataSubjectService.js';
+import auditService from '../services/auditService.js';
+
+/**
+ * Which identifiers a request used, without their values
+ * The audit log must not become another copy of the customer's data
+ * @param {Object} subject - customerId and/or phoneNumber
+ * @returns {Object} e.g. { phoneNumber: '[redacted]' }
+ */
+const redactSubject = (subject) => Object.fromEntries(
+  Object.entries(subject)
+    .filter(([, value]) => value !== undefined)
+    .map(([field]) => [field, '[redacted]'])
+);
+
+/**
+ * Exports all data held about a customer as JSON
+ * POST /api/data-subjects/export
+ */
+export const exportDataSubject = async (req, res, next) => {
+  try {
+    const { customerId, phoneNumber } = req.body || {};
+
+    const data = await dataSubjectService.exportSubject({ customerId, phoneNumber });
+
+    auditService.recordRequest(req, {
+      action: 'dataSubject.export',
+      filter: redactSubject({ customerId, phoneNumber }),
+      count: data.transactions.length,
+      details: { quarantinedRows: data.quarantinedRows.length }
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pseudonymises a customer across their transactions
+ * POST /api/data-subjects/erase
+ */
+export const eraseDataSubject = async (req, res, next) => {
+  try {
+    const { customerId, phoneNumber, dryRun } = req.body || {};
+
+    const result = await dataSubjectService.eraseSubject(
+      { customerId, phoneNumber },
+      { dryRun: dryRun === true || dryRun === 'true' }
+    );
+
+    if (!result.dryRun) {
+      auditService.recordRequest(req, {
+        action: 'dataSubject.erase',
+        filter: redactSubject({ customerId, phoneNumber }),
+        count: result.transactions,
+        details: { customers: result.customers, quarantinedRows: result.quarantinedRows }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,193 @@
+/**
+ * Import Controller - Handles HTTP requests for file import jobs and batches
+ */
+
+import fs from 'fs';
+import importJobService from '../services/importJobService.js';
+import importBatchService from '../services/importBatchService.js';
+import auditService from '../services/auditService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errorHandler.js';
+import { validateImportOptions } from '../utils/validators.js';
+import { loadProfile } from '../utils/columnMapping.js';
+import { detectFormat } from '../utils/rowReaders.js';
+
+/**
+ * Starts a background import of an uploaded CSV, NDJSON, JSON or XLSX file
+ * POST /api/imports
+ */
+export const createImport = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ValidationError('An import file is required in the multipart field "file"');
+    }
+
+    const { strict, onInvalid, upsert, profile, format } = req.body;
+
+    let mappingProfile;
+    try {
+      const optionsValidation = validateImportOptions({ strict, onInvalid, upsert, format });
+      if (!optionsValidation.isValid) {
+        throw new ValidationError('Invalid import options', optionsValidation.errors);
+      }
+
+      mappingProfile = await loadProfile(profile);
+    } catch (error) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      throw error;
+    }
+
+    // Choosing what to do with invalid rows implies strict mode
+    const job = importJobService.createJob({
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      strict: strict === 'true' || onInvalid !== undefined,
+      onInvalid,
+      upsert: upsert === 'true',
+      profile: mappingProfile,
+      format: format || detectFormat(req.file.originalname),
+      auditActor: auditService.fromRequest(req)
+    });
+
+    res.status(202)
+      .location(`${req.baseUrl}/imports/${job.id}`)
+      .json({
+        success: true,
+        data: job
+      });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets the status of an import job
+ * GET /api/imports/:id
+ */
+export const getImport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const job = importJobService.getJob(id);
+
+    if (!job) {
+      throw new NotFoundError(`Import job ${id} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets the validation report of a finished import job
+ * GET /api/imports/:id/report
+ */
+export const getImportReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const job = importJobService.getJob(id);
+
+    if (!job) {
+      throw new NotFoundError(`Import job ${id} not found`);
+    }
+
+    const report = importJobService.getReport(id);
+
+    if (!report) {
+      throw new ConflictError(`Import job ${id} has no report (status: ${job.status})`);
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists import batches, newest first
+ * GET /api/import-batches
+ */
+export const listImportBatches = async (req, res, next) => {
+  try {
+    const { limit } = req.query;
+
+    let parsedLimit;
+    if (limit !== undefined) {
+      parsedLimit = parseInt(limit);
+      if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 200) {
+        throw new ValidationError('Invalid limit', ['limit must be between 1 and 200']);
+      }
+    }
+
+    const batches = await importBatchService.listBatches({ limit: parsedLimit });
+
+    res.json({
+      success: true,
+      data: batches
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a single import batch
+ * GET /api/import-batches/:id
+ */
+export const getImportBatch = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const batch = await importBatchService.getBatch(id);
+
+    if (!batch) {
+      throw new NotFoundError(`Import batch ${id} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes the transactions an import batch created
+ * POST /api/import-batches/:id/rollback
+ */
+export const rollbackImportBatch = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const force = req.query.force === 'true';
+
+    const batch = await importBatchService.rollbackBatch(id, { force });
+
+    if (!batch) {
+      throw new NotFoundError(`Import batch ${id} not found`);
+    }
+
+    auditService.recordRequest(req, {
+      action: 'importBatch.rollback',
+      filter: { importBatchId: id },
+      count: batch.rolledBackCount,
+      details: { force }
+    });
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,8 +2,22 @@
  * Transaction Controller - Handles HTTP requests for transactions
  */
 
-import transactionServiceMongo from '../services/transactionServiceMongo.js';
-import { ValidationError } from '../utils/errorHandler.js';
+import { pipeline } from 'stream/promises';
+import transactionRepository from '../services/transactionRepository.js';
+import privacyService from '../services/privacyService.js';
+import auditService from '../services/auditService.js';
+import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
+import { createCsvTransform } from '../utils/csvWriter.js';
+import { writeXlsxExport } from '../utils/xlsxWriter.js';
+import { parseFilters } from '../utils/queryParams.js';
+import { decodeCursor } from '../utils/cursor.js';
+import { maskRecords } from '../utils/piiMasking.js';
+import { validateTransactionAmounts } from '../utils/validators.js';
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
 
 /**
  * Gets transactions with search, filter, sort, and pagination
@@ -11,31 +25,217 @@ import { ValidationError } from '../utils/errorHandler.js';
  */
 export const getTransactions = async (req, res, next) => {
   try {
-    const { search, filters, sortBy, sortOrder, page, pageSize } = req.query;
-
-    // Parse filters if provided as JSON string
-    let parsedFilters = {};
-    if (filters) {
-      try {
-        parsedFilters = typeof filters === 'string' ? JSON.parse(filters) : filters;
-      } catch (error) {
-        throw new ValidationError('Invalid filters format. Must be valid JSON');
-      }
-    }
+    const { search, filters, sortBy = 'date', sortOrder = 'desc', page, pageSize, cursor } = req.query;
 
-    // Get transactions from MongoDB
-    const result = await transactionServiceMongo.getTransactions({
+    // Get transactions from the configured storage backend
+    const result = await transactionRepository.getTransactions({
       search,
-      filters: parsedFilters,
+      filters: parseFilters(filters),
       sortBy,
       sortOrder,
       page: page ? parseInt(page) : undefined,
-      pageSize: pageSize ? parseInt(pageSize) : undefined
+      pageSize: pageSize ? parseInt(pageSize) : undefined,
+      cursor: cursor ? decodeCursor(cursor, { sortBy, sortOrder }) : null
     });
 
+    // Searching above matched the full phone numbers; mask only what is returned
+    const mask = privacyService.maskerFor(req.user);
+
+    res.json({
+      success: true,
+      data: { ...result, items: result.items.map(mask) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Streams every transaction matching search and filters as CSV or XLSX
+ * GET /api/transactions/export
+ */
+export const exportTransactions = async (req, res, next) => {
+  let rowCount = 0;
+  let auditFilter = null;
+
+  try {
+    const { search, filters, sortBy, sortOrder, format = 'csv' } = req.query;
+
+    if (!EXPORT_CONTENT_TYPES[format]) {
+      throw new ValidationError(
+        `Invalid export format. Must be one of: ${Object.keys(EXPORT_CONTENT_TYPES).join(', ')}`
+      );
+    }
+
+    const params = {
+      search,
+      filters: parseFilters(filters),
+      sortBy,
+      sortOrder
+    };
+
+    // The XLSX summary sheet needs totals before any rows are written
+    const summary = format === 'xlsx'
+      ? await transactionRepository.getExportSummary(params)
+      : null;
+
+    // Counts rows as they are written, for the audit log
+    const mask = privacyService.maskerFor(req.user);
+    const countingMask = (record) => {
+      rowCount++;
+      return mask(record);
+    };
+    // Searches are by customer name or phone number, which the audit log must not keep
+    auditFilter = {
+      ...(search && { search: '[redacted]' }),
+      filters: params.filters,
+      sortBy,
+      sortOrder,
+      format
+    };
+
+    const cursor = maskRecords(await transactionRepository.getExportCursor(params), countingMask);
+
+    const fileName = `transactions-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'xlsx') {
+      await writeXlsxExport({ stream: res, cursor, summary, criteria: params });
+    } else {
+      await pipeline(cursor, createCsvTransform(), res);
+    }
+
+    auditService.recordRequest(req, { action: 'transactions.export', filter: auditFilter, count: rowCount });
+  } catch (error) {
+    // Once streaming has started the status line is gone; abort the response instead
+    if (res.headersSent) {
+      console.error('Export stream error:', error);
+      auditService.recordRequest(req, {
+        action: 'transactions.export',
+        filter: auditFilter,
+        count: rowCount,
+        outcome: 'failure',
+        error: error.message
+      });
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * Gets a single transaction by its transactionId
+ * GET /api/transactions/:transactionId
+ */
+export const getTransactionById = async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transaction = await transactionRepository.getTransactionById(transactionId);
+
+    if (!transaction) {
+      throw new NotFoundError(`Transaction ${transactionId} not found`);
+    }
+
     res.json({
       success: true,
-      data: result
+      data: privacyService.maskerFor(req.user)(transaction)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates a transaction
+ * POST /api/transactions
+ */
+export const createTransaction = async (req, res, next) => {
+  try {
+    const transaction = await transactionRepository.createTransaction(req.body);
+
+    auditService.recordRequest(req, {
+      action: 'transaction.create',
+      filter: { transactionId: transaction.transactionId },
+      count: 1
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replaces (PUT) or partially updates (PATCH) a transaction
+ * PUT/PATCH /api/transactions/:transactionId
+ */
+export const updateTransaction = async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+
+    if (req.method === 'PATCH' && (req.body.totalAmount !== undefined || req.body.finalAmount !== undefined)) {
+      const existing = await transactionRepository.getTransactionById(transactionId);
+
+      if (!existing) {
+        throw new NotFoundError(`Transaction ${transactionId} not found`);
+      }
+
+      // The body alone passed validation, but one amount may only be on the stored transaction
+      const validation = validateTransactionAmounts({ ...existing, ...req.body });
+      if (!validation.isValid) {
+        throw new ValidationError('Invalid transaction', validation.errors);
+      }
+    }
+
+    const transaction = req.method === 'PUT'
+      ? await transactionRepository.replaceTransaction(transactionId, req.body)
+      : await transactionRepository.updateTransaction(transactionId, req.body);
+
+    if (!transaction) {
+      throw new NotFoundError(`Transaction ${transactionId} not found`);
+    }
+
+    auditService.recordRequest(req, {
+      action: req.method === 'PUT' ? 'transaction.replace' : 'transaction.update',
+      filter: { transactionId },
+      count: 1,
+      details: { fields: Object.keys(req.body) }
+    });
+
+    res.json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a transaction
+ * DELETE /api/transactions/:transactionId
+ */
+export const deleteTransaction = async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transaction = await transactionRepository.deleteTransaction(transactionId);
+
+    if (!transaction) {
+      throw new NotFoundError(`Transaction ${transactionId} not found`);
+    }
+
+    auditService.recordRequest(req, { action: 'transaction.delete', filter: { transactionId }, count: 1 });
+
+    res.json({
+      success: true,
+      data: transaction
     });
   } catch (error) {
     next(error);
@@ -50,19 +250,9 @@ export const getFilterOptions = async (req, res, next) => {
   try {
     const { search, filters } = req.query;
 
-    // Parse filters if provided
-    let parsedFilters = {};
-    if (filters) {
-      try {
-        parsedFilters = typeof filters === 'string' ? JSON.parse(filters) : filters;
-      } catch (error) {
-        throw new ValidationError('Invalid filters format');
-      }
-    }
-
-    const options = await transactionServiceMongo.getFilterOptions({
+    const options = await transactionRepository.getFilterOptions({
       search,
-      filters: parsedFilters
+      filters: parseFilters(filters)
     });
 
     res.json({
@@ -80,7 +270,7 @@ export const getFilterOptions = async (req, res, next) => {
  */
 export const getStatistics = async (req, res, next) => {
   try {
-    const stats = await transactionServiceMongo.getStatistics();
+    const stats = await transactionRepository.getStatistics();
 
     res.json({
       success: true,
@@ -3,8 +3,14 @@ import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import dotenv from 'dotenv';
+import transactionRepository from './services/transactionRepository.js';
+import degradedModeService from './services/degradedModeService.js';
+import authService from './services/authService.js';
 import database from './config/database.js';
+import { getCorsOrigin } from './config/auth.js';
 import { errorMiddleware, notFoundHandler } from './middleware/errorMiddleware.js';
+import { signalDegradedMode } from './middleware/storageMiddleware.js';
+import { assignRequestId, REQUEST_ID_HEADER } from './middleware/requestIdMiddleware.js';
 import apiRoutes from './routes/api.js';
 
 // Load environment variables
@@ -13,32 +19,39 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// CORS Configuration for production
+// CORS Configuration: only the origins in CORS_ORIGIN (the dev server by default)
 const corsOptions = {
-  origin: process.env.CORS_ORIGIN || '*',
+  origin: getCorsOrigin(),
   credentials: true,
+  exposedHeaders: ['Content-Disposition', REQUEST_ID_HEADER], // Export file names, and request ids to quote from the audit log
   optionsSuccessStatus: 200
 };
 
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors(corsOptions)); // Enable CORS with configuration
+app.use(assignRequestId); // X-Request-Id, recorded in the audit log
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev')); // Request logging
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
-// Health check endpoint
+// Health check endpoint (still 200 while degraded: the server is up and serving reads)
 app.get('/health', (req, res) => {
+  const degraded = transactionRepository.isDegraded();
+
   res.json({
     success: true,
-    message: 'Server is running',
+    message: degraded ? 'Server is running in degraded read-only mode' : 'Server is running',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    storage: transactionRepository.backend,
+    degraded,
+    ...(transactionRepository.backend === 'mongo' && { database: degradedModeService.getStatus() })
   });
 });
 
 // API routes
-app.use('/api', apiRoutes);
+app.use('/api', signalDegradedMode, apiRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -49,10 +62,36 @@ app.use(errorMiddleware);
 // Server initialization
 const startServer = async () => {
   try {
-    // Connect to MongoDB
-    console.log('📊 Connecting to MongoDB...');
-    await database.connect();
-    console.log('✅ MongoDB ready!');
+    // Connect to MongoDB, or load the CSV file for the memory backend
+    console.log(`📊 Connecting to ${transactionRepository.name}...`);
+    try {
+      await transactionRepository.connect();
+      console.log(`✅ ${transactionRepository.name} ready!`);
+    } catch (error) {
+      // Without MongoDB the API starts read-only and keeps retrying in the background
+      if (transactionRepository.backend !== 'mongo') {
+        throw error;
+      }
+      degradedModeService.startReconnecting(error);
+    }
+
+    if (!authService.enabled) {
+      console.warn('⚠️  AUTH_ENABLED=false: every API route is open without signing in');
+    } else {
+      if (authService.secretGenerated) {
+        console.warn('⚠️  JWT_SECRET is not set; using a random secret, so sign-ins end when the server restarts');
+      }
+
+      // Accounts live in MongoDB whichever backend serves transactions
+      if (transactionRepository.backend !== 'mongo') {
+        await database.connect().catch(error => {
+          console.warn(`⚠️  Sign-in is unavailable until MongoDB is reachable: ${error.message}`);
+          if (process.env.MONGODB_URI) {
+            database.scheduleReconnect(degradedModeService.config.reconnect);
+          }
+        });
+      }
+    }
     
     // Start server
     const server = app.listen(PORT, () => {
@@ -64,7 +103,7 @@ const startServer = async () => {
     // Graceful shutdown
     const gracefulShutdown = async () => {
       console.log('\n⏳ Shutting down gracefully...');
-      await database.disconnect();
+      await transactionRepository.disconnect();
       server.close(() => {
         console.log('👋 Server closed');
         process.exit(0);
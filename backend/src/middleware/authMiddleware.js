@@ -0,0 +1,64 @@
+import authService, { ANONYMOUS_USER, hasRole } from '../services/authService.js';
+import apiKeyService, { API_KEY_HEADER } from '../services/apiKeyService.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/errorHandler.js';
+
+/**
+ * Identifies the caller from the "Authorization: Bearer <access token>"
+ * header, or else from an X-API-Key header, and sets req.user (id, username,
+ * role, plus scope for API keys); 401 without valid credentials.
+ * With AUTH_ENABLED=false every caller is the anonymous admin.
+ */
+export const authenticate = (req, res, next) => {
+  if (!authService.enabled) {
+    req.user = ANONYMOUS_USER;
+    next();
+    return;
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const apiKey = req.get(API_KEY_HEADER);
+
+  if (!req.get('Authorization') && apiKey) {
+    apiKeyService.authenticate(apiKey)
+      .then(caller => {
+        req.user = caller;
+        next();
+      })
+      .catch(next);
+    return;
+  }
+
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    next(new UnauthorizedError('Authentication required'));
+    return;
+  }
+
+  try {
+    req.user = authService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    next(error);
+  }
+};
+
+/**
+ * Allows the request only for callers with the given role or a higher one
+ * (viewer < analyst < admin); 403 otherwise. Runs after authenticate.
+ * @param {string} role - Lowest role allowed
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    next(new UnauthorizedError('Authentication required'));
+    return;
+  }
+
+  if (!hasRole(req.user.role, role)) {
+    next(new ForbiddenError(`This action needs the ${role} role`));
+    return;
+  }
+
+  next();
+};
@@ -0,0 +1,19 @@
+import { randomUUID } from 'crypto';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming ids are kept only if they are short and plain, since they end up in the audit log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Gives every request an id (req.id), taken from X-Request-Id when a proxy
+ * sent a usable one, and returns it in the X-Request-Id response header
+ */
+export const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  next();
+};
@@ -0,0 +1,57 @@
+import transactionRepository from '../services/transactionRepository.js';
+import degradedModeService from '../services/degradedModeService.js';
+import { ServiceUnavailableError } from '../utils/errorHandler.js';
+
+/**
+ * Builds middleware that rejects requests for a feature only the MongoDB
+ * backend provides, with 503 on the other backends and while MongoDB is
+ * unreachable
+ * @param {string} feature - Plural name for messages, e.g. "imports"
+ * @returns {Function} Express middleware
+ */
+export const requireMongoStorageFor = (feature) => (req, res, next) => {
+  if (transactionRepository.backend !== 'mongo') {
+    next(new ServiceUnavailableError(
+      `${feature[0].toUpperCase()}${feature.slice(1)} need the MongoDB storage backend (running with STORAGE_BACKEND=${transactionRepository.backend})`
+    ));
+    return;
+  }
+
+  if (transactionRepository.isDegraded()) {
+    next(new ServiceUnavailableError(`MongoDB is unavailable; ${feature} are paused until it reconnects`));
+    return;
+  }
+
+  next();
+};
+
+/**
+ * Rejects file import and import batch requests unless MongoDB serves them
+ */
+export const requireMongoStorage = requireMongoStorageFor('imports');
+
+/**
+ * Marks responses served while MongoDB is down
+ * Sets the X-Degraded-Mode header and adds a degraded block (mode, source,
+ * since) to JSON bodies; healthy responses are left unchanged
+ */
+export const signalDegradedMode = (req, res, next) => {
+  if (transactionRepository.isDegraded()) {
+    res.set('X-Degraded-Mode', 'read-only');
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    // Checked again at response time: the request itself may have tripped the breaker
+    const degraded = transactionRepository.isDegraded() ? degradedModeService.getResponseStatus() : null;
+
+    if (!degraded || !body || typeof body !== 'object' || Array.isArray(body)) {
+      return json(body);
+    }
+
+    res.set('X-Degraded-Mode', degraded.mode);
+    return json({ ...body, degraded });
+  };
+
+  next();
+};
@@ -0,0 +1,36 @@
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+import { ValidationError } from '../utils/errorHandler.js';
+import { FORMAT_EXTENSIONS } from '../utils/rowReaders.js';
+
+// Largest accepted upload (the full dataset is roughly 200 MB)
+const MAX_UPLOAD_BYTES = 512 * 1024 * 1024;
+
+const ACCEPTED_EXTENSIONS = Object.values(FORMAT_EXTENSIONS).flat();
+
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!ACCEPTED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      callback(new ValidationError(`Only ${ACCEPTED_EXTENSIONS.join(', ')} files are accepted`));
+      return;
+    }
+    callback(null, true);
+  }
+});
+
+/**
+ * Accepts a single CSV, NDJSON, JSON or XLSX upload in the multipart field "file"
+ * Stores it in the OS temp directory and exposes it as req.file
+ */
+export const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      next(new ValidationError(`Upload failed: ${error.message}`));
+      return;
+    }
+    next(error);
+  });
+};
@@ -1,4 +1,4 @@
-import { validatePagination, validateSort, validateFilters } from '../utils/validators.js';
+import { validatePagination, validateSort, validateFilters, validateTransactionInput } from '../utils/validators.js';
 import { ValidationError } from '../utils/errorHandler.js';
 
 /**
@@ -42,3 +42,49 @@ export const validateTransactionQuery = (req, res, next) => {
   }
 };
 
+
+/**
+ * Validates a full transaction body (POST, PUT)
+ * On PUT the transactionId may come from the URL instead of the body
+ */
+export const validateTransactionBody = (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+
+    if (transactionId && req.body?.transactionId !== undefined && req.body.transactionId !== transactionId) {
+      throw new ValidationError('transactionId in body does not match URL');
+    }
+
+    const data = transactionId ? { ...req.body, transactionId } : req.body;
+    const validation = validateTransactionInput(data);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid transaction', validation.errors);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validates a partial transaction body (PATCH)
+ */
+export const validateTransactionPatch = (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+
+    if (req.body?.transactionId !== undefined && req.body.transactionId !== transactionId) {
+      throw new ValidationError('transactionId cannot be changed');
+    }
+
+    const validation = validateTransactionInput(req.body, { partial: true });
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid transaction', validation.errors);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
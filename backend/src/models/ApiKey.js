@@ -0,0 +1,43 @@
+/**
+ * ApiKey Model - Keys that let integrations call the API without a user login
+ *
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once,
+ * when it is created. The prefix identifies a key in listings.
+ */
+
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../config/auth.js';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: Object.keys(API_KEY_SCOPES),
+    required: true
+  },
+  createdBy: String,
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  collection: 'apiKeys',
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// Export the model
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,77 @@
+/**
+ * AuditEvent Model - Append-only record of data changes and exports
+ *
+ * One document per write, import, bulk delete, duplicate removal, erasure
+ * or export, from the API or the admin scripts. Updates and deletes are
+ * refused by the model; for stronger guarantees give the application's
+ * MongoDB user only insert and find on the auditLog collection.
+ */
+
+import mongoose from 'mongoose';
+
+const auditEventSchema = new mongoose.Schema({
+  // Username, "api-key:<name>" or "cli:<os user>"
+  user: {
+    type: String,
+    required: true,
+    index: true
+  },
+  role: String,
+  source: {
+    type: String,
+    enum: ['api', 'cli'],
+    required: true
+  },
+  // e.g. transaction.update, transactions.export, transactions.dedupe
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // What the action applied to: ids, search and filters, file name
+  filter: mongoose.Schema.Types.Mixed,
+  // Documents created, changed, deleted or exported
+  count: Number,
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  error: String,
+  details: mongoose.Schema.Types.Mixed,
+  // X-Request-Id of the API request, or an id per script run
+  requestId: {
+    type: String,
+    index: true
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  collection: 'auditLog',
+  versionKey: false
+});
+
+auditEventSchema.index({ at: -1 });
+
+const refuseChange = () => {
+  throw new Error('The audit log is append-only');
+};
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'deleteMany'],
+  refuseChange
+);
+auditEventSchema.pre('deleteOne', { document: true, query: true }, refuseChange);
+auditEventSchema.pre('save', function() {
+  if (!this.isNew) {
+    refuseChange();
+  }
+});
+
+// Export the model
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,61 @@
+/**
+ * ImportBatch Model - One record per import run
+ *
+ * Every transaction an import creates is stamped with the batch _id, so a
+ * bad load can be rolled back without touching other data
+ */
+
+import mongoose from 'mongoose';
+
+const importBatchSchema = new mongoose.Schema({
+  // Source file name and SHA-256 of its contents
+  source: {
+    type: String,
+    required: true,
+    index: true
+  },
+  checksum: String,
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'rolledBack'],
+    default: 'running',
+    index: true
+  },
+  options: {
+    strict: Boolean,
+    onInvalid: String,
+    upsert: Boolean,
+    profile: String,
+    format: String
+  },
+
+  // Row counts, filled in when the run ends
+  rowsProcessed: { type: Number, default: 0 },
+  inserted: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  invalid: { type: Number, default: 0 },
+  quarantined: { type: Number, default: 0 },
+  error: String,
+
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  finishedAt: Date,
+
+  // Set by rollback
+  rolledBackAt: Date,
+  rolledBackCount: Number
+}, {
+  collection: 'imports',
+  versionKey: false
+});
+
+// Export the model
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+export default ImportBatch;
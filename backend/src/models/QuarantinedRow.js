@@ -0,0 +1,50 @@
+/**
+ * QuarantinedRow Model - CSV rows rejected by a strict import
+ *
+ * Rows are kept as they appeared in the file, with the reasons they failed,
+ * so they can be fixed and re-imported
+ */
+
+import mongoose from 'mongoose';
+
+const rowIssueSchema = new mongoose.Schema({
+  column: String,
+  value: String,
+  reason: String
+}, { _id: false });
+
+const quarantinedRowSchema = new mongoose.Schema({
+  // Source file and 1-based data row number (the header is not counted)
+  source: {
+    type: String,
+    index: true
+  },
+  row: {
+    type: Number,
+    required: true
+  },
+  importBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  // Raw CSV values keyed by header
+  raw: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Why the row was rejected ("errors" is reserved by Mongoose)
+  issues: [rowIssueSchema],
+
+  quarantinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'import_quarantine'
+});
+
+// Export the model
+const QuarantinedRow = mongoose.model('QuarantinedRow', quarantinedRowSchema);
+
+export default QuarantinedRow;
@@ -76,7 +76,13 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     index: true
   },
-  employeeName: String
+  employeeName: String,
+
+  // Import lineage: the import batch that created this document
+  importBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: { sparse: true }
+  }
 }, {
   timestamps: false, // OPTIMIZED: Remove to save space (~10%)
   collection: 'transactions',
@@ -88,6 +94,10 @@ transactionSchema.index({ customerRegion: 1, gender: 1 });
 transactionSchema.index({ date: -1, totalAmount: -1 });
 transactionSchema.index({ productCategory: 1, date: -1 });
 
+// Keyset pagination: sort key plus _id tie-breaker (traversable in both directions)
+transactionSchema.index({ date: -1, _id: -1 });
+transactionSchema.index({ customerName: 1, _id: 1 });
+
 // OPTIMIZED: Text index on fewer fields
 transactionSchema.index({ 
   customerName: 'text', 
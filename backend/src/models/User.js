@@ -0,0 +1,50 @@
+/**
+ * User Model - Accounts that can sign in to the API
+ *
+ * Passwords are stored as scrypt hashes (see utils/passwords.js). Each
+ * signed-in session keeps one refresh token id, so logging out or disabling
+ * the account revokes it.
+ */
+
+import mongoose from 'mongoose';
+import { ROLES } from '../config/auth.js';
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  lastLoginAt: Date,
+
+  // Refresh tokens that are still valid, by their jti claim
+  refreshTokens: [{
+    _id: false,
+    tokenId: String,
+    expiresAt: Date
+  }]
+}, {
+  collection: 'users',
+  timestamps: true,
+  versionKey: false
+});
+
+// Export the model
+const User = mongoose.model('User', userSchema);
+
+export default User;
@@ -3,37 +3,273 @@
  */
 
 import express from 'express';
-import { validateTransactionQuery } from '../middleware/validationMiddleware.js';
+import {
+  validateTransactionQuery,
+  validateTransactionBody,
+  validateTransactionPatch
+} from '../middleware/validationMiddleware.js';
+import { uploadImportFile } from '../middleware/uploadMiddleware.js';
+import { requireMongoStorage, requireMongoStorageFor } from '../middleware/storageMiddleware.js';
+import { authenticate, requireRole } from '../middleware/authMiddleware.js';
+import { login, refresh, logout, getCurrentUser } from '../controllers/authController.js';
+import { createApiKey, listApiKeys, revokeApiKey } from '../controllers/apiKeyController.js';
+import { exportDataSubject, eraseDataSubject } from '../controllers/dataSubjectController.js';
+import { getAuditLog } from '../controllers/auditController.js';
 import {
   getTransactions,
+  exportTransactions,
+  getTransactionById,
+  createTransaction,
+  updateTransaction,
+  deleteTransaction,
   getFilterOptions,
   getStatistics
 } from '../controllers/transactionController.js';
+import { getCustomer } from '../controllers/customerController.js';
+import { getTimeSeries, getBreakdown } from '../controllers/analyticsController.js';
+import {
+  createImport,
+  getImport,
+  getImportReport,
+  listImportBatches,
+  getImportBatch,
+  rollbackImportBatch
+} from '../controllers/importController.js';
 
 const router = express.Router();
 
+const requireMongoForDataSubjects = requireMongoStorageFor('data subject requests');
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Sign in; returns an access token, a refresh token and the user
+ * @access  Public
+ * @body    username, password
+ */
+router.post('/auth/login', login);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access and refresh token (single use)
+ * @access  Public
+ * @body    refreshToken
+ */
+router.post('/auth/refresh', refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke a refresh token
+ * @access  Public
+ * @body    refreshToken
+ */
+router.post('/auth/logout', logout);
+
+// Every route below needs "Authorization: Bearer <access token>" or "X-API-Key: <key>"
+router.use(authenticate);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the signed-in user (id, username, role)
+ * @access  Viewer
+ */
+router.get('/auth/me', getCurrentUser);
+
 /**
  * @route   GET /api/transactions
  * @desc    Get paginated, filtered, and sorted transactions
- * @access  Public
- * @query   search, filters, sortBy, sortOrder, page, pageSize
+ * @access  Viewer
+ * @query   search, filters, sortBy, sortOrder, page, pageSize, cursor
  */
-router.get('/transactions', validateTransactionQuery, getTransactions);
+router.get('/transactions', requireRole('viewer'), validateTransactionQuery, getTransactions);
+
+/**
+ * @route   GET /api/transactions/export
+ * @desc    Stream all matching transactions as a CSV or XLSX download
+ * @access  Analyst
+ * @query   search, filters, sortBy, sortOrder, format (csv|xlsx)
+ */
+router.get('/transactions/export', requireRole('analyst'), validateTransactionQuery, exportTransactions);
+
+/**
+ * @route   GET /api/transactions/:transactionId
+ * @desc    Get a single transaction by its transactionId
+ * @access  Viewer
+ * @param   transactionId
+ */
+router.get('/transactions/:transactionId', requireRole('viewer'), getTransactionById);
+
+/**
+ * @route   POST /api/transactions
+ * @desc    Create a transaction
+ * @access  Admin
+ * @body    Transaction fields (transactionId, customerId, customerName, quantity, totalAmount, date required)
+ */
+router.post('/transactions', requireRole('admin'), validateTransactionBody, createTransaction);
+
+/**
+ * @route   PUT /api/transactions/:transactionId
+ * @desc    Replace every field of a transaction
+ * @access  Admin
+ * @param   transactionId
+ * @body    Complete transaction fields
+ */
+router.put('/transactions/:transactionId', requireRole('admin'), validateTransactionBody, updateTransaction);
+
+/**
+ * @route   PATCH /api/transactions/:transactionId
+ * @desc    Update some fields of a transaction
+ * @access  Admin
+ * @param   transactionId
+ * @body    Fields to change
+ */
+router.patch('/transactions/:transactionId', requireRole('admin'), validateTransactionPatch, updateTransaction);
+
+/**
+ * @route   DELETE /api/transactions/:transactionId
+ * @desc    Delete a transaction
+ * @access  Admin
+ * @param   transactionId
+ */
+router.delete('/transactions/:transactionId', requireRole('admin'), deleteTransaction);
+
+/**
+ * @route   GET /api/customers/:customerId
+ * @desc    Get customer profile, lifetime metrics and recent transactions
+ * @access  Analyst
+ * @param   customerId
+ * @query   recentLimit
+ */
+router.get('/customers/:customerId', requireRole('analyst'), getCustomer);
+
+/**
+ * @route   GET /api/analytics/timeseries
+ * @desc    Get quantity, amount and count totals bucketed by date
+ * @access  Viewer
+ * @query   search, filters, granularity (day|week|month|quarter|year)
+ */
+router.get('/analytics/timeseries', requireRole('viewer'), validateTransactionQuery, getTimeSeries);
+
+/**
+ * @route   GET /api/analytics/breakdown
+ * @desc    Get per-value totals, averages and share of total for a dimension
+ * @access  Viewer
+ * @query   search, filters, dimension (productCategory|customerRegion|gender|paymentMethod|tags|employeeName|ageBand)
+ */
+router.get('/analytics/breakdown', requireRole('viewer'), validateTransactionQuery, getBreakdown);
+
+/**
+ * @route   POST /api/imports
+ * @desc    Upload a CSV, NDJSON, JSON or XLSX file and import it in the background (MongoDB storage only)
+ * @access  Admin
+ * @body    multipart/form-data with the file in field "file",
+ *          optional strict (true/false), onInvalid (reject/quarantine), upsert (true/false),
+ *          profile (mapping profile name) and format (csv/ndjson/json/xlsx, default from the extension)
+ */
+router.post('/imports', requireRole('admin'), requireMongoStorage, uploadImportFile, createImport);
+
+/**
+ * @route   GET /api/imports/:id
+ * @desc    Get rows processed, inserted, failed and ETA for an import job (MongoDB storage only)
+ * @access  Admin
+ * @param   id
+ */
+router.get('/imports/:id', requireRole('admin'), requireMongoStorage, getImport);
+
+/**
+ * @route   GET /api/imports/:id/report
+ * @desc    Get per-row validation errors and final counts for a completed import (MongoDB storage only)
+ * @access  Admin
+ * @param   id
+ */
+router.get('/imports/:id/report', requireRole('admin'), requireMongoStorage, getImportReport);
+
+/**
+ * @route   GET /api/import-batches
+ * @desc    List import batches (source, checksum, row counts, start/end), newest first (MongoDB storage only)
+ * @access  Admin
+ * @query   limit (1-200, default 50)
+ */
+router.get('/import-batches', requireRole('admin'), requireMongoStorage, listImportBatches);
+
+/**
+ * @route   GET /api/import-batches/:id
+ * @desc    Get a single import batch (MongoDB storage only)
+ * @access  Admin
+ * @param   id
+ */
+router.get('/import-batches/:id', requireRole('admin'), requireMongoStorage, getImportBatch);
+
+/**
+ * @route   POST /api/import-batches/:id/rollback
+ * @desc    Delete exactly the transactions an import batch created (MongoDB storage only)
+ * @access  Admin
+ * @param   id
+ * @query   force (true to roll back a batch still marked running)
+ */
+router.post('/import-batches/:id/rollback', requireRole('admin'), requireMongoStorage, rollbackImportBatch);
+
+/**
+ * @route   POST /api/data-subjects/export
+ * @desc    Export every transaction and quarantined import row held about a customer (MongoDB storage only)
+ * @access  Admin
+ * @body    customerId and/or phoneNumber
+ */
+router.post('/data-subjects/export', requireRole('admin'), requireMongoForDataSubjects, exportDataSubject);
+
+/**
+ * @route   POST /api/data-subjects/erase
+ * @desc    Pseudonymise a customer across their transactions, keeping amounts (MongoDB storage only)
+ * @access  Admin
+ * @body    customerId and/or phoneNumber, dryRun (true to only count)
+ */
+router.post('/data-subjects/erase', requireRole('admin'), requireMongoForDataSubjects, eraseDataSubject);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key for an integration; the key is shown only in this response
+ * @access  Admin
+ * @body    name, scope (read or export)
+ */
+router.post('/api-keys', requireRole('admin'), createApiKey);
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys with their scope and last use, newest first
+ * @access  Admin
+ * @query   includeRevoked (true to list revoked keys too)
+ */
+router.get('/api-keys', requireRole('admin'), listApiKeys);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Admin
+ * @param   id
+ */
+router.delete('/api-keys/:id', requireRole('admin'), revokeApiKey);
+
+/**
+ * @route   GET /api/audit-log
+ * @desc    List audit events (writes, imports, rollbacks, exports, erasures, key changes), newest first
+ * @access  Admin
+ * @query   user, action, requestId, from, to (ISO dates), page, pageSize
+ */
+router.get('/audit-log', requireRole('admin'), getAuditLog);
 
 /**
  * @route   GET /api/filters/options
  * @desc    Get available filter options
- * @access  Public
+ * @access  Viewer
  * @query   search, filters
  */
-router.get('/filters/options', getFilterOptions);
+router.get('/filters/options', requireRole('viewer'), getFilterOptions);
 
 /**
  * @route   GET /api/statistics
  * @desc    Get transaction statistics
- * @access  Public
+ * @access  Viewer
  */
-router.get('/statistics', getStatistics);
+router.get('/statistics', requireRole('viewer'), getStatistics);
 
 export default router;
 
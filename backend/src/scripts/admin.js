@@ -0,0 +1,689 @@
+/**
+ * Admin CLI - Database maintenance commands in one place
+ *
+ * Usage:
+ *   node src/scripts/admin.js <command> [--dry-run] [--yes] [--json]
+ *
+ * Destructive commands (clear, dedupe, drop-oplog, reimport) show what they
+ * would change and ask for confirmation first. --dry-run stops after that
+ * step, --yes skips the prompt, and --json prints one JSON result to stdout
+ * with progress messages moved to stderr.
+ *
+ *   node src/scripts/admin.js backup [--out=<dir>] [--filters='<json>']
+ *   node src/scripts/admin.js restore <dir> [--drop]
+ *
+ * Account commands read the password from a hidden prompt, or from the
+ * first line of stdin when it is not a terminal:
+ *
+ *   node src/scripts/admin.js create-user <username> [--role=viewer|analyst|admin]
+ *   node src/scripts/admin.js set-role <username> --role=<role>
+ *
+ * API keys for integrations are printed once, when created:
+ *
+ *   node src/scripts/admin.js create-api-key <name> --scope=read|export
+ *   node src/scripts/admin.js revoke-api-key <id>
+ *
+ * Privacy requests name the customer by --customer-id and/or --phone:
+ *
+ *   node src/scripts/admin.js export-customer --customer-id=C001 --json > C001.json
+ *   node src/scripts/admin.js erase-customer --phone=9876543210
+ *
+ * Commands that change or export data are recorded in the audit log as
+ * "cli:<os user>"; dry runs, aborted commands and commands with nothing
+ * to change are not.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import path from 'path';
+import readline from 'readline/promises';
+import { Writable } from 'stream';
+import { parseArgs } from 'util';
+import database from '../config/database.js';
+import adminService from '../services/adminService.js';
+import apiKeyService, { API_KEY_HEADER } from '../services/apiKeyService.js';
+import auditService from '../services/auditService.js';
+import authService from '../services/authService.js';
+import backupService from '../services/backupService.js';
+import dataSubjectService from '../services/dataSubjectService.js';
+import DataImporter from '../services/dataImporter.js';
+import { parseFilters } from '../utils/queryParams.js';
+import { validateFilters } from '../utils/validators.js';
+
+dotenv.config({ quiet: true });
+
+const RULE = '━'.repeat(60);
+
+const toMb = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+const BACKUP_HINT = '💡 Run `npm run admin -- backup` first to keep a copy of the current data';
+
+const ERASURE_HINT = '💡 Backups and FALLBACK_DATA_FILE copies made before the erasure still hold this customer; replace them afterwards';
+
+const logProgress = (verb) => (count) => console.log(`   ${verb}: ${count.toLocaleString()}...`);
+
+/**
+ * Which customer identifiers a privacy command used, without their values
+ * @param {Object} options - Parsed options
+ * @returns {Object} e.g. { phoneNumber: '[redacted]' }
+ */
+const redactSubject = ({ customerId, phone }) => ({
+  ...(customerId !== undefined && { customerId: '[redacted]' }),
+  ...(phone !== undefined && { phoneNumber: '[redacted]' })
+});
+
+/**
+ * Read a new password without echoing it
+ * @returns {Promise<string>} Password typed twice on a terminal, or the first line of piped stdin
+ */
+const readPassword = async () => {
+  if (!process.stdin.isTTY) {
+    let input = '';
+    for await (const chunk of process.stdin) {
+      input += chunk;
+    }
+    return input.split(/\r?\n/)[0];
+  }
+
+  // Keystrokes are echoed to a stream that drops them
+  const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const prompt = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+  const ask = async (question) => {
+    process.stderr.write(question);
+    const answer = await prompt.question('');
+    process.stderr.write('\n');
+    return answer;
+  };
+
+  try {
+    const password = await ask('🔑 Password: ');
+    if (await ask('🔑 Repeat password: ') !== password) {
+      throw new Error('Passwords do not match');
+    }
+    return password;
+  } finally {
+    prompt.close();
+  }
+};
+
+/**
+ * Make sure a file can be read
+ * @param {string} file - Path, relative to the working directory
+ * @returns {Promise<void>}
+ * @throws {Error} If the file is missing, not a file or not readable
+ */
+const checkReadableFile = async (file) => {
+  const absolutePath = path.resolve(file);
+
+  try {
+    await fs.promises.access(absolutePath, fs.constants.R_OK);
+  } catch (error) {
+    throw new Error(`Cannot read ${absolutePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+  }
+
+  if (!(await fs.promises.stat(absolutePath)).isFile()) {
+    throw new Error(`Cannot read ${absolutePath}: not a file`);
+  }
+};
+
+/**
+ * Apply account changes to an existing user
+ * @param {string} username - Username from the command line
+ * @param {Object} changes - Fields for authService.updateUser
+ * @returns {Promise<Object>} Updated user
+ */
+const updateUser = async (username, changes) => {
+  if (!username) {
+    throw new Error('A username is required');
+  }
+
+  const user = await authService.updateUser(username, changes);
+  if (!user) {
+    throw new Error(`User ${username} not found`);
+  }
+  return user;
+};
+
+/**
+ * Commands by name
+ * Read-only commands have run(options) and print(result).
+ * Destructive commands also have describe(plan, options), the confirmation
+ * prompt built from a dry run, and an optional hint shown before it;
+ * run(options) is called with dryRun first.
+ * Commands that change or export data have audit(result, options), the
+ * audit log event for a completed run.
+ */
+const COMMANDS = {
+  ping: {
+    summary: 'Check the connection and show a sample transaction',
+    run: () => adminService.getSummary(),
+    print: ({ count, sample }) => {
+      console.log(`✅ Total transactions in database: ${count.toLocaleString()}`);
+      if (sample) {
+        console.log('\n📄 Sample document:');
+        console.log(JSON.stringify(sample, null, 2));
+      }
+    }
+  },
+
+  count: {
+    summary: 'Count transactions and list the fields of a sample',
+    run: () => adminService.getSummary(),
+    print: ({ count, sample }) => {
+      console.log(`📊 Current records in database: ${count.toLocaleString()}`);
+      if (sample) {
+        console.log('📝 Sample transaction ID:', sample.transactionId);
+        console.log('📅 Sample date:', sample.date);
+        console.log('📦 Document fields:', Object.keys(sample).join(', '));
+      }
+    }
+  },
+
+  stats: {
+    summary: 'Show storage and index sizes of the transactions collection',
+    run: () => adminService.getCollectionStats(),
+    print: (stats) => {
+      console.log(`✅ Total Transactions: ${stats.count.toLocaleString()}`);
+      console.log('\n💾 Storage Information:');
+      console.log(`   📦 Storage Size: ${toMb(stats.storageSize)}`);
+      console.log(`   🔍 Index Size: ${toMb(stats.indexSize)}`);
+      console.log(`   📊 Total Size: ${toMb(stats.totalSize)}`);
+      console.log(`   📄 Avg Document Size: ${(stats.avgObjSize / 1024).toFixed(2)} KB`);
+      console.log(`\n🔍 Indexes (${stats.indexes.length}):`);
+      stats.indexes.forEach(name => console.log(`   - ${name}`));
+    }
+  },
+
+  storage: {
+    summary: 'Estimate how many more transactions fit in the quota (--quota-mb, default 512)',
+    run: ({ quotaMb }) => adminService.analyzeStorage({ quotaBytes: quotaMb * 1024 * 1024 }),
+    print: (analysis) => {
+      console.log('📈 Collection Statistics:');
+      console.log(`   Documents: ${analysis.count.toLocaleString()}`);
+      console.log(`   Data Size: ${toMb(analysis.dataSize)}`);
+      console.log(`   Average Document Size: ${analysis.avgObjSize.toFixed(0)} bytes`);
+      console.log(`   Index Size: ${toMb(analysis.indexSize)}`);
+      console.log(`   Sample document: ${analysis.sampleFields} fields, ${analysis.sampleBytes} bytes`);
+      console.log('\n💾 Storage Capacity:');
+      console.log(`   Used: ${toMb(analysis.usedBytes)} / ${toMb(analysis.quotaBytes)}`);
+      console.log(`   Free: ${toMb(analysis.freeBytes)}`);
+      console.log(`   Can fit approximately: ${analysis.additionalDocuments.toLocaleString()} more documents`);
+      console.log(`   Estimated total capacity: ${analysis.estimatedCapacity.toLocaleString()} documents`);
+    }
+  },
+
+  clear: {
+    summary: 'Drop every transaction and recreate the schema indexes',
+    destructive: true,
+    hint: BACKUP_HINT,
+    run: ({ dryRun }) => adminService.clearTransactions({ dryRun }),
+    describe: ({ deleted }) => deleted > 0 && `Drop all ${deleted.toLocaleString()} transactions?`,
+    audit: ({ deleted }) => ({ action: 'transactions.clear', count: deleted }),
+    print: ({ deleted, dryRun }) => {
+      if (deleted === 0) {
+        console.log('✅ Database is already empty');
+      } else if (dryRun) {
+        console.log(`🔍 Dry run: would drop ${deleted.toLocaleString()} transactions`);
+      } else {
+        console.log(`✅ Dropped ${deleted.toLocaleString()} transactions and recreated indexes`);
+      }
+    }
+  },
+
+  dedupe: {
+    summary: 'Delete transactions that repeat a transaction ID, keeping the oldest',
+    destructive: true,
+    run: ({ dryRun }) => adminService.removeDuplicates({ dryRun }),
+    describe: ({ deleted, duplicateIds }) => deleted > 0 &&
+      `Delete ${deleted.toLocaleString()} duplicates of ${duplicateIds.toLocaleString()} transaction IDs?`,
+    audit: ({ deleted, duplicateIds }) => ({ action: 'transactions.dedupe', count: deleted, details: { duplicateIds } }),
+    print: ({ deleted, duplicateIds, dryRun }) => {
+      console.log(`🔍 Found ${duplicateIds.toLocaleString()} duplicate transaction IDs`);
+      console.log(dryRun
+        ? `🔍 Dry run: would delete ${deleted.toLocaleString()} documents`
+        : `✅ Deleted ${deleted.toLocaleString()} duplicates`);
+    }
+  },
+
+  'drop-oplog': {
+    summary: 'Drop a leftover oplog.rs collection from the application database',
+    destructive: true,
+    run: ({ dryRun }) => adminService.dropOplog({ dryRun }),
+    describe: ({ found, sizeBytes }) => found && `Drop oplog.rs (${toMb(sizeBytes)})?`,
+    audit: ({ dropped, sizeBytes }) => ({ action: 'oplog.drop', count: dropped ? 1 : 0, details: { sizeBytes } }),
+    print: ({ found, sizeBytes, dryRun }) => {
+      if (!found) {
+        console.log('✅ oplog.rs not found (already clean)');
+      } else if (dryRun) {
+        console.log(`🔍 Dry run: would drop oplog.rs and free ${toMb(sizeBytes)}`);
+      } else {
+        console.log(`✅ oplog.rs dropped, freed ${toMb(sizeBytes)}`);
+      }
+    }
+  },
+
+  reimport: {
+    summary: 'Drop all transactions, import --file and build the optimized indexes',
+    destructive: true,
+    hint: BACKUP_HINT,
+    run: async ({ dryRun, file }) => {
+      // Checked before anything is dropped, so a bad path leaves the data in place
+      await checkReadableFile(file);
+
+      const cleared = await adminService.clearTransactions({ dryRun, recreateIndexes: false });
+      if (dryRun) {
+        return { file, dropped: cleared.deleted, dryRun };
+      }
+
+      // Build indexes once after the import instead of on every insert
+      mongoose.set('autoIndex', false);
+      const importer = new DataImporter();
+      const stats = await importer.importFile(file);
+      const indexes = await adminService.buildOptimizedIndexes();
+
+      return { file, dropped: cleared.deleted, dryRun, stats, indexes };
+    },
+    describe: ({ dropped, file }) => `Drop all ${dropped.toLocaleString()} transactions and reimport ${file}?`,
+    audit: ({ file, dropped, stats }) => ({
+      action: 'transactions.reimport',
+      filter: { file },
+      count: stats.inserted,
+      details: { dropped, failed: stats.failed }
+    }),
+    print: ({ file, dropped, dryRun, stats, indexes }) => {
+      if (dryRun) {
+        console.log(`🔍 Dry run: would drop ${dropped.toLocaleString()} transactions and import ${file}`);
+        return;
+      }
+      console.log(`✅ Dropped ${dropped.toLocaleString()} transactions`);
+      console.log(`✅ Imported ${stats.inserted.toLocaleString()} transactions (${stats.failed.toLocaleString()} failed)`);
+      console.log(`✅ Built ${indexes.length} indexes`);
+    }
+  },
+
+  backup: {
+    summary: 'Dump transactions (optionally --filters) to gzip NDJSON with a manifest in --out',
+    run: ({ out, filters }) => backupService.createBackup({
+      dir: out || `backups/transactions-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+      filters,
+      onProgress: logProgress('Dumped')
+    }),
+    audit: ({ count, filters, file }) => ({ action: 'transactions.backup', filter: filters, count, details: { file } }),
+    print: (manifest) => {
+      console.log(`✅ Backed up ${manifest.count.toLocaleString()} transactions (${toMb(manifest.bytes)} compressed)`);
+      console.log(`📁 ${manifest.file} and manifest.json written`);
+      console.log(`🔒 SHA-256: ${manifest.sha256}`);
+    }
+  },
+
+  restore: {
+    summary: 'Load a backup directory (--drop replaces existing data) and rebuild indexes',
+    destructive: true,
+    run: ({ args: [dir], drop, dryRun }) => {
+      if (!dir) {
+        throw new Error('Usage: admin restore <backupDir> [--drop]');
+      }
+      return backupService.restoreBackup({ dir, drop, dryRun, onProgress: logProgress('Restored') });
+    },
+    describe: ({ manifest, existing }, { drop }) => (drop
+      ? `Drop all ${existing.toLocaleString()} transactions and restore ${manifest.count.toLocaleString()} from the backup?`
+      : `Restore ${manifest.count.toLocaleString()} transactions on top of the ${existing.toLocaleString()} existing ones?`),
+    audit: ({ manifest, dropped, restored, skipped }, { args: [dir] }) => ({
+      action: 'transactions.restore',
+      filter: { dir },
+      count: restored,
+      details: { backupFrom: manifest.finishedAt, dropped, skipped }
+    }),
+    print: ({ manifest, existing, dropped, restored, skipped, indexes, dryRun }) => {
+      console.log(`📦 Backup from ${manifest.finishedAt}: ${manifest.count.toLocaleString()} transactions, checksum verified`);
+      if (dryRun) {
+        console.log(`🔍 Dry run: ${existing.toLocaleString()} transactions currently in the database`);
+        return;
+      }
+      if (dropped > 0) {
+        console.log(`🗑️  Dropped ${dropped.toLocaleString()} existing transactions`);
+      }
+      console.log(`✅ Restored ${restored.toLocaleString()} transactions`);
+      if (skipped > 0) {
+        console.log(`⏭️  Skipped ${skipped.toLocaleString()} already present`);
+      }
+      console.log(`✅ Built ${indexes.length} indexes`);
+    }
+  },
+
+  users: {
+    summary: 'List accounts with their role and last sign-in',
+    run: () => authService.listUsers(),
+    print: (users) => {
+      console.log(`👥 ${users.length.toLocaleString()} accounts`);
+      users.forEach(user => {
+        const lastLogin = user.lastLoginAt ? new Date(user.lastLoginAt).toISOString() : 'never';
+        console.log(`   ${user.username.padEnd(24)}${user.role.padEnd(10)}last sign-in: ${lastLogin}${user.disabled ? ' (disabled)' : ''}`);
+      });
+    }
+  },
+
+  'create-user': {
+    summary: 'Create an account: create-user <username> [--role] (default viewer)',
+    run: async ({ args: [username], role }) => {
+      if (!username) {
+        throw new Error('Usage: admin create-user <username> [--role=viewer|analyst|admin]');
+      }
+      return authService.createUser({ username, password: await readPassword(), role: role || 'viewer' });
+    },
+    audit: (user) => ({ action: 'user.create', filter: { username: user.username }, count: 1, details: { role: user.role } }),
+    print: (user) => console.log(`✅ Created ${user.role} account ${user.username}`)
+  },
+
+  'set-role': {
+    summary: 'Change the --role of an account',
+    run: ({ args: [username], role }) => {
+      if (!role) {
+        throw new Error('Usage: admin set-role <username> --role=viewer|analyst|admin');
+      }
+      return updateUser(username, { role });
+    },
+    audit: (user) => ({ action: 'user.update', filter: { username: user.username }, count: 1, details: { role: user.role } }),
+    print: (user) => console.log(`✅ ${user.username} is now ${user.role} (from their next token refresh)`)
+  },
+
+  'set-password': {
+    summary: 'Set a new password for an account and sign out its sessions',
+    run: async ({ args: [username] }) => updateUser(username, { password: await readPassword() }),
+    audit: (user) => ({ action: 'user.update', filter: { username: user.username }, count: 1, details: { password: 'changed' } }),
+    print: (user) => console.log(`✅ Password changed for ${user.username}`)
+  },
+
+  'disable-user': {
+    summary: 'Stop an account from signing in and sign out its sessions',
+    run: ({ args: [username] }) => updateUser(username, { disabled: true }),
+    audit: (user) => ({ action: 'user.update', filter: { username: user.username }, count: 1, details: { disabled: true } }),
+    print: (user) => console.log(`✅ ${user.username} disabled`)
+  },
+
+  'enable-user': {
+    summary: 'Allow a disabled account to sign in again',
+    run: ({ args: [username] }) => updateUser(username, { disabled: false }),
+    audit: (user) => ({ action: 'user.update', filter: { username: user.username }, count: 1, details: { disabled: false } }),
+    print: (user) => console.log(`✅ ${user.username} enabled`)
+  },
+
+  'api-keys': {
+    summary: 'List active API keys with their scope and last use',
+    run: () => apiKeyService.listKeys(),
+    print: (keys) => {
+      console.log(`🔑 ${keys.length.toLocaleString()} active API keys`);
+      keys.forEach(key => {
+        const lastUsed = key.lastUsedAt ? new Date(key.lastUsedAt).toISOString() : 'never';
+        console.log(`   ${key.id}  ${key.prefix}…  ${key.scope.padEnd(8)}${key.name} (last used: ${lastUsed})`);
+      });
+    }
+  },
+
+  'create-api-key': {
+    summary: 'Create an API key for an integration: create-api-key <name> --scope',
+    run: ({ args: [name], scope }) => {
+      if (!name || !scope) {
+        throw new Error('Usage: admin create-api-key <name> --scope=read|export');
+      }
+      return apiKeyService.createKey({ name, scope, createdBy: 'admin-cli' });
+    },
+    audit: (key) => ({
+      action: 'apiKey.create',
+      filter: { apiKeyId: key.id },
+      count: 1,
+      details: { name: key.name, scope: key.scope }
+    }),
+    print: (key) => {
+      console.log(`✅ Created ${key.scope} API key ${key.name} (${key.id})`);
+      console.log(`\n   ${API_KEY_HEADER}: ${key.key}\n`);
+      console.log('⚠️  Store it now: only its hash is kept, so it cannot be shown again');
+    }
+  },
+
+  'revoke-api-key': {
+    summary: 'Revoke an API key by id',
+    run: async ({ args: [id] }) => {
+      if (!id) {
+        throw new Error('Usage: admin revoke-api-key <id>');
+      }
+      const key = await apiKeyService.revokeKey(id);
+      if (!key) {
+        throw new Error(`API key ${id} not found`);
+      }
+      return key;
+    },
+    audit: (key) => ({ action: 'apiKey.revoke', filter: { apiKeyId: key.id }, count: 1 }),
+    print: (key) => console.log(`✅ Revoked API key ${key.name} (${key.prefix}…)`)
+  },
+
+  'export-customer': {
+    summary: 'Export all data held about --customer-id and/or --phone (use --json for the data)',
+    run: ({ customerId, phone }) => dataSubjectService.exportSubject({ customerId, phoneNumber: phone }),
+    audit: ({ transactions, quarantinedRows }, options) => ({
+      action: 'dataSubject.export',
+      filter: redactSubject(options),
+      count: transactions.length,
+      details: { quarantinedRows: quarantinedRows.length }
+    }),
+    print: ({ customerIds, transactions, quarantinedRows }) => {
+      console.log(`📄 Customer IDs: ${customerIds.join(', ') || 'none'}`);
+      console.log(`✅ ${transactions.length.toLocaleString()} transactions and ${quarantinedRows.length.toLocaleString()} quarantined rows`);
+      console.log('💡 Run again with --json to write the full export to stdout');
+    }
+  },
+
+  'erase-customer': {
+    summary: 'Pseudonymise --customer-id and/or --phone across transactions, keeping amounts',
+    destructive: true,
+    hint: ERASURE_HINT,
+    run: ({ customerId, phone, dryRun }) => dataSubjectService.eraseSubject({ customerId, phoneNumber: phone }, { dryRun }),
+    describe: ({ customers, transactions, quarantinedRows }) => customers + quarantinedRows > 0 &&
+      `Pseudonymise ${customers.toLocaleString()} customer IDs in ${transactions.toLocaleString()} transactions and delete ${quarantinedRows.toLocaleString()} quarantined rows?`,
+    audit: ({ customers, transactions, quarantinedRows }, options) => ({
+      action: 'dataSubject.erase',
+      filter: redactSubject(options),
+      count: transactions,
+      details: { customers, quarantinedRows }
+    }),
+    print: ({ customers, transactions, quarantinedRows, dryRun }) => {
+      if (customers + quarantinedRows === 0) {
+        console.log('✅ No data held about this customer');
+      } else if (dryRun) {
+        console.log(`🔍 Dry run: would pseudonymise ${transactions.toLocaleString()} transactions of ${customers.toLocaleString()} customer IDs`);
+        console.log(`🔍 Dry run: would delete ${quarantinedRows.toLocaleString()} quarantined rows`);
+      } else {
+        console.log(`✅ Pseudonymised ${transactions.toLocaleString()} transactions of ${customers.toLocaleString()} customer IDs`);
+        console.log(`✅ Deleted ${quarantinedRows.toLocaleString()} quarantined rows`);
+      }
+    }
+  }
+};
+
+const USAGE = [
+  'Usage: npm run admin -- <command> [options]',
+  '',
+  'Commands:',
+  ...Object.entries(COMMANDS).map(([name, command]) =>
+    `  ${name.padEnd(17)}${command.summary}${command.destructive ? ' (asks first)' : ''}`),
+  '',
+  'Options:',
+  '  --dry-run      Show what a destructive command would change, then stop',
+  '  --yes          Skip the confirmation prompt',
+  '  --json         Print the result as JSON',
+  '  --file         File imported by reimport (default CSV_FILE_PATH)',
+  '  --quota-mb     Quota used by storage (default 512)',
+  '  --out          Directory created by backup (default backups/transactions-<timestamp>)',
+  '  --filters      Filters JSON for backup, as in GET /api/transactions',
+  '  --drop         Drop existing transactions before restore',
+  '  --role         Role for create-user and set-role (viewer, analyst or admin)',
+  '  --scope        Scope for create-api-key (read or export)',
+  '  --customer-id  Customer for export-customer and erase-customer',
+  '  --phone        Phone number for export-customer and erase-customer'
+].join('\n');
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} command name and options
+ */
+const parseCommandLine = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      yes: { type: 'boolean', short: 'y', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+      file: { type: 'string' },
+      'quota-mb': { type: 'string', default: '512' },
+      out: { type: 'string' },
+      filters: { type: 'string' },
+      drop: { type: 'boolean', default: false },
+      role: { type: 'string' },
+      scope: { type: 'string' },
+      'customer-id': { type: 'string' },
+      phone: { type: 'string' }
+    }
+  });
+
+  const quotaMb = Number(values['quota-mb']);
+  if (!Number.isFinite(quotaMb) || quotaMb <= 0) {
+    throw new Error('--quota-mb must be a positive number');
+  }
+
+  const filters = parseFilters(values.filters);
+  const filtersValidation = validateFilters(filters);
+  if (!filtersValidation.isValid) {
+    throw new Error(`Invalid --filters: ${filtersValidation.errors.join(', ')}`);
+  }
+
+  return {
+    name: values.help ? 'help' : positionals[0] || 'help',
+    options: {
+      args: positionals.slice(1),
+      dryRun: values['dry-run'],
+      yes: values.yes,
+      json: values.json,
+      quotaMb,
+      out: values.out,
+      filters,
+      drop: values.drop,
+      role: values.role,
+      scope: values.scope,
+      customerId: values['customer-id'],
+      phone: values.phone,
+      file: values.file || process.env.CSV_FILE_PATH || '../truestate_assignment_dataset.csv'
+    }
+  };
+};
+
+/**
+ * Ask a yes/no question on the terminal
+ * @param {string} question - Prompt text
+ * @returns {Promise<boolean>} true when the answer is y or yes
+ */
+const confirm = async (question) => {
+  if (!process.stdin.isTTY) {
+    throw new Error('Refusing to run a destructive command without a terminal; pass --yes to confirm');
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await prompt.question(`⚠️  ${question} [y/N] `);
+    return ['y', 'yes'].includes(answer.trim().toLowerCase());
+  } finally {
+    prompt.close();
+  }
+};
+
+/**
+ * Run one command, confirming destructive ones first
+ * @param {Object} command - Entry from COMMANDS
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object|null>} Command result (changed: false when there was nothing to do), or null when the user declined
+ */
+const runCommand = async (command, options) => {
+  if (!command.destructive) {
+    return command.run(options);
+  }
+
+  const plan = await command.run({ ...options, dryRun: true });
+  const question = command.describe(plan, options);
+
+  // Nothing to change (marked so it is not audited as a change), or only looking
+  if (!question || options.dryRun) {
+    return { ...plan, dryRun: options.dryRun, ...(!question && { changed: false }) };
+  }
+
+  if (command.hint && !options.yes) {
+    console.log(command.hint);
+  }
+
+  if (!options.yes && !(await confirm(question))) {
+    return null;
+  }
+
+  return command.run({ ...options, dryRun: false });
+};
+
+async function main() {
+  let name = null;
+  let json = process.argv.includes('--json');
+
+  try {
+    const parsed = parseCommandLine(process.argv.slice(2));
+    name = parsed.name;
+    json = parsed.options.json;
+
+    if (name === 'help') {
+      console.log(USAGE);
+      process.exit(0);
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+      throw new Error(`Unknown command: ${name} (run with --help to list commands)`);
+    }
+
+    // Keep stdout for the JSON result; connection and import messages go to stderr
+    if (json) {
+      console.log = console.error;
+    }
+
+    console.log(`\n🛠️  ADMIN: ${name}\n`);
+    console.log(RULE);
+
+    await database.connect();
+    const result = await runCommand(command, parsed.options);
+    if (result && !result.dryRun && result.changed !== false && command.audit) {
+      await auditService.record(auditService.fromCli(), command.audit(result, parsed.options));
+    }
+    await database.disconnect();
+
+    if (json) {
+      process.stdout.write(`${JSON.stringify({ command: name, success: true, aborted: !result, data: result }, null, 2)}\n`);
+    } else if (!result) {
+      console.log('\n🚫 Aborted, nothing was changed');
+    } else {
+      console.log('');
+      command.print(result);
+      console.log(`\n${RULE}\n`);
+    }
+
+    process.exit(result ? 0 : 1);
+  } catch (error) {
+    if (json) {
+      process.stdout.write(`${JSON.stringify({ command: name, success: false, error: error.message, errors: error.errors }, null, 2)}\n`);
+    } else {
+      console.error('\n❌ Error:', error.message);
+      (error.errors || []).forEach(message => console.error(`   - ${message}`));
+    }
+    await database.disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,171 @@
+/**
+ * Synthetic Data Script - Generates seeded transactions as CSV or straight into MongoDB
+ *
+ * Usage:
+ *   node src/scripts/generateData.js --count=500000 --seed=42 --out=synthetic.csv
+ *   node src/scripts/generateData.js --count=500000 --seed=42 --mongo
+ *
+ * Options: --customers=<n> (default count / 5), --start=YYYY-MM-DD, --end=YYYY-MM-DD
+ */
+
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import database from '../config/database.js';
+import Transaction from '../models/Transaction.js';
+import importBatchService from '../services/importBatchService.js';
+import auditService from '../services/auditService.js';
+import { createCsvTransform } from '../utils/csvWriter.js';
+import { generateTransactions, validateGeneratorOptions } from '../utils/syntheticData.js';
+
+dotenv.config({ quiet: true });
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Parse and check the command line
+ * @returns {Object} Generator options plus out and mongo
+ */
+const parseOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      count: { type: 'string', default: '10000' },
+      seed: { type: 'string', default: '1' },
+      customers: { type: 'string' },
+      start: { type: 'string', default: '2023-01-01' },
+      end: { type: 'string', default: '2024-12-31' },
+      out: { type: 'string' },
+      mongo: { type: 'boolean', default: false }
+    }
+  });
+
+  const options = {
+    seed: values.seed,
+    count: Number(values.count),
+    customers: values.customers === undefined ? undefined : Number(values.customers),
+    startDate: values.start,
+    endDate: values.end
+  };
+
+  const validation = validateGeneratorOptions(options);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  if (!values.mongo && !values.out) {
+    throw new Error('Pass --out=<file.csv> to write CSV or --mongo to insert into MongoDB');
+  }
+
+  return { ...options, out: values.out, mongo: values.mongo };
+};
+
+/**
+ * Write generated transactions to a CSV file the importer can read back
+ * @param {Object} options - Generator options and output path
+ */
+async function writeCsv(options) {
+  console.log(`📝 Writing ${options.count.toLocaleString()} transactions to ${options.out}...`);
+
+  await pipeline(
+    Readable.from(generateTransactions(options)),
+    createCsvTransform(),
+    fs.createWriteStream(options.out)
+  );
+
+  console.log(`✅ Wrote ${options.out}`);
+}
+
+/**
+ * Insert generated transactions as one import batch, so they can be rolled back
+ * @param {Object} options - Generator options
+ */
+async function insertIntoMongo(options) {
+  await database.connect();
+
+  const batch = await importBatchService.startBatch({
+    source: `synthetic:seed=${options.seed}`,
+    options: { upsert: false, format: 'synthetic' }
+  });
+
+  const stats = { rowsProcessed: 0, inserted: 0, failed: 0 };
+  let docs = [];
+
+  const auditEvent = (outcome, error) => ({
+    action: 'transactions.import',
+    filter: { source: batch.source },
+    count: stats.inserted,
+    outcome,
+    error,
+    details: { batchId: String(batch._id), requested: options.count, failed: stats.failed }
+  });
+
+  const flush = async () => {
+    try {
+      await Transaction.insertMany(docs, { ordered: false, lean: true });
+      stats.inserted += docs.length;
+    } catch (error) {
+      const failed = error.writeErrors?.length || docs.length;
+      stats.inserted += docs.length - failed;
+      stats.failed += failed;
+      console.warn(`⚠️  ${failed} transactions not inserted: ${error.message}`);
+    }
+    docs = [];
+
+    if (stats.rowsProcessed % 50000 === 0) {
+      console.log(`   Inserted: ${stats.inserted.toLocaleString()}...`);
+    }
+  };
+
+  try {
+    console.log(`🌱 Inserting ${options.count.toLocaleString()} transactions (seed ${options.seed})...`);
+
+    for (const transaction of generateTransactions(options)) {
+      docs.push({ ...transaction, importBatchId: batch._id });
+      stats.rowsProcessed++;
+      if (docs.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    if (docs.length > 0) {
+      await flush();
+    }
+  } catch (error) {
+    await importBatchService.finishBatch(batch._id, { status: 'failed', stats, error: error.message });
+    await auditService.record(auditService.fromCli(), auditEvent('failure', error.message));
+    throw error;
+  }
+
+  await importBatchService.finishBatch(batch._id, { status: 'completed', stats });
+  await auditService.record(auditService.fromCli(), auditEvent('success'));
+  await Transaction.createIndexes();
+
+  console.log(`✅ Inserted ${stats.inserted.toLocaleString()} transactions (${stats.failed.toLocaleString()} failed)`);
+  console.log(`⏪ Roll back with: npm run batches -- rollback ${batch._id}`);
+
+  await database.disconnect();
+}
+
+async function main() {
+  try {
+    const options = parseOptions();
+
+    console.log('\n🧪 SYNTHETIC DATA GENERATOR\n');
+    console.log('━'.repeat(60));
+
+    if (options.out) {
+      await writeCsv(options);
+    }
+    if (options.mongo) {
+      await insertIntoMongo(options);
+    }
+
+    console.log('━'.repeat(60) + '\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Generation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
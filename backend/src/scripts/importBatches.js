@@ -0,0 +1,89 @@
+/**
+ * Import Batches Script - List import batches or roll one back
+ *
+ * Usage:
+ *   node src/scripts/importBatches.js list
+ *   node src/scripts/importBatches.js rollback <batchId> [--force]
+ */
+
+import dotenv from 'dotenv';
+import database from '../config/database.js';
+import importBatchService from '../services/importBatchService.js';
+import auditService from '../services/auditService.js';
+
+dotenv.config();
+
+/**
+ * Print recent batches as a table
+ */
+async function listBatches() {
+  const batches = await importBatchService.listBatches();
+
+  if (batches.length === 0) {
+    console.log('📭 No import batches recorded');
+    return;
+  }
+
+  console.table(batches.map(batch => ({
+    id: String(batch._id),
+    source: batch.source,
+    status: batch.status,
+    inserted: batch.inserted,
+    updated: batch.updated,
+    failed: batch.failed,
+    invalid: batch.invalid,
+    startedAt: batch.startedAt?.toISOString(),
+    finishedAt: batch.finishedAt?.toISOString() || ''
+  })));
+}
+
+/**
+ * Roll back one batch
+ * @param {string} id - Batch id
+ * @param {boolean} force - Roll back even if the batch is marked running
+ */
+async function rollbackBatch(id, force) {
+  if (!id) {
+    throw new Error('Usage: importBatches.js rollback <batchId> [--force]');
+  }
+
+  console.log(`\n⏪ Rolling back import batch ${id}...`);
+  const batch = await importBatchService.rollbackBatch(id, { force });
+
+  if (!batch) {
+    throw new Error(`Import batch ${id} not found`);
+  }
+
+  await auditService.record(auditService.fromCli(), {
+    action: 'importBatch.rollback',
+    filter: { importBatchId: id },
+    count: batch.rolledBackCount,
+    details: { force }
+  });
+
+  console.log(`✅ Deleted ${batch.rolledBackCount.toLocaleString()} transactions created by ${batch.source}`);
+}
+
+async function main() {
+  try {
+    const [command = 'list', id] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+    await database.connect();
+
+    if (command === 'list') {
+      await listBatches();
+    } else if (command === 'rollback') {
+      await rollbackBatch(id, process.argv.includes('--force'));
+    } else {
+      throw new Error(`Unknown command: ${command} (expected list or rollback)`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,84 @@
+/**
+ * SQLite Import Script - Loads a CSV, NDJSON, JSON or XLSX file into the SQLite storage backend
+ *
+ * Usage:
+ *   node src/scripts/importSqlite.js --file=data/sales_data.csv
+ *   node src/scripts/importSqlite.js --file=export.csv --db=data/sales.sqlite --upsert
+ *
+ * Options: --profile=<name or file>, --format=csv|ndjson|json|xlsx, --fresh (empty the table first)
+ */
+
+import { parseArgs } from 'util';
+import { getStorageConfig } from '../config/storage.js';
+import transactionServiceSqlite from '../services/transactionServiceSqlite.js';
+import { loadProfile, loadProfileFile } from '../utils/columnMapping.js';
+
+/**
+ * Parse the command line, defaulting to the configured data and database files
+ * @returns {Object} file, db, profile, format, upsert and fresh
+ */
+const parseOptions = () => {
+  const { dataFile, sqliteFile, profile } = getStorageConfig({ ...process.env, STORAGE_BACKEND: 'sqlite' });
+
+  const { values } = parseArgs({
+    options: {
+      file: { type: 'string', default: dataFile },
+      db: { type: 'string', default: sqliteFile },
+      profile: { type: 'string', default: profile || undefined },
+      format: { type: 'string' },
+      upsert: { type: 'boolean', default: false },
+      fresh: { type: 'boolean', default: false }
+    }
+  });
+
+  return values;
+};
+
+async function main() {
+  try {
+    const options = parseOptions();
+
+    // A value with a file extension is read as a profile path instead of a name
+    const profile = options.profile && /\.(json|ya?ml)$/i.test(options.profile)
+      ? await loadProfileFile(options.profile)
+      : await loadProfile(options.profile);
+
+    console.log('\n🗄️  SQLITE IMPORT\n');
+    console.log('━'.repeat(60));
+    console.log(`📂 File: ${options.file}`);
+    console.log(`💾 Database: ${options.db}`);
+    if (options.upsert) {
+      console.log('🔁 Upsert mode: existing transactions are updated by Transaction ID');
+    }
+
+    const db = transactionServiceSqlite.open(options.db);
+
+    if (options.fresh) {
+      const { changes } = db.prepare('DELETE FROM transactions').run();
+      console.log(`🗑️  Removed ${changes.toLocaleString()} existing transactions`);
+    }
+
+    const stats = await transactionServiceSqlite.importFile(options.file, {
+      profile,
+      format: options.format,
+      upsert: options.upsert
+    });
+
+    console.log(`✅ Rows processed: ${stats.rowsProcessed.toLocaleString()}`);
+    console.log(`   Imported: ${stats.imported.toLocaleString()}`);
+    console.log(`   Updated: ${stats.updated.toLocaleString()}`);
+    console.log(`   Duplicates skipped: ${stats.duplicates.toLocaleString()}`);
+    console.log(`   Invalid rows skipped: ${stats.invalid.toLocaleString()}`);
+    console.log(`\n📊 Total transactions in database: ${transactionServiceSqlite.count().toLocaleString()}`);
+    console.log('━'.repeat(60) + '\n');
+
+    transactionServiceSqlite.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ SQLite import failed:', error.message);
+    transactionServiceSqlite.close();
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,228 @@
+/**
+ * AdminService - Maintenance operations behind the admin CLI
+ *
+ * Read-only checks return plain objects so the CLI can print them or emit
+ * JSON. Destructive operations take a dryRun flag and then only report
+ * what they would change.
+ */
+
+import database from '../config/database.js';
+import Transaction from '../models/Transaction.js';
+
+// Indexes built after a bulk reimport: the ones the API queries need and nothing more
+const OPTIMIZED_INDEXES = [
+  [{ transactionId: 1 }, { unique: true }],
+  [{ customerRegion: 1 }],
+  [{ gender: 1 }],
+  [{ age: 1 }],
+  [{ productCategory: 1 }],
+  [{ date: -1 }],
+  [{ paymentMethod: 1 }],
+  // Compound indexes for performance
+  [{ customerRegion: 1, gender: 1 }],
+  [{ date: -1, totalAmount: -1 }],
+  [{ productCategory: 1, date: -1 }],
+  // Import lineage (used to roll back a batch)
+  [{ importBatchId: 1 }, { sparse: true }],
+  // Keyset pagination indexes (sort key + _id tie-breaker)
+  [{ date: -1, _id: -1 }],
+  [{ customerName: 1, _id: 1 }],
+  // Text index for search
+  [{ customerName: 'text', phoneNumber: 'text' }]
+];
+
+const OPLOG_COLLECTION = 'oplog.rs';
+
+// Duplicate documents deleted per deleteMany call
+const DUPLICATE_DELETE_BATCH = 1000;
+
+class AdminService {
+  /**
+   * Count transactions and fetch one sample document
+   * @returns {Promise<Object>} count and sample (null when empty)
+   */
+  async getSummary() {
+    try {
+      const [count, sample] = await Promise.all([
+        Transaction.countDocuments(),
+        Transaction.findOne().lean()
+      ]);
+      return { count, sample };
+    } catch (error) {
+      console.error('MongoDB summary error:', error);
+      throw new Error(`Failed to read transaction summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Storage statistics and index names for the transactions collection
+   * A collection that does not exist reports zero sizes
+   * @returns {Promise<Object>} Sizes in bytes, document count and index names
+   */
+  async getCollectionStats() {
+    try {
+      let storageStats = {};
+      try {
+        const [result] = await Transaction.collection
+          .aggregate([{ $collStats: { storageStats: {} } }])
+          .toArray();
+        storageStats = result?.storageStats || {};
+      } catch (error) {
+        if (error.codeName !== 'NamespaceNotFound') {
+          throw error;
+        }
+      }
+
+      const indexes = storageStats.indexSizes ? Object.keys(storageStats.indexSizes) : [];
+
+      return {
+        count: storageStats.count || 0,
+        dataSize: storageStats.size || 0,
+        storageSize: storageStats.storageSize || 0,
+        indexSize: storageStats.totalIndexSize || 0,
+        totalSize: (storageStats.storageSize || 0) + (storageStats.totalIndexSize || 0),
+        avgObjSize: storageStats.avgObjSize || 0,
+        indexes
+      };
+    } catch (error) {
+      console.error('MongoDB collection stats error:', error);
+      throw new Error(`Failed to read collection stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estimate how many more transactions fit in a storage quota
+   * @param {Object} options - Analysis options
+   * @param {number} options.quotaBytes - Storage quota (the Atlas free tier allows 512 MB)
+   * @returns {Promise<Object>} Usage, free space and capacity estimates
+   */
+  async analyzeStorage({ quotaBytes = 512 * 1024 * 1024 } = {}) {
+    const stats = await this.getCollectionStats();
+    const { sample } = await this.getSummary();
+
+    const usedBytes = stats.dataSize + stats.indexSize;
+    const freeBytes = Math.max(quotaBytes - usedBytes, 0);
+    // Indexes add roughly half again on top of each document
+    const bytesPerDocument = stats.avgObjSize * 1.5;
+    const additionalDocuments = bytesPerDocument > 0 ? Math.floor(freeBytes / bytesPerDocument) : 0;
+
+    return {
+      ...stats,
+      quotaBytes,
+      usedBytes,
+      freeBytes,
+      additionalDocuments,
+      estimatedCapacity: stats.count + additionalDocuments,
+      sampleFields: sample ? Object.keys(sample).length : 0,
+      sampleBytes: sample ? JSON.stringify(sample).length : 0
+    };
+  }
+
+  /**
+   * Drop the transactions collection and recreate its schema indexes
+   * @param {Object} options - Operation options
+   * @param {boolean} options.dryRun - Only count what would be dropped
+   * @param {boolean} options.recreateIndexes - Rebuild the schema indexes after dropping
+   * @returns {Promise<Object>} deleted count and dryRun flag
+   */
+  async clearTransactions({ dryRun = false, recreateIndexes = true } = {}) {
+    try {
+      const count = await Transaction.countDocuments();
+
+      if (!dryRun && count > 0) {
+        // Dropping is much faster than deleteMany on a large collection
+        await Transaction.collection.drop();
+        if (recreateIndexes) {
+          await Transaction.createIndexes();
+        }
+      }
+
+      return { deleted: count, dryRun };
+    } catch (error) {
+      console.error('MongoDB clear transactions error:', error);
+      throw new Error(`Failed to clear transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete transactions that repeat a transactionId, keeping the oldest
+   * @param {Object} options - Operation options
+   * @param {boolean} options.dryRun - Only count the duplicates
+   * @returns {Promise<Object>} duplicateIds (repeated ids), deleted (documents) and dryRun flag
+   */
+  async removeDuplicates({ dryRun = false } = {}) {
+    try {
+      const groups = await Transaction.aggregate([
+        { $sort: { _id: 1 } },
+        { $group: { _id: '$transactionId', count: { $sum: 1 }, ids: { $push: '$_id' } } },
+        { $match: { count: { $gt: 1 } } }
+      ]).allowDiskUse(true);
+
+      const extraIds = groups.flatMap(group => group.ids.slice(1));
+
+      if (!dryRun) {
+        for (let i = 0; i < extraIds.length; i += DUPLICATE_DELETE_BATCH) {
+          await Transaction.deleteMany({ _id: { $in: extraIds.slice(i, i + DUPLICATE_DELETE_BATCH) } });
+        }
+      }
+
+      return { duplicateIds: groups.length, deleted: extraIds.length, dryRun };
+    } catch (error) {
+      console.error('MongoDB remove duplicates error:', error);
+      throw new Error(`Failed to remove duplicates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop a leftover oplog.rs collection from the application database
+   * Only ever touches the connected database, never the replica set's local database
+   * @param {Object} options - Operation options
+   * @param {boolean} options.dryRun - Only report whether it exists
+   * @returns {Promise<Object>} found flag, its size in bytes, dropped flag and dryRun flag
+   */
+  async dropOplog({ dryRun = false } = {}) {
+    try {
+      const db = database.getDatabase();
+      const [collection] = await db.listCollections({ name: OPLOG_COLLECTION }).toArray();
+
+      if (!collection) {
+        return { found: false, sizeBytes: 0, dropped: false, dryRun };
+      }
+
+      const [stats] = await db.collection(OPLOG_COLLECTION)
+        .aggregate([{ $collStats: { storageStats: {} } }])
+        .toArray();
+      const sizeBytes = stats?.storageStats?.storageSize || 0;
+
+      if (!dryRun) {
+        await db.collection(OPLOG_COLLECTION).drop();
+      }
+
+      return { found: true, sizeBytes, dropped: !dryRun, dryRun };
+    } catch (error) {
+      console.error('MongoDB drop oplog error:', error);
+      throw new Error(`Failed to drop ${OPLOG_COLLECTION}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the reduced index set used after a bulk reimport
+   * @returns {Promise<Array>} Names of the created indexes
+   */
+  async buildOptimizedIndexes() {
+    try {
+      const names = [];
+      for (const [keys, options = {}] of OPTIMIZED_INDEXES) {
+        names.push(await Transaction.collection.createIndex(keys, options));
+      }
+      return names;
+    } catch (error) {
+      console.error('MongoDB build indexes error:', error);
+      throw new Error(`Failed to build indexes: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const adminService = new AdminService();
+export default adminService;
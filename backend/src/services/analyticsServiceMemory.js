@@ -0,0 +1,186 @@
+/**
+ * In-memory Analytics Service - Chart aggregations over the in-memory store
+ *
+ * Mirrors the MongoDB analytics pipelines ($dateTrunc buckets, $unwind on
+ * tags, $bucket age bands) so charts look the same on either storage backend
+ */
+
+import transactionServiceMemory from './transactionServiceMemory.js';
+import transactionServiceMongo from './transactionServiceMongo.js';
+import analyticsServiceMongo, { AGE_BAND_BOUNDARIES, BREAKDOWN_GROUP_LIMIT, toPercentage } from './analyticsServiceMongo.js';
+import { compareValues, sumOf, averageOf } from '../utils/memoryQuery.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Group items by a key, keeping keys that compare equal together
+ * @param {Array} items - Items to group
+ * @param {Function} keyOf - Returns the group key for an item
+ * @returns {Array<Array>} [key, items] pairs
+ */
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const key = keyOf(item);
+    const mapKey = key instanceof Date ? key.getTime() : key;
+    if (!groups.has(mapKey)) {
+      groups.set(mapKey, [key, []]);
+    }
+    groups.get(mapKey)[1].push(item);
+  });
+
+  return [...groups.values()];
+};
+
+class AnalyticsServiceMemory {
+  /**
+   * Truncate a date to the start of its bucket (UTC), like $dateTrunc
+   * @param {Date} date - Date
+   * @param {string} granularity - day, week, month, quarter or year
+   * @returns {Date|null} Bucket start, or null for a missing date
+   */
+  truncateDate(date, granularity = 'day') {
+    if (!(date instanceof Date)) {
+      return null;
+    }
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = Date.UTC(year, month, date.getUTCDate());
+
+    switch (granularity) {
+      case 'week':
+        // ISO weeks start on Monday
+        return new Date(day - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+      case 'month':
+        return new Date(Date.UTC(year, month, 1));
+      case 'quarter':
+        return new Date(Date.UTC(year, month - (month % 3), 1));
+      case 'year':
+        return new Date(Date.UTC(year, 0, 1));
+      default:
+        return new Date(day);
+    }
+  }
+
+  /**
+   * Get bucketed totals over time
+   * @param {Object} params - Query parameters (search, filters, granularity)
+   * @returns {Promise<Object>} Granularity and ordered buckets
+   */
+  async getTimeSeries(params = {}) {
+    try {
+      const { search = '', filters = {}, granularity = 'day' } = params;
+
+      const matches = transactionServiceMemory.find(
+        transactionServiceMongo.buildCombinedQuery(search, filters)
+      );
+
+      const buckets = groupBy(matches, t => this.truncateDate(t.date, granularity))
+        .sort((a, b) => compareValues(a[0], b[0]));
+
+      return {
+        granularity,
+        buckets: buckets.map(([period, transactions]) => ({
+          period: period ? period.toISOString().split('T')[0] : '',
+          quantity: sumOf(transactions, t => t.quantity),
+          totalAmount: sumOf(transactions, t => t.totalAmount),
+          finalAmount: sumOf(transactions, t => t.finalAmount),
+          count: transactions.length
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to get time series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the age band a transaction falls in, like $bucket
+   * @param {*} age - Customer age
+   * @returns {number|string} Band lower bound, or Unknown
+   */
+  ageBandOf(age) {
+    if (typeof age !== 'number') {
+      return 'Unknown';
+    }
+
+    const index = AGE_BAND_BOUNDARIES.findIndex((lower, i) => age >= lower && age < AGE_BAND_BOUNDARIES[i + 1]);
+    return index === -1 ? 'Unknown' : AGE_BAND_BOUNDARIES[index];
+  }
+
+  /**
+   * Pair each transaction with its value for a breakdown dimension
+   * @param {Array<Object>} transactions - Transactions
+   * @param {string} dimension - Field to group by, or ageBand
+   * @returns {Array<Object>} { value, transaction } entries
+   */
+  toDimensionEntries(transactions, dimension = 'productCategory') {
+    if (dimension === 'ageBand') {
+      return transactions.map(transaction => ({ value: this.ageBandOf(transaction.age), transaction }));
+    }
+
+    // A transaction with several tags counts once towards each of them
+    if (dimension === 'tags') {
+      return transactions.flatMap(transaction => (Array.isArray(transaction.tags) ? transaction.tags : [])
+        .map(tag => ({ value: tag, transaction })));
+    }
+
+    return transactions.map(transaction => ({ value: transaction[dimension] ?? null, transaction }));
+  }
+
+  /**
+   * Get per-value totals, averages and share of total for a dimension
+   * @param {Object} params - Query parameters (search, filters, dimension)
+   * @returns {Promise<Object>} Dimension, overall totals, the top groups by totalAmount and whether more were left out
+   */
+  async getBreakdown(params = {}) {
+    try {
+      const { search = '', filters = {}, dimension = 'productCategory' } = params;
+
+      const matches = transactionServiceMemory.find(
+        transactionServiceMongo.buildCombinedQuery(search, filters)
+      );
+
+      const totals = {
+        count: matches.length,
+        totalQuantity: sumOf(matches, t => t.quantity),
+        totalAmount: sumOf(matches, t => t.totalAmount),
+        finalAmount: sumOf(matches, t => t.finalAmount)
+      };
+
+      const groups = groupBy(this.toDimensionEntries(matches, dimension), entry => entry.value)
+        .map(([value, entries]) => {
+          const transactions = entries.map(entry => entry.transaction);
+          return {
+            value,
+            count: transactions.length,
+            totalQuantity: sumOf(transactions, t => t.quantity),
+            totalAmount: sumOf(transactions, t => t.totalAmount),
+            finalAmount: sumOf(transactions, t => t.finalAmount),
+            averageOrderValue: averageOf(transactions, t => t.finalAmount) || 0,
+            averageQuantity: averageOf(transactions, t => t.quantity) || 0
+          };
+        })
+        .sort((a, b) => (b.totalAmount - a.totalAmount) || compareValues(a.value, b.value));
+
+      return {
+        dimension,
+        totals,
+        truncated: groups.length > BREAKDOWN_GROUP_LIMIT,
+        groups: groups.slice(0, BREAKDOWN_GROUP_LIMIT).map(group => ({
+          ...group,
+          value: dimension === 'ageBand' ? analyticsServiceMongo.formatAgeBand(group.value) : group.value,
+          countShare: toPercentage(group.count, totals.count),
+          amountShare: toPercentage(group.totalAmount, totals.totalAmount)
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to get breakdown: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const analyticsServiceMemory = new AnalyticsServiceMemory();
+export default analyticsServiceMemory;
@@ -0,0 +1,208 @@
+/**
+ * MongoDB Analytics Service - Aggregations for charts and trend analysis
+ *
+ * Uses the same search/filter query builders as the transaction listing
+ * so charts always describe the rows shown in the table
+ */
+
+import Transaction from '../models/Transaction.js';
+import transactionServiceMongo from './transactionServiceMongo.js';
+
+// Lower bounds of the age bands used by the ageBand breakdown
+export const AGE_BAND_BOUNDARIES = [0, 18, 25, 35, 45, 55, 65, 151];
+
+// Most groups a breakdown returns; employeeName and tags can have thousands
+export const BREAKDOWN_GROUP_LIMIT = 50;
+
+/**
+ * Round a ratio to a percentage with two decimals
+ * @param {number} part - Part value
+ * @param {number} whole - Whole value
+ * @returns {number} Percentage (0 when whole is 0)
+ */
+export const toPercentage = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+class AnalyticsServiceMongo {
+  /**
+   * Build the $dateTrunc expression for a granularity
+   * @param {string} granularity - day, week, month, quarter or year
+   * @returns {Object} MongoDB expression
+   */
+  buildDateBucket(granularity = 'day') {
+    const dateTrunc = { date: '$date', unit: granularity };
+
+    // ISO weeks start on Monday
+    if (granularity === 'week') {
+      dateTrunc.startOfWeek = 'monday';
+    }
+
+    return { $dateTrunc: dateTrunc };
+  }
+
+  /**
+   * Get bucketed totals over time
+   * @param {Object} params - Query parameters (search, filters, granularity)
+   * @returns {Promise<Object>} Granularity and ordered buckets
+   */
+  async getTimeSeries(params = {}) {
+    try {
+      const { search = '', filters = {}, granularity = 'day' } = params;
+
+      const combinedQuery = transactionServiceMongo.buildCombinedQuery(search, filters);
+
+      const results = await Transaction.aggregate([
+        { $match: combinedQuery },
+        {
+          $group: {
+            _id: this.buildDateBucket(granularity),
+            quantity: { $sum: '$quantity' },
+            totalAmount: { $sum: '$totalAmount' },
+            finalAmount: { $sum: '$finalAmount' },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      return {
+        granularity,
+        buckets: results.map(bucket => ({
+          period: bucket._id ? bucket._id.toISOString().split('T')[0] : '',
+          quantity: bucket.quantity || 0,
+          totalAmount: bucket.totalAmount || 0,
+          finalAmount: bucket.finalAmount || 0,
+          count: bucket.count
+        }))
+      };
+
+    } catch (error) {
+      console.error('MongoDB time series error:', error);
+      throw new Error(`Failed to get time series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the grouping stages for a breakdown dimension
+   * @param {string} dimension - Field to group by, or ageBand
+   * @returns {Array} Aggregation stages producing one document per value
+   */
+  buildBreakdownStages(dimension = 'productCategory') {
+    const metrics = {
+      count: { $sum: 1 },
+      totalQuantity: { $sum: '$quantity' },
+      totalAmount: { $sum: '$totalAmount' },
+      finalAmount: { $sum: '$finalAmount' },
+      averageOrderValue: { $avg: '$finalAmount' },
+      averageQuantity: { $avg: '$quantity' }
+    };
+
+    if (dimension === 'ageBand') {
+      return [{
+        $bucket: {
+          groupBy: '$age',
+          boundaries: AGE_BAND_BOUNDARIES,
+          default: 'Unknown',
+          output: metrics
+        }
+      }];
+    }
+
+    const stages = [];
+
+    // A transaction with several tags counts once towards each of them
+    if (dimension === 'tags') {
+      stages.push({ $unwind: '$tags' });
+    }
+
+    stages.push({ $group: { _id: `$${dimension}`, ...metrics } });
+
+    return stages;
+  }
+
+  /**
+   * Format an ageBand bucket id as a readable label
+   * @param {number|string} lowerBound - Bucket lower bound or default label
+   * @returns {string} Band label such as 25-34 or 65+
+   */
+  formatAgeBand(lowerBound) {
+    const index = AGE_BAND_BOUNDARIES.indexOf(lowerBound);
+    if (index === -1) {
+      return lowerBound;
+    }
+
+    const upperBound = AGE_BAND_BOUNDARIES[index + 1];
+    return index === AGE_BAND_BOUNDARIES.length - 2
+      ? `${lowerBound}+`
+      : `${lowerBound}-${upperBound - 1}`;
+  }
+
+  /**
+   * Get per-value totals, averages and share of total for a dimension
+   * @param {Object} params - Query parameters (search, filters, dimension)
+   * @returns {Promise<Object>} Dimension, overall totals, the top groups by totalAmount and whether more were left out
+   */
+  async getBreakdown(params = {}) {
+    try {
+      const { search = '', filters = {}, dimension = 'productCategory' } = params;
+
+      const combinedQuery = transactionServiceMongo.buildCombinedQuery(search, filters);
+
+      const [result] = await Transaction.aggregate([
+        { $match: combinedQuery },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  count: { $sum: 1 },
+                  totalQuantity: { $sum: '$quantity' },
+                  totalAmount: { $sum: '$totalAmount' },
+                  finalAmount: { $sum: '$finalAmount' }
+                }
+              }
+            ],
+            groups: [
+              ...this.buildBreakdownStages(dimension),
+              { $sort: { totalAmount: -1, _id: 1 } },
+              // One extra group tells whether any were left out
+              { $limit: BREAKDOWN_GROUP_LIMIT + 1 }
+            ]
+          }
+        }
+      ]);
+
+      const totals = result.totals[0] || { count: 0, totalQuantity: 0, totalAmount: 0, finalAmount: 0 };
+
+      return {
+        dimension,
+        totals: {
+          count: totals.count,
+          totalQuantity: totals.totalQuantity || 0,
+          totalAmount: totals.totalAmount || 0,
+          finalAmount: totals.finalAmount || 0
+        },
+        truncated: result.groups.length > BREAKDOWN_GROUP_LIMIT,
+        groups: result.groups.slice(0, BREAKDOWN_GROUP_LIMIT).map(group => ({
+          value: dimension === 'ageBand' ? this.formatAgeBand(group._id) : (group._id ?? null),
+          count: group.count,
+          totalQuantity: group.totalQuantity || 0,
+          totalAmount: group.totalAmount || 0,
+          finalAmount: group.finalAmount || 0,
+          averageOrderValue: group.averageOrderValue || 0,
+          averageQuantity: group.averageQuantity || 0,
+          countShare: toPercentage(group.count, totals.count),
+          amountShare: toPercentage(group.totalAmount || 0, totals.totalAmount)
+        }))
+      };
+
+    } catch (error) {
+      console.error('MongoDB breakdown error:', error);
+      throw new Error(`Failed to get breakdown: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const analyticsServiceMongo = new AnalyticsServiceMongo();
+export default analyticsServiceMongo;
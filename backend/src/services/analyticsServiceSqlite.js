@@ -0,0 +1,170 @@
+/**
+ * SQLite Analytics Service - Chart aggregations over the SQLite store
+ *
+ * Mirrors the MongoDB analytics pipelines ($dateTrunc buckets, $unwind on
+ * tags, $bucket age bands) in SQL so charts look the same on every backend
+ */
+
+import transactionServiceSqlite, { whereSql } from './transactionServiceSqlite.js';
+import analyticsServiceMongo, { AGE_BAND_BOUNDARIES, BREAKDOWN_GROUP_LIMIT, toPercentage } from './analyticsServiceMongo.js';
+
+// Columns a breakdown can group by directly (tags and ageBand are derived)
+const BREAKDOWN_COLUMNS = ['productCategory', 'customerRegion', 'gender', 'paymentMethod', 'employeeName'];
+
+class AnalyticsServiceSqlite {
+  /**
+   * Build the SQL expression truncating t.date to its bucket start (UTC), like $dateTrunc
+   * @param {string} granularity - day, week, month, quarter or year
+   * @returns {string} SQL expression yielding YYYY-MM-DD
+   */
+  buildDateBucket(granularity = 'day') {
+    const day = "t.date / 1000.0, 'unixepoch'";
+
+    switch (granularity) {
+      case 'week':
+        // ISO weeks start on Monday: step back six days, then forward to the next Monday
+        return `date(${day}, '-6 days', 'weekday 1')`;
+      case 'month':
+        return `date(${day}, 'start of month')`;
+      case 'quarter':
+        return `printf('%04d-%02d-01', CAST(strftime('%Y', ${day}) AS INTEGER), ` +
+          `((CAST(strftime('%m', ${day}) AS INTEGER) - 1) / 3) * 3 + 1)`;
+      case 'year':
+        return `date(${day}, 'start of year')`;
+      default:
+        return `date(${day})`;
+    }
+  }
+
+  /**
+   * Get bucketed totals over time
+   * @param {Object} params - Query parameters (search, filters, granularity)
+   * @returns {Promise<Object>} Granularity and ordered buckets
+   */
+  async getTimeSeries(params = {}) {
+    try {
+      const { search = '', filters = {}, granularity = 'day' } = params;
+      const { conditions, params: values } = transactionServiceSqlite.buildConditions(search, filters);
+
+      const buckets = transactionServiceSqlite.connection.prepare(`
+        SELECT
+          ${this.buildDateBucket(granularity)} AS period,
+          COALESCE(SUM(t.quantity), 0) AS quantity,
+          COALESCE(SUM(t.totalAmount), 0) AS totalAmount,
+          COALESCE(SUM(t.finalAmount), 0) AS finalAmount,
+          COUNT(*) AS count
+        FROM transactions t
+        ${whereSql(conditions)}
+        GROUP BY period
+        ORDER BY period
+      `).all(...values);
+
+      return {
+        granularity,
+        buckets: buckets.map(bucket => ({ ...bucket, period: bucket.period || '' }))
+      };
+    } catch (error) {
+      console.error('SQLite time series error:', error);
+      throw new Error(`Failed to get time series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the SQL expression for an age band's lower bound, like $bucket
+   * @returns {string} CASE expression yielding the lower bound or 'Unknown'
+   */
+  buildAgeBand() {
+    const bands = AGE_BAND_BOUNDARIES.slice(0, -1).map((lower, i) =>
+      `WHEN t.age >= ${lower} AND t.age < ${AGE_BAND_BOUNDARIES[i + 1]} THEN ${lower}`
+    );
+
+    return `CASE WHEN typeof(t.age) NOT IN ('integer', 'real') THEN 'Unknown' ${bands.join(' ')} ELSE 'Unknown' END`;
+  }
+
+  /**
+   * Build the FROM clause and group expression for a breakdown dimension
+   * @param {string} dimension - Field to group by, or ageBand
+   * @returns {Object} from and groupBy SQL
+   * @throws {Error} If the dimension is not supported
+   */
+  buildDimension(dimension = 'productCategory') {
+    if (dimension === 'ageBand') {
+      return { from: 'transactions t', groupBy: this.buildAgeBand() };
+    }
+
+    // A transaction with several tags counts once towards each of them
+    if (dimension === 'tags') {
+      return { from: 'transactions t, json_each(t.tags) AS tag', groupBy: 'tag.value' };
+    }
+
+    if (!BREAKDOWN_COLUMNS.includes(dimension)) {
+      throw new Error(`Unsupported breakdown dimension: ${dimension}`);
+    }
+
+    return { from: 'transactions t', groupBy: `t.${dimension}` };
+  }
+
+  /**
+   * Get per-value totals, averages and share of total for a dimension
+   * @param {Object} params - Query parameters (search, filters, dimension)
+   * @returns {Promise<Object>} Dimension, overall totals, the top groups by totalAmount and whether more were left out
+   */
+  async getBreakdown(params = {}) {
+    try {
+      const { search = '', filters = {}, dimension = 'productCategory' } = params;
+      const { conditions, params: values } = transactionServiceSqlite.buildConditions(search, filters);
+      const { from, groupBy } = this.buildDimension(dimension);
+      const db = transactionServiceSqlite.connection;
+
+      const totals = db.prepare(`
+        SELECT
+          COUNT(*) AS count,
+          COALESCE(SUM(t.quantity), 0) AS totalQuantity,
+          COALESCE(SUM(t.totalAmount), 0) AS totalAmount,
+          COALESCE(SUM(t.finalAmount), 0) AS finalAmount
+        FROM transactions t
+        ${whereSql(conditions)}
+      `).get(...values);
+
+      const groups = db.prepare(`
+        SELECT
+          ${groupBy} AS groupValue,
+          COUNT(*) AS count,
+          COALESCE(SUM(t.quantity), 0) AS totalQuantity,
+          COALESCE(SUM(t.totalAmount), 0) AS groupAmount,
+          COALESCE(SUM(t.finalAmount), 0) AS finalAmount,
+          AVG(t.finalAmount) AS averageOrderValue,
+          AVG(t.quantity) AS averageQuantity
+        FROM ${from}
+        ${whereSql(conditions)}
+        GROUP BY groupValue
+        ORDER BY groupAmount DESC, groupValue ASC
+        LIMIT ?
+      `).all(...values, BREAKDOWN_GROUP_LIMIT + 1);
+
+      return {
+        dimension,
+        totals,
+        truncated: groups.length > BREAKDOWN_GROUP_LIMIT,
+        groups: groups.slice(0, BREAKDOWN_GROUP_LIMIT).map(group => ({
+          value: dimension === 'ageBand' ? analyticsServiceMongo.formatAgeBand(group.groupValue) : group.groupValue,
+          count: group.count,
+          totalQuantity: group.totalQuantity,
+          totalAmount: group.groupAmount,
+          finalAmount: group.finalAmount,
+          averageOrderValue: group.averageOrderValue || 0,
+          averageQuantity: group.averageQuantity || 0,
+          countShare: toPercentage(group.count, totals.count),
+          amountShare: toPercentage(group.groupAmount, totals.totalAmount)
+        }))
+      };
+    } catch (error) {
+      console.error('SQLite breakdown error:', error);
+      throw new Error(`Failed to get breakdown: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const analyticsServiceSqlite = new AnalyticsServiceSqlite();
+export default analyticsServiceSqlite;
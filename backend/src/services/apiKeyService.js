@@ -0,0 +1,219 @@
+/**
+ * API Key Service - Keys for integrations that call the API without a login
+ *
+ * A key is "rsk_" followed by 32 random bytes (base64url), so a plain SHA-256
+ * hash is enough to store it: there is nothing to guess. Requests with a
+ * key run with the role of its scope (read: viewer, export: analyst), so a
+ * key can never change data or manage other keys.
+ *
+ * Checked keys are looked up again after KEY_CACHE_MS, so nightly pulls do
+ * not query the key on every page. While MongoDB is unreachable, keys already
+ * checked keep working. Revoking a key drops it from the cache at once.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import { API_KEY_SCOPES } from '../config/auth.js';
+import { validateApiKeyInput } from '../utils/validators.js';
+import { ValidationError, UnauthorizedError, ServiceUnavailableError } from '../utils/errorHandler.js';
+import { toAccountError } from './authService.js';
+
+export const API_KEY_HEADER = 'X-API-Key';
+
+const KEY_PREFIX = 'rsk_';
+const KEY_BYTES = 32;
+
+// Characters of the key kept in clear to tell keys apart
+const DISPLAY_PREFIX_LENGTH = 12;
+
+const KEY_CACHE_MS = 60 * 1000;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Key fields safe to return (never the hash)
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} id, name, prefix, scope, createdBy, createdAt, lastUsedAt and revokedAt
+ */
+const toApiKeyResponse = (apiKey) => ({
+  id: String(apiKey._id),
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scope: apiKey.scope,
+  createdBy: apiKey.createdBy || null,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  revokedAt: apiKey.revokedAt || null
+});
+
+class ApiKeyService {
+  constructor() {
+    // keyHash -> { caller, keyId, lastUsedAt, checkedAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Create a key
+   * @param {Object} data - name, scope and createdBy (username of the admin)
+   * @returns {Promise<Object>} The stored key's fields plus the key itself, shown only here
+   * @throws {ValidationError} If name or scope is invalid
+   */
+  async createKey({ name, scope, createdBy }) {
+    const validation = validateApiKeyInput({ name, scope }, Object.keys(API_KEY_SCOPES));
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid API key', validation.errors);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(KEY_BYTES).toString('base64url')}`;
+
+    try {
+      const apiKey = await ApiKey.create({
+        name: name.trim(),
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashKey(key),
+        scope,
+        createdBy
+      });
+      return { ...toApiKeyResponse(apiKey), key };
+    } catch (error) {
+      throw toAccountError(error, 'create API key');
+    }
+  }
+
+  /**
+   * List keys, newest first
+   * @param {Object} options - includeRevoked (default false)
+   * @returns {Promise<Array>} Keys without their hashes
+   */
+  async listKeys({ includeRevoked = false } = {}) {
+    try {
+      const keys = await ApiKey.find(includeRevoked ? {} : { revokedAt: null })
+        .sort({ createdAt: -1 })
+        .lean();
+      return keys.map(toApiKeyResponse);
+    } catch (error) {
+      throw toAccountError(error, 'list API keys');
+    }
+  }
+
+  /**
+   * Revoke a key; revoking it again keeps the first revocation time
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} Revoked key, or null if not found
+   */
+  async revokeKey(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    try {
+      const apiKey = await ApiKey.findById(id);
+      if (!apiKey) {
+        return null;
+      }
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+      }
+
+      this.cache.forEach((entry, keyHash) => {
+        if (entry.keyId === String(apiKey._id)) {
+          this.cache.delete(keyHash);
+        }
+      });
+
+      return toApiKeyResponse(apiKey);
+    } catch (error) {
+      throw toAccountError(error, 'revoke API key');
+    }
+  }
+
+  /**
+   * Identify the caller from an API key and record when the key was used
+   * @param {string} key - Value of the X-API-Key header
+   * @returns {Promise<Object>} Caller: id, username ("api-key:<name>"), role and scope
+   * @throws {UnauthorizedError} If the key is unknown or revoked
+   */
+  async authenticate(key) {
+    const keyHash = hashKey(key);
+    const now = Date.now();
+
+    let entry = this.cache.get(keyHash);
+    if (!entry || now - entry.checkedAt > KEY_CACHE_MS) {
+      const cached = entry;
+      entry = await this.lookup(keyHash, now).catch(error => {
+        // MongoDB is down: trust the last successful check
+        if (cached && error instanceof ServiceUnavailableError) {
+          return cached;
+        }
+        throw error;
+      });
+    }
+
+    if (now - (entry.lastUsedAt || 0) >= LAST_USED_RESOLUTION_MS) {
+      entry.lastUsedAt = now;
+      // Not worth failing the request over
+      ApiKey.updateOne({ _id: entry.keyId }, { lastUsedAt: new Date(now) }).catch(error => {
+        console.error('MongoDB API key last-used error:', error);
+      });
+    }
+
+    return entry.caller;
+  }
+
+  /**
+   * Find an active key by hash and cache it
+   * @param {string} keyHash - SHA-256 of the key
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Object>} Cache entry
+   * @throws {UnauthorizedError} If no active key has this hash
+   */
+  async lookup(keyHash, now) {
+    let apiKey;
+    try {
+      apiKey = await ApiKey.findOne({ keyHash, revokedAt: null }).lean();
+    } catch (error) {
+      throw toAccountError(error, 'check the API key');
+    }
+
+    if (!apiKey) {
+      this.cache.delete(keyHash);
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    const entry = {
+      keyId: String(apiKey._id),
+      caller: {
+        id: String(apiKey._id),
+        username: `api-key:${apiKey.name}`,
+        role: API_KEY_SCOPES[apiKey.scope],
+        scope: apiKey.scope
+      },
+      lastUsedAt: apiKey.lastUsedAt ? apiKey.lastUsedAt.getTime() : null,
+      checkedAt: now
+    };
+    this.cache.set(keyHash, entry);
+    return entry;
+  }
+
+  /**
+   * Forget every cached key
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService();
+export default apiKeyService;
@@ -0,0 +1,147 @@
+/**
+ * Audit Service - Records who changed or exported data, and when
+ *
+ * Events go to the append-only auditLog collection on MongoDB, whichever
+ * storage backend serves transactions. Recording never fails the operation
+ * it describes: if MongoDB cannot take the event, the event is written to
+ * the server log instead.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import AuditEvent from '../models/AuditEvent.js';
+import { validateAuditQuery } from '../utils/validators.js';
+import { ValidationError } from '../utils/errorHandler.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Name of the operating system user running a script
+ * @returns {string} Username, or "unknown" where the system cannot tell
+ */
+const osUsername = () => {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return process.env.USER || 'unknown';
+  }
+};
+
+class AuditService {
+  /**
+   * Actor for events from an API request
+   * @param {Object} req - Express request (after authenticate and assignRequestId)
+   * @returns {Object} user, role, source and requestId
+   */
+  fromRequest(req) {
+    return {
+      user: req.user?.username || 'anonymous',
+      role: req.user?.role || null,
+      source: 'api',
+      requestId: req.id || null
+    };
+  }
+
+  /**
+   * Actor for events from one run of a command line script
+   * @returns {Object} user ("cli:<os user>"), source and a requestId shared by the run
+   */
+  fromCli() {
+    return {
+      user: `cli:${osUsername()}`,
+      role: null,
+      source: 'cli',
+      requestId: randomUUID()
+    };
+  }
+
+  /**
+   * Append an event
+   * @param {Object} actor - From fromRequest or fromCli
+   * @param {Object} event - action, filter, count, outcome, error and details
+   * @returns {Promise<void>} Resolves once stored or logged; never rejects
+   */
+  async record(actor, { action, filter = null, count = null, outcome = 'success', error, details }) {
+    const entry = { ...actor, action, filter, count, outcome, error, details };
+
+    try {
+      await AuditEvent.create(entry);
+    } catch (err) {
+      console.error('MongoDB audit log error:', err);
+      console.error('Unrecorded audit event:', JSON.stringify(entry));
+    }
+  }
+
+  /**
+   * Append an event for an API request
+   * Not awaited by controllers, so a slow audit write never delays the response
+   * @param {Object} req - Express request
+   * @param {Object} event - As for record
+   * @returns {Promise<void>} Never rejects
+   */
+  recordRequest(req, event) {
+    return this.record(this.fromRequest(req), event);
+  }
+
+  /**
+   * Query events, newest first
+   * @param {Object} params - user, action, requestId, from, to (ISO dates), page and pageSize
+   * @returns {Promise<Object>} items and pagination
+   * @throws {ValidationError} If a parameter is invalid
+   */
+  async listEvents(params = {}) {
+    const validation = validateAuditQuery(params);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid audit log query', validation.errors);
+    }
+
+    const { user, action, requestId, from, to } = params;
+    const page = params.page ? parseInt(params.page) : 1;
+    const pageSize = params.pageSize ? parseInt(params.pageSize) : DEFAULT_PAGE_SIZE;
+
+    const query = {};
+    if (user) {
+      query.user = user;
+    }
+    if (action) {
+      query.action = action;
+    }
+    if (requestId) {
+      query.requestId = requestId;
+    }
+    if (from || to) {
+      query.at = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) })
+      };
+    }
+
+    try {
+      const [items, totalItems] = await Promise.all([
+        AuditEvent.find(query)
+          .sort({ at: -1, _id: -1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .lean(),
+        AuditEvent.countDocuments(query)
+      ]);
+
+      return {
+        items,
+        pagination: {
+          currentPage: page,
+          pageSize,
+          totalItems,
+          totalPages: Math.ceil(totalItems / pageSize)
+        }
+      };
+    } catch (error) {
+      console.error('MongoDB audit log query error:', error);
+      throw new Error(`Failed to query audit log: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const auditService = new AuditService();
+export default auditService;
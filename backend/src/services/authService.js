@@ -0,0 +1,360 @@
+/**
+ * Auth Service - Accounts, sign-in and JWT access/refresh tokens
+ *
+ * Access tokens carry the username and role, so checking a request needs no
+ * database call (and keeps working while MongoDB is down). Refresh tokens are
+ * single-use: each refresh replaces the token id stored on the user, and
+ * logging out, changing the password or disabling the account removes them.
+ * A role change or disabled account therefore takes effect for access tokens
+ * when they expire (ACCESS_TOKEN_TTL).
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { getAuthConfig, ROLES } from '../config/auth.js';
+import { hashPassword, verifyPassword } from '../utils/passwords.js';
+import { validateUserInput } from '../utils/validators.js';
+import {
+  ValidationError,
+  UnauthorizedError,
+  ConflictError,
+  ServiceUnavailableError
+} from '../utils/errorHandler.js';
+import { isConnectionError } from './degradedModeService.js';
+
+const ISSUER = 'retail-sales-api';
+const ALGORITHM = 'HS256';
+
+export const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh'
+};
+
+// The caller of every request while AUTH_ENABLED=false
+export const ANONYMOUS_USER = Object.freeze({ id: null, username: 'anonymous', role: 'admin' });
+
+/**
+ * Whether a role includes the permissions of another
+ * @param {string} role - Role held
+ * @param {string} required - Role needed
+ * @returns {boolean} True when role is required or above it
+ */
+export const hasRole = (role, required) =>
+  ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * Account fields safe to return
+ * @param {Object} user - User document
+ * @returns {Object} id, username, role, disabled, lastLoginAt and createdAt
+ */
+const toUserResponse = (user) => ({
+  id: String(user._id),
+  username: user.username,
+  role: user.role,
+  disabled: user.disabled,
+  lastLoginAt: user.lastLoginAt || null,
+  createdAt: user.createdAt
+});
+
+/**
+ * Pass API errors through and wrap database failures
+ * @param {Error} error - Caught error
+ * @param {string} action - What failed, for the message
+ * @returns {Error} Error to throw
+ */
+export const toAccountError = (error, action) => {
+  if (error.statusCode) {
+    return error;
+  }
+  if (isConnectionError(error)) {
+    return new ServiceUnavailableError(`Accounts are unavailable until MongoDB reconnects; cannot ${action}`);
+  }
+
+  console.error(`MongoDB ${action} error:`, error);
+  return new Error(`Failed to ${action}: ${error.message}`);
+};
+
+class AuthService {
+  constructor() {
+    // Checked against unknown usernames, so they take as long as wrong passwords
+    this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    this.configure(getAuthConfig());
+  }
+
+  /**
+   * Apply authentication settings
+   * @param {Object} config - Settings from getAuthConfig
+   */
+  configure(config) {
+    this.config = config;
+    this.secretGenerated = !config.jwtSecret;
+    this.secret = config.jwtSecret || crypto.randomBytes(48).toString('base64');
+  }
+
+  /**
+   * Whether requests must carry an access token
+   * @returns {boolean} AUTH_ENABLED
+   */
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Sign a short-lived access token
+   * @param {Object} user - User document or response (_id or id, username, role)
+   * @returns {string} JWT
+   */
+  signAccessToken(user) {
+    return jwt.sign(
+      { type: TOKEN_TYPES.ACCESS, username: user.username, role: user.role },
+      this.secret,
+      {
+        algorithm: ALGORITHM,
+        issuer: ISSUER,
+        subject: String(user._id ?? user.id),
+        expiresIn: this.config.accessTokenTtl
+      }
+    );
+  }
+
+  /**
+   * Sign a refresh token for one stored token id
+   * @param {Object} user - User document
+   * @param {string} tokenId - Id kept in user.refreshTokens
+   * @returns {string} JWT
+   */
+  signRefreshToken(user, tokenId) {
+    return jwt.sign(
+      { type: TOKEN_TYPES.REFRESH },
+      this.secret,
+      {
+        algorithm: ALGORITHM,
+        issuer: ISSUER,
+        subject: String(user._id),
+        jwtid: tokenId,
+        expiresIn: this.config.refreshTokenTtl
+      }
+    );
+  }
+
+  /**
+   * Check a token's signature, expiry and type
+   * @param {string} token - JWT
+   * @param {string} type - TOKEN_TYPES value
+   * @returns {Object} Token claims
+   * @throws {UnauthorizedError} If the token is invalid, expired or of another type
+   */
+  verifyToken(token, type) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret, { algorithms: [ALGORITHM], issuer: ISSUER });
+    } catch (error) {
+      throw new UnauthorizedError(error.name === 'TokenExpiredError'
+        ? `The ${type} token has expired`
+        : `Invalid ${type} token`);
+    }
+
+    if (claims.type !== type) {
+      throw new UnauthorizedError(`Invalid ${type} token`);
+    }
+    return claims;
+  }
+
+  /**
+   * Identify the caller from an access token
+   * @param {string} token - Access token from the Authorization header
+   * @returns {Object} id, username and role
+   * @throws {UnauthorizedError} If the token is not a valid access token
+   */
+  verifyAccessToken(token) {
+    const { sub, username, role } = this.verifyToken(token, TOKEN_TYPES.ACCESS);
+    return { id: sub, username, role };
+  }
+
+  /**
+   * Store a new refresh token id on the user and sign both tokens
+   * Expired token ids are dropped at the same time
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} user, accessToken, refreshToken, tokenType and expiresIn (seconds)
+   */
+  async startSession(user) {
+    const tokenId = crypto.randomUUID();
+    const now = new Date();
+
+    user.refreshTokens = user.refreshTokens.filter(token => token.expiresAt > now);
+    user.refreshTokens.push({
+      tokenId,
+      expiresAt: new Date(now.getTime() + this.config.refreshTokenTtl * 1000)
+    });
+    await user.save();
+
+    return {
+      user: toUserResponse(user),
+      accessToken: this.signAccessToken(user),
+      refreshToken: this.signRefreshToken(user, tokenId),
+      tokenType: 'Bearer',
+      expiresIn: this.config.accessTokenTtl
+    };
+  }
+
+  /**
+   * Sign in with a username and password
+   * @param {string} username - Username (case-insensitive)
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Session from startSession
+   * @throws {UnauthorizedError} If the credentials are wrong or the account is disabled
+   */
+  async login(username, password) {
+    try {
+      const user = await User.findOne({ username: username.trim().toLowerCase() });
+      const valid = await verifyPassword(password, user ? user.passwordHash : await this.dummyHash);
+
+      if (!user || !valid || user.disabled) {
+        throw new UnauthorizedError('Invalid username or password');
+      }
+
+      user.lastLoginAt = new Date();
+      return await this.startSession(user);
+    } catch (error) {
+      throw toAccountError(error, 'log in');
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access and refresh token
+   * The presented token is used up, even if it cannot be exchanged
+   * @param {string} refreshToken - Refresh token from login or a previous refresh
+   * @returns {Promise<Object>} Session from startSession
+   * @throws {UnauthorizedError} If the token is invalid, expired or revoked
+   */
+  async refresh(refreshToken) {
+    const { sub, jti } = this.verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+
+    try {
+      const user = await User.findOneAndUpdate(
+        { _id: sub, 'refreshTokens.tokenId': jti },
+        { $pull: { refreshTokens: { tokenId: jti } } },
+        { new: true }
+      );
+
+      if (!user || user.disabled) {
+        throw new UnauthorizedError('The refresh token has been revoked');
+      }
+
+      return await this.startSession(user);
+    } catch (error) {
+      throw toAccountError(error, 'refresh the session');
+    }
+  }
+
+  /**
+   * Revoke a refresh token
+   * Tokens that are already invalid have nothing left to revoke
+   * @param {string} refreshToken - Refresh token to revoke
+   * @returns {Promise<boolean>} True if a stored token was removed
+   */
+  async logout(refreshToken) {
+    let claims;
+    try {
+      claims = this.verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+    } catch (error) {
+      return false;
+    }
+
+    try {
+      const result = await User.updateOne(
+        { _id: claims.sub },
+        { $pull: { refreshTokens: { tokenId: claims.jti } } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      throw toAccountError(error, 'log out');
+    }
+  }
+
+  /**
+   * Create an account
+   * @param {Object} data - username, password and role (default viewer)
+   * @returns {Promise<Object>} Created user
+   * @throws {ValidationError} If a field is invalid
+   * @throws {ConflictError} If the username is taken
+   */
+  async createUser({ username, password, role = 'viewer' }) {
+    const validation = validateUserInput({ username, password, role }, ROLES);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid user', validation.errors);
+    }
+
+    try {
+      const user = await User.create({
+        username,
+        passwordHash: await hashPassword(password),
+        role
+      });
+      return toUserResponse(user);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`User ${username.toLowerCase()} already exists`);
+      }
+      throw toAccountError(error, 'create user');
+    }
+  }
+
+  /**
+   * List accounts by username
+   * @returns {Promise<Array>} Users
+   */
+  async listUsers() {
+    try {
+      const users = await User.find().sort({ username: 1 }).lean();
+      return users.map(toUserResponse);
+    } catch (error) {
+      throw toAccountError(error, 'list users');
+    }
+  }
+
+  /**
+   * Change an account's role, password or disabled flag
+   * A new password or disabling the account signs out its sessions
+   * @param {string} username - Username
+   * @param {Object} changes - role, password and/or disabled
+   * @returns {Promise<Object|null>} Updated user, or null if not found
+   * @throws {ValidationError} If a field is invalid
+   */
+  async updateUser(username, { role, password, disabled }) {
+    const validation = validateUserInput({ role, password }, ROLES, { partial: true });
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid user', validation.errors);
+    }
+
+    try {
+      const user = await User.findOne({ username: username.trim().toLowerCase() });
+      if (!user) {
+        return null;
+      }
+
+      if (role !== undefined) {
+        user.role = role;
+      }
+      if (password !== undefined) {
+        user.passwordHash = await hashPassword(password);
+      }
+      if (disabled !== undefined) {
+        user.disabled = disabled;
+      }
+      if (password !== undefined || disabled) {
+        user.refreshTokens = [];
+      }
+
+      await user.save();
+      return toUserResponse(user);
+    } catch (error) {
+      throw toAccountError(error, 'update user');
+    }
+  }
+}
+
+// Export singleton instance
+const authService = new AuthService();
+export default authService;
@@ -0,0 +1,246 @@
+/**
+ * BackupService - Dumps and restores the transactions collection
+ *
+ * A backup is a directory with transactions.ndjson.gz, one Extended JSON
+ * document per line so dates and ObjectIds survive the round trip, and a
+ * manifest.json describing what was dumped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { createHash } from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import mongoose from 'mongoose';
+import Transaction from '../models/Transaction.js';
+import adminService from './adminService.js';
+import transactionServiceMongo from './transactionServiceMongo.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+
+export const BACKUP_FORMAT = 'transactions-ndjson-gzip';
+export const BACKUP_VERSION = 1;
+const DATA_FILE = 'transactions.ndjson.gz';
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Pass-through stream that hashes and counts the bytes flowing through it
+ * @param {Hash} hash - SHA-256 hash to update
+ * @param {Object} counter - Object whose bytes property is incremented
+ * @returns {Transform} Stream
+ */
+const hashingStream = (hash, counter) => new Transform({
+  transform(chunk, encoding, callback) {
+    hash.update(chunk);
+    counter.bytes += chunk.length;
+    callback(null, chunk);
+  }
+});
+
+/**
+ * Read the lines of a gzip-compressed text file
+ * @param {string} filePath - File path
+ * @returns {AsyncGenerator<string>} Lines without their line breaks
+ */
+async function* readGzipLines(filePath) {
+  const source = fs.createReadStream(filePath);
+  const gunzip = zlib.createGunzip();
+  source.on('error', (error) => gunzip.destroy(error));
+  source.pipe(gunzip).setEncoding('utf8');
+
+  let remainder = '';
+  for await (const text of gunzip) {
+    const lines = (remainder + text).split('\n');
+    remainder = lines.pop();
+    yield* lines;
+  }
+  yield remainder;
+}
+
+/**
+ * SHA-256 of a file's contents
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+const hashFile = async (filePath) => {
+  const hash = createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+class BackupService {
+  /**
+   * Dump transactions matching the API filters to a backup directory
+   * @param {Object} params - Backup parameters
+   * @param {string} params.dir - Directory to create (must not exist yet)
+   * @param {Object} params.filters - Filters in the API's filters JSON format
+   * @param {Function} params.onProgress - Called with the running document count
+   * @returns {Promise<Object>} Manifest
+   */
+  async createBackup({ dir, filters = {}, onProgress = null }) {
+    if (fs.existsSync(dir)) {
+      throw new Error(`Backup directory ${dir} already exists`);
+    }
+
+    const query = transactionServiceMongo.buildFilterQuery(filters);
+    const dataPath = path.join(dir, DATA_FILE);
+    const hash = createHash('sha256');
+    const written = { bytes: 0 };
+    let count = 0;
+
+    const cursor = Transaction.find(query).sort({ _id: 1 }).lean().batchSize(1000).cursor();
+    const lines = async function* () {
+      for await (const doc of cursor) {
+        count++;
+        if (onProgress && count % 10000 === 0) {
+          onProgress(count);
+        }
+        yield `${EJSON.stringify(doc, { relaxed: true })}\n`;
+      }
+    };
+
+    const startedAt = new Date();
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    try {
+      await pipeline(
+        Readable.from(lines()),
+        zlib.createGzip(),
+        hashingStream(hash, written),
+        fs.createWriteStream(dataPath)
+      );
+    } catch (error) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      console.error('MongoDB backup error:', error);
+      throw new Error(`Failed to back up transactions: ${error.message}`);
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      collection: Transaction.collection.collectionName,
+      file: DATA_FILE,
+      filters,
+      count,
+      bytes: written.bytes,
+      sha256: hash.digest('hex'),
+      startedAt,
+      finishedAt: new Date()
+    };
+
+    await fs.promises.writeFile(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+    return manifest;
+  }
+
+  /**
+   * Read and check a backup's manifest
+   * @param {string} dir - Backup directory
+   * @returns {Promise<Object>} Manifest
+   */
+  async readManifest(dir) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`No ${MANIFEST_FILE} in ${dir}`);
+    }
+
+    const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+
+    if (manifest.format !== BACKUP_FORMAT || manifest.version !== BACKUP_VERSION) {
+      throw new Error(`Unsupported backup format: ${manifest.format} v${manifest.version}`);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Check a backup's data file against its manifest
+   * @param {string} dir - Backup directory
+   * @returns {Promise<Object>} Manifest
+   */
+  async verifyBackup(dir) {
+    const manifest = await this.readManifest(dir);
+    const dataPath = path.join(dir, manifest.file);
+
+    if (!fs.existsSync(dataPath)) {
+      throw new Error(`Backup data file ${manifest.file} is missing`);
+    }
+
+    if (await hashFile(dataPath) !== manifest.sha256) {
+      throw new Error('Backup data file does not match the manifest checksum');
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Load a backup into the transactions collection and rebuild indexes
+   * Documents keep their _id, so restoring on top of existing data skips
+   * documents that are already there
+   * @param {Object} params - Restore parameters
+   * @param {string} params.dir - Backup directory
+   * @param {boolean} params.drop - Drop existing transactions first
+   * @param {boolean} params.dryRun - Only verify the backup and count existing data
+   * @param {number} params.batchSize - Documents per insert
+   * @param {Function} params.onProgress - Called with the running document count
+   * @returns {Promise<Object>} manifest, existing, dropped, restored, skipped, indexes and dryRun
+   */
+  async restoreBackup({ dir, drop = false, dryRun = false, batchSize = 1000, onProgress = null }) {
+    const manifest = await this.verifyBackup(dir);
+    const existing = await Transaction.countDocuments();
+    const result = { manifest, existing, dropped: 0, restored: 0, skipped: 0, indexes: [], dryRun };
+
+    if (dryRun) {
+      return result;
+    }
+
+    if (drop) {
+      result.dropped = (await adminService.clearTransactions({ recreateIndexes: false })).deleted;
+    }
+
+    const insertBatch = async (docs) => {
+      try {
+        const { insertedCount } = await Transaction.collection.insertMany(docs, { ordered: false });
+        result.restored += insertedCount;
+      } catch (error) {
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+          console.error('MongoDB restore error:', error);
+          throw new Error(`Failed to restore transactions: ${error.message}`);
+        }
+        result.restored += error.result?.insertedCount ?? docs.length - writeErrors.length;
+        result.skipped += writeErrors.length;
+      }
+    };
+
+    let batch = [];
+    let read = 0;
+    for await (const line of readGzipLines(path.join(dir, manifest.file))) {
+      if (line.trim() === '') {
+        continue;
+      }
+      batch.push(EJSON.parse(line, { relaxed: true }));
+      read++;
+      if (batch.length >= batchSize) {
+        await insertBatch(batch);
+        batch = [];
+        if (onProgress) {
+          onProgress(read);
+        }
+      }
+    }
+    if (batch.length > 0) {
+      await insertBatch(batch);
+    }
+
+    result.indexes = await adminService.buildOptimizedIndexes();
+    return result;
+  }
+}
+
+// Export singleton instance
+const backupService = new BackupService();
+export default backupService;
@@ -0,0 +1,651 @@
+/**
+ * DataImporter - Imports transactions from CSV, NDJSON, JSON or XLSX into MongoDB in batches
+ *
+ * Shared by the import scripts and the import jobs behind POST /api/imports
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import Transaction from '../models/Transaction.js';
+import QuarantinedRow from '../models/QuarantinedRow.js';
+import importBatchService from './importBatchService.js';
+import {
+  DEFAULT_PROFILE,
+  readField,
+  parseDecimal,
+  parseDateValue,
+  splitTags
+} from '../utils/columnMapping.js';
+import { detectFormat, openRowReader, UnparseableRow } from '../utils/rowReaders.js';
+
+// Transaction fields read from each row
+const IMPORT_FIELDS = [
+  'transactionId', 'customerId', 'customerName', 'phoneNumber', 'gender', 'age', 'customerRegion',
+  'productId', 'productCategory', 'tags', 'quantity', 'totalAmount', 'finalAmount',
+  'date', 'paymentMethod', 'employeeName'
+];
+
+// Fields a strict import refuses to default
+const REQUIRED_FIELDS = ['transactionId', 'customerId', 'customerName', 'quantity', 'totalAmount', 'date'];
+const NUMBER_FIELDS = ['age', 'quantity', 'totalAmount', 'finalAmount'];
+const GENDERS = ['Male', 'Female', 'Other'];
+
+// Row errors kept in a report; later errors are only counted
+const MAX_REPORTED_ERRORS = 10000;
+
+/**
+ * Render a raw value for error reports, which store values as text
+ * @param {*} value - Raw value from a CSV, JSON or XLSX row
+ * @returns {string} Text form of the value
+ */
+const toReportValue = (value) => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return value instanceof Date ? value.toISOString() : JSON.stringify(value);
+};
+
+/**
+ * Check a row without applying any defaults
+ * @param {Object} row - Raw row
+ * @param {Object} profile - Column mapping profile
+ * @returns {Array} Errors as { column, value, reason }, empty when the row is valid
+ */
+export const validateRow = (row, profile = DEFAULT_PROFILE) => {
+  const errors = [];
+  const isBlank = (value) => typeof value === 'string' && (value.trim() === '' || value === 'null' || value === 'NULL');
+
+  IMPORT_FIELDS.forEach(field => {
+    const { column, value } = readField(row, field, profile);
+    const fail = (reason) => errors.push({ column, value: toReportValue(value), reason });
+
+    if (isBlank(value)) {
+      if (REQUIRED_FIELDS.includes(field)) {
+        fail('is required');
+      }
+      return;
+    }
+
+    if (NUMBER_FIELDS.includes(field)) {
+      const number = parseDecimal(value, profile);
+      if (isNaN(number)) {
+        fail('is not a number');
+      } else if (field === 'age' && (number < 0 || number > 150)) {
+        fail('must be between 0 and 150');
+      } else if (field !== 'age' && number < 0) {
+        fail('must not be negative');
+      }
+    } else if (field === 'date' && !parseDateValue(value, profile)) {
+      fail('is not a valid date');
+    } else if (field === 'gender' && !GENDERS.includes(value)) {
+      fail(`must be one of ${GENDERS.join(', ')}`);
+    }
+  });
+
+  return errors;
+};
+
+class DataImporter {
+  /**
+   * @param {Object} options - Importer options
+   * @param {number} options.batchSize - Rows per insertMany call
+   * @param {boolean} options.quiet - Suppress console output
+   * @param {Function} options.onProgress - Called with getStats() after every batch
+   * @param {boolean} options.strict - Validate rows instead of defaulting bad values
+   * @param {string} options.onInvalid - What strict mode does with bad rows: reject or quarantine
+   * @param {string} options.reportPath - Where to write the JSON report at the end of the run
+   * @param {string} options.source - Name recorded for the file (defaults to its base name)
+   * @param {boolean} options.upsert - Insert or update by transactionId so the import can be re-run
+   * @param {Object} options.profile - Column mapping profile (defaults to the dataset's headers)
+   * @param {string} options.format - csv, ndjson, json or xlsx (defaults to the file extension)
+   */
+  constructor(options = {}) {
+    this.batchSize = options.batchSize || 1000; // Insert in batches for performance
+    this.quiet = options.quiet || false;
+    this.onProgress = options.onProgress || null;
+    this.strict = options.strict || false;
+    this.onInvalid = options.onInvalid || 'reject';
+    this.reportPath = options.reportPath || null;
+    this.source = options.source || null;
+    this.upsert = options.upsert || false;
+    this.profile = options.profile || DEFAULT_PROFILE;
+    this.format = options.format || null;
+    this.batchId = null;
+    this.checksum = null;
+    this.totalImported = 0;
+    this.totalUpdated = 0;
+    this.totalUnchanged = 0;
+    this.totalErrors = 0;
+    this.totalInvalid = 0;
+    this.totalQuarantined = 0;
+    this.rowErrors = [];
+    this.errorsTruncated = false;
+    this.quarantineBatch = [];
+    this.rowsProcessed = 0;
+    this.bytesProcessed = 0;
+    this.totalBytes = 0;
+    this.startTime = null;
+    this.finishTime = null;
+  }
+
+  /**
+   * Log to the console unless running quietly
+   * @param {...*} args - Values to log
+   */
+  log(...args) {
+    if (!this.quiet) {
+      console.log(...args);
+    }
+  }
+
+  /**
+   * Parse a row into a transaction object
+   * @param {Object} row - Raw row
+   * @returns {Object} Parsed transaction
+   */
+  parseTransaction(row) {
+    const profile = this.profile;
+
+    // Helper to parse numbers
+    const parseNumber = (value) => {
+      if (!value || value === '' || value === 'null' || value === 'NULL') return 0;
+      const parsed = parseDecimal(value, profile);
+      if (!isNaN(parsed)) return parsed;
+      const fallback = parseFloat(value);
+      return isNaN(fallback) ? 0 : fallback;
+    };
+
+    // Helper to parse date
+    const parseDate = (value) => {
+      if (!value || value === '' || value === 'null') return new Date();
+      return parseDateValue(value, profile) || new Date();
+    };
+
+    // Helper to parse tags
+    const parseTags = (value) => {
+      if (!value || value === '' || value === 'null') return [];
+      return splitTags(value, profile);
+    };
+
+    const text = (field) => readField(row, field, profile).value;
+
+    // OPTIMIZED: Only include fields displayed in UI or used in filters
+    return {
+      transactionId: text('transactionId') || `TX${Date.now()}${Math.random()}`,
+
+      // Customer Fields (UI displayed)
+      customerId: text('customerId'),
+      customerName: text('customerName'),
+      phoneNumber: text('phoneNumber'),
+      gender: text('gender'),
+      age: parseNumber(text('age')),
+      customerRegion: text('customerRegion'),
+
+      // Product Fields (UI displayed)
+      productId: text('productId'),
+      productCategory: text('productCategory'),
+      tags: parseTags(text('tags')),
+
+      // Sales Fields (Required for calculations)
+      quantity: parseNumber(text('quantity')),
+      totalAmount: parseNumber(text('totalAmount')),
+      finalAmount: parseNumber(text('finalAmount')),
+
+      // Operational Fields (UI displayed)
+      date: parseDate(text('date')),
+      paymentMethod: text('paymentMethod'),
+      employeeName: text('employeeName')
+
+      // REMOVED: brand, customerType, productName, pricePerUnit, discountPercentage,
+      //          orderStatus, deliveryType, storeId, storeLocation, salespersonId
+      // These fields save ~40% storage space!
+    };
+  }
+
+  /**
+   * Import data from a CSV, NDJSON, JSON or XLSX file
+   * Rows are read with backpressure: reading waits while a batch is inserted
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Object>} Final import statistics
+   */
+  async importFile(filePath) {
+    this.startTime = Date.now();
+    this.format = this.format || detectFormat(filePath) || 'csv';
+
+    this.log('\n🚀 Starting MongoDB Import Process...');
+    this.log('📂 File:', filePath);
+    this.log('📄 Format:', this.format);
+    this.log('📊 Batch Size:', this.batchSize);
+    if (this.profile !== DEFAULT_PROFILE) {
+      this.log('🗺️  Mapping Profile:', this.profile.name);
+    }
+    if (this.upsert) {
+      this.log('🔁 Upsert mode: existing transactions are updated by Transaction ID');
+    }
+    if (this.strict) {
+      this.log(`🛡️  Strict mode: invalid rows are ${this.onInvalid === 'quarantine' ? 'quarantined' : 'rejected'}`);
+    }
+    this.log('━'.repeat(50));
+
+    const absolutePath = path.isAbsolute(filePath)
+      ? filePath
+      : path.resolve(process.cwd(), filePath);
+
+    if (!fs.existsSync(absolutePath)) {
+      throw new Error(`File not found: ${absolutePath}`);
+    }
+
+    this.source = this.source || path.basename(absolutePath);
+    this.totalBytes = fs.statSync(absolutePath).size;
+
+    // Every document this run creates is stamped with the batch id
+    const importBatch = await importBatchService.startBatch({
+      source: this.source,
+      options: {
+        strict: this.strict,
+        onInvalid: this.strict ? this.onInvalid : null,
+        upsert: this.upsert,
+        profile: this.profile.name,
+        format: this.format
+      }
+    });
+    this.batchId = importBatch._id;
+    this.log('🏷️  Import Batch:', String(this.batchId));
+
+    try {
+      await this.readRows(absolutePath);
+    } catch (error) {
+      await importBatchService.finishBatch(this.batchId, {
+        status: 'failed',
+        stats: this.getStats(),
+        error: error.message
+      });
+      throw error;
+    }
+
+    this.finishTime = Date.now();
+    await importBatchService.finishBatch(this.batchId, {
+      status: 'completed',
+      checksum: this.checksum,
+      stats: this.getStats()
+    });
+
+    this.printFinalStats();
+
+    if (this.reportPath) {
+      await this.writeReport(this.reportPath);
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Stream the file's rows into batched writes
+   * @param {string} absolutePath - Absolute path to the file
+   * @returns {Promise<void>}
+   */
+  async readRows(absolutePath) {
+    const { fileStream, rows } = openRowReader(absolutePath, this.format);
+    const hash = createHash('sha256');
+    fileStream.on('data', (chunk) => hash.update(chunk));
+
+    let batch = [];
+
+    for await (const row of rows) {
+      this.rowsProcessed++;
+
+      if (row instanceof UnparseableRow) {
+        await this.recordUnparseableRow(row, this.rowsProcessed);
+        continue;
+      }
+
+      const errors = this.strict ? validateRow(row, this.profile) : [];
+      if (errors.length === 0 && this.upsert) {
+        errors.push(...this.checkUpsertKey(row));
+      }
+      if (errors.length > 0) {
+        await this.recordInvalidRow(row, this.rowsProcessed, errors);
+      } else {
+        try {
+          batch.push(this.parseTransaction(row));
+        } catch (error) {
+          this.log('⚠️  Error parsing row:', error.message);
+          this.totalErrors++;
+        }
+      }
+
+      // Insert batch when it reaches the batch size
+      if (batch.length >= this.batchSize) {
+        this.bytesProcessed = fileStream.bytesRead;
+        await this.flushBatch(batch);
+        batch = [];
+      }
+
+      // Progress indicator every 10000 rows
+      if (this.rowsProcessed % 10000 === 0) {
+        this.printProgress();
+      }
+    }
+
+    // Insert remaining batch
+    this.bytesProcessed = this.totalBytes;
+    await this.flushQuarantine();
+    await this.flushBatch(batch);
+    this.checksum = hash.digest('hex');
+  }
+
+  /**
+   * Upserts match rows by transactionId; a row without one would get a new
+   * generated id, and so be inserted again, on every run
+   * @param {Object} row - Raw row
+   * @returns {Array} Errors as { column, value, reason }, empty when the row has a transactionId
+   */
+  checkUpsertKey(row) {
+    const { column, value } = readField(row, 'transactionId', this.profile);
+    const isBlank = value === undefined || value === null || String(value).trim() === '';
+    return isBlank ? [{ column, value: '', reason: 'is required to upsert' }] : [];
+  }
+
+  /**
+   * Record a JSON record that could not be parsed
+   * Strict imports report it like any invalid row; lenient imports count it as failed
+   * @param {UnparseableRow} row - Unparseable record
+   * @param {number} rowNumber - 1-based record number
+   * @returns {Promise<void>}
+   */
+  async recordUnparseableRow(row, rowNumber) {
+    if (!this.strict) {
+      this.log(`⚠️  Skipping record ${rowNumber}: ${row.reason}`);
+      this.totalErrors++;
+      return;
+    }
+
+    await this.recordInvalidRow({ text: row.text }, rowNumber, [
+      { column: '', value: row.text, reason: row.reason }
+    ]);
+  }
+
+  /**
+   * Record a row that failed strict validation
+   * @param {Object} row - Raw row
+   * @param {number} rowNumber - 1-based data row number
+   * @param {Array} errors - Validation errors for the row
+   * @returns {Promise<void>}
+   */
+  async recordInvalidRow(row, rowNumber, errors) {
+    this.totalInvalid++;
+
+    errors.forEach(error => {
+      if (this.rowErrors.length < MAX_REPORTED_ERRORS) {
+        this.rowErrors.push({ row: rowNumber, ...error });
+      } else {
+        this.errorsTruncated = true;
+      }
+    });
+
+    if (this.onInvalid === 'quarantine') {
+      this.quarantineBatch.push({
+        source: this.source,
+        importBatchId: this.batchId,
+        row: rowNumber,
+        raw: row,
+        issues: errors
+      });
+      if (this.quarantineBatch.length >= this.batchSize) {
+        await this.flushQuarantine();
+      }
+    }
+  }
+
+  /**
+   * Store pending invalid rows in the quarantine collection
+   * @returns {Promise<void>}
+   */
+  async flushQuarantine() {
+    if (this.quarantineBatch.length === 0) {
+      return;
+    }
+
+    const batch = this.quarantineBatch;
+    this.quarantineBatch = [];
+
+    try {
+      await QuarantinedRow.insertMany(batch, { ordered: false });
+      this.totalQuarantined += batch.length;
+    } catch (error) {
+      console.error('❌ Quarantine insert error:', error.message);
+    }
+  }
+
+  /**
+   * Insert a batch, counting failures instead of aborting the import
+   * Documents are checked against the schema first: unordered insertMany
+   * drops invalid documents without an error, and bulkWrite does not
+   * validate at all
+   * @param {Array} batch - Array of transaction objects
+   * @returns {Promise<void>}
+   */
+  async flushBatch(batch) {
+    const documents = await this.validateBatch(batch);
+
+    if (documents.length > 0) {
+      try {
+        if (this.upsert) {
+          await this.upsertBatch(documents);
+        } else {
+          await this.insertBatch(documents);
+        }
+      } catch (error) {
+        console.error('❌ Batch insert error:', error.message);
+        this.totalErrors += documents.length;
+      }
+    }
+
+    if (this.onProgress) {
+      this.onProgress(this.getStats());
+    }
+  }
+
+  /**
+   * Check each document against the Transaction schema
+   * Invalid documents are counted as failed and left out
+   * @param {Array} batch - Array of transaction objects
+   * @returns {Promise<Array>} The valid documents
+   */
+  async validateBatch(batch) {
+    const results = await Promise.all(batch.map(transaction =>
+      new Transaction(transaction).validate().then(() => null, error => error)
+    ));
+
+    return batch.filter((transaction, index) => {
+      if (results[index]) {
+        this.log(`⚠️  Skipping transaction ${transaction.transactionId}:`, results[index].message);
+        this.totalErrors++;
+      }
+      return !results[index];
+    });
+  }
+
+  /**
+   * Insert a batch of transactions
+   * @param {Array} batch - Array of transaction objects
+   * @returns {Promise<void>}
+   */
+  async insertBatch(batch) {
+    const documents = batch.map(transaction => ({ ...transaction, importBatchId: this.batchId }));
+
+    try {
+      await Transaction.insertMany(documents, { ordered: false });
+      this.totalImported += batch.length;
+    } catch (error) {
+      // Handle duplicate key errors (already imported data)
+      if (error.code === 11000) {
+        const successCount = batch.length - (error.writeErrors?.length || 0);
+        this.totalImported += successCount;
+        this.totalErrors += (error.writeErrors?.length || 0);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Insert new transactions and update existing ones, matched by transactionId
+   * Re-running the same file leaves every row unchanged. Only inserted
+   * documents get this batch's id, so a rollback never deletes rows that
+   * an earlier batch created
+   * @param {Array} batch - Array of transaction objects
+   * @returns {Promise<void>}
+   */
+  async upsertBatch(batch) {
+    const operations = batch.map(transaction => ({
+      updateOne: {
+        filter: { transactionId: transaction.transactionId },
+        update: {
+          $set: transaction,
+          $setOnInsert: { importBatchId: this.batchId }
+        },
+        upsert: true
+      }
+    }));
+
+    try {
+      this.countUpserts(await Transaction.bulkWrite(operations, { ordered: false }));
+    } catch (error) {
+      // Unordered bulk writes apply every operation that did not fail
+      if (error.result && error.writeErrors) {
+        this.countUpserts(error.result);
+        this.totalErrors += [].concat(error.writeErrors).length;
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Add a bulk write result to the running totals
+   * @param {Object} result - Bulk write result
+   */
+  countUpserts(result) {
+    this.totalImported += result.upsertedCount;
+    this.totalUpdated += result.modifiedCount;
+    this.totalUnchanged += result.matchedCount - result.modifiedCount;
+  }
+
+  /**
+   * Get current import statistics
+   * @returns {Object} Batch id, rows processed, inserted, updated, unchanged, failed and invalid, bytes read and elapsed time
+   */
+  getStats() {
+    return {
+      batchId: this.batchId ? String(this.batchId) : null,
+      rowsProcessed: this.rowsProcessed,
+      inserted: this.totalImported,
+      updated: this.totalUpdated,
+      unchanged: this.totalUnchanged,
+      failed: this.totalErrors,
+      invalid: this.totalInvalid,
+      quarantined: this.totalQuarantined,
+      bytesProcessed: this.bytesProcessed,
+      totalBytes: this.totalBytes,
+      elapsedMs: this.startTime ? Date.now() - this.startTime : 0
+    };
+  }
+
+  /**
+   * Build the machine-readable report for the run
+   * @returns {Object} Source, checksum, format, mode, timings, statistics and per-row errors
+   */
+  getReport() {
+    return {
+      source: this.source,
+      checksum: this.checksum,
+      format: this.format,
+      profile: this.profile.name,
+      mode: this.strict ? 'strict' : 'lenient',
+      onInvalid: this.strict ? this.onInvalid : null,
+      writeMode: this.upsert ? 'upsert' : 'insert',
+      startedAt: this.startTime ? new Date(this.startTime).toISOString() : null,
+      finishedAt: this.finishTime ? new Date(this.finishTime).toISOString() : null,
+      stats: this.getStats(),
+      errors: this.rowErrors,
+      errorsTruncated: this.errorsTruncated
+    };
+  }
+
+  /**
+   * Write the report as JSON
+   * @param {string} reportPath - Destination file
+   * @returns {Promise<void>}
+   */
+  async writeReport(reportPath) {
+    await fs.promises.writeFile(reportPath, JSON.stringify(this.getReport(), null, 2));
+    this.log(`📝 Report written to ${reportPath}`);
+  }
+
+  /**
+   * Print progress update
+   */
+  printProgress() {
+    const elapsed = ((Date.now() - this.startTime) / 1000).toFixed(1);
+    const rate = Math.floor(this.totalImported / elapsed);
+    this.log(`⏳ Imported: ${this.totalImported.toLocaleString()} | Rate: ${rate}/sec | Errors: ${this.totalErrors}`);
+  }
+
+  /**
+   * Print final statistics
+   */
+  printFinalStats() {
+    const elapsed = ((Date.now() - this.startTime) / 1000).toFixed(2);
+    const rate = Math.floor(this.totalImported / elapsed);
+
+    this.log('\n' + '━'.repeat(50));
+    this.log('✅ Import Complete!');
+    this.log('━'.repeat(50));
+    this.log(`📊 Total Imported: ${this.totalImported.toLocaleString()}`);
+    if (this.upsert) {
+      this.log(`🔁 Updated: ${this.totalUpdated.toLocaleString()} | Unchanged: ${this.totalUnchanged.toLocaleString()}`);
+    }
+    this.log(`❌ Total Errors: ${this.totalErrors.toLocaleString()}`);
+    if (this.strict) {
+      this.log(`🛡️  Invalid Rows: ${this.totalInvalid.toLocaleString()} (${this.totalQuarantined.toLocaleString()} quarantined)`);
+    }
+    this.log(`⏱️  Total Time: ${elapsed}s`);
+    this.log(`⚡ Average Rate: ${rate} records/sec`);
+    this.log('━'.repeat(50) + '\n');
+  }
+
+  /**
+   * Create indexes after import
+   * @returns {Promise<void>}
+   */
+  async createIndexes() {
+    this.log('\n🔍 Creating database indexes...');
+    try {
+      await Transaction.createIndexes();
+      this.log('✅ All indexes created successfully!');
+    } catch (error) {
+      console.error('❌ Error creating indexes:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear existing data (optional)
+   * @returns {Promise<number>} Number of transactions deleted
+   */
+  async clearExistingData() {
+    this.log('\n🗑️  Clearing existing data...');
+    const count = await Transaction.countDocuments();
+    if (count > 0) {
+      await Transaction.deleteMany({});
+      this.log(`✅ Deleted ${count.toLocaleString()} existing records`);
+    } else {
+      this.log('✅ No existing data to clear');
+    }
+    return count;
+  }
+}
+
+export default DataImporter;
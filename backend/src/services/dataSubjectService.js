@@ -0,0 +1,174 @@
+/**
+ * DataSubjectService - Privacy requests about one customer
+ *
+ * A customer is identified by customerId and/or phone number. Export
+ * collects every transaction and quarantined import row held about them.
+ * Erasure pseudonymises the customer instead of deleting transactions: each
+ * of their customer IDs is replaced by a random pseudonym and their name and
+ * phone number are cleared, so amounts, quantities, dates and customer
+ * counts (and therefore getAggregateStats and analytics) stay the same.
+ * Quarantined rows are raw copies of rejected input and are deleted.
+ */
+
+import crypto from 'crypto';
+import Transaction from '../models/Transaction.js';
+import QuarantinedRow from '../models/QuarantinedRow.js';
+import { DEFAULT_COLUMNS } from '../utils/columnMapping.js';
+import { validateDataSubject } from '../utils/validators.js';
+import { ValidationError } from '../utils/errorHandler.js';
+
+export const ERASED_CUSTOMER_NAME = 'Erased customer';
+
+const PSEUDONYM_PREFIX = 'ERASED-';
+
+/**
+ * Create an unlinkable replacement customer ID
+ * Random rather than a hash, so it cannot be recomputed from the original ID
+ * @returns {string} Pseudonym such as ERASED-1A2B3C4D5E6F
+ */
+const createPseudonym = () => `${PSEUDONYM_PREFIX}${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+/**
+ * Ways a phone number may be stored: as given, and digits only
+ * @param {string} phoneNumber - Phone number from the request
+ * @returns {Array<string>} Distinct values to match
+ */
+const phoneVariants = (phoneNumber) => {
+  const trimmed = phoneNumber.trim();
+  return [...new Set([trimmed, trimmed.replace(/\D/g, '')])].filter(Boolean);
+};
+
+/**
+ * Match quarantined rows whose raw CSV values contain any of the values
+ * Rows are matched under the default headers for each field
+ * @param {Object} valuesByField - e.g. { customerId: ['C001'], phoneNumber: ['9876543210'] }
+ * @returns {Object} QuarantinedRow query
+ */
+const buildQuarantineQuery = (valuesByField) => ({
+  $or: Object.entries(valuesByField)
+    .filter(([, values]) => values.length > 0)
+    .flatMap(([field, values]) => DEFAULT_COLUMNS[field].map(header => ({ [`raw.${header}`]: { $in: values } })))
+});
+
+class DataSubjectService {
+  /**
+   * Check a subject and build the queries that find their data
+   * @param {Object} subject - customerId and/or phoneNumber
+   * @returns {Object} subject (trimmed), transactionQuery and the values to match quarantined rows on
+   * @throws {ValidationError} If neither identifier is given or one is invalid
+   */
+  resolveSubject(subject) {
+    const validation = validateDataSubject(subject);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid data subject', validation.errors);
+    }
+
+    const customerIds = subject.customerId !== undefined ? [subject.customerId.trim()] : [];
+    const phoneNumbers = subject.phoneNumber !== undefined ? phoneVariants(subject.phoneNumber) : [];
+
+    const conditions = [];
+    if (customerIds.length > 0) {
+      conditions.push({ customerId: { $in: customerIds } });
+    }
+    if (phoneNumbers.length > 0) {
+      conditions.push({ phoneNumber: { $in: phoneNumbers } });
+    }
+
+    return {
+      subject: {
+        ...(customerIds.length > 0 && { customerId: customerIds[0] }),
+        ...(subject.phoneNumber !== undefined && { phoneNumber: subject.phoneNumber.trim() })
+      },
+      transactionQuery: conditions.length === 1 ? conditions[0] : { $or: conditions },
+      customerIds,
+      phoneNumbers
+    };
+  }
+
+  /**
+   * Collect everything held about a customer
+   * @param {Object} subject - customerId and/or phoneNumber
+   * @returns {Promise<Object>} subject, generatedAt, customerIds, transactions and quarantinedRows
+   */
+  async exportSubject(subject) {
+    const resolved = this.resolveSubject(subject);
+
+    try {
+      const transactions = await Transaction.find(resolved.transactionQuery)
+        .sort({ date: 1 })
+        .select('-_id -__v')
+        .lean();
+
+      const customerIds = [...new Set(transactions.map(transaction => transaction.customerId))];
+
+      const quarantinedRows = await QuarantinedRow.find(buildQuarantineQuery({
+        customerId: [...new Set([...resolved.customerIds, ...customerIds])],
+        phoneNumber: resolved.phoneNumbers
+      }))
+        .sort({ quarantinedAt: 1 })
+        .select('-_id -__v')
+        .lean();
+
+      return {
+        subject: resolved.subject,
+        generatedAt: new Date().toISOString(),
+        customerIds,
+        transactions,
+        quarantinedRows
+      };
+    } catch (error) {
+      console.error('MongoDB data subject export error:', error);
+      throw new Error(`Failed to export customer data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pseudonymise a customer across all of their transactions
+   * A phone number erases every customer ID it appears with, including
+   * that customer's transactions under other phone numbers
+   * @param {Object} subject - customerId and/or phoneNumber
+   * @param {Object} options - Operation options
+   * @param {boolean} options.dryRun - Only count what would change
+   * @returns {Promise<Object>} customers, transactions and quarantinedRows affected, and dryRun flag
+   */
+  async eraseSubject(subject, { dryRun = false } = {}) {
+    const resolved = this.resolveSubject(subject);
+
+    try {
+      const customerIds = await Transaction.distinct('customerId', resolved.transactionQuery);
+      const quarantineQuery = buildQuarantineQuery({
+        customerId: [...new Set([...resolved.customerIds, ...customerIds])],
+        phoneNumber: resolved.phoneNumbers
+      });
+
+      if (dryRun) {
+        const [transactions, quarantinedRows] = await Promise.all([
+          Transaction.countDocuments({ customerId: { $in: customerIds } }),
+          QuarantinedRow.countDocuments(quarantineQuery)
+        ]);
+        return { customers: customerIds.length, transactions, quarantinedRows, dryRun };
+      }
+
+      // One pseudonym per customer ID keeps the number of distinct customers
+      let transactions = 0;
+      for (const customerId of customerIds) {
+        const { modifiedCount } = await Transaction.updateMany(
+          { customerId },
+          { $set: { customerId: createPseudonym(), customerName: ERASED_CUSTOMER_NAME, phoneNumber: '' } }
+        );
+        transactions += modifiedCount;
+      }
+
+      const { deletedCount } = await QuarantinedRow.deleteMany(quarantineQuery);
+
+      return { customers: customerIds.length, transactions, quarantinedRows: deletedCount, dryRun };
+    } catch (error) {
+      console.error('MongoDB data subject erasure error:', error);
+      throw new Error(`Failed to erase customer data: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const dataSubjectService = new DataSubjectService();
+export default dataSubjectService;
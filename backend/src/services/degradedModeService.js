@@ -0,0 +1,232 @@
+/**
+ * Degraded Mode Service - Keeps the API answering while MongoDB is down
+ *
+ * MongoDB calls go through a circuit breaker. While the connection is lost
+ * (and being retried with backoff) or the circuit is open, reads are served
+ * from the FALLBACK_DATA_FILE CSV, loaded through DataLoader into the
+ * in-memory store, and writes are refused with 503. Without a fallback file
+ * reads are refused too. The API is back to normal as soon as MongoDB
+ * reconnects.
+ */
+
+import database, { CONNECTION_STATES } from '../config/database.js';
+import { getResilienceConfig } from '../config/resilience.js';
+import { loadProfile } from '../utils/columnMapping.js';
+import { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from '../utils/circuitBreaker.js';
+import { ServiceUnavailableError } from '../utils/errorHandler.js';
+import transactionServiceMemory from './transactionServiceMemory.js';
+
+// Errors that mean MongoDB could not be reached, as opposed to a bad query.
+// Services re-throw with the original message, so the message is matched too.
+const CONNECTION_ERROR_NAMES = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongoNotConnectedError',
+  'MongoTopologyClosedError'
+];
+const CONNECTION_ERROR_PATTERN =
+  /buffering timed out|server selection|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|topology (is )?closed|connection .*closed|must be connected|not connected/i;
+
+/**
+ * Whether an error means MongoDB is unreachable
+ * @param {Error} error - Error from a MongoDB call
+ * @returns {boolean} True for connection failures
+ */
+export const isConnectionError = (error) =>
+  CONNECTION_ERROR_NAMES.includes(error?.name) || CONNECTION_ERROR_PATTERN.test(error?.message || '');
+
+class DegradedModeService {
+  constructor() {
+    this.configure(getResilienceConfig());
+
+    database.on('disconnected', () => this.enter());
+    database.on('connected', () => this.recover());
+  }
+
+  /**
+   * Apply resilience settings, resetting the breaker and fallback
+   * @param {Object} config - Settings from getResilienceConfig
+   */
+  configure(config) {
+    this.config = config;
+    this.breaker = new CircuitBreaker({
+      ...config.circuitBreaker,
+      isFailure: isConnectionError,
+      onStateChange: (state) => {
+        if (state === CIRCUIT_STATES.OPEN) {
+          console.warn('🔌 MongoDB circuit opened; serving degraded read-only responses');
+          this.enter();
+        } else if (state === CIRCUIT_STATES.CLOSED && !this.isDegraded()) {
+          this.since = null;
+        }
+      }
+    });
+    this.since = null;
+    this.dropFallback();
+  }
+
+  /**
+   * Whether requests are currently served in degraded mode
+   * @returns {boolean} True while MongoDB is reconnecting or the circuit is open
+   */
+  isDegraded() {
+    return database.status === CONNECTION_STATES.RECONNECTING || this.breaker.state === CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Note when degraded mode started and warm up the fallback
+   */
+  enter() {
+    this.since = this.since || new Date();
+
+    if (this.config.fallbackDataFile) {
+      this.loadFallback().catch(error => {
+        console.error('❌ Failed to load the fallback data file:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Leave degraded mode once MongoDB is back
+   */
+  recover() {
+    if (this.since) {
+      console.log('✅ MongoDB available again; leaving degraded mode');
+    }
+    this.since = null;
+    this.breaker.reset();
+    this.dropFallback();
+  }
+
+  /**
+   * Start serving in degraded mode after MongoDB failed to connect at startup
+   * @param {Error} error - Connection error
+   */
+  startReconnecting(error) {
+    console.warn(`⚠️  Starting in degraded read-only mode: ${error.message}`);
+    database.scheduleReconnect(this.config.reconnect);
+    this.enter();
+  }
+
+  /**
+   * Load the fallback CSV into the in-memory store (once per outage)
+   * @returns {Promise<void>}
+   */
+  loadFallback() {
+    if (!this.fallbackLoad) {
+      const { fallbackDataFile, fallbackProfile } = this.config;
+
+      this.fallbackLoad = (async () => {
+        const { loaded } = await transactionServiceMemory.loadFile(fallbackDataFile, {
+          profile: fallbackProfile ? await loadProfile(fallbackProfile) : undefined
+        });
+        this.fallbackTransactions = loaded;
+        console.log(`📁 Fallback data file: ${fallbackDataFile} (${loaded.toLocaleString()} transactions)`);
+      })().catch(error => {
+        // Let the next request try again
+        this.fallbackLoad = null;
+        throw error;
+      });
+    }
+
+    return this.fallbackLoad;
+  }
+
+  /**
+   * Free the fallback data
+   */
+  dropFallback() {
+    if (this.fallbackLoad) {
+      transactionServiceMemory.clear();
+    }
+    this.fallbackLoad = null;
+    this.fallbackTransactions = null;
+  }
+
+  /**
+   * Run a MongoDB call, falling back to the CSV for reads when MongoDB is down
+   * @param {Function} call - Makes the MongoDB call
+   * @param {Object} options - Call options
+   * @param {boolean} options.write - The call changes data (never served from the fallback)
+   * @param {Function} options.fallback - Makes the same call on the in-memory store
+   * @returns {Promise<*>} The call's result
+   * @throws {ServiceUnavailableError} If MongoDB is down and the call cannot be served
+   */
+  async run(call, { write = false, fallback = null } = {}) {
+    if (this.isDegraded()) {
+      return this.serveDegraded({ write, fallback });
+    }
+
+    try {
+      return await this.breaker.execute(call);
+    } catch (error) {
+      if (error instanceof CircuitOpenError || isConnectionError(error)) {
+        this.enter();
+        return this.serveDegraded({ write, fallback });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Serve a call without MongoDB
+   * @param {Object} options - write and fallback, as for run()
+   * @returns {Promise<*>} The fallback's result
+   * @throws {ServiceUnavailableError} For writes, or reads without a fallback file
+   */
+  async serveDegraded({ write, fallback }) {
+    if (write) {
+      throw new ServiceUnavailableError('MongoDB is unavailable; the API is read-only until it reconnects');
+    }
+
+    if (!this.config.fallbackDataFile || !fallback) {
+      throw new ServiceUnavailableError('MongoDB is unavailable; try again shortly');
+    }
+
+    try {
+      await this.loadFallback();
+    } catch (error) {
+      throw new ServiceUnavailableError(`MongoDB is unavailable and the fallback data could not be loaded: ${error.message}`);
+    }
+
+    return fallback();
+  }
+
+  /**
+   * Degraded-mode details for API responses
+   * @returns {Object|null} mode, source and since, or null when not degraded
+   */
+  getResponseStatus() {
+    if (!this.isDegraded()) {
+      return null;
+    }
+
+    return {
+      mode: 'read-only',
+      source: this.fallbackTransactions !== null ? 'fallback-csv' : null,
+      since: (this.since || new Date()).toISOString()
+    };
+  }
+
+  /**
+   * Describe the connection, breaker and fallback for health checks
+   * @returns {Object} degraded flag, connection, circuit and fallback status
+   */
+  getStatus() {
+    return {
+      degraded: this.isDegraded(),
+      connection: database.getStatus(),
+      circuit: this.breaker.getStatus(),
+      fallback: {
+        dataFile: this.config.fallbackDataFile,
+        loaded: this.fallbackTransactions !== null,
+        transactions: this.fallbackTransactions
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const degradedModeService = new DegradedModeService();
+export default degradedModeService;
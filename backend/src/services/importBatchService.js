@@ -0,0 +1,144 @@
+/**
+ * ImportBatchService - Records import runs and rolls them back
+ *
+ * A batch lists the source file, its checksum and the run's row counts.
+ * Rolling back deletes exactly the transactions the batch created.
+ */
+
+import mongoose from 'mongoose';
+import ImportBatch from '../models/ImportBatch.js';
+import QuarantinedRow from '../models/QuarantinedRow.js';
+import Transaction from '../models/Transaction.js';
+import { ConflictError } from '../utils/errorHandler.js';
+
+// Row counts copied from importer statistics onto the batch record
+const COUNT_FIELDS = ['rowsProcessed', 'inserted', 'updated', 'unchanged', 'failed', 'invalid', 'quarantined'];
+
+class ImportBatchService {
+  /**
+   * Record the start of an import run
+   * @param {Object} params - Batch details
+   * @param {string} params.source - Source file name
+   * @param {Object} params.options - Import options (strict, onInvalid, upsert)
+   * @returns {Promise<Object>} Created batch
+   */
+  async startBatch({ source, options = {} }) {
+    try {
+      const batch = await ImportBatch.create({ source, options, status: 'running' });
+      return batch.toObject();
+    } catch (error) {
+      console.error('MongoDB start import batch error:', error);
+      throw new Error(`Failed to record import batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the end of an import run
+   * @param {string} id - Batch id
+   * @param {Object} result - Run result
+   * @param {string} result.status - completed or failed
+   * @param {string} result.checksum - SHA-256 of the file contents
+   * @param {Object} result.stats - Importer statistics
+   * @param {string} result.error - Failure message
+   * @returns {Promise<Object|null>} Updated batch
+   */
+  async finishBatch(id, { status, checksum, stats = {}, error }) {
+    const update = { status, finishedAt: new Date() };
+    COUNT_FIELDS.forEach(field => {
+      if (stats[field] !== undefined) {
+        update[field] = stats[field];
+      }
+    });
+    if (checksum) {
+      update.checksum = checksum;
+    }
+    if (error) {
+      update.error = error;
+    }
+
+    try {
+      return await ImportBatch.findByIdAndUpdate(id, { $set: update }, { returnDocument: 'after' }).lean();
+    } catch (err) {
+      console.error('MongoDB finish import batch error:', err);
+      throw new Error(`Failed to update import batch: ${err.message}`);
+    }
+  }
+
+  /**
+   * List import batches, newest first
+   * @param {Object} params - List parameters
+   * @param {number} params.limit - Maximum batches to return
+   * @returns {Promise<Array>} Batches
+   */
+  async listBatches({ limit = 50 } = {}) {
+    try {
+      return await ImportBatch.find()
+        .sort({ startedAt: -1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      console.error('MongoDB list import batches error:', error);
+      throw new Error(`Failed to list import batches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a single import batch
+   * @param {string} id - Batch id
+   * @returns {Promise<Object|null>} Batch, or null if not found
+   */
+  async getBatch(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    try {
+      return await ImportBatch.findById(id).lean();
+    } catch (error) {
+      console.error('MongoDB get import batch error:', error);
+      throw new Error(`Failed to fetch import batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the transactions and quarantined rows a batch created
+   * Transactions the batch only updated (upsert mode) keep their new values
+   * @param {string} id - Batch id
+   * @param {Object} options - Rollback options
+   * @param {boolean} options.force - Allow rolling back a batch still marked running
+   * @returns {Promise<Object|null>} Updated batch, or null if not found
+   */
+  async rollbackBatch(id, { force = false } = {}) {
+    const batch = await this.getBatch(id);
+
+    if (!batch) {
+      return null;
+    }
+
+    if (batch.status === 'rolledBack') {
+      throw new ConflictError(`Import batch ${id} has already been rolled back`);
+    }
+
+    if (batch.status === 'running' && !force) {
+      throw new ConflictError(`Import batch ${id} is still running; use force if the import was interrupted`);
+    }
+
+    try {
+      const { deletedCount } = await Transaction.deleteMany({ importBatchId: batch._id });
+      await QuarantinedRow.deleteMany({ importBatchId: batch._id });
+
+      return await ImportBatch.findByIdAndUpdate(
+        batch._id,
+        { $set: { status: 'rolledBack', rolledBackAt: new Date(), rolledBackCount: deletedCount } },
+        { returnDocument: 'after' }
+      ).lean();
+    } catch (error) {
+      console.error('MongoDB rollback import batch error:', error);
+      throw new Error(`Failed to roll back import batch: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const importBatchService = new ImportBatchService();
+export default importBatchService;
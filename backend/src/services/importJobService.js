@@ -0,0 +1,195 @@
+/**
+ * ImportJobService - Runs uploaded file imports in the background
+ *
+ * Jobs run one at a time in upload order and report progress while running.
+ * Job state is held in memory, so it is lost when the server restarts.
+ */
+
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import DataImporter from './dataImporter.js';
+import auditService from './auditService.js';
+import { DEFAULT_PROFILE } from '../utils/columnMapping.js';
+
+// Finished jobs kept for status lookups before the oldest are dropped
+const MAX_FINISHED_JOBS = 100;
+
+class ImportJobService {
+  constructor() {
+    this.jobs = new Map();
+    this.reports = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Queue an import of an uploaded file
+   * The file is deleted once the job finishes
+   * @param {Object} params - Job parameters
+   * @param {string} params.filePath - Path of the uploaded file on disk
+   * @param {string} params.fileName - Original file name
+   * @param {boolean} params.strict - Validate rows instead of defaulting bad values
+   * @param {string} params.onInvalid - What strict mode does with bad rows: reject or quarantine
+   * @param {boolean} params.upsert - Update existing transactions instead of failing on them
+   * @param {Object} params.profile - Column mapping profile
+   * @param {string} params.format - csv, ndjson, json or xlsx
+   * @param {Object} params.auditActor - Who started the import, from auditService.fromRequest; recorded when it finishes
+   * @returns {Object} Job status
+   */
+  createJob({ filePath, fileName, strict = false, onInvalid = 'reject', upsert = false, profile = DEFAULT_PROFILE, format = 'csv', auditActor = null }) {
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      fileName,
+      format,
+      strict,
+      onInvalid: strict ? onInvalid : null,
+      upsert,
+      profile: profile.name,
+      rowsProcessed: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      invalid: 0,
+      quarantined: 0,
+      bytesProcessed: 0,
+      totalBytes: 0,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue = this.queue.then(() => this.runJob(job, filePath, profile, auditActor));
+
+    return this.toJobResponse(job);
+  }
+
+  /**
+   * Run a queued job to completion
+   * @param {Object} job - Job record
+   * @param {string} filePath - Path of the uploaded file
+   * @param {Object} profile - Column mapping profile
+   * @param {Object} auditActor - Who started the import, or null to leave it out of the audit log
+   * @returns {Promise<void>}
+   */
+  async runJob(job, filePath, profile = DEFAULT_PROFILE, auditActor = null) {
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    const updateCounts = ({ elapsedMs, ...counts }) => {
+      Object.assign(job, counts);
+    };
+
+    try {
+      const importer = new DataImporter({
+        quiet: true,
+        onProgress: updateCounts,
+        strict: job.strict,
+        onInvalid: job.onInvalid,
+        upsert: job.upsert,
+        profile,
+        format: job.format,
+        source: job.fileName
+      });
+      updateCounts(await importer.importFile(filePath));
+      this.reports.set(job.id, importer.getReport());
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`Import job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date();
+      await fs.promises.unlink(filePath).catch(() => {});
+      this.pruneFinishedJobs();
+
+      if (auditActor) {
+        await auditService.record(auditActor, {
+          action: 'transactions.import',
+          filter: { fileName: job.fileName },
+          count: job.inserted + job.updated,
+          outcome: job.status === 'completed' ? 'success' : 'failure',
+          error: job.error || undefined,
+          details: {
+            jobId: job.id,
+            batchId: job.batchId || null,
+            upsert: job.upsert,
+            inserted: job.inserted,
+            updated: job.updated,
+            failed: job.failed,
+            quarantined: job.quarantined
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+   */
+  pruneFinishedJobs() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    finished
+      .slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach(job => {
+        this.jobs.delete(job.id);
+        this.reports.delete(job.id);
+      });
+  }
+
+  /**
+   * Get a job's status
+   * @param {string} id - Job id
+   * @returns {Object|null} Job status, or null if unknown
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJobResponse(job) : null;
+  }
+
+  /**
+   * Get the report of a completed job
+   * @param {string} id - Job id
+   * @returns {Object|null} Import report, or null if the job has not completed
+   */
+  getReport(id) {
+    return this.reports.get(id) || null;
+  }
+
+  /**
+   * Wait until every queued job has finished
+   * @returns {Promise<void>}
+   */
+  async waitForIdle() {
+    await this.queue;
+  }
+
+  /**
+   * Build the public view of a job with progress and ETA
+   * @param {Object} job - Job record
+   * @returns {Object} Job status
+   */
+  toJobResponse(job) {
+    const fraction = job.totalBytes > 0 ? Math.min(job.bytesProcessed / job.totalBytes, 1) : 0;
+
+    let etaSeconds = null;
+    if (job.status === 'completed' || job.status === 'failed') {
+      etaSeconds = 0;
+    } else if (job.status === 'running' && fraction > 0) {
+      const elapsedSeconds = (Date.now() - job.startedAt.getTime()) / 1000;
+      etaSeconds = Math.round(elapsedSeconds * (1 - fraction) / fraction);
+    }
+
+    return {
+      ...job,
+      progress: Math.round(fraction * 100),
+      etaSeconds
+    };
+  }
+}
+
+// Export singleton instance
+const importJobService = new ImportJobService();
+export default importJobService;
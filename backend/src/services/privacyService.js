@@ -0,0 +1,52 @@
+/**
+ * Privacy Service - Decides who sees customer PII and masks it for everyone else
+ *
+ * Masking happens on the way out, after searching and filtering, so a phone
+ * search still matches the full stored number.
+ */
+
+import { getPrivacyConfig, PII_ROLE } from '../config/privacy.js';
+import { maskRecord } from '../utils/piiMasking.js';
+import { hasRole } from './authService.js';
+
+const unmasked = (record) => record;
+
+class PrivacyService {
+  constructor() {
+    this.configure(getPrivacyConfig());
+  }
+
+  /**
+   * Apply privacy settings
+   * @param {Object} config - Settings from getPrivacyConfig
+   */
+  configure(config) {
+    this.config = config;
+  }
+
+  /**
+   * Whether a caller sees phone numbers and names in full
+   * @param {Object} user - req.user
+   * @returns {boolean} True for PII_ROLE and above
+   */
+  canViewPii(user) {
+    return Boolean(user) && hasRole(user.role, PII_ROLE);
+  }
+
+  /**
+   * Record mapper for a caller's responses
+   * @param {Object} user - req.user
+   * @returns {Function} Returns records unchanged for privileged callers, masked copies otherwise
+   */
+  maskerFor(user) {
+    if (this.canViewPii(user)) {
+      return unmasked;
+    }
+
+    return (record) => maskRecord(record, this.config);
+  }
+}
+
+// Export singleton instance
+const privacyService = new PrivacyService();
+export default privacyService;
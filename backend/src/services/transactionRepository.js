@@ -0,0 +1,289 @@
+/**
+ * TransactionRepository - Storage-independent access to transactions
+ *
+ * Controllers use this repository instead of a storage service. Every call
+ * is forwarded to the backend chosen by STORAGE_BACKEND (see config/storage.js):
+ * "mongo" queries MongoDB, "memory" serves a CSV loaded at startup and
+ * "sqlite" queries an embedded database file. Every backend implements the
+ * methods in REPOSITORY_METHODS with the same filters, sorts, pagination
+ * modes and aggregate fields.
+ */
+
+import database from '../config/database.js';
+import { getStorageConfig } from '../config/storage.js';
+import { loadProfile } from '../utils/columnMapping.js';
+import transactionServiceMongo from './transactionServiceMongo.js';
+import analyticsServiceMongo from './analyticsServiceMongo.js';
+import transactionServiceMemory from './transactionServiceMemory.js';
+import analyticsServiceMemory from './analyticsServiceMemory.js';
+import transactionServiceSqlite from './transactionServiceSqlite.js';
+import analyticsServiceSqlite from './analyticsServiceSqlite.js';
+import degradedModeService from './degradedModeService.js';
+
+/**
+ * The repository interface: methods each backend's services must provide
+ */
+export const REPOSITORY_METHODS = {
+  transactions: [
+    'getTransactions',
+    'getTransactionById',
+    'createTransaction',
+    'replaceTransaction',
+    'updateTransaction',
+    'deleteTransaction',
+    'getCustomerSummary',
+    'getExportCursor',
+    'getExportSummary',
+    'getFilterOptions',
+    'getStatistics'
+  ],
+  analytics: ['getTimeSeries', 'getBreakdown']
+};
+
+/**
+ * Methods that change data; while MongoDB is down these are refused rather than served from the fallback
+ */
+export const WRITE_METHODS = ['createTransaction', 'replaceTransaction', 'updateTransaction', 'deleteTransaction'];
+
+const BACKENDS = {
+  mongo: {
+    name: 'MongoDB',
+    transactions: transactionServiceMongo,
+    analytics: analyticsServiceMongo,
+    connect: () => database.connect(),
+    disconnect: () => database.disconnect()
+  },
+  memory: {
+    name: 'in-memory CSV',
+    transactions: transactionServiceMemory,
+    analytics: analyticsServiceMemory,
+    connect: async ({ dataFile, profile }) => {
+      const { loaded } = await transactionServiceMemory.loadFile(dataFile, {
+        profile: profile ? await loadProfile(profile) : undefined
+      });
+      console.log(`📁 Data file: ${dataFile} (${loaded.toLocaleString()} transactions)`);
+    },
+    disconnect: async () => transactionServiceMemory.clear()
+  },
+  sqlite: {
+    name: 'SQLite',
+    transactions: transactionServiceSqlite,
+    analytics: analyticsServiceSqlite,
+    connect: async ({ sqliteFile }) => {
+      transactionServiceSqlite.open(sqliteFile);
+      console.log(`🗄️  Database file: ${sqliteFile} (${transactionServiceSqlite.count().toLocaleString()} transactions)`);
+    },
+    disconnect: async () => transactionServiceSqlite.close()
+  }
+};
+
+class TransactionRepository {
+  constructor() {
+    this.configure(getStorageConfig());
+  }
+
+  /**
+   * Select the storage backend
+   * @param {Object} config - Storage configuration
+   * @param {string} config.backend - mongo, memory or sqlite
+   * @param {string} config.dataFile - CSV file for the memory backend
+   * @param {string} config.profile - Mapping profile name for the CSV file
+   * @param {string} config.sqliteFile - Database file for the sqlite backend
+   * @throws {Error} If the backend is unknown or does not implement the interface
+   */
+  configure(config) {
+    const backend = BACKENDS[config.backend];
+
+    if (!backend) {
+      throw new Error(`Unknown storage backend: ${config.backend}`);
+    }
+
+    const missing = Object.entries(REPOSITORY_METHODS).flatMap(([service, methods]) =>
+      methods.filter(method => typeof backend[service][method] !== 'function')
+    );
+    if (missing.length > 0) {
+      throw new Error(`Storage backend ${config.backend} does not implement: ${missing.join(', ')}`);
+    }
+
+    this.config = { dataFile: null, profile: null, sqliteFile: null, ...config };
+    this.backend = config.backend;
+    this.name = backend.name;
+  }
+
+  /**
+   * The selected backend's services and connect/disconnect hooks
+   * @returns {Object} Backend entry
+   */
+  get selected() {
+    return BACKENDS[this.backend];
+  }
+
+  /**
+   * Connect to the database, or load the CSV file for the memory backend
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    await this.selected.connect(this.config);
+  }
+
+  /**
+   * Disconnect from the database, or drop the in-memory data
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await this.selected.disconnect();
+  }
+
+  /**
+   * Whether MongoDB is down and requests are served in degraded read-only mode
+   * @returns {boolean} Always false for the memory and sqlite backends
+   */
+  isDegraded() {
+    return this.backend === 'mongo' && degradedModeService.isDegraded();
+  }
+
+  /**
+   * Call a method on the selected backend's service
+   * MongoDB calls go through the degraded mode service, which falls back to
+   * the CSV for reads (and refuses writes) while MongoDB is unreachable
+   * @param {string} service - transactions or analytics
+   * @param {string} method - Method name from REPOSITORY_METHODS
+   * @param {...*} args - Arguments for the method
+   * @returns {*} The method's result (a promise on the mongo backend)
+   */
+  dispatch(service, method, ...args) {
+    const call = () => this.selected[service][method](...args);
+
+    if (this.backend !== 'mongo') {
+      return call();
+    }
+
+    return degradedModeService.run(call, {
+      write: WRITE_METHODS.includes(method),
+      fallback: () => BACKENDS.memory[service][method](...args)
+    });
+  }
+
+  /**
+   * Get transactions with search, filter, sort, and pagination
+   * @param {Object} params - search, filters, sortBy, sortOrder, page, pageSize, cursor
+   * @returns {Promise<Object>} items, pagination and aggregateStats
+   */
+  getTransactions(params) {
+    return this.dispatch('transactions', 'getTransactions', params);
+  }
+
+  /**
+   * Get a single transaction by its transactionId
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Promise<Object|null>} Transaction, or null if not found
+   */
+  getTransactionById(transactionId) {
+    return this.dispatch('transactions', 'getTransactionById', transactionId);
+  }
+
+  /**
+   * Create a transaction
+   * @param {Object} data - Transaction fields
+   * @returns {Promise<Object>} Created transaction
+   */
+  createTransaction(data) {
+    return this.dispatch('transactions', 'createTransaction', data);
+  }
+
+  /**
+   * Replace every field of a transaction (PUT)
+   * @param {string} transactionId - Unique transaction identifier
+   * @param {Object} data - Complete transaction fields
+   * @returns {Promise<Object|null>} Replaced transaction, or null if not found
+   */
+  replaceTransaction(transactionId, data) {
+    return this.dispatch('transactions', 'replaceTransaction', transactionId, data);
+  }
+
+  /**
+   * Update some fields of a transaction (PATCH)
+   * @param {string} transactionId - Unique transaction identifier
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object|null>} Updated transaction, or null if not found
+   */
+  updateTransaction(transactionId, data) {
+    return this.dispatch('transactions', 'updateTransaction', transactionId, data);
+  }
+
+  /**
+   * Delete a transaction
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Promise<Object|null>} Deleted transaction, or null if not found
+   */
+  deleteTransaction(transactionId) {
+    return this.dispatch('transactions', 'deleteTransaction', transactionId);
+  }
+
+  /**
+   * Get a customer's profile, lifetime metrics and recent transactions
+   * @param {string} customerId - Customer identifier
+   * @param {Object} options - recentLimit
+   * @returns {Promise<Object|null>} Customer summary, or null if unknown
+   */
+  getCustomerSummary(customerId, options) {
+    return this.dispatch('transactions', 'getCustomerSummary', customerId, options);
+  }
+
+  /**
+   * Open an object stream over every transaction matching search and filters
+   * @param {Object} params - search, filters, sortBy, sortOrder
+   * @returns {Readable|Promise<Readable>} Stream of plain transaction objects
+   */
+  getExportCursor(params) {
+    return this.dispatch('transactions', 'getExportCursor', params);
+  }
+
+  /**
+   * Get the aggregate stats block for an export
+   * @param {Object} params - search, filters
+   * @returns {Promise<Object>} Total units, amount, discount and record count
+   */
+  getExportSummary(params) {
+    return this.dispatch('transactions', 'getExportSummary', params);
+  }
+
+  /**
+   * Get filter options based on current search and filters
+   * @param {Object} params - search, filters
+   * @returns {Promise<Object>} Available filter options
+   */
+  getFilterOptions(params) {
+    return this.dispatch('transactions', 'getFilterOptions', params);
+  }
+
+  /**
+   * Get overall statistics
+   * @returns {Promise<Object>} Overall statistics
+   */
+  getStatistics() {
+    return this.dispatch('transactions', 'getStatistics');
+  }
+
+  /**
+   * Get bucketed totals over time
+   * @param {Object} params - search, filters, granularity
+   * @returns {Promise<Object>} Granularity and ordered buckets
+   */
+  getTimeSeries(params) {
+    return this.dispatch('analytics', 'getTimeSeries', params);
+  }
+
+  /**
+   * Get per-value totals for a dimension
+   * @param {Object} params - search, filters, dimension
+   * @returns {Promise<Object>} Dimension, totals and groups
+   */
+  getBreakdown(params) {
+    return this.dispatch('analytics', 'getBreakdown', params);
+  }
+}
+
+// Export singleton instance
+const transactionRepository = new TransactionRepository();
+export default transactionRepository;
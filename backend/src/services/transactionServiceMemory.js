@@ -0,0 +1,475 @@
+/**
+ * In-memory Transaction Service - Serves transactions from a CSV file with no database
+ *
+ * Rows are stored as Transaction-shaped objects and queried with the MongoDB
+ * service's own query and sort builders, evaluated in JavaScript, so both
+ * storage backends return the same results for the same request
+ */
+
+import { Readable } from 'stream';
+import dataLoader from '../utils/dataLoader.js';
+import { encodeCursor } from '../utils/cursor.js';
+import { toStoredTransaction, toTransactionResponse } from '../utils/transactionDocuments.js';
+import { ConflictError } from '../utils/errorHandler.js';
+import {
+  matchesQuery,
+  sortDocuments,
+  compareValues,
+  sumOf,
+  averageOf,
+  minOf,
+  maxOf,
+  distinctValues
+} from '../utils/memoryQuery.js';
+import transactionServiceMongo, { formatDate, toWriteError } from './transactionServiceMongo.js';
+
+/**
+ * Totals for a set of transactions, matching Transaction.getAggregateStats
+ * @param {Array<Object>} transactions - Transactions
+ * @returns {Object} Units, amount, discount, count and order value stats
+ */
+const calculateAggregateStats = (transactions) => ({
+  totalUnits: sumOf(transactions, t => t.quantity),
+  totalAmount: sumOf(transactions, t => t.totalAmount),
+  totalDiscount: sumOf(transactions, t => t.totalAmount - t.finalAmount),
+  recordCount: transactions.length,
+  avgOrderValue: averageOf(transactions, t => t.finalAmount) || 0,
+  minOrderValue: minOf(transactions, t => t.finalAmount) || 0,
+  maxOrderValue: maxOf(transactions, t => t.finalAmount) || 0
+});
+
+/**
+ * Most frequent value of a field, ties broken by value
+ * @param {Array<Object>} transactions - Transactions
+ * @param {string} field - Field name
+ * @returns {*} Most frequent value, or null if there are no transactions
+ */
+const topValue = (transactions, field) => {
+  const counts = new Map();
+  transactions.forEach(t => {
+    const value = t[field] ?? null;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  const [top] = [...counts].sort((a, b) => (b[1] - a[1]) || compareValues(a[0], b[0]));
+  return top ? top[0] : null;
+};
+
+class TransactionServiceMemory {
+  constructor() {
+    this.transactions = [];
+    this.byTransactionId = new Map();
+  }
+
+  /**
+   * Load transactions from a CSV file, replacing any already loaded
+   * @param {string} filePath - Path to the CSV file
+   * @param {Object} options - Load options
+   * @param {Object} options.profile - Column mapping profile
+   * @returns {Promise<Object>} Loaded and skipped row counts
+   */
+  async loadFile(filePath, { profile } = {}) {
+    try {
+      dataLoader.clearCache();
+      const rows = await dataLoader.loadData(filePath, { profile });
+
+      // The store keeps its own copy; don't hold the parsed rows twice
+      dataLoader.clearCache();
+
+      return await this.loadTransactions(rows);
+    } catch (error) {
+      throw new Error(`Failed to load transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the stored transactions
+   * Rows the Transaction model rejects, or that repeat a transactionId, are skipped
+   * @param {Array<Object>} rows - Transaction fields
+   * @returns {Promise<Object>} Loaded and skipped row counts
+   */
+  async loadTransactions(rows) {
+    this.clear();
+    let skipped = 0;
+
+    for (const row of rows) {
+      try {
+        const transaction = await toStoredTransaction(row);
+        if (this.byTransactionId.has(transaction.transactionId)) {
+          skipped++;
+          continue;
+        }
+        this.transactions.push(transaction);
+        this.byTransactionId.set(transaction.transactionId, transaction);
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      console.warn(`⚠️  Skipped ${skipped} invalid or duplicate rows`);
+    }
+
+    return { loaded: this.transactions.length, skipped };
+  }
+
+  /**
+   * Remove every stored transaction
+   */
+  clear() {
+    this.transactions = [];
+    this.byTransactionId = new Map();
+  }
+
+  /**
+   * Stored transactions matching a MongoDB-style query
+   * @param {Object} query - Query built by the MongoDB service's builders
+   * @returns {Array<Object>} Matching transactions
+   */
+  find(query = {}) {
+    return Object.keys(query).length === 0
+      ? this.transactions
+      : this.transactions.filter(transaction => matchesQuery(transaction, query));
+  }
+
+  /**
+   * Get transactions with search, filter, sort, and pagination
+   * Supports the same offset and cursor modes as the MongoDB service
+   * @param {Object} params - Query parameters
+   * @param {Object} params.cursor - Decoded cursor from a previous nextCursor/prevCursor
+   * @returns {Promise<Object>} Paginated transactions with aggregate stats
+   */
+  async getTransactions(params = {}) {
+    try {
+      const {
+        search = '',
+        filters = {},
+        sortBy = 'date',
+        sortOrder = 'desc',
+        page = 1,
+        pageSize = 10,
+        cursor = null
+      } = params;
+
+      const combinedQuery = transactionServiceMongo.buildCombinedQuery(search, filters);
+      const sort = transactionServiceMongo.buildSortQuery(sortBy, sortOrder);
+
+      const matches = this.find(combinedQuery);
+      const aggregateStats = calculateAggregateStats(matches);
+
+      const totalItems = aggregateStats.recordCount;
+      const totalPages = Math.ceil(totalItems / pageSize);
+
+      let items;
+      let currentPage = page;
+      let hasNextPage = page < totalPages;
+      let hasPreviousPage = page > 1;
+
+      if (cursor) {
+        // Keyset page: take one extra row to learn whether more rows follow
+        const backward = cursor.direction === 'prev';
+        const keysetSort = backward
+          ? Object.fromEntries(Object.entries(sort).map(([field, dir]) => [field, -dir]))
+          : sort;
+        const keysetQuery = transactionServiceMongo.buildKeysetQuery(sortBy, sortOrder, cursor);
+
+        const rows = sortDocuments(matches.filter(t => matchesQuery(t, keysetQuery)), keysetSort)
+          .slice(0, pageSize + 1);
+
+        const hasMore = rows.length > pageSize;
+        items = rows.slice(0, pageSize);
+
+        if (backward) {
+          items.reverse();
+          hasPreviousPage = hasMore;
+          hasNextPage = true;
+          if (!hasMore) currentPage = 1;
+        } else {
+          hasNextPage = hasMore;
+          hasPreviousPage = true;
+        }
+      } else {
+        const skip = (page - 1) * pageSize;
+        items = sortDocuments(matches, sort).slice(skip, skip + pageSize);
+      }
+
+      const cursorOptions = { sortBy, sortOrder };
+      const nextCursor = hasNextPage && items.length > 0
+        ? encodeCursor(items[items.length - 1], { ...cursorOptions, direction: 'next' })
+        : null;
+      const prevCursor = hasPreviousPage && items.length > 0
+        ? encodeCursor(items[0], { ...cursorOptions, direction: 'prev' })
+        : null;
+
+      return {
+        items: items.map(item => ({ ...item, date: formatDate(item.date) })),
+        pagination: {
+          currentPage,
+          pageSize,
+          totalItems,
+          totalPages,
+          hasNextPage,
+          hasPreviousPage,
+          nextCursor,
+          prevCursor
+        },
+        aggregateStats: {
+          totalUnits: aggregateStats.totalUnits,
+          totalAmount: aggregateStats.totalAmount,
+          totalDiscount: aggregateStats.totalDiscount,
+          recordCount: aggregateStats.recordCount
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a single transaction by its transactionId
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Promise<Object|null>} Transaction with derived discountAmount, or null if not found
+   */
+  async getTransactionById(transactionId) {
+    const transaction = this.byTransactionId.get(transactionId);
+    return transaction ? toTransactionResponse(transaction) : null;
+  }
+
+  /**
+   * Create a transaction
+   * @param {Object} data - Transaction fields
+   * @returns {Promise<Object>} Created transaction
+   * @throws {ConflictError} If the transactionId already exists
+   */
+  async createTransaction(data) {
+    try {
+      const transaction = await toStoredTransaction(data);
+
+      if (this.byTransactionId.has(transaction.transactionId)) {
+        throw new ConflictError('A transaction with this transactionId already exists');
+      }
+
+      this.transactions.push(transaction);
+      this.byTransactionId.set(transaction.transactionId, transaction);
+      return toTransactionResponse(transaction);
+    } catch (error) {
+      throw toWriteError(error, 'create transaction');
+    }
+  }
+
+  /**
+   * Swap a stored transaction for a new version, keeping its _id and position
+   * @param {Object} existing - Stored transaction
+   * @param {Object} data - Complete new fields
+   * @returns {Promise<Object>} Stored replacement
+   */
+  async storeReplacement(existing, data) {
+    const replacement = await toStoredTransaction({ ...data, _id: existing._id });
+
+    if (
+      replacement.transactionId !== existing.transactionId &&
+      this.byTransactionId.has(replacement.transactionId)
+    ) {
+      throw new ConflictError('A transaction with this transactionId already exists');
+    }
+
+    this.transactions[this.transactions.indexOf(existing)] = replacement;
+    this.byTransactionId.delete(existing.transactionId);
+    this.byTransactionId.set(replacement.transactionId, replacement);
+    return replacement;
+  }
+
+  /**
+   * Replace every field of a transaction (PUT)
+   * @param {string} transactionId - Unique transaction identifier
+   * @param {Object} data - Complete transaction fields
+   * @returns {Promise<Object|null>} Replaced transaction, or null if not found
+   */
+  async replaceTransaction(transactionId, data) {
+    try {
+      const existing = this.byTransactionId.get(transactionId);
+      if (!existing) {
+        return null;
+      }
+
+      return toTransactionResponse(await this.storeReplacement(existing, { ...data, transactionId }));
+    } catch (error) {
+      throw toWriteError(error, 'replace transaction');
+    }
+  }
+
+  /**
+   * Update some fields of a transaction (PATCH)
+   * @param {string} transactionId - Unique transaction identifier
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object|null>} Updated transaction, or null if not found
+   */
+  async updateTransaction(transactionId, data) {
+    try {
+      const existing = this.byTransactionId.get(transactionId);
+      if (!existing) {
+        return null;
+      }
+
+      return toTransactionResponse(await this.storeReplacement(existing, { ...existing, ...data }));
+    } catch (error) {
+      throw toWriteError(error, 'update transaction');
+    }
+  }
+
+  /**
+   * Delete a transaction
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Promise<Object|null>} Deleted transaction, or null if not found
+   */
+  async deleteTransaction(transactionId) {
+    const existing = this.byTransactionId.get(transactionId);
+    if (!existing) {
+      return null;
+    }
+
+    this.transactions.splice(this.transactions.indexOf(existing), 1);
+    this.byTransactionId.delete(transactionId);
+    return toTransactionResponse(existing);
+  }
+
+  /**
+   * Get a customer's profile, lifetime metrics and recent transactions
+   * @param {string} customerId - Customer identifier
+   * @param {Object} options - Options
+   * @param {number} options.recentLimit - Number of recent transactions to include
+   * @returns {Promise<Object|null>} Customer summary, or null if the customer has no transactions
+   */
+  async getCustomerSummary(customerId, options = {}) {
+    try {
+      const { recentLimit = 10 } = options;
+
+      const purchases = sortDocuments(this.find({ customerId }), { date: -1 });
+      if (purchases.length === 0) {
+        return null;
+      }
+
+      const { customerName, phoneNumber, gender, age, customerRegion } = purchases[0];
+      const dates = purchases.map(t => t.date).filter(Boolean);
+
+      return {
+        customerId,
+        profile: { customerName, phoneNumber, gender, age, customerRegion },
+        metrics: {
+          firstPurchaseDate: formatDate(dates[dates.length - 1]),
+          lastPurchaseDate: formatDate(dates[0]),
+          orderCount: purchases.length,
+          totalUnits: sumOf(purchases, t => t.quantity),
+          totalSpend: sumOf(purchases, t => t.finalAmount),
+          totalDiscount: sumOf(purchases, t => t.totalAmount - t.finalAmount),
+          favouriteCategory: topValue(purchases, 'productCategory'),
+          favouritePaymentMethod: topValue(purchases, 'paymentMethod')
+        },
+        recentTransactions: purchases.slice(0, recentLimit).map(item => ({
+          ...item,
+          date: formatDate(item.date)
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to get customer summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a stream over every transaction matching search and filters
+   * @param {Object} params - Query parameters (search, filters, sortBy, sortOrder)
+   * @returns {Readable} Object-mode stream of plain objects without _id
+   */
+  getExportCursor(params = {}) {
+    const {
+      search = '',
+      filters = {},
+      sortBy = 'date',
+      sortOrder = 'desc'
+    } = params;
+
+    const combinedQuery = transactionServiceMongo.buildCombinedQuery(search, filters);
+    const sort = transactionServiceMongo.buildSortQuery(sortBy, sortOrder);
+
+    // Exports leave out _id, like the MongoDB cursor's projection
+    const rows = sortDocuments(this.find(combinedQuery), sort).map(transaction => {
+      const { _id, ...fields } = transaction;
+      return fields;
+    });
+    return Readable.from(rows);
+  }
+
+  /**
+   * Get the aggregate stats block for an export
+   * @param {Object} params - Query parameters (search, filters)
+   * @returns {Promise<Object>} Total units, amount, discount and record count
+   */
+  async getExportSummary(params = {}) {
+    try {
+      const { search = '', filters = {} } = params;
+      const stats = calculateAggregateStats(
+        this.find(transactionServiceMongo.buildCombinedQuery(search, filters))
+      );
+
+      return {
+        totalUnits: stats.totalUnits,
+        totalAmount: stats.totalAmount,
+        totalDiscount: stats.totalDiscount,
+        recordCount: stats.recordCount
+      };
+    } catch (error) {
+      throw new Error(`Failed to get export summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get filter options based on current search and filters
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Available filter options
+   */
+  async getFilterOptions(params = {}) {
+    try {
+      const { search = '', filters = {} } = params;
+      const matches = this.find(transactionServiceMongo.buildCombinedQuery(search, filters));
+      const options = (field) => distinctValues(matches, field).filter(value => value && value !== '');
+
+      const minAge = minOf(matches, t => t.age);
+      const maxAge = maxOf(matches, t => t.age);
+
+      return {
+        customerRegion: options('customerRegion'),
+        gender: options('gender'),
+        productCategory: options('productCategory'),
+        tags: options('tags'),
+        paymentMethod: options('paymentMethod'),
+        ageRange: matches.length > 0
+          ? { min: minAge || 0, max: maxAge || 100 }
+          : { min: 0, max: 100 }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get filter options: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get overall statistics (for dashboard)
+   * @returns {Promise<Object>} Overall statistics
+   */
+  async getStatistics() {
+    const stats = calculateAggregateStats(this.transactions);
+
+    return {
+      totalTransactions: stats.recordCount,
+      uniqueCustomers: distinctValues(this.transactions, 'customerId').length,
+      uniqueProducts: distinctValues(this.transactions, 'productId').length,
+      totalRevenue: stats.totalAmount,
+      averageOrderValue: stats.avgOrderValue,
+      minOrderValue: stats.minOrderValue,
+      maxOrderValue: stats.maxOrderValue
+    };
+  }
+}
+
+// Export singleton instance
+const transactionServiceMemory = new TransactionServiceMemory();
+export default transactionServiceMemory;
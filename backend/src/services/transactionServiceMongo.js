@@ -4,7 +4,68 @@
  * Provides blazing fast queries with database indexes
  */
 
+import mongoose from 'mongoose';
 import Transaction from '../models/Transaction.js';
+import { encodeCursor } from '../utils/cursor.js';
+import { ValidationError, ConflictError } from '../utils/errorHandler.js';
+
+/**
+ * Format a Date as YYYY-MM-DD for the frontend
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date or empty string
+ */
+export const formatDate = (date) => (date ? date.toISOString().split('T')[0] : '');
+
+/**
+ * Escape regular expression metacharacters so a search term matches literally
+ * @param {string} term - Search term
+ * @returns {string} Pattern matching the term as typed
+ */
+export const escapeRegExp = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convert a Transaction document into an API response object
+ * @param {mongoose.Document} transaction - Transaction document
+ * @returns {Object} Plain object with derived discountAmount and formatted date
+ */
+const toTransactionResponse = (transaction) => {
+  const result = transaction.toObject({ virtuals: ['discountAmount'], versionKey: false });
+
+  return {
+    ...result,
+    date: formatDate(result.date)
+  };
+};
+
+/**
+ * Map database write errors onto API error classes
+ * @param {Error} error - Error raised by a write
+ * @param {string} action - Action description for the fallback message
+ * @returns {Error} Error to throw
+ */
+export const toWriteError = (error, action) => {
+  if (error.statusCode) {
+    return error;
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      'Invalid transaction',
+      Object.values(error.errors).map(fieldError => fieldError.message)
+    );
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError('Invalid transaction', [`${error.path} has an invalid value`]);
+  }
+
+  if (error.code === 11000) {
+    return new ConflictError('A transaction with this transactionId already exists');
+  }
+
+  console.error(`MongoDB ${action} error:`, error);
+  return new Error(`Failed to ${action}: ${error.message}`);
+};
 
 class TransactionServiceMongo {
   /**
@@ -74,7 +135,9 @@ class TransactionServiceMongo {
       return {};
     }
 
-    const term = searchTerm.trim();
+    // Match the text as typed: an unescaped term could be an invalid pattern,
+    // or one that backtracks for seconds on every document
+    const term = escapeRegExp(searchTerm.trim());
     
     // Use $or for flexible searching across multiple fields
     return {
@@ -88,6 +151,21 @@ class TransactionServiceMongo {
     };
   }
 
+  /**
+   * Combine filter and search parameters into a single MongoDB query
+   * @param {string} search - Search term
+   * @param {Object} filters - Filter parameters
+   * @returns {Object} MongoDB query object
+   */
+  buildCombinedQuery(search = '', filters = {}) {
+    const filterQuery = this.buildFilterQuery(filters);
+    const searchQuery = this.buildSearchQuery(search);
+
+    return search
+      ? { $and: [filterQuery, searchQuery] }
+      : filterQuery;
+  }
+
   /**
    * Build sort object for MongoDB
    * @param {string} sortBy - Field to sort by
@@ -95,14 +173,43 @@ class TransactionServiceMongo {
    * @returns {Object} MongoDB sort object
    */
   buildSortQuery(sortBy = 'date', sortOrder = 'desc') {
+    const direction = sortOrder === 'asc' ? 1 : -1;
     const sortObj = {};
-    sortObj[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    sortObj[sortBy] = direction;
+    // _id tie-breaker keeps the order stable for rows with equal sort keys
+    sortObj._id = direction;
     return sortObj;
   }
 
+  /**
+   * Build the range condition selecting rows after (or before) a cursor
+   * @param {string} sortBy - Field to sort by
+   * @param {string} sortOrder - Sort order (asc/desc)
+   * @param {Object} cursor - Decoded cursor with value, id and direction
+   * @returns {Object} MongoDB query object
+   */
+  buildKeysetQuery(sortBy, sortOrder, cursor) {
+    // Walking forward through an ascending sort means "greater than the cursor";
+    // walking backward or through a descending sort flips the comparison
+    const forward = (sortOrder === 'asc') === (cursor.direction === 'next');
+    const op = forward ? '$gt' : '$lt';
+
+    return {
+      $or: [
+        { [sortBy]: { [op]: cursor.value } },
+        { [sortBy]: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    };
+  }
+
   /**
    * Get transactions with search, filter, sort, and pagination
+   *
+   * Offset mode (page) supports jumping to any page. Cursor mode (cursor)
+   * walks one page forward or back from a previous result using the sort key,
+   * which stays fast however deep the page is.
    * @param {Object} params - Query parameters
+   * @param {Object} params.cursor - Decoded cursor from a previous nextCursor/prevCursor
    * @returns {Promise<Object>} Paginated transactions with aggregate stats
    */
   async getTransactions(params = {}) {
@@ -113,17 +220,12 @@ class TransactionServiceMongo {
         sortBy = 'date',
         sortOrder = 'desc',
         page = 1,
-        pageSize = 10
+        pageSize = 10,
+        cursor = null
       } = params;
 
-      // Build query
-      const filterQuery = this.buildFilterQuery(filters);
-      const searchQuery = this.buildSearchQuery(search);
-      
-      // Combine filter and search queries
-      const combinedQuery = search 
-        ? { $and: [filterQuery, searchQuery] }
-        : filterQuery;
+      // Build combined filter and search query
+      const combinedQuery = this.buildCombinedQuery(search, filters);
 
       // Build sort
       const sort = this.buildSortQuery(sortBy, sortOrder);
@@ -134,33 +236,78 @@ class TransactionServiceMongo {
       // Calculate pagination
       const totalItems = aggregateStats.recordCount;
       const totalPages = Math.ceil(totalItems / pageSize);
-      const skip = (page - 1) * pageSize;
 
-      // Get paginated items (indexed query = blazing fast!)
-      const items = await Transaction
-        .find(combinedQuery)
-        .sort(sort)
-        .skip(skip)
-        .limit(pageSize)
-        .lean() // Returns plain JavaScript objects (faster)
-        .select('-__v -createdAt -updatedAt'); // Exclude unnecessary fields
+      let items;
+      let currentPage = page;
+      let hasNextPage = page < totalPages;
+      let hasPreviousPage = page > 1;
+
+      if (cursor) {
+        // Keyset page: fetch one extra row to learn whether more rows follow
+        const backward = cursor.direction === 'prev';
+        const keysetSort = backward
+          ? Object.fromEntries(Object.entries(sort).map(([field, dir]) => [field, -dir]))
+          : sort;
+
+        const rows = await Transaction
+          .find({ $and: [combinedQuery, this.buildKeysetQuery(sortBy, sortOrder, cursor)] })
+          .sort(keysetSort)
+          .limit(pageSize + 1)
+          .lean()
+          .select('-__v -createdAt -updatedAt');
+
+        const hasMore = rows.length > pageSize;
+        items = rows.slice(0, pageSize);
+
+        if (backward) {
+          items.reverse();
+          hasPreviousPage = hasMore;
+          hasNextPage = true;
+          if (!hasMore) currentPage = 1;
+        } else {
+          hasNextPage = hasMore;
+          hasPreviousPage = true;
+        }
+      } else {
+        const skip = (page - 1) * pageSize;
+
+        // Get paginated items (indexed query = blazing fast!)
+        items = await Transaction
+          .find(combinedQuery)
+          .sort(sort)
+          .skip(skip)
+          .limit(pageSize)
+          .lean() // Returns plain JavaScript objects (faster)
+          .select('-__v -createdAt -updatedAt'); // Exclude unnecessary fields
+      }
+
+      // Cursors for walking to the adjacent pages
+      const cursorOptions = { sortBy, sortOrder };
+      const nextCursor = hasNextPage && items.length > 0
+        ? encodeCursor(items[items.length - 1], { ...cursorOptions, direction: 'next' })
+        : null;
+      const prevCursor = hasPreviousPage && items.length > 0
+        ? encodeCursor(items[0], { ...cursorOptions, direction: 'prev' })
+        : null;
 
       // Format dates for frontend
       const formattedItems = items.map(item => ({
         ...item,
-        date: item.date ? item.date.toISOString().split('T')[0] : ''
+        date: formatDate(item.date)
       }));
 
       // Return result with pagination info
       return {
         items: formattedItems,
         pagination: {
-          currentPage: page,
+          currentPage,
           pageSize,
           totalItems,
           totalPages,
-          hasNextPage: page < totalPages,
-          hasPreviousPage: page > 1
+          hasNextPage,
+          hasPreviousPage,
+          nextCursor,
+          prevCursor
         },
         aggregateStats: {
           totalUnits: aggregateStats.totalUnits || 0,
@@ -176,6 +323,239 @@ class TransactionServiceMongo {
     }
   }
 
+  /**
+   * Get a single transaction by its transactionId
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Promise<Object|null>} Transaction with derived discountAmount, or null if not found
+   */
+  async getTransactionById(transactionId) {
+    try {
+      const transaction = await Transaction
+        .findOne({ transactionId })
+        .select('-__v -createdAt -updatedAt');
+
+      return transaction ? toTransactionResponse(transaction) : null;
+
+    } catch (error) {
+      console.error('MongoDB transaction lookup error:', error);
+      throw new Error(`Failed to get transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a transaction
+   * @param {Object} data - Transaction fields
+   * @returns {Promise<Object>} Created transaction
+   * @throws {ConflictError} If the transactionId already exists
+   */
+  async createTransaction(data) {
+    try {
+      const transaction = await Transaction.create(data);
+      return toTransactionResponse(transaction);
+
+    } catch (error) {
+      throw toWriteError(error, 'create transaction');
+    }
+  }
+
+  /**
+   * Replace every field of a transaction (PUT)
+   * @param {string} transactionId - Unique transaction identifier
+   * @param {Object} data - Complete transaction fields
+   * @returns {Promise<Object|null>} Replaced transaction, or null if not found
+   */
+  async replaceTransaction(transactionId, data) {
+    try {
+      const transaction = await Transaction.findOneAndReplace(
+        { transactionId },
+        { ...data, transactionId },
+        { returnDocument: 'after', runValidators: true }
+      );
+
+      return transaction ? toTransactionResponse(transaction) : null;
+
+    } catch (error) {
+      throw toWriteError(error, 'replace transaction');
+    }
+  }
+
+  /**
+   * Update some fields of a transaction (PATCH)
+   * @param {string} transactionId - Unique transaction identifier
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object|null>} Updated transaction, or null if not found
+   */
+  async updateTransaction(transactionId, data) {
+    try {
+      const transaction = await Transaction.findOneAndUpdate(
+        { transactionId },
+        { $set: data },
+        { returnDocument: 'after', runValidators: true }
+      );
+
+      return transaction ? toTransactionResponse(transaction) : null;
+
+    } catch (error) {
+      throw toWriteError(error, 'update transaction');
+    }
+  }
+
+  /**
+   * Delete a transaction
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Promise<Object|null>} Deleted transaction, or null if not found
+   */
+  async deleteTransaction(transactionId) {
+    try {
+      const transaction = await Transaction.findOneAndDelete({ transactionId });
+      return transaction ? toTransactionResponse(transaction) : null;
+
+    } catch (error) {
+      throw toWriteError(error, 'delete transaction');
+    }
+  }
+
+  /**
+   * Get a customer's profile, lifetime metrics and recent transactions
+   * @param {string} customerId - Customer identifier
+   * @param {Object} options - Options
+   * @param {number} options.recentLimit - Number of recent transactions to include
+   * @returns {Promise<Object|null>} Customer summary, or null if the customer has no transactions
+   */
+  async getCustomerSummary(customerId, options = {}) {
+    try {
+      const { recentLimit = 10 } = options;
+
+      // Most frequent value of a field, ties broken alphabetically
+      const topValue = (field) => [
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 1 }
+      ];
+
+      const [result] = await Transaction.aggregate([
+        { $match: { customerId } },
+        {
+          $facet: {
+            profile: [
+              { $sort: { date: -1 } },
+              { $limit: 1 },
+              {
+                $project: {
+                  _id: 0,
+                  customerName: 1,
+                  phoneNumber: 1,
+                  gender: 1,
+                  age: 1,
+                  customerRegion: 1
+                }
+              }
+            ],
+            lifetime: [
+              {
+                $group: {
+                  _id: null,
+                  firstPurchaseDate: { $min: '$date' },
+                  lastPurchaseDate: { $max: '$date' },
+                  orderCount: { $sum: 1 },
+                  totalUnits: { $sum: '$quantity' },
+                  totalSpend: { $sum: '$finalAmount' },
+                  totalDiscount: { $sum: { $subtract: ['$totalAmount', '$finalAmount'] } }
+                }
+              }
+            ],
+            favouriteCategory: topValue('productCategory'),
+            favouritePaymentMethod: topValue('paymentMethod'),
+            recentTransactions: [
+              { $sort: { date: -1 } },
+              { $limit: recentLimit },
+              { $project: { __v: 0, createdAt: 0, updatedAt: 0 } }
+            ]
+          }
+        }
+      ]);
+
+      if (!result || result.lifetime.length === 0) {
+        return null;
+      }
+
+      const lifetime = result.lifetime[0];
+
+      return {
+        customerId,
+        profile: result.profile[0],
+        metrics: {
+          firstPurchaseDate: formatDate(lifetime.firstPurchaseDate),
+          lastPurchaseDate: formatDate(lifetime.lastPurchaseDate),
+          orderCount: lifetime.orderCount,
+          totalUnits: lifetime.totalUnits || 0,
+          totalSpend: lifetime.totalSpend || 0,
+          totalDiscount: lifetime.totalDiscount || 0,
+          favouriteCategory: result.favouriteCategory[0]?._id || null,
+          favouritePaymentMethod: result.favouritePaymentMethod[0]?._id || null
+        },
+        recentTransactions: result.recentTransactions.map(item => ({
+          ...item,
+          date: formatDate(item.date)
+        }))
+      };
+
+    } catch (error) {
+      console.error('MongoDB customer summary error:', error);
+      throw new Error(`Failed to get customer summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a cursor over every transaction matching search and filters
+   * Documents are streamed one at a time so large exports are never buffered
+   * @param {Object} params - Query parameters (search, filters, sortBy, sortOrder)
+   * @returns {Object} Mongoose query cursor yielding plain objects
+   */
+  getExportCursor(params = {}) {
+    const {
+      search = '',
+      filters = {},
+      sortBy = 'date',
+      sortOrder = 'desc'
+    } = params;
+
+    const combinedQuery = this.buildCombinedQuery(search, filters);
+    const sort = this.buildSortQuery(sortBy, sortOrder);
+
+    return Transaction
+      .find(combinedQuery)
+      .sort(sort)
+      .lean()
+      .select('-_id -__v -createdAt -updatedAt')
+      .batchSize(1000)
+      .cursor();
+  }
+
+  /**
+   * Get the aggregate stats block for an export
+   * @param {Object} params - Query parameters (search, filters)
+   * @returns {Promise<Object>} Total units, amount, discount and record count
+   */
+  async getExportSummary(params = {}) {
+    try {
+      const { search = '', filters = {} } = params;
+      const combinedQuery = this.buildCombinedQuery(search, filters);
+      const stats = await Transaction.getAggregateStats(combinedQuery);
+
+      return {
+        totalUnits: stats.totalUnits || 0,
+        totalAmount: stats.totalAmount || 0,
+        totalDiscount: stats.totalDiscount || 0,
+        recordCount: stats.recordCount || 0
+      };
+
+    } catch (error) {
+      console.error('MongoDB export summary error:', error);
+      throw new Error(`Failed to get export summary: ${error.message}`);
+    }
+  }
+
   /**
    * Get filter options based on current search and filters
    * @param {Object} params - Query parameters
@@ -186,11 +566,7 @@ class TransactionServiceMongo {
       const { search = '', filters = {} } = params;
 
       // Build base query
-      const filterQuery = this.buildFilterQuery(filters);
-      const searchQuery = this.buildSearchQuery(search);
-      const combinedQuery = search 
-        ? { $and: [filterQuery, searchQuery] }
-        : filterQuery;
+      const combinedQuery = this.buildCombinedQuery(search, filters);
 
       // Get distinct values for each filter field (indexed = fast!)
       const [regions, genders, categories, tags, paymentMethods] = await Promise.all([
@@ -0,0 +1,924 @@
+/**
+ * SQLite Transaction Service - Serves transactions from an embedded SQLite file
+ *
+ * Translates the MongoDB service's filters, search, sorts and keyset cursors
+ * into SQL, so a single file (or ':memory:') can stand in for MongoDB on
+ * small stores and in hermetic tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import Database from 'better-sqlite3';
+import mongoose from 'mongoose';
+import DataImporter from './dataImporter.js';
+import { encodeCursor } from '../utils/cursor.js';
+import { openRowReader, detectFormat, UnparseableRow } from '../utils/rowReaders.js';
+import { toStoredTransaction, toTransactionResponse } from '../utils/transactionDocuments.js';
+import { ConflictError } from '../utils/errorHandler.js';
+import { formatDate, toWriteError, escapeRegExp } from './transactionServiceMongo.js';
+
+// Columns of the transactions table, in the order of the Transaction model
+export const COLUMNS = [
+  '_id',
+  'transactionId',
+  'customerId',
+  'customerName',
+  'phoneNumber',
+  'gender',
+  'age',
+  'customerRegion',
+  'productId',
+  'productCategory',
+  'tags',
+  'quantity',
+  'totalAmount',
+  'finalAmount',
+  'date',
+  'paymentMethod',
+  'employeeName',
+  'importBatchId'
+];
+
+// _id and importBatchId hold ObjectId hex strings, tags a JSON array and date epoch milliseconds
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS transactions (
+    _id TEXT PRIMARY KEY,
+    transactionId TEXT NOT NULL UNIQUE,
+    customerId TEXT NOT NULL,
+    customerName TEXT NOT NULL,
+    phoneNumber TEXT,
+    gender TEXT,
+    age REAL,
+    customerRegion TEXT,
+    productId TEXT,
+    productCategory TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    quantity REAL NOT NULL,
+    totalAmount REAL NOT NULL,
+    finalAmount REAL,
+    date INTEGER NOT NULL,
+    paymentMethod TEXT,
+    employeeName TEXT,
+    importBatchId TEXT
+  );
+
+  -- Keyset pagination: sort key plus _id tie-breaker
+  CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions (date, _id);
+  CREATE INDEX IF NOT EXISTS idx_transactions_customer_name ON transactions (customerName, _id);
+
+  CREATE INDEX IF NOT EXISTS idx_transactions_customer_id ON transactions (customerId);
+  CREATE INDEX IF NOT EXISTS idx_transactions_region_gender ON transactions (customerRegion, gender);
+  CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions (productCategory);
+  CREATE INDEX IF NOT EXISTS idx_transactions_payment_method ON transactions (paymentMethod);
+`;
+
+// Filters that select rows whose column is one of the given values
+const IN_FILTERS = ['customerRegion', 'gender', 'productCategory', 'paymentMethod'];
+
+// Columns searched case-insensitively, like the MongoDB search's $regex fields
+// (productName is searched there too, but it is not a stored field)
+const SEARCH_COLUMNS = ['customerName', 'phoneNumber', 'customerId', 'transactionId'];
+
+const EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Turn a list of conditions into a WHERE clause
+ * @param {Array<string>} conditions - SQL conditions
+ * @returns {string} WHERE clause, or an empty string for no conditions
+ */
+export const whereSql = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+/**
+ * Placeholders for an IN list
+ * @param {Array} values - Values to bind
+ * @returns {string} (?, ?, ...)
+ */
+const placeholders = (values) => `(${values.map(() => '?').join(', ')})`;
+
+/**
+ * Convert a stored transaction into table column values
+ * @param {Object} transaction - Stored transaction from toStoredTransaction
+ * @returns {Object} Column values keyed by column name
+ */
+const toRow = (transaction) => Object.fromEntries(COLUMNS.map(column => {
+  const value = transaction[column];
+
+  switch (column) {
+    case '_id':
+    case 'importBatchId':
+      return [column, value ? String(value) : null];
+    case 'tags':
+      return [column, JSON.stringify(value || [])];
+    case 'date':
+      return [column, value.getTime()];
+    default:
+      return [column, value ?? null];
+  }
+}));
+
+/**
+ * Convert a table row back into a stored transaction
+ * NULL columns are left out, like fields missing from a MongoDB document
+ * @param {Object} row - Table row
+ * @returns {Object} Transaction with ObjectId _id, Date date and tags array
+ */
+const fromRow = (row) => {
+  const transaction = {};
+
+  COLUMNS.forEach(column => {
+    const value = row[column];
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    switch (column) {
+      case '_id':
+      case 'importBatchId':
+        transaction[column] = new mongoose.Types.ObjectId(value);
+        break;
+      case 'tags':
+        transaction[column] = JSON.parse(value);
+        break;
+      case 'date':
+        transaction[column] = new Date(value);
+        break;
+      default:
+        transaction[column] = value;
+    }
+  });
+
+  return transaction;
+};
+
+/**
+ * Convert aggregate stats columns, matching Transaction.getAggregateStats
+ * @param {Object} stats - Row from the aggregate stats query
+ * @returns {Object} Units, amount, discount, count and order value stats
+ */
+const toAggregateStats = (stats) => ({
+  totalUnits: stats.totalUnits,
+  totalAmount: stats.totalAmount,
+  totalDiscount: stats.totalDiscount,
+  recordCount: stats.recordCount,
+  avgOrderValue: stats.avgOrderValue || 0,
+  minOrderValue: stats.minOrderValue || 0,
+  maxOrderValue: stats.maxOrderValue || 0
+});
+
+class TransactionServiceSqlite {
+  constructor() {
+    this.db = null;
+    this.file = null;
+    this.patterns = new Map();
+  }
+
+  /**
+   * Open (and create if needed) the database file
+   * @param {string} file - Database file path, or ':memory:'
+   * @returns {Database} Open connection
+   */
+  open(file) {
+    this.close();
+
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    }
+
+    const db = new Database(file);
+    if (file !== ':memory:') {
+      db.pragma('journal_mode = WAL');
+    }
+
+    // X REGEXP Y calls regexp(Y, X); buildConditions passes the escaped
+    // search term, matched case-insensitively like $regex with $options: 'i'
+    db.function('regexp', { deterministic: true }, (pattern, value) =>
+      (typeof value === 'string' && this.patternFor(pattern).test(value) ? 1 : 0)
+    );
+
+    db.exec(SCHEMA);
+
+    this.db = db;
+    this.file = file;
+    return db;
+  }
+
+  /**
+   * Close the database if it is open
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+    this.db = null;
+    this.file = null;
+    this.patterns.clear();
+  }
+
+  /**
+   * The open connection
+   * @returns {Database} Connection
+   * @throws {Error} If open() has not been called
+   */
+  get connection() {
+    if (!this.db) {
+      throw new Error('SQLite database is not open');
+    }
+    return this.db;
+  }
+
+  /**
+   * Compiled case-insensitive pattern, cached across rows
+   * @param {string} pattern - Regular expression source
+   * @returns {RegExp} Compiled pattern
+   */
+  patternFor(pattern) {
+    if (!this.patterns.has(pattern)) {
+      if (this.patterns.size >= 100) {
+        this.patterns.clear();
+      }
+      this.patterns.set(pattern, new RegExp(pattern, 'i'));
+    }
+    return this.patterns.get(pattern);
+  }
+
+  /**
+   * Build SQL conditions from filter parameters, like buildFilterQuery
+   * @param {Object} filters - Filter parameters
+   * @returns {Object} conditions (SQL on table alias t) and params to bind
+   */
+  buildFilterConditions(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    IN_FILTERS.forEach(field => {
+      const values = filters[field];
+      if (values && values.length > 0) {
+        conditions.push(`t.${field} IN ${placeholders(values)}`);
+        params.push(...values);
+      }
+    });
+
+    // Age Range filter (0 and 100 mean "no bound", as on MongoDB)
+    if (filters.ageRange) {
+      const { min, max } = filters.ageRange;
+      if (min !== undefined && min > 0) {
+        conditions.push('t.age >= ?');
+        params.push(min);
+      }
+      if (max !== undefined && max < 100) {
+        conditions.push('t.age <= ?');
+        params.push(max);
+      }
+    }
+
+    // Tags filter (rows must contain at least one of the specified tags)
+    if (filters.tags && filters.tags.length > 0) {
+      conditions.push(`EXISTS (SELECT 1 FROM json_each(t.tags) AS tag WHERE tag.value IN ${placeholders(filters.tags)})`);
+      params.push(...filters.tags);
+    }
+
+    // Date Range filter
+    if (filters.dateRange) {
+      const { start, end } = filters.dateRange;
+      if (start) {
+        conditions.push('t.date >= ?');
+        params.push(new Date(start).getTime());
+      }
+      if (end) {
+        conditions.push('t.date <= ?');
+        params.push(new Date(end).getTime());
+      }
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Combine filter and search parameters into SQL conditions
+   * @param {string} search - Search term
+   * @param {Object} filters - Filter parameters
+   * @returns {Object} conditions (SQL on table alias t) and params to bind
+   */
+  buildConditions(search = '', filters = {}) {
+    const { conditions, params } = this.buildFilterConditions(filters);
+    const term = search ? escapeRegExp(search.trim()) : '';
+
+    if (term) {
+      conditions.push(`(${SEARCH_COLUMNS.map(column => `t.${column} REGEXP ?`).join(' OR ')})`);
+      params.push(...SEARCH_COLUMNS.map(() => term));
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Build an ORDER BY clause with the _id tie-breaker, like buildSortQuery
+   * @param {string} sortBy - Field to sort by
+   * @param {string} sortOrder - Sort order (asc/desc)
+   * @param {boolean} reverse - Flip the direction (for walking backward)
+   * @returns {string} ORDER BY clause
+   * @throws {Error} If the field is not a sortable column
+   */
+  buildOrderBy(sortBy = 'date', sortOrder = 'desc', reverse = false) {
+    if (!COLUMNS.includes(sortBy) || sortBy === 'tags') {
+      throw new Error(`Unsupported sort field: ${sortBy}`);
+    }
+
+    const ascending = (sortOrder === 'asc') !== reverse;
+    const direction = ascending ? 'ASC' : 'DESC';
+    return `ORDER BY t.${sortBy} ${direction}, t._id ${direction}`;
+  }
+
+  /**
+   * Build the condition selecting rows after (or before) a cursor, like buildKeysetQuery
+   * @param {string} sortBy - Field to sort by
+   * @param {string} sortOrder - Sort order (asc/desc)
+   * @param {Object} cursor - Decoded cursor with value, id and direction
+   * @returns {Object} condition and params to bind
+   */
+  buildKeysetCondition(sortBy, sortOrder, cursor) {
+    const forward = (sortOrder === 'asc') === (cursor.direction === 'next');
+    const op = forward ? '>' : '<';
+    const value = cursor.value instanceof Date ? cursor.value.getTime() : cursor.value;
+    const id = String(cursor.id);
+
+    return {
+      condition: `(t.${sortBy} ${op} ? OR (t.${sortBy} = ? AND t._id ${op} ?))`,
+      params: [value, value, id]
+    };
+  }
+
+  /**
+   * Totals for the rows matching some conditions
+   * @param {Object} where - conditions and params from buildConditions
+   * @returns {Object} Units, amount, discount, count and order value stats
+   */
+  queryAggregateStats({ conditions, params }) {
+    const stats = this.connection.prepare(`
+      SELECT
+        COALESCE(SUM(t.quantity), 0) AS totalUnits,
+        COALESCE(SUM(t.totalAmount), 0) AS totalAmount,
+        COALESCE(SUM(t.totalAmount - t.finalAmount), 0) AS totalDiscount,
+        COUNT(*) AS recordCount,
+        AVG(t.finalAmount) AS avgOrderValue,
+        MIN(t.finalAmount) AS minOrderValue,
+        MAX(t.finalAmount) AS maxOrderValue
+      FROM transactions t
+      ${whereSql(conditions)}
+    `).get(...params);
+
+    return toAggregateStats(stats);
+  }
+
+  /**
+   * Rows matching some conditions
+   * @param {Object} where - conditions and params
+   * @param {string} orderBy - ORDER BY clause
+   * @param {Object} page - limit and offset
+   * @returns {Array<Object>} Stored transactions
+   */
+  queryTransactions({ conditions, params }, orderBy = '', { limit = -1, offset = 0 } = {}) {
+    return this.connection.prepare(`
+      SELECT t.* FROM transactions t
+      ${whereSql(conditions)}
+      ${orderBy}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(fromRow);
+  }
+
+  /**
+   * Number of stored transactions
+   * @returns {number} Row count
+   */
+  count() {
+    return this.connection.prepare('SELECT COUNT(*) AS count FROM transactions').get().count;
+  }
+
+  /**
+   * Get transactions with search, filter, sort, and pagination
+   * Supports the same offset and cursor modes as the MongoDB service
+   * @param {Object} params - Query parameters
+   * @param {Object} params.cursor - Decoded cursor from a previous nextCursor/prevCursor
+   * @returns {Promise<Object>} Paginated transactions with aggregate stats
+   */
+  async getTransactions(params = {}) {
+    try {
+      const {
+        search = '',
+        filters = {},
+        sortBy = 'date',
+        sortOrder = 'desc',
+        page = 1,
+        pageSize = 10,
+        cursor = null
+      } = params;
+
+      const where = this.buildConditions(search, filters);
+      const aggregateStats = this.queryAggregateStats(where);
+
+      const totalItems = aggregateStats.recordCount;
+      const totalPages = Math.ceil(totalItems / pageSize);
+
+      let items;
+      let currentPage = page;
+      let hasNextPage = page < totalPages;
+      let hasPreviousPage = page > 1;
+
+      if (cursor) {
+        // Keyset page: fetch one extra row to learn whether more rows follow
+        const backward = cursor.direction === 'prev';
+        const keyset = this.buildKeysetCondition(sortBy, sortOrder, cursor);
+
+        const rows = this.queryTransactions(
+          { conditions: [...where.conditions, keyset.condition], params: [...where.params, ...keyset.params] },
+          this.buildOrderBy(sortBy, sortOrder, backward),
+          { limit: pageSize + 1 }
+        );
+
+        const hasMore = rows.length > pageSize;
+        items = rows.slice(0, pageSize);
+
+        if (backward) {
+          items.reverse();
+          hasPreviousPage = hasMore;
+          hasNextPage = true;
+          if (!hasMore) currentPage = 1;
+        } else {
+          hasNextPage = hasMore;
+          hasPreviousPage = true;
+        }
+      } else {
+        items = this.queryTransactions(where, this.buildOrderBy(sortBy, sortOrder), {
+          limit: pageSize,
+          offset: (page - 1) * pageSize
+        });
+      }
+
+      const cursorOptions = { sortBy, sortOrder };
+      const nextCursor = hasNextPage && items.length > 0
+        ? encodeCursor(items[items.length - 1], { ...cursorOptions, direction: 'next' })
+        : null;
+      const prevCursor = hasPreviousPage && items.length > 0
+        ? encodeCursor(items[0], { ...cursorOptions, direction: 'prev' })
+        : null;
+
+      return {
+        items: items.map(item => ({ ...item, date: formatDate(item.date) })),
+        pagination: {
+          currentPage,
+          pageSize,
+          totalItems,
+          totalPages,
+          hasNextPage,
+          hasPreviousPage,
+          nextCursor,
+          prevCursor
+        },
+        aggregateStats: {
+          totalUnits: aggregateStats.totalUnits,
+          totalAmount: aggregateStats.totalAmount,
+          totalDiscount: aggregateStats.totalDiscount,
+          recordCount: aggregateStats.recordCount
+        }
+      };
+    } catch (error) {
+      console.error('SQLite query error:', error);
+      throw new Error(`Failed to get transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a stored transaction by its transactionId
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Object|null} Stored transaction, or null if not found
+   */
+  findByTransactionId(transactionId) {
+    const row = this.connection
+      .prepare('SELECT * FROM transactions WHERE transactionId = ?')
+      .get(transactionId);
+
+    return row ? fromRow(row) : null;
+  }
+
+  /**
+   * Get a single transaction by its transactionId
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Promise<Object|null>} Transaction with derived discountAmount, or null if not found
+   */
+  async getTransactionById(transactionId) {
+    try {
+      const transaction = this.findByTransactionId(transactionId);
+      return transaction ? toTransactionResponse(transaction) : null;
+    } catch (error) {
+      console.error('SQLite transaction lookup error:', error);
+      throw new Error(`Failed to get transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a write, turning unique constraint failures into ConflictError
+   * @param {Function} write - Runs the statement
+   * @returns {*} The write's result
+   * @throws {ConflictError} If the transactionId already exists
+   */
+  runWrite(write) {
+    try {
+      return write();
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new ConflictError('A transaction with this transactionId already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a transaction
+   * @param {Object} data - Transaction fields
+   * @returns {Promise<Object>} Created transaction
+   * @throws {ConflictError} If the transactionId already exists
+   */
+  async createTransaction(data) {
+    try {
+      const transaction = await toStoredTransaction(data);
+
+      this.runWrite(() => this.connection
+        .prepare(`INSERT INTO transactions (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(c => `@${c}`).join(', ')})`)
+        .run(toRow(transaction)));
+
+      return toTransactionResponse(transaction);
+    } catch (error) {
+      throw toWriteError(error, 'create transaction');
+    }
+  }
+
+  /**
+   * Overwrite a stored transaction with new fields, keeping its _id
+   * @param {Object} existing - Stored transaction
+   * @param {Object} data - Complete new fields
+   * @returns {Promise<Object>} Stored replacement
+   */
+  async storeReplacement(existing, data) {
+    const replacement = await toStoredTransaction({ ...data, _id: existing._id });
+    const assignments = COLUMNS.filter(column => column !== '_id').map(column => `${column} = @${column}`);
+
+    this.runWrite(() => this.connection
+      .prepare(`UPDATE transactions SET ${assignments.join(', ')} WHERE _id = @_id`)
+      .run(toRow(replacement)));
+
+    return replacement;
+  }
+
+  /**
+   * Replace every field of a transaction (PUT)
+   * @param {string} transactionId - Unique transaction identifier
+   * @param {Object} data - Complete transaction fields
+   * @returns {Promise<Object|null>} Replaced transaction, or null if not found
+   */
+  async replaceTransaction(transactionId, data) {
+    try {
+      const existing = this.findByTransactionId(transactionId);
+      if (!existing) {
+        return null;
+      }
+
+      return toTransactionResponse(await this.storeReplacement(existing, { ...data, transactionId }));
+    } catch (error) {
+      throw toWriteError(error, 'replace transaction');
+    }
+  }
+
+  /**
+   * Update some fields of a transaction (PATCH)
+   * @param {string} transactionId - Unique transaction identifier
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object|null>} Updated transaction, or null if not found
+   */
+  async updateTransaction(transactionId, data) {
+    try {
+      const existing = this.findByTransactionId(transactionId);
+      if (!existing) {
+        return null;
+      }
+
+      return toTransactionResponse(await this.storeReplacement(existing, { ...existing, ...data }));
+    } catch (error) {
+      throw toWriteError(error, 'update transaction');
+    }
+  }
+
+  /**
+   * Delete a transaction
+   * @param {string} transactionId - Unique transaction identifier
+   * @returns {Promise<Object|null>} Deleted transaction, or null if not found
+   */
+  async deleteTransaction(transactionId) {
+    try {
+      const existing = this.findByTransactionId(transactionId);
+      if (!existing) {
+        return null;
+      }
+
+      this.connection.prepare('DELETE FROM transactions WHERE _id = ?').run(String(existing._id));
+      return toTransactionResponse(existing);
+    } catch (error) {
+      throw toWriteError(error, 'delete transaction');
+    }
+  }
+
+  /**
+   * Get a customer's profile, lifetime metrics and recent transactions
+   * @param {string} customerId - Customer identifier
+   * @param {Object} options - Options
+   * @param {number} options.recentLimit - Number of recent transactions to include
+   * @returns {Promise<Object|null>} Customer summary, or null if the customer has no transactions
+   */
+  async getCustomerSummary(customerId, options = {}) {
+    try {
+      const { recentLimit = 10 } = options;
+      const db = this.connection;
+
+      const lifetime = db.prepare(`
+        SELECT
+          MIN(date) AS firstPurchaseDate,
+          MAX(date) AS lastPurchaseDate,
+          COUNT(*) AS orderCount,
+          COALESCE(SUM(quantity), 0) AS totalUnits,
+          COALESCE(SUM(finalAmount), 0) AS totalSpend,
+          COALESCE(SUM(totalAmount - finalAmount), 0) AS totalDiscount
+        FROM transactions
+        WHERE customerId = ?
+      `).get(customerId);
+
+      if (lifetime.orderCount === 0) {
+        return null;
+      }
+
+      // Most frequent value of a column, ties broken by value
+      const topValue = (column) => db.prepare(`
+        SELECT ${column} AS value, COUNT(*) AS count
+        FROM transactions
+        WHERE customerId = ?
+        GROUP BY ${column}
+        ORDER BY count DESC, value ASC
+        LIMIT 1
+      `).get(customerId).value;
+
+      // Latest purchase first; equal dates keep insertion order
+      const purchases = { conditions: ['t.customerId = ?'], params: [customerId] };
+      const byDate = 'ORDER BY t.date DESC, t._id ASC';
+      const [latest] = this.queryTransactions(purchases, byDate, { limit: 1 });
+      const recent = this.queryTransactions(purchases, byDate, { limit: recentLimit });
+      const { customerName, phoneNumber, gender, age, customerRegion } = latest;
+
+      return {
+        customerId,
+        profile: { customerName, phoneNumber, gender, age, customerRegion },
+        metrics: {
+          firstPurchaseDate: formatDate(new Date(lifetime.firstPurchaseDate)),
+          lastPurchaseDate: formatDate(new Date(lifetime.lastPurchaseDate)),
+          orderCount: lifetime.orderCount,
+          totalUnits: lifetime.totalUnits,
+          totalSpend: lifetime.totalSpend,
+          totalDiscount: lifetime.totalDiscount,
+          favouriteCategory: topValue('productCategory'),
+          favouritePaymentMethod: topValue('paymentMethod')
+        },
+        recentTransactions: recent.map(item => ({
+          ...item,
+          date: formatDate(item.date)
+        }))
+      };
+    } catch (error) {
+      console.error('SQLite customer summary error:', error);
+      throw new Error(`Failed to get customer summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a stream over every transaction matching search and filters
+   * Rows are read a page at a time by keyset, so large exports are never
+   * buffered and the connection stays free for other requests in between
+   * @param {Object} params - Query parameters (search, filters, sortBy, sortOrder)
+   * @returns {Readable} Object-mode stream of plain objects without _id
+   */
+  getExportCursor(params = {}) {
+    const {
+      search = '',
+      filters = {},
+      sortBy = 'date',
+      sortOrder = 'desc'
+    } = params;
+
+    const where = this.buildConditions(search, filters);
+    const orderBy = this.buildOrderBy(sortBy, sortOrder);
+    const service = this;
+
+    async function* rows() {
+      let cursor = null;
+
+      while (true) {
+        const keyset = cursor && service.buildKeysetCondition(sortBy, sortOrder, cursor);
+        const page = service.queryTransactions(
+          keyset
+            ? { conditions: [...where.conditions, keyset.condition], params: [...where.params, ...keyset.params] }
+            : where,
+          orderBy,
+          { limit: EXPORT_PAGE_SIZE }
+        );
+
+        // Exports leave out _id, like the MongoDB cursor's projection
+        for (const { _id, ...fields } of page) {
+          yield fields;
+        }
+
+        if (page.length < EXPORT_PAGE_SIZE) {
+          return;
+        }
+
+        const last = page[page.length - 1];
+        cursor = { value: last[sortBy], id: last._id, direction: 'next' };
+      }
+    }
+
+    return Readable.from(rows());
+  }
+
+  /**
+   * Get the aggregate stats block for an export
+   * @param {Object} params - Query parameters (search, filters)
+   * @returns {Promise<Object>} Total units, amount, discount and record count
+   */
+  async getExportSummary(params = {}) {
+    try {
+      const { search = '', filters = {} } = params;
+      const stats = this.queryAggregateStats(this.buildConditions(search, filters));
+
+      return {
+        totalUnits: stats.totalUnits,
+        totalAmount: stats.totalAmount,
+        totalDiscount: stats.totalDiscount,
+        recordCount: stats.recordCount
+      };
+    } catch (error) {
+      console.error('SQLite export summary error:', error);
+      throw new Error(`Failed to get export summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get filter options based on current search and filters
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Available filter options
+   */
+  async getFilterOptions(params = {}) {
+    try {
+      const { search = '', filters = {} } = params;
+      const { conditions, params: values } = this.buildConditions(search, filters);
+      const db = this.connection;
+
+      const distinct = (column) => db.prepare(`
+        SELECT DISTINCT t.${column} AS value FROM transactions t
+        ${whereSql([...conditions, `t.${column} IS NOT NULL`, `t.${column} != ''`])}
+        ORDER BY value
+      `).all(...values).map(row => row.value);
+
+      const tags = db.prepare(`
+        SELECT DISTINCT tag.value AS value FROM transactions t, json_each(t.tags) AS tag
+        ${whereSql([...conditions, "tag.value != ''"])}
+        ORDER BY value
+      `).all(...values).map(row => row.value);
+
+      const ages = db.prepare(`
+        SELECT COUNT(*) AS count, MIN(t.age) AS minAge, MAX(t.age) AS maxAge
+        FROM transactions t
+        ${whereSql(conditions)}
+      `).get(...values);
+
+      return {
+        customerRegion: distinct('customerRegion'),
+        gender: distinct('gender'),
+        productCategory: distinct('productCategory'),
+        tags,
+        paymentMethod: distinct('paymentMethod'),
+        ageRange: ages.count > 0
+          ? { min: ages.minAge || 0, max: ages.maxAge || 100 }
+          : { min: 0, max: 100 }
+      };
+    } catch (error) {
+      console.error('SQLite filter options error:', error);
+      throw new Error(`Failed to get filter options: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get overall statistics (for dashboard)
+   * @returns {Promise<Object>} Overall statistics
+   */
+  async getStatistics() {
+    try {
+      const stats = this.queryAggregateStats({ conditions: [], params: [] });
+      const { uniqueCustomers, uniqueProducts } = this.connection.prepare(`
+        SELECT COUNT(DISTINCT customerId) AS uniqueCustomers, COUNT(DISTINCT productId) AS uniqueProducts
+        FROM transactions
+      `).get();
+
+      return {
+        totalTransactions: stats.recordCount,
+        uniqueCustomers,
+        uniqueProducts,
+        totalRevenue: stats.totalAmount,
+        averageOrderValue: stats.avgOrderValue,
+        minOrderValue: stats.minOrderValue,
+        maxOrderValue: stats.maxOrderValue
+      };
+    } catch (error) {
+      console.error('SQLite statistics error:', error);
+      throw new Error(`Failed to get statistics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import a CSV, NDJSON, JSON or XLSX file into the database
+   * Rows are parsed like the MongoDB importer's and checked against the
+   * Transaction model; rows it rejects are counted as invalid and skipped
+   * @param {string} filePath - Path to the file
+   * @param {Object} options - Import options
+   * @param {Object} options.profile - Column mapping profile (defaults to the dataset's headers)
+   * @param {string} options.format - csv, ndjson, json or xlsx (defaults to the file extension)
+   * @param {boolean} options.upsert - Update existing transactions by transactionId instead of skipping them
+   * @param {number} options.batchSize - Rows written per SQLite transaction
+   * @returns {Promise<Object>} Row counts: processed, imported, updated, duplicates and invalid
+   */
+  async importFile(filePath, options = {}) {
+    const { profile, format, upsert = false, batchSize = 1000 } = options;
+    const absolutePath = path.resolve(process.cwd(), filePath);
+
+    if (!fs.existsSync(absolutePath)) {
+      throw new Error(`File not found: ${absolutePath}`);
+    }
+
+    const parser = new DataImporter({ profile, quiet: true });
+    const { rows } = openRowReader(absolutePath, format || detectFormat(filePath) || 'csv');
+    const db = this.connection;
+
+    const stats = { rowsProcessed: 0, imported: 0, updated: 0, duplicates: 0, invalid: 0 };
+
+    const updates = COLUMNS.filter(column => column !== '_id').map(column => `${column} = excluded.${column}`);
+    const insert = db.prepare(`
+      INSERT INTO transactions (${COLUMNS.join(', ')})
+      VALUES (${COLUMNS.map(column => `@${column}`).join(', ')})
+      ON CONFLICT (transactionId) DO ${upsert ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}
+    `);
+    const exists = db.prepare('SELECT 1 FROM transactions WHERE transactionId = ?');
+
+    const writeBatch = db.transaction((batch) => {
+      batch.forEach(row => {
+        const existed = Boolean(exists.get(row.transactionId));
+        insert.run(row);
+
+        if (!existed) {
+          stats.imported++;
+        } else if (upsert) {
+          stats.updated++;
+        } else {
+          stats.duplicates++;
+        }
+      });
+    });
+
+    let batch = [];
+
+    for await (const row of rows) {
+      stats.rowsProcessed++;
+
+      if (row instanceof UnparseableRow) {
+        stats.invalid++;
+        continue;
+      }
+
+      try {
+        batch.push(toRow(await toStoredTransaction(parser.parseTransaction(row))));
+      } catch (error) {
+        stats.invalid++;
+        continue;
+      }
+
+      if (batch.length >= batchSize) {
+        writeBatch(batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      writeBatch(batch);
+    }
+
+    return stats;
+  }
+}
+
+// Export singleton instance
+const transactionServiceSqlite = new TransactionServiceSqlite();
+export default transactionServiceSqlite;
@@ -0,0 +1,140 @@
+/**
+ * Circuit Breaker - Stops calling a dependency that keeps failing
+ *
+ * closed: calls go through and failures are counted.
+ * open: after failureThreshold consecutive failures, calls fail fast with
+ * CircuitOpenError until resetTimeoutMs has passed.
+ * half-open: the next call is a trial; success closes the circuit,
+ * failure opens it again.
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Raised instead of making a call while the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super('Circuit is open');
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - How long the circuit stays open before a trial call
+   * @param {Function} options.isFailure - Whether an error counts as a failure (defaults to every error)
+   * @param {Function} options.onStateChange - Called with (state, previousState)
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.isFailure = options.isFailure || (() => true);
+    this.onStateChange = options.onStateChange || null;
+    this.now = options.now || Date.now;
+    this.reset();
+  }
+
+  /**
+   * Current state; an open circuit turns half-open once the timeout has passed
+   * @returns {string} One of CIRCUIT_STATES
+   */
+  get state() {
+    if (this.currentState === CIRCUIT_STATES.OPEN && this.now() >= this.openedAt + this.resetTimeoutMs) {
+      this.setState(CIRCUIT_STATES.HALF_OPEN);
+    }
+    return this.currentState;
+  }
+
+  /**
+   * Change state and notify the listener
+   * @param {string} state - New state
+   */
+  setState(state) {
+    const previous = this.currentState;
+    this.currentState = state;
+
+    if (previous !== state && this.onStateChange) {
+      this.onStateChange(state, previous);
+    }
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} call - Returns a value or a promise
+   * @returns {Promise<*>} The call's result
+   * @throws {CircuitOpenError} If the circuit is open
+   */
+  async execute(call) {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      throw new CircuitOpenError(new Date(this.openedAt + this.resetTimeoutMs));
+    }
+
+    try {
+      const result = await call();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure();
+      } else {
+        // The dependency answered; the request itself was bad
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Close the circuit after a successful call
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.setState(CIRCUIT_STATES.CLOSED);
+  }
+
+  /**
+   * Count a failure, opening the circuit at the threshold or after a failed trial
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.currentState === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      this.setState(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.currentState = CIRCUIT_STATES.CLOSED;
+  }
+
+  /**
+   * Describe the breaker for health checks
+   * @returns {Object} state, failures and (while open) retryAt
+   */
+  getStatus() {
+    const state = this.state;
+
+    return {
+      state,
+      failures: this.failures,
+      retryAt: state === CIRCUIT_STATES.OPEN
+        ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+        : null
+    };
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * CSV column mapping profiles
+ *
+ * A profile describes one source system's CSV layout: which headers hold
+ * each transaction field, how dates are written, the decimal and thousands
+ * separators and the tag delimiter. Profiles live in config/importProfiles
+ * as JSON or YAML files and are selected by name per import.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { ValidationError } from './errorHandler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PROFILES_DIR = path.resolve(__dirname, '../config/importProfiles');
+
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DATE_TOKENS = ['YYYY', 'MM', 'DD', 'HH', 'mm', 'ss'];
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Headers accepted for each transaction field when no profile overrides them,
+ * in lookup order. The last entry is the header used in the dataset.
+ */
+export const DEFAULT_COLUMNS = {
+  transactionId: ['transactionId', 'transaction_id', 'Transaction ID'],
+  customerId: ['customerId', 'customer_id', 'Customer ID'],
+  customerName: ['customerName', 'customer_name', 'Customer Name'],
+  phoneNumber: ['phoneNumber', 'phone_number', 'Phone Number'],
+  gender: ['gender', 'Gender'],
+  age: ['age', 'Age'],
+  customerRegion: ['customerRegion', 'customer_region', 'Customer Region'],
+  customerType: ['customerType', 'customer_type', 'Customer Type'],
+  productId: ['productId', 'product_id', 'Product ID'],
+  productName: ['productName', 'product_name', 'Product Name'],
+  brand: ['brand', 'Brand'],
+  productCategory: ['productCategory', 'product_category', 'Product Category'],
+  tags: ['tags', 'Tags'],
+  quantity: ['quantity', 'Quantity'],
+  pricePerUnit: ['pricePerUnit', 'price_per_unit', 'Price per Unit'],
+  discountPercentage: ['discountPercentage', 'discount_percentage', 'Discount Percentage'],
+  totalAmount: ['totalAmount', 'total_amount', 'Total Amount'],
+  finalAmount: ['finalAmount', 'final_amount', 'Final Amount'],
+  date: ['date', 'Date'],
+  paymentMethod: ['paymentMethod', 'payment_method', 'Payment Method'],
+  orderStatus: ['orderStatus', 'order_status', 'Order Status'],
+  deliveryType: ['deliveryType', 'delivery_type', 'Delivery Type'],
+  storeId: ['storeId', 'store_id', 'Store ID'],
+  storeLocation: ['storeLocation', 'store_location', 'Store Location'],
+  salespersonId: ['salespersonId', 'salesperson_id', 'Salesperson ID'],
+  employeeName: ['employeeName', 'employee_name', 'Employee Name']
+};
+
+/**
+ * Profile used when none is selected: the dataset's own headers,
+ * JavaScript-parseable dates, '.' decimals and comma-separated tags
+ */
+export const DEFAULT_PROFILE = Object.freeze({
+  name: 'default',
+  columns: DEFAULT_COLUMNS,
+  dateFormat: null,
+  decimalSeparator: '.',
+  thousandsSeparator: '',
+  tagDelimiter: ','
+});
+
+/**
+ * Checks a date format string
+ * @param {string} format - Format such as DD/MM/YYYY or YYYY-MM-DD HH:mm
+ * @returns {boolean} True if the format has year, month and day tokens
+ */
+const isValidDateFormat = (format) => {
+  return typeof format === 'string' && ['YYYY', 'MM', 'DD'].every(token => format.includes(token));
+};
+
+/**
+ * Validates a raw profile and fills in defaults
+ * Mapped fields replace the default headers; other fields keep them
+ * @param {Object} raw - Parsed profile file
+ * @param {string} fallbackName - Name used when the profile has none
+ * @returns {Object} Normalised profile
+ * @throws {ValidationError} If the profile is malformed
+ */
+export const normalizeProfile = (raw, fallbackName = 'custom') => {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ValidationError('Invalid mapping profile', ['Profile must be an object']);
+  }
+
+  const columns = { ...DEFAULT_COLUMNS };
+  const mapped = raw.columns || {};
+
+  if (typeof mapped !== 'object' || Array.isArray(mapped)) {
+    errors.push('columns must map field names to a header or list of headers');
+  } else {
+    Object.entries(mapped).forEach(([field, headers]) => {
+      const list = Array.isArray(headers) ? headers : [headers];
+
+      if (!DEFAULT_COLUMNS[field]) {
+        errors.push(`Unknown field in columns: ${field}`);
+      } else if (list.length === 0 || !list.every(header => typeof header === 'string' && header !== '')) {
+        errors.push(`columns.${field} must be a header name or a list of header names`);
+      } else {
+        columns[field] = list;
+      }
+    });
+  }
+
+  const profile = {
+    name: raw.name || fallbackName,
+    columns,
+    dateFormat: raw.dateFormat || null,
+    decimalSeparator: raw.decimalSeparator ?? DEFAULT_PROFILE.decimalSeparator,
+    thousandsSeparator: raw.thousandsSeparator ?? DEFAULT_PROFILE.thousandsSeparator,
+    tagDelimiter: raw.tagDelimiter ?? DEFAULT_PROFILE.tagDelimiter
+  };
+
+  if (profile.dateFormat !== null && !isValidDateFormat(profile.dateFormat)) {
+    errors.push('dateFormat must contain YYYY, MM and DD');
+  }
+
+  if (typeof profile.decimalSeparator !== 'string' || profile.decimalSeparator.length !== 1) {
+    errors.push('decimalSeparator must be a single character');
+  }
+
+  if (typeof profile.thousandsSeparator !== 'string' || profile.thousandsSeparator.length > 1) {
+    errors.push('thousandsSeparator must be empty or a single character');
+  } else if (profile.thousandsSeparator === profile.decimalSeparator) {
+    errors.push('thousandsSeparator must differ from decimalSeparator');
+  }
+
+  if (typeof profile.tagDelimiter !== 'string' || profile.tagDelimiter === '') {
+    errors.push('tagDelimiter must be a non-empty string');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid mapping profile', errors);
+  }
+
+  return profile;
+};
+
+/**
+ * Reads and validates a profile file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<Object>} Normalised profile
+ */
+export const loadProfileFile = async (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (!PROFILE_EXTENSIONS.includes(extension)) {
+    throw new ValidationError('Invalid mapping profile', [`Unsupported profile file type: ${extension || 'none'}`]);
+  }
+
+  const content = await fs.promises.readFile(filePath, 'utf8');
+
+  let raw;
+  try {
+    raw = extension === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new ValidationError('Invalid mapping profile', [`Could not parse ${path.basename(filePath)}: ${error.message}`]);
+  }
+
+  return normalizeProfile(raw, path.basename(filePath, extension));
+};
+
+/**
+ * Loads a profile by name from config/importProfiles
+ * @param {string} name - Profile name (file name without extension)
+ * @returns {Promise<Object>} Normalised profile
+ * @throws {ValidationError} If the name is invalid or no such profile exists
+ */
+export const loadProfile = async (name) => {
+  if (!name || name === DEFAULT_PROFILE.name) {
+    return DEFAULT_PROFILE;
+  }
+
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new ValidationError('Invalid mapping profile', ['Profile names may only contain letters, digits, - and _']);
+  }
+
+  const extension = PROFILE_EXTENSIONS.find(ext => fs.existsSync(path.join(PROFILES_DIR, `${name}${ext}`)));
+
+  if (!extension) {
+    throw new ValidationError('Invalid mapping profile', [`Mapping profile ${name} not found`]);
+  }
+
+  return loadProfileFile(path.join(PROFILES_DIR, `${name}${extension}`));
+};
+
+/**
+ * Lists profile names available in config/importProfiles
+ * @returns {Promise<Array<string>>} Sorted profile names, including default
+ */
+export const listProfiles = async () => {
+  const files = await fs.promises.readdir(PROFILES_DIR).catch(() => []);
+  const names = files
+    .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map(file => path.basename(file, path.extname(file)));
+
+  return [...new Set([DEFAULT_PROFILE.name, ...names])].sort();
+};
+
+/**
+ * Reads a field from a row, trying each header the profile maps to it
+ * JSON and XLSX rows may hold numbers, booleans, Dates or arrays as well as strings
+ * @param {Object} row - Raw row
+ * @param {string} field - Transaction field name
+ * @param {Object} profile - Mapping profile
+ * @returns {Object} Header that held the value and the raw value ('' when absent)
+ */
+export const readField = (row, field, profile = DEFAULT_PROFILE) => {
+  const columns = profile.columns[field];
+  const column = columns.find(name => row[name] !== undefined && row[name] !== null && row[name] !== '');
+  return column
+    ? { column, value: row[column] }
+    : { column: columns[columns.length - 1], value: '' };
+};
+
+/**
+ * Parses a number written with the profile's separators
+ * @param {string|number} value - Raw value (numbers from JSON or XLSX pass through)
+ * @param {Object} profile - Mapping profile
+ * @returns {number} Parsed number, or NaN if the value is not a number
+ */
+export const parseDecimal = (value, profile = DEFAULT_PROFILE) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : NaN;
+  }
+  if (typeof value !== 'string') {
+    return NaN;
+  }
+
+  let text = value.trim();
+  if (profile.thousandsSeparator) {
+    text = text.split(profile.thousandsSeparator).join('');
+  }
+  if (profile.decimalSeparator !== '.') {
+    // A '.' is only valid here as the thousands separator, removed above
+    if (text.includes('.')) {
+      return NaN;
+    }
+    text = text.replace(profile.decimalSeparator, '.');
+  }
+
+  return NUMBER_PATTERN.test(text) ? parseFloat(text) : NaN;
+};
+
+/**
+ * Parses a date written in the profile's date format
+ * Dates with an explicit format are read as UTC, like ISO date-only strings
+ * @param {string|Date} value - Raw value (Dates from XLSX cells pass through)
+ * @param {Object} profile - Mapping profile
+ * @returns {Date|null} Parsed date, or null if the value is not a valid date
+ */
+export const parseDateValue = (value, profile = DEFAULT_PROFILE) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  if (!profile.dateFormat) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Turn the format into a regex with one capture group per token
+  const order = [];
+  const pattern = profile.dateFormat
+    .split(new RegExp(`(${DATE_TOKENS.join('|')})`))
+    .map(part => {
+      if (DATE_TOKENS.includes(part)) {
+        order.push(part);
+        return part === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  const match = new RegExp(`^${pattern}$`).exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const parts = { YYYY: 0, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+  order.forEach((token, index) => {
+    parts[token] = parseInt(match[index + 1], 10);
+  });
+
+  const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss));
+
+  // Reject values that roll over, such as 31/02/2024
+  if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD || parts.HH > 23 || parts.mm > 59 || parts.ss > 59) {
+    return null;
+  }
+
+  return date;
+};
+
+/**
+ * Splits a tag list on the profile's delimiter
+ * @param {string|Array} value - Raw value (JSON arrays are kept as they are)
+ * @param {Object} profile - Mapping profile
+ * @returns {Array<string>} Trimmed, non-empty tags
+ */
+export const splitTags = (value, profile = DEFAULT_PROFILE) => {
+  if (Array.isArray(value)) {
+    return value.map(tag => String(tag).trim()).filter(tag => tag.length > 0);
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return [];
+  }
+  return value.split(profile.tagDelimiter).map(tag => tag.trim()).filter(tag => tag.length > 0);
+};
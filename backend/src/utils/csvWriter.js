@@ -0,0 +1,102 @@
+/**
+ * CSV writing utilities for streaming exports
+ */
+
+import { Transform } from 'stream';
+
+/**
+ * Columns written to transaction exports, in output order
+ */
+export const EXPORT_COLUMNS = [
+  { key: 'transactionId', header: 'Transaction ID' },
+  { key: 'date', header: 'Date' },
+  { key: 'customerId', header: 'Customer ID' },
+  { key: 'customerName', header: 'Customer Name' },
+  { key: 'phoneNumber', header: 'Phone Number' },
+  { key: 'gender', header: 'Gender' },
+  { key: 'age', header: 'Age' },
+  { key: 'customerRegion', header: 'Customer Region' },
+  { key: 'productId', header: 'Product ID' },
+  { key: 'productCategory', header: 'Product Category' },
+  { key: 'tags', header: 'Tags' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'totalAmount', header: 'Total Amount' },
+  { key: 'finalAmount', header: 'Final Amount' },
+  { key: 'paymentMethod', header: 'Payment Method' },
+  { key: 'employeeName', header: 'Employee Name' }
+];
+
+/**
+ * Escapes a single value for inclusion in a CSV cell
+ * @param {*} value - Raw value
+ * @returns {string} Escaped cell content
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = isNaN(value.getTime()) ? '' : value.toISOString().split('T')[0];
+  } else if (Array.isArray(value)) {
+    text = value.join(',');
+  } else {
+    text = String(value);
+  }
+
+  // Quote cells containing delimiters, quotes or line breaks
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Builds a CSV line from a record
+ * @param {Object} record - Record to serialise
+ * @param {Array} columns - Column definitions
+ * @returns {string} CSV line terminated with CRLF
+ */
+export const toCsvRow = (record, columns = EXPORT_COLUMNS) => {
+  return columns.map(column => escapeCsvValue(record[column.key])).join(',') + '\r\n';
+};
+
+/**
+ * Builds the CSV header line
+ * @param {Array} columns - Column definitions
+ * @returns {string} Header line terminated with CRLF
+ */
+export const toCsvHeader = (columns = EXPORT_COLUMNS) => {
+  return columns.map(column => escapeCsvValue(column.header)).join(',') + '\r\n';
+};
+
+/**
+ * Creates an object-mode transform that turns records into CSV lines
+ * The header is emitted even when no records pass through
+ * @param {Array} columns - Column definitions
+ * @returns {Transform} Transform stream
+ */
+export const createCsvTransform = (columns = EXPORT_COLUMNS) => {
+  let headerWritten = false;
+
+  const writeHeader = (stream) => {
+    if (!headerWritten) {
+      stream.push(toCsvHeader(columns));
+      headerWritten = true;
+    }
+  };
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(record, encoding, callback) {
+      writeHeader(this);
+      callback(null, toCsvRow(record, columns));
+    },
+    flush(callback) {
+      writeHeader(this);
+      callback();
+    }
+  });
+};
@@ -0,0 +1,72 @@
+/**
+ * Opaque cursors for keyset pagination
+ *
+ * A cursor records the sort key and _id of the row it points at, plus the
+ * sort it was issued for, so the next page can be fetched with an indexed
+ * range query instead of skipping over every earlier row
+ */
+
+import mongoose from 'mongoose';
+import { ValidationError } from './errorHandler.js';
+
+const DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Encodes a cursor pointing at a document
+ * @param {Object} doc - Document the cursor points at (must include _id)
+ * @param {Object} options - Cursor options
+ * @param {string} options.sortBy - Sort field
+ * @param {string} options.sortOrder - Sort order (asc/desc)
+ * @param {string} options.direction - next (rows after doc) or prev (rows before doc)
+ * @returns {string} base64url-encoded cursor
+ */
+export const encodeCursor = (doc, { sortBy, sortOrder, direction }) => {
+  const value = doc[sortBy] instanceof Date ? doc[sortBy].toISOString() : doc[sortBy];
+
+  const payload = {
+    s: sortBy,
+    o: sortOrder,
+    d: direction,
+    v: value,
+    id: String(doc._id)
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes and checks a cursor against the current sort
+ * @param {string} cursor - Encoded cursor
+ * @param {Object} sort - Current sort
+ * @param {string} sort.sortBy - Sort field
+ * @param {string} sort.sortOrder - Sort order (asc/desc)
+ * @returns {Object} Decoded cursor with value, id and direction
+ * @throws {ValidationError} If the cursor is malformed or was issued for a different sort
+ */
+export const decodeCursor = (cursor, { sortBy, sortOrder }) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (
+    !payload ||
+    typeof payload !== 'object' ||
+    !DIRECTIONS.includes(payload.d) ||
+    !mongoose.Types.ObjectId.isValid(payload.id)
+  ) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (payload.s !== sortBy || payload.o !== sortOrder) {
+    throw new ValidationError('Cursor does not match the current sort');
+  }
+
+  return {
+    value: sortBy === 'date' ? new Date(payload.v) : payload.v,
+    id: new mongoose.Types.ObjectId(payload.id),
+    direction: payload.d
+  };
+};
@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import csv from 'csv-parser';
+import { DEFAULT_PROFILE, readField, parseDecimal, parseDateValue, splitTags } from './columnMapping.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,18 +14,23 @@ class DataLoader {
   constructor() {
     this.data = null;
     this.isLoaded = false;
+    this.profile = DEFAULT_PROFILE;
   }
 
   /**
    * Loads CSV data and parses it into JSON format
    * @param {string} filePath - Path to the CSV file
+   * @param {Object} options - Load options
+   * @param {Object} options.profile - Column mapping profile (defaults to the dataset's headers)
    * @returns {Promise<Array>} Parsed transaction data
    */
-  async loadData(filePath) {
+  async loadData(filePath, { profile } = {}) {
     if (this.isLoaded && this.data) {
       return this.data;
     }
 
+    this.profile = profile || DEFAULT_PROFILE;
+
     return new Promise((resolve, reject) => {
       const results = [];
       const absolutePath = path.isAbsolute(filePath) 
@@ -60,43 +66,49 @@ class DataLoader {
 
   /**
    * Parses a CSV row into a structured transaction object
+   * Headers, number, date and tag formats come from the loader's mapping profile
    * @param {Object} row - Raw CSV row
    * @returns {Object} Parsed transaction
    */
   parseTransaction(row) {
+    const text = (field) => readField(row, field, this.profile).value;
+
     return {
+      // Transaction Identity
+      transactionId: text('transactionId'),
+
       // Customer Fields
-      customerId: row.customerId || row.customer_id || row['Customer ID'] || '',
-      customerName: row.customerName || row.customer_name || row['Customer Name'] || '',
-      phoneNumber: row.phoneNumber || row.phone_number || row['Phone Number'] || '',
-      gender: row.gender || row.Gender || '',
-      age: this.parseNumber(row.age || row.Age),
-      customerRegion: row.customerRegion || row.customer_region || row['Customer Region'] || '',
-      customerType: row.customerType || row.customer_type || row['Customer Type'] || '',
+      customerId: text('customerId'),
+      customerName: text('customerName'),
+      phoneNumber: text('phoneNumber'),
+      gender: text('gender'),
+      age: this.parseNumber(text('age')),
+      customerRegion: text('customerRegion'),
+      customerType: text('customerType'),
 
       // Product Fields
-      productId: row.productId || row.product_id || row['Product ID'] || '',
-      productName: row.productName || row.product_name || row['Product Name'] || '',
-      brand: row.brand || row.Brand || '',
-      productCategory: row.productCategory || row.product_category || row['Product Category'] || '',
-      tags: this.parseTags(row.tags || row.Tags),
+      productId: text('productId'),
+      productName: text('productName'),
+      brand: text('brand'),
+      productCategory: text('productCategory'),
+      tags: this.parseTags(text('tags')),
 
       // Sales Fields
-      quantity: this.parseNumber(row.quantity || row.Quantity),
-      pricePerUnit: this.parseNumber(row.pricePerUnit || row.price_per_unit || row['Price per Unit']),
-      discountPercentage: this.parseNumber(row.discountPercentage || row.discount_percentage || row['Discount Percentage']),
-      totalAmount: this.parseNumber(row.totalAmount || row.total_amount || row['Total Amount']),
-      finalAmount: this.parseNumber(row.finalAmount || row.final_amount || row['Final Amount']),
+      quantity: this.parseNumber(text('quantity')),
+      pricePerUnit: this.parseNumber(text('pricePerUnit')),
+      discountPercentage: this.parseNumber(text('discountPercentage')),
+      totalAmount: this.parseNumber(text('totalAmount')),
+      finalAmount: this.parseNumber(text('finalAmount')),
 
       // Operational Fields
-      date: this.parseDate(row.date || row.Date),
-      paymentMethod: row.paymentMethod || row.payment_method || row['Payment Method'] || '',
-      orderStatus: row.orderStatus || row.order_status || row['Order Status'] || '',
-      deliveryType: row.deliveryType || row.delivery_type || row['Delivery Type'] || '',
-      storeId: row.storeId || row.store_id || row['Store ID'] || '',
-      storeLocation: row.storeLocation || row.store_location || row['Store Location'] || '',
-      salespersonId: row.salespersonId || row.salesperson_id || row['Salesperson ID'] || '',
-      employeeName: row.employeeName || row.employee_name || row['Employee Name'] || ''
+      date: this.parseDate(text('date')),
+      paymentMethod: text('paymentMethod'),
+      orderStatus: text('orderStatus'),
+      deliveryType: text('deliveryType'),
+      storeId: text('storeId'),
+      storeLocation: text('storeLocation'),
+      salespersonId: text('salespersonId'),
+      employeeName: text('employeeName')
     };
   }
 
@@ -109,8 +121,12 @@ class DataLoader {
     if (value === null || value === undefined || value === '') {
       return 0;
     }
-    const parsed = parseFloat(value);
-    return isNaN(parsed) ? 0 : parsed;
+    const parsed = parseDecimal(String(value), this.profile);
+    if (!isNaN(parsed)) {
+      return parsed;
+    }
+    const fallback = parseFloat(value);
+    return isNaN(fallback) ? 0 : fallback;
   }
 
   /**
@@ -122,10 +138,7 @@ class DataLoader {
     if (Array.isArray(value)) {
       return value;
     }
-    if (typeof value === 'string' && value.trim()) {
-      return value.split(',').map(tag => tag.trim()).filter(tag => tag);
-    }
-    return [];
+    return splitTags(value, this.profile);
   }
 
   /**
@@ -135,16 +148,9 @@ class DataLoader {
    */
   parseDate(value) {
     if (!value) return new Date().toISOString();
-    
-    try {
-      const date = new Date(value);
-      if (isNaN(date.getTime())) {
-        return new Date().toISOString();
-      }
-      return date.toISOString();
-    } catch {
-      return new Date().toISOString();
-    }
+
+    const date = parseDateValue(value, this.profile);
+    return (date || new Date()).toISOString();
   }
 
   /**
@@ -161,6 +167,7 @@ class DataLoader {
   clearCache() {
     this.data = null;
     this.isLoaded = false;
+    this.profile = DEFAULT_PROFILE;
   }
 }
 
@@ -11,6 +11,22 @@ export class ValidationError extends Error {
   }
 }
 
+export class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnauthorizedError';
+    this.statusCode = 401;
+  }
+}
+
+export class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.statusCode = 403;
+  }
+}
+
 export class NotFoundError extends Error {
   constructor(message) {
     super(message);
@@ -19,6 +35,22 @@ export class NotFoundError extends Error {
   }
 }
 
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.statusCode = 409;
+  }
+}
+
+export class ServiceUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServiceUnavailableError';
+    this.statusCode = 503;
+  }
+}
+
 export class InternalError extends Error {
   constructor(message) {
     super(message);
@@ -0,0 +1,251 @@
+/**
+ * In-memory evaluation of MongoDB-style queries
+ *
+ * Supports the subset of the query language the transaction services
+ * build: $and, $or, equality, $in, $gt, $gte, $lt, $lte and $regex, with
+ * MongoDB's rules for array fields (a condition matches if any element
+ * matches) and type-bracketed comparisons (a number never matches a string
+ * range). Sorts and accumulators follow the same ordering and skip
+ * non-numeric values the way $sum, $avg, $min and $max do.
+ */
+
+// Relative order of value types when sorting, as in MongoDB
+const TYPE_ORDER = {
+  null: 0,
+  number: 1,
+  string: 2,
+  objectId: 3,
+  boolean: 4,
+  date: 5
+};
+
+/**
+ * Classify a value for comparison
+ * @param {*} value - Value
+ * @returns {string} Type name from TYPE_ORDER
+ */
+const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  if (value._bsontype === 'ObjectId') return 'objectId';
+  return typeof value;
+};
+
+/**
+ * Compare two values using MongoDB's sort order
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+export const compareValues = (a, b) => {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+
+  if (typeA !== typeB) {
+    return (TYPE_ORDER[typeA] ?? 6) - (TYPE_ORDER[typeB] ?? 6);
+  }
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'date':
+      return a.getTime() - b.getTime();
+    case 'objectId':
+      return compareValues(a.toHexString(), b.toHexString());
+    case 'number':
+      return a - b;
+    default:
+      return a < b ? -1 : a > b ? 1 : 0;
+  }
+};
+
+/**
+ * Check whether two values are the same type and compare equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+const valuesEqual = (a, b) => typeOf(a) === typeOf(b) && compareValues(a, b) === 0;
+
+// Compiled $regex patterns, so each condition is compiled once per query
+const compiledPatterns = new WeakMap();
+
+/**
+ * Compile a condition's $regex and $options
+ * @param {Object} condition - Condition with $regex
+ * @returns {RegExp} Regular expression
+ */
+const patternFor = (condition) => {
+  if (!compiledPatterns.has(condition)) {
+    compiledPatterns.set(condition, new RegExp(condition.$regex, condition.$options || ''));
+  }
+  return compiledPatterns.get(condition);
+};
+
+const COMPARISONS = {
+  $gt: (order) => order > 0,
+  $gte: (order) => order >= 0,
+  $lt: (order) => order < 0,
+  $lte: (order) => order <= 0
+};
+
+/**
+ * Check one scalar value against an operator
+ * @param {*} value - Field value (not an array)
+ * @param {string} operator - Operator such as $gte
+ * @param {*} operand - Operator argument
+ * @param {Object} condition - Whole condition (for $options)
+ * @returns {boolean} True if the value satisfies the operator
+ */
+const matchesOperator = (value, operator, operand, condition) => {
+  if (COMPARISONS[operator]) {
+    return typeOf(value) === typeOf(operand) && COMPARISONS[operator](compareValues(value, operand));
+  }
+
+  switch (operator) {
+    case '$eq':
+      return valuesEqual(value, operand);
+    case '$in':
+      return operand.some(candidate => valuesEqual(value, candidate));
+    case '$regex':
+      return typeof value === 'string' && patternFor(condition).test(value);
+    case '$options':
+      return true;
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+};
+
+/**
+ * Check a field value against a condition
+ * @param {*} value - Field value
+ * @param {*} condition - Operator object or a value to compare for equality
+ * @returns {boolean} True if the value matches
+ */
+const matchesCondition = (value, condition) => {
+  const isOperatorObject = condition !== null &&
+    typeof condition === 'object' &&
+    !(condition instanceof Date) &&
+    condition._bsontype === undefined &&
+    Object.keys(condition).every(key => key.startsWith('$'));
+
+  const matchesScalar = (scalar) => (isOperatorObject
+    ? Object.entries(condition).every(([operator, operand]) => matchesOperator(scalar, operator, operand, condition))
+    : valuesEqual(scalar, condition));
+
+  // Array fields match when any element matches
+  return Array.isArray(value) ? value.some(matchesScalar) : matchesScalar(value);
+};
+
+/**
+ * Check whether a document matches a query
+ * @param {Object} doc - Document
+ * @param {Object} query - MongoDB-style query
+ * @returns {boolean} True if the document matches
+ */
+export const matchesQuery = (doc, query = {}) => {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(subQuery => matchesQuery(doc, subQuery));
+    }
+    if (key === '$or') {
+      return condition.some(subQuery => matchesQuery(doc, subQuery));
+    }
+    if (key.startsWith('$')) {
+      throw new Error(`Unsupported query operator: ${key}`);
+    }
+    return matchesCondition(doc[key], condition);
+  });
+};
+
+/**
+ * Sort documents by a MongoDB-style sort object
+ * @param {Array<Object>} docs - Documents (not modified)
+ * @param {Object} sort - Sort such as { date: -1, _id: -1 }
+ * @returns {Array<Object>} New sorted array
+ */
+export const sortDocuments = (docs, sort = {}) => {
+  const keys = Object.entries(sort);
+
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const order = compareValues(a[field], b[field]);
+      if (order !== 0) {
+        return order * direction;
+      }
+    }
+    return 0;
+  });
+};
+
+/**
+ * Numeric values produced by a selector, skipping anything $sum would ignore
+ * @param {Array<Object>} docs - Documents
+ * @param {Function} select - Returns the value to accumulate for a document
+ * @returns {Array<number>} Numbers
+ */
+const numbersOf = (docs, select) => docs
+  .map(select)
+  .filter(value => typeof value === 'number' && !isNaN(value));
+
+/**
+ * Sum of a value over documents ($sum)
+ * @param {Array<Object>} docs - Documents
+ * @param {Function} select - Returns the value to add for a document
+ * @returns {number} Sum (0 when nothing is numeric)
+ */
+export const sumOf = (docs, select) => numbersOf(docs, select).reduce((sum, value) => sum + value, 0);
+
+/**
+ * Average of a value over documents ($avg)
+ * @param {Array<Object>} docs - Documents
+ * @param {Function} select - Returns the value to average for a document
+ * @returns {number|null} Average, or null when nothing is numeric
+ */
+export const averageOf = (docs, select) => {
+  const values = numbersOf(docs, select);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+};
+
+/**
+ * Smallest value over documents ($min)
+ * @param {Array<Object>} docs - Documents
+ * @param {Function} select - Returns the value for a document
+ * @returns {number|null} Minimum, or null when nothing is numeric
+ */
+export const minOf = (docs, select) => {
+  const values = numbersOf(docs, select);
+  return values.length > 0 ? values.reduce((min, value) => Math.min(min, value)) : null;
+};
+
+/**
+ * Largest value over documents ($max)
+ * @param {Array<Object>} docs - Documents
+ * @param {Function} select - Returns the value for a document
+ * @returns {number|null} Maximum, or null when nothing is numeric
+ */
+export const maxOf = (docs, select) => {
+  const values = numbersOf(docs, select);
+  return values.length > 0 ? values.reduce((max, value) => Math.max(max, value)) : null;
+};
+
+/**
+ * Distinct values of a field, unwinding arrays (distinct)
+ * @param {Array<Object>} docs - Documents
+ * @param {string} field - Field name
+ * @returns {Array} Sorted distinct values, without missing values
+ */
+export const distinctValues = (docs, field) => {
+  const values = new Map();
+
+  docs.forEach(doc => {
+    const value = doc[field];
+    (Array.isArray(value) ? value : [value]).forEach(item => {
+      if (item !== undefined) {
+        values.set(typeOf(item) === 'date' ? item.getTime() : item, item);
+      }
+    });
+  });
+
+  return [...values.values()].sort(compareValues);
+};
@@ -0,0 +1,42 @@
+/**
+ * Password hashing with scrypt
+ *
+ * Hashes are stored as "scrypt$<salt>$<key>" (both base64) so the
+ * parameters can change later without breaking existing accounts.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} encoded - Hash from hashPassword
+ * @returns {Promise<boolean>} True when the password matches
+ */
+export const verifyPassword = async (password, encoded) => {
+  const [scheme, salt, expected] = String(encoded).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const expectedKey = Buffer.from(expected, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), expectedKey.length);
+  return crypto.timingSafeEqual(key, expectedKey);
+};
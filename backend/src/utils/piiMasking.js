@@ -0,0 +1,84 @@
+/**
+ * PII masking utilities for transaction responses and exports
+ */
+
+// Digits in a national number; any digits before them are the country code
+const NATIONAL_DIGITS = 10;
+
+// Digits left visible at the end of a masked number
+const VISIBLE_DIGITS = 4;
+
+/**
+ * Masks all but the last four digits of a phone number
+ * e.g. "9876543210" -> "+91 ******3210"
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} countryCode - Country code for numbers stored without one
+ * @returns {string} Masked number, or the input when it is empty
+ */
+export const maskPhoneNumber = (phoneNumber, countryCode) => {
+  if (!phoneNumber) {
+    return phoneNumber;
+  }
+
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  if (digits.length <= VISIBLE_DIGITS) {
+    return '*'.repeat(digits.length);
+  }
+
+  const national = digits.slice(-NATIONAL_DIGITS);
+  const code = digits.slice(0, -NATIONAL_DIGITS) || countryCode;
+  const hidden = '*'.repeat(national.length - VISIBLE_DIGITS);
+
+  return `+${code} ${hidden}${national.slice(-VISIBLE_DIGITS)}`;
+};
+
+/**
+ * Shortens a name to its initials, e.g. "Asha Iyer" -> "A. I."
+ * @param {string} name - Full name
+ * @returns {string} Initials, or the input when it is empty
+ */
+export const toInitials = (name) => {
+  if (!name) {
+    return name;
+  }
+
+  return String(name)
+    .trim()
+    .split(/\s+/)
+    .map(part => `${part[0].toUpperCase()}.`)
+    .join(' ');
+};
+
+/**
+ * Copies a transaction with its phone number (and optionally name) masked
+ * @param {Object} record - Transaction or customer profile
+ * @param {Object} options - maskNames and countryCode
+ * @returns {Object} Masked copy
+ */
+export const maskRecord = (record, { maskNames = false, countryCode }) => {
+  if (!record) {
+    return record;
+  }
+
+  const masked = { ...record };
+  if ('phoneNumber' in record) {
+    masked.phoneNumber = maskPhoneNumber(record.phoneNumber, countryCode);
+  }
+  if (maskNames && 'customerName' in record) {
+    masked.customerName = toInitials(record.customerName);
+  }
+  return masked;
+};
+
+/**
+ * Applies a mask to each record of a stream or other async iterable
+ * Errors from the source reach the consumer, and stopping early closes the source
+ * @param {AsyncIterable} records - Records, e.g. an export cursor
+ * @param {Function} mask - Record mapper
+ * @returns {AsyncGenerator} Masked records
+ */
+export async function* maskRecords(records, mask) {
+  for await (const record of records) {
+    yield mask(record);
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Query parameter parsing helpers shared by controllers
+ */
+
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Parses the filters query parameter
+ * @param {string|Object} filters - Raw filters value (JSON string or object)
+ * @returns {Object} Parsed filters
+ */
+export const parseFilters = (filters) => {
+  if (!filters) {
+    return {};
+  }
+
+  try {
+    return typeof filters === 'string' ? JSON.parse(filters) : filters;
+  } catch (error) {
+    throw new ValidationError('Invalid filters format. Must be valid JSON');
+  }
+};
@@ -0,0 +1,274 @@
+/**
+ * Row readers for import files
+ *
+ * Each reader turns a file stream into an async iterable of plain row
+ * objects keyed by header/property name, so the importer can batch and
+ * validate CSV, newline-delimited JSON, JSON arrays and XLSX the same way.
+ * Readers pull from the file as rows are consumed, which keeps backpressure
+ * intact while batches are written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import csv from 'csv-parser';
+import ExcelJS from 'exceljs';
+
+/**
+ * File extensions recognised for each import format
+ */
+export const FORMAT_EXTENSIONS = {
+  csv: ['.csv'],
+  ndjson: ['.ndjson', '.jsonl'],
+  json: ['.json'],
+  xlsx: ['.xlsx']
+};
+
+export const IMPORT_FORMATS = Object.keys(FORMAT_EXTENSIONS);
+
+/**
+ * A record that could not be parsed (malformed JSON line or array element)
+ * Yielded in place of a row so the importer can count or report it
+ */
+export class UnparseableRow {
+  constructor(reason, text) {
+    this.reason = reason;
+    this.text = text;
+  }
+}
+
+/**
+ * Picks the import format from a file name
+ * @param {string} fileName - File name or path
+ * @returns {string|null} Format name, or null if the extension is not recognised
+ */
+export const detectFormat = (fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return IMPORT_FORMATS.find(format => FORMAT_EXTENSIONS[format].includes(extension)) || null;
+};
+
+/**
+ * Parses one JSON record, which must be an object
+ * @param {string} text - JSON text
+ * @returns {Object|UnparseableRow} Parsed row
+ */
+const parseRecord = (text) => {
+  try {
+    const value = JSON.parse(text);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return new UnparseableRow('is not a JSON object', text);
+    }
+    return value;
+  } catch (error) {
+    return new UnparseableRow(`is not valid JSON: ${error.message}`, text);
+  }
+};
+
+/**
+ * Reads newline-delimited JSON, one object per non-blank line
+ * @param {Readable} fileStream - File stream
+ * @returns {AsyncGenerator<Object|UnparseableRow>} Rows
+ */
+async function* readNdjson(fileStream) {
+  const decoder = new StringDecoder('utf8');
+  let remainder = '';
+
+  for await (const chunk of fileStream) {
+    const lines = (remainder + decoder.write(chunk)).split('\n');
+    remainder = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim() !== '') {
+        yield parseRecord(line.trim());
+      }
+    }
+  }
+
+  remainder += decoder.end();
+  if (remainder.trim() !== '') {
+    yield parseRecord(remainder.trim());
+  }
+}
+
+/**
+ * Reads a top-level JSON array of objects without loading the whole file
+ * Elements are split by tracking brackets and strings, then parsed one by one
+ * @param {Readable} fileStream - File stream
+ * @returns {AsyncGenerator<Object|UnparseableRow>} Rows
+ */
+async function* readJsonArray(fileStream) {
+  const decoder = new StringDecoder('utf8');
+  let state = 'start'; // start -> between -> element -> ... -> end
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let element = '';
+
+  const consume = function* (text) {
+    let elementStart = state === 'element' ? 0 : -1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (state === 'element') {
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+          }
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+          if (depth === 0) {
+            element += text.slice(elementStart, i + 1);
+            yield parseRecord(element);
+            element = '';
+            elementStart = -1;
+            state = 'between';
+          }
+        }
+        continue;
+      }
+
+      if (/\s/.test(char) || char === '\uFEFF') {
+        continue;
+      }
+
+      if (state === 'start') {
+        if (char !== '[') {
+          throw new Error('JSON import must be an array of objects');
+        }
+        state = 'between';
+      } else if (state === 'between') {
+        if (char === ']') {
+          state = 'end';
+        } else if (char === '{') {
+          state = 'element';
+          depth = 1;
+          elementStart = i;
+        } else if (char !== ',') {
+          throw new Error('JSON import must be an array of objects');
+        }
+      }
+    }
+
+    if (state === 'element' && elementStart !== -1) {
+      element += text.slice(elementStart);
+    }
+  };
+
+  for await (const chunk of fileStream) {
+    yield* consume(decoder.write(chunk));
+  }
+  yield* consume(decoder.end());
+
+  if (state !== 'end') {
+    throw new Error('JSON import ended before the closing ]');
+  }
+}
+
+/**
+ * Converts an XLSX cell value into a plain value
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} String, number, boolean or Date ('' for empty cells)
+ */
+const toCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value.richText)) {
+    return value.richText.map(part => part.text).join('');
+  }
+  if ('result' in value) {
+    return toCellValue(value.result);
+  }
+  if ('text' in value) {
+    return toCellValue(value.text);
+  }
+  return '';
+};
+
+/**
+ * Reads the first worksheet of an XLSX workbook; its first row holds the headers
+ * Later worksheets are read through but ignored
+ * @param {Readable} fileStream - File stream
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+async function* readXlsx(fileStream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(fileStream, {
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    worksheets: 'emit',
+    entries: 'emit'
+  });
+
+  let sheetIndex = 0;
+
+  for await (const worksheet of workbook) {
+    const isFirstSheet = sheetIndex === 0;
+    sheetIndex++;
+    let headers = null;
+
+    for await (const row of worksheet) {
+      if (!isFirstSheet) {
+        continue;
+      }
+
+      const cells = row.values.slice(1).map(toCellValue);
+
+      if (!headers) {
+        headers = cells.map(cell => String(cell).trim());
+        continue;
+      }
+
+      const record = {};
+      headers.forEach((header, index) => {
+        if (header) {
+          record[header] = cells[index] ?? '';
+        }
+      });
+      yield record;
+    }
+  }
+}
+
+/**
+ * Row readers by format; each takes the file stream and returns async rows
+ */
+const READERS = {
+  csv: (fileStream) => {
+    const rows = fileStream.pipe(csv());
+    fileStream.on('error', (error) => rows.destroy(error));
+    return rows;
+  },
+  ndjson: readNdjson,
+  json: readJsonArray,
+  xlsx: readXlsx
+};
+
+/**
+ * Opens an import file and returns its rows
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {Object} fileStream (for progress and checksums) and rows (async iterable)
+ */
+export const openRowReader = (filePath, format) => {
+  const reader = READERS[format];
+
+  if (!reader) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+
+  const fileStream = fs.createReadStream(filePath);
+  return { fileStream, rows: reader(fileStream) };
+};
@@ -0,0 +1,273 @@
+/**
+ * Synthetic transaction data
+ *
+ * Produces realistic-looking transactions from a seed, so the same seed and
+ * options always give the same dataset. Customers buy repeatedly (a few
+ * buy a lot), sales peak in the festive months and on weekends, and every
+ * discount keeps finalAmount <= totalAmount.
+ *
+ * Phone numbers have ten digits like the source CSV's, but start with 1-5.
+ * Indian mobile numbers start with 6-9, so a generated number never belongs
+ * to a real customer.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REGIONS = ['North', 'South', 'East', 'West', 'Central'];
+const REGION_WEIGHTS = [0.24, 0.26, 0.18, 0.22, 0.10];
+
+const GENDERS = ['Male', 'Female', 'Other'];
+const GENDER_WEIGHTS = [0.48, 0.48, 0.04];
+
+const PAYMENT_METHODS = ['UPI', 'Credit Card', 'Debit Card', 'Cash', 'Wallet', 'Net Banking'];
+const PAYMENT_WEIGHTS = [0.34, 0.2, 0.18, 0.14, 0.09, 0.05];
+
+// Unit price range (INR) and tags for each category
+const CATEGORIES = {
+  Electronics: { weight: 0.2, price: [499, 79999], tags: ['gadgets', 'wireless', 'smart', 'accessories'] },
+  Clothing: { weight: 0.24, price: [299, 4999], tags: ['fashion', 'casual', 'cotton', 'formal'] },
+  Home: { weight: 0.16, price: [199, 24999], tags: ['kitchen', 'decor', 'furniture', 'organic'] },
+  Sports: { weight: 0.1, price: [249, 14999], tags: ['fitness', 'outdoor', 'gear'] },
+  Books: { weight: 0.12, price: [99, 1499], tags: ['fiction', 'education', 'bestseller'] },
+  Beauty: { weight: 0.18, price: [149, 3999], tags: ['skincare', 'makeup', 'organic', 'fragrance'] }
+};
+const CATEGORY_NAMES = Object.keys(CATEGORIES);
+const CATEGORY_WEIGHTS = CATEGORY_NAMES.map(name => CATEGORIES[name].weight);
+
+// Tags added regardless of category
+const COMMON_TAGS = ['new', 'premium', 'bestseller'];
+
+const PRODUCTS_PER_CATEGORY = 40;
+
+// Relative sales per month (Jan..Dec), peaking for Diwali and year-end sales
+const MONTH_WEIGHTS = [0.8, 0.75, 0.9, 0.9, 1.0, 0.95, 0.9, 1.0, 1.05, 1.3, 1.5, 1.4];
+const WEEKEND_WEIGHT = 1.25;
+const MAX_DAY_WEIGHT = Math.max(...MONTH_WEIGHTS) * WEEKEND_WEIGHT;
+
+const FIRST_NAMES = {
+  Male: ['Aarav', 'Vihaan', 'Arjun', 'Rohan', 'Karan', 'Aditya', 'Ravi', 'Sanjay', 'Imran', 'Rahul', 'Vikram', 'Nikhil'],
+  Female: ['Asha', 'Priya', 'Ananya', 'Diya', 'Meera', 'Kavya', 'Neha', 'Sana', 'Pooja', 'Isha', 'Lakshmi', 'Riya'],
+  Other: ['Alex', 'Sam', 'Kiran', 'Noor', 'Ari', 'Jai']
+};
+const LAST_NAMES = ['Sharma', 'Verma', 'Iyer', 'Reddy', 'Nair', 'Patel', 'Gupta', 'Khan', 'Das', 'Singh', 'Menon', 'Joshi', 'Rao', 'Bose'];
+
+const EMPLOYEES = [
+  'Harsh Agarwal', 'Divya Kulkarni', 'Manoj Pillai', 'Sneha Chatterjee', 'Arif Qureshi',
+  'Tanvi Desai', 'Gaurav Malhotra', 'Farah Siddiqui', 'Deepak Yadav', 'Swati Mishra'
+];
+
+/**
+ * Turns a string or number seed into a 32-bit integer
+ * @param {string|number} seed - Seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {string|number} seed - Seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Random helpers bound to one generator
+ * @param {Function} random - Function returning numbers in [0, 1)
+ * @returns {Object} int, pick, weighted and chance helpers
+ */
+const randomHelpers = (random) => {
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const weighted = (items, weights) => {
+    let target = random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < items.length; i++) {
+      target -= weights[i];
+      if (target < 0) {
+        return items[i];
+      }
+    }
+    return items[items.length - 1];
+  };
+  const chance = (probability) => random() < probability;
+  return { int, pick, weighted, chance };
+};
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Builds one customer with stable profile fields and buying preferences
+ * @param {number} index - 0-based customer number
+ * @param {Object} rand - Random helpers
+ * @returns {Object} Customer
+ */
+const createCustomer = (index, rand) => {
+  const gender = rand.weighted(GENDERS, GENDER_WEIGHTS);
+  return {
+    customerId: `CUST-${pad(index + 1, 6)}`,
+    customerName: `${rand.pick(FIRST_NAMES[gender])} ${rand.pick(LAST_NAMES)}`,
+    phoneNumber: `${rand.int(1, 5)}${pad(rand.int(0, 999999999), 9)}`,
+    gender,
+    age: rand.int(18, 70),
+    customerRegion: rand.weighted(REGIONS, REGION_WEIGHTS),
+    favouriteCategory: rand.weighted(CATEGORY_NAMES, CATEGORY_WEIGHTS),
+    favouritePaymentMethod: rand.weighted(PAYMENT_METHODS, PAYMENT_WEIGHTS)
+  };
+};
+
+/**
+ * Picks a purchase day, favouring festive months and weekends
+ * @param {number} start - First day (ms since epoch, UTC midnight)
+ * @param {number} days - Number of days in the range
+ * @param {Function} random - Function returning numbers in [0, 1)
+ * @returns {Date} Purchase date and time (UTC)
+ */
+const pickDate = (start, days, random) => {
+  for (;;) {
+    const day = new Date(start + Math.floor(random() * days) * DAY_MS);
+    const weekday = day.getUTCDay();
+    const weight = MONTH_WEIGHTS[day.getUTCMonth()] * (weekday === 0 || weekday === 6 ? WEEKEND_WEIGHT : 1);
+
+    if (random() * MAX_DAY_WEIGHT < weight) {
+      // Store hours, 09:00-21:59
+      const minutes = 9 * 60 + Math.floor(random() * 13 * 60);
+      return new Date(day.getTime() + minutes * 60 * 1000);
+    }
+  }
+};
+
+/**
+ * Validates generator options
+ * @param {Object} options - Generator options
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateGeneratorOptions = ({ count, customers, startDate, endDate } = {}) => {
+  const errors = [];
+
+  if (!Number.isInteger(count) || count < 1) {
+    errors.push('count must be a positive integer');
+  }
+  if (customers !== undefined && (!Number.isInteger(customers) || customers < 1)) {
+    errors.push('customers must be a positive integer');
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    errors.push('startDate and endDate must be valid dates');
+  } else if (start > end) {
+    errors.push('startDate cannot be after endDate');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Generates transactions one at a time
+ * @param {Object} options - Generator options
+ * @param {string|number} options.seed - Seed; the same seed gives the same data
+ * @param {number} options.count - Number of transactions
+ * @param {number} options.customers - Customer pool size (defaults to one per five transactions)
+ * @param {string|Date} options.startDate - First purchase day
+ * @param {string|Date} options.endDate - Last purchase day
+ * @returns {Generator<Object>} Transactions with the Transaction model's fields
+ */
+export function* generateTransactions({
+  seed = 1,
+  count,
+  customers,
+  startDate = '2023-01-01',
+  endDate = '2024-12-31'
+}) {
+  const validation = validateGeneratorOptions({ count, customers, startDate, endDate });
+  if (!validation.isValid) {
+    throw new Error(`Invalid generator options: ${validation.errors.join(', ')}`);
+  }
+
+  const random = createRandom(seed);
+  const rand = randomHelpers(random);
+
+  const start = new Date(startDate);
+  const startDay = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const days = Math.floor((new Date(endDate).getTime() - startDay) / DAY_MS) + 1;
+
+  const poolSize = customers || Math.max(1, Math.round(count / 5));
+  const pool = [];
+
+  for (let i = 0; i < count; i++) {
+    // Squaring skews picks toward the first customers, who become frequent buyers
+    const customerIndex = Math.floor(random() ** 2 * poolSize);
+    while (pool.length <= customerIndex) {
+      pool.push(null);
+    }
+    pool[customerIndex] = pool[customerIndex] || createCustomer(customerIndex, randomHelpers(createRandom(`${seed}:${customerIndex}`)));
+    const customer = pool[customerIndex];
+
+    const productCategory = rand.chance(0.6)
+      ? customer.favouriteCategory
+      : rand.weighted(CATEGORY_NAMES, CATEGORY_WEIGHTS);
+    const category = CATEGORIES[productCategory];
+    const productNumber = rand.int(1, PRODUCTS_PER_CATEGORY);
+    // Each product has a fixed price derived from its number
+    const [minPrice, maxPrice] = category.price;
+    const unitPrice = Math.round(minPrice + ((productNumber * 7919) % 1000) / 1000 * (maxPrice - minPrice));
+
+    const quantity = rand.weighted([1, 2, 3, 4, 5], [0.55, 0.25, 0.1, 0.06, 0.04]);
+    const totalAmount = unitPrice * quantity;
+    const discount = rand.chance(0.45) ? rand.int(5, 30) / 100 : 0;
+    const finalAmount = round2(totalAmount * (1 - discount));
+
+    const tags = new Set();
+    const tagCount = rand.int(0, 2);
+    for (let t = 0; t < tagCount; t++) {
+      tags.add(rand.pick(category.tags));
+    }
+    if (rand.chance(0.15)) {
+      tags.add(rand.pick(COMMON_TAGS));
+    }
+    if (discount > 0) {
+      tags.add('sale');
+    }
+
+    yield {
+      transactionId: `TXN-${pad(i + 1, 8)}`,
+      customerId: customer.customerId,
+      customerName: customer.customerName,
+      phoneNumber: customer.phoneNumber,
+      gender: customer.gender,
+      age: customer.age,
+      customerRegion: customer.customerRegion,
+      productId: `PRD-${productCategory.slice(0, 3).toUpperCase()}-${pad(productNumber, 3)}`,
+      productCategory,
+      tags: [...tags],
+      quantity,
+      totalAmount,
+      finalAmount,
+      date: pickDate(startDay, days, random),
+      paymentMethod: rand.chance(0.7)
+        ? customer.favouritePaymentMethod
+        : rand.weighted(PAYMENT_METHODS, PAYMENT_WEIGHTS),
+      employeeName: rand.pick(EMPLOYEES)
+    };
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Plain-object transaction helpers for storage backends without Mongoose documents
+ *
+ * The in-memory and SQLite backends store plain objects but still validate
+ * and cast through the Transaction model, so they accept and reject exactly
+ * what MongoDB would
+ */
+
+import Transaction from '../models/Transaction.js';
+import { formatDate } from '../services/transactionServiceMongo.js';
+
+/**
+ * Validate and cast fields exactly as the Transaction model would on save
+ * @param {Object} data - Transaction fields
+ * @returns {Promise<Object>} Plain object with an _id, Date date and schema fields only
+ * @throws {mongoose.Error.ValidationError} If the model rejects the fields
+ */
+export const toStoredTransaction = async (data) => {
+  const document = new Transaction(data);
+  await document.validate();
+
+  return document.toObject({ versionKey: false });
+};
+
+/**
+ * Convert a stored transaction into an API response object
+ * @param {Object} transaction - Stored transaction
+ * @returns {Object} Copy with derived discountAmount and formatted date
+ */
+export const toTransactionResponse = (transaction) => ({
+  ...transaction,
+  discountAmount: transaction.totalAmount - transaction.finalAmount,
+  date: formatDate(transaction.date)
+});
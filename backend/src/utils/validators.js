@@ -100,3 +100,344 @@ export const validateFilters = (filters) => {
   };
 };
 
+
+/**
+ * Validates time-series granularity
+ * @param {string} granularity - Bucket size
+ * @returns {Object} Validation result
+ */
+export const validateGranularity = (granularity) => {
+  const errors = [];
+  const validGranularities = ['day', 'week', 'month', 'quarter', 'year'];
+
+  if (granularity && !validGranularities.includes(granularity)) {
+    errors.push(`Invalid granularity. Must be one of: ${validGranularities.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates a breakdown dimension
+ * @param {string} dimension - Field to group by
+ * @returns {Object} Validation result
+ */
+export const validateDimension = (dimension) => {
+  const errors = [];
+  const validDimensions = [
+    'productCategory',
+    'customerRegion',
+    'gender',
+    'paymentMethod',
+    'tags',
+    'employeeName',
+    'ageBand'
+  ];
+
+  if (dimension && !validDimensions.includes(dimension)) {
+    errors.push(`Invalid dimension. Must be one of: ${validDimensions.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates import upload options
+ * @param {Object} options - Multipart form fields
+ * @param {string} options.strict - 'true' or 'false'
+ * @param {string} options.onInvalid - What strict mode does with bad rows
+ * @param {string} options.upsert - 'true' or 'false'
+ * @param {string} options.format - csv, ndjson, json or xlsx
+ * @returns {Object} Validation result
+ */
+export const validateImportOptions = ({ strict, onInvalid, upsert, format } = {}) => {
+  const errors = [];
+  const validModes = ['reject', 'quarantine'];
+  const validFormats = ['csv', 'ndjson', 'json', 'xlsx'];
+
+  Object.entries({ strict, upsert }).forEach(([name, value]) => {
+    if (value !== undefined && !['true', 'false'].includes(value)) {
+      errors.push(`${name} must be true or false`);
+    }
+  });
+
+  if (onInvalid !== undefined && !validModes.includes(onInvalid)) {
+    errors.push(`Invalid onInvalid. Must be one of: ${validModes.join(', ')}`);
+  }
+
+  if (format !== undefined && !validFormats.includes(format)) {
+    errors.push(`Invalid format. Must be one of: ${validFormats.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Transaction fields accepted by the write API, grouped by type
+ */
+const TRANSACTION_STRING_FIELDS = [
+  'transactionId',
+  'customerId',
+  'customerName',
+  'phoneNumber',
+  'gender',
+  'customerRegion',
+  'productId',
+  'productCategory',
+  'paymentMethod',
+  'employeeName'
+];
+const TRANSACTION_NUMBER_FIELDS = ['age', 'quantity', 'totalAmount', 'finalAmount'];
+const TRANSACTION_REQUIRED_FIELDS = ['transactionId', 'customerId', 'customerName', 'quantity', 'totalAmount', 'date'];
+const VALID_GENDERS = ['Male', 'Female', 'Other', ''];
+
+/**
+ * Validates the amounts of a transaction: none negative, and the discounted
+ * finalAmount no more than totalAmount
+ * PATCH runs this on the stored transaction merged with the change, since
+ * either amount may come from the stored side
+ * @param {Object} data - Transaction fields
+ * @returns {Object} Validation result
+ */
+export const validateTransactionAmounts = (data) => {
+  const errors = [];
+
+  ['quantity', 'totalAmount', 'finalAmount'].forEach(field => {
+    if (typeof data[field] === 'number' && data[field] < 0) {
+      errors.push(`${field} cannot be negative`);
+    }
+  });
+
+  if (typeof data.finalAmount === 'number' && typeof data.totalAmount === 'number' &&
+      data.finalAmount > data.totalAmount) {
+    errors.push('finalAmount cannot exceed totalAmount');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates a transaction payload against the Transaction schema rules
+ * @param {Object} data - Transaction fields
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Skip required-field checks (PATCH)
+ * @returns {Object} Validation result
+ */
+export const validateTransactionInput = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      isValid: false,
+      errors: ['Request body must be a JSON object']
+    };
+  }
+
+  const knownFields = [...TRANSACTION_STRING_FIELDS, ...TRANSACTION_NUMBER_FIELDS, 'tags', 'date'];
+  Object.keys(data).forEach(field => {
+    if (!knownFields.includes(field)) {
+      errors.push(`Unknown field: ${field}`);
+    }
+  });
+
+  if (!partial) {
+    TRANSACTION_REQUIRED_FIELDS.forEach(field => {
+      if (data[field] === undefined || data[field] === null || data[field] === '') {
+        errors.push(`${field} is required`);
+      }
+    });
+  }
+
+  TRANSACTION_STRING_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  });
+
+  TRANSACTION_NUMBER_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null &&
+        (typeof data[field] !== 'number' || !Number.isFinite(data[field]))) {
+      errors.push(`${field} must be a number`);
+    }
+  });
+
+  if (typeof data.age === 'number' && (data.age < 0 || data.age > 150)) {
+    errors.push('age must be between 0 and 150');
+  }
+
+  errors.push(...validateTransactionAmounts(data).errors);
+
+  if (data.gender !== undefined && data.gender !== null && !VALID_GENDERS.includes(data.gender)) {
+    errors.push('gender must be one of: Male, Female, Other');
+  }
+
+  if (data.date !== undefined && data.date !== null && data.date !== '' &&
+      isNaN(new Date(data.date).getTime())) {
+    errors.push('date must be a valid date');
+  }
+
+  if (data.tags !== undefined &&
+      (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push('tags must be an array of strings');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,64}$/i;
+const PASSWORD_MIN_LENGTH = 10;
+const PASSWORD_MAX_LENGTH = 128;
+
+/**
+ * Validates a login or token request body
+ * @param {Object} body - Request body
+ * @param {Array<string>} fields - Fields that must be non-empty strings
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateCredentials = (body, fields = ['username', 'password']) => {
+  const errors = [];
+
+  fields.forEach(field => {
+    if (typeof body?.[field] !== 'string' || body[field].trim() === '') {
+      errors.push(`${field} is required`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates account fields for creating or updating a user
+ * @param {Object} data - username, password and role
+ * @param {Array<string>} roles - Valid roles
+ * @param {Object} options - partial: only check the fields present
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateUserInput = (data, roles, { partial = false } = {}) => {
+  const errors = [];
+  const { username, password, role } = data || {};
+
+  if (!partial || username !== undefined) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      errors.push('username must be 3-64 letters, digits, dots, dashes or underscores');
+    }
+  }
+
+  if (!partial || password !== undefined) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+      errors.push(`password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`);
+    }
+  }
+
+  if (role !== undefined && !roles.includes(role)) {
+    errors.push(`Invalid role. Must be one of: ${roles.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates the fields for a new API key
+ * @param {Object} data - name and scope
+ * @param {Array<string>} scopes - Valid scopes
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateApiKeyInput = (data, scopes) => {
+  const errors = [];
+  const { name, scope } = data || {};
+
+  if (typeof name !== 'string' || name.trim() === '' || name.trim().length > 100) {
+    errors.push('name must be 1-100 characters');
+  }
+
+  if (!scopes.includes(scope)) {
+    errors.push(`Invalid scope. Must be one of: ${scopes.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates who a data subject request is about
+ * @param {Object} data - customerId and/or phoneNumber
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateDataSubject = (data) => {
+  const errors = [];
+  const { customerId, phoneNumber } = data || {};
+
+  if (customerId === undefined && phoneNumber === undefined) {
+    errors.push('customerId or phoneNumber is required');
+  }
+
+  [['customerId', customerId], ['phoneNumber', phoneNumber]].forEach(([field, value]) => {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '' || value.length > 100)) {
+      errors.push(`${field} must be 1-100 characters`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates audit log query parameters
+ * @param {Object} params - user, action, requestId, from, to, page and pageSize
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateAuditQuery = (params) => {
+  const { from, to, page, pageSize } = params || {};
+  const { errors } = validatePagination(page, pageSize);
+
+  const dates = {};
+  [['from', from], ['to', to]].forEach(([field, value]) => {
+    if (value === undefined || value === '') {
+      return;
+    }
+    dates[field] = new Date(value);
+    if (typeof value !== 'string' || isNaN(dates[field].getTime())) {
+      errors.push(`${field} must be a valid date`);
+    }
+  });
+
+  if (dates.from && dates.to && dates.from > dates.to) {
+    errors.push('from must not be after to');
+  }
+
+  ['user', 'action', 'requestId'].forEach(field => {
+    if (params?.[field] !== undefined && typeof params[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
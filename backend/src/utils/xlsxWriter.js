@@ -0,0 +1,120 @@
+/**
+ * XLSX writing utilities for streaming exports
+ */
+
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { EXPORT_COLUMNS } from './csvWriter.js';
+
+const FILTER_LABELS = {
+  customerRegion: 'Customer Region',
+  gender: 'Gender',
+  productCategory: 'Product Category',
+  tags: 'Tags',
+  paymentMethod: 'Payment Method'
+};
+
+/**
+ * Describes the search, filters and sort that produced an export
+ * @param {Object} criteria - Export criteria (search, filters, sortBy, sortOrder)
+ * @returns {Array<Array<string>>} Label/value pairs
+ */
+export const describeFilters = (criteria = {}) => {
+  const { search, filters = {}, sortBy = 'date', sortOrder = 'desc' } = criteria;
+  const rows = [];
+
+  if (search && search.trim() !== '') {
+    rows.push(['Search', search.trim()]);
+  }
+
+  Object.entries(FILTER_LABELS).forEach(([key, label]) => {
+    if (Array.isArray(filters[key]) && filters[key].length > 0) {
+      rows.push([label, filters[key].join(', ')]);
+    }
+  });
+
+  if (filters.ageRange) {
+    const { min, max } = filters.ageRange;
+    if ((min !== undefined && min > 0) || (max !== undefined && max < 100)) {
+      rows.push(['Age Range', `${min ?? 0} - ${max ?? 100}`]);
+    }
+  }
+
+  if (filters.dateRange && (filters.dateRange.start || filters.dateRange.end)) {
+    const { start, end } = filters.dateRange;
+    rows.push(['Date Range', `${start || 'any'} to ${end || 'any'}`]);
+  }
+
+  if (rows.length === 0) {
+    rows.push(['Filters', 'None (all transactions)']);
+  }
+
+  rows.push(['Sort', `${sortBy} (${sortOrder})`]);
+
+  return rows;
+};
+
+/**
+ * Converts a record into an array of cell values
+ * @param {Object} record - Record to serialise
+ * @param {Array} columns - Column definitions
+ * @returns {Array} Cell values in column order
+ */
+export const toXlsxRow = (record, columns = EXPORT_COLUMNS) => {
+  return columns.map(column => {
+    const value = record[column.key];
+    if (value === undefined || value === null) {
+      return null;
+    }
+    return Array.isArray(value) ? value.join(', ') : value;
+  });
+};
+
+/**
+ * Streams a two-sheet workbook: matching rows, then the summary and criteria
+ * @param {Object} options - Writer options
+ * @param {Writable} options.stream - Destination stream
+ * @param {AsyncIterable} options.cursor - Records to write
+ * @param {Object} options.summary - Aggregate stats for the exported set
+ * @param {Object} options.criteria - Search, filters and sort used for the export
+ * @param {Array} options.columns - Column definitions
+ * @returns {Promise<void>}
+ */
+export const writeXlsxExport = async ({ stream, cursor, summary, criteria, columns = EXPORT_COLUMNS }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+
+  const sheet = workbook.addWorksheet('Transactions');
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: 18,
+    style: column.key === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const record of cursor) {
+    sheet.addRow(toXlsxRow(record, columns)).commit();
+
+    // Respect backpressure from the destination
+    if (stream.writableNeedDrain) {
+      await once(stream, 'drain');
+    }
+  }
+  sheet.commit();
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [{ width: 24 }, { width: 48 }];
+  summarySheet.addRow(['Export Summary']).font = { bold: true };
+  summarySheet.addRow(['Generated At', new Date().toISOString()]);
+  summarySheet.addRow([]);
+  summarySheet.addRow(['Total Units', summary.totalUnits]);
+  summarySheet.addRow(['Total Amount', summary.totalAmount]);
+  summarySheet.addRow(['Total Discount', summary.totalDiscount]);
+  summarySheet.addRow(['Record Count', summary.recordCount]);
+  summarySheet.addRow([]);
+  summarySheet.addRow(['Active Filters']).font = { bold: true };
+  describeFilters(criteria).forEach(row => summarySheet.addRow(row));
+  summarySheet.commit();
+
+  await workbook.commit();
+};
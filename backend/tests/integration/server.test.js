@@ -1,7 +1,38 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
 import request from 'supertest';
 import { app } from '../../src/index.js';
+import transactionRepository from '../../src/services/transactionRepository.js';
+import transactionServiceSqlite from '../../src/services/transactionServiceSqlite.js';
+import degradedModeService from '../../src/services/degradedModeService.js';
+import database, { CONNECTION_STATES } from '../../src/config/database.js';
+import { getResilienceConfig } from '../../src/config/resilience.js';
+import transactionServiceMongo from '../../src/services/transactionServiceMongo.js';
+import analyticsServiceMongo from '../../src/services/analyticsServiceMongo.js';
+import importJobService from '../../src/services/importJobService.js';
+import importBatchService from '../../src/services/importBatchService.js';
+import authService from '../../src/services/authService.js';
+import apiKeyService from '../../src/services/apiKeyService.js';
+import ApiKey from '../../src/models/ApiKey.js';
+import { getAuthConfig } from '../../src/config/auth.js';
+import privacyService from '../../src/services/privacyService.js';
+import dataSubjectService from '../../src/services/dataSubjectService.js';
+import { getPrivacyConfig } from '../../src/config/privacy.js';
+import auditService from '../../src/services/auditService.js';
+
+// Clients signed in with each role (access tokens are checked without MongoDB)
+const signedInAs = (role) => request.agent(app)
+  .set('Authorization', `Bearer ${authService.signAccessToken({ id: `${role}-id`, username: role, role })}`);
+const asAdmin = signedInAs('admin');
 
 describe('Server Integration Tests', () => {
+  // Writes and exports record audit events; nothing is stored without MongoDB
+  beforeEach(() => {
+    jest.spyOn(auditService, 'record').mockResolvedValue();
+  });
+
   describe('GET /health', () => {
     it('should return 200 and health status', async () => {
       const response = await request(app)
@@ -12,6 +43,7 @@ describe('Server Integration Tests', () => {
       expect(response.body.message).toBe('Server is running');
       expect(response.body.timestamp).toBeTruthy();
       expect(response.body.uptime).toBeGreaterThanOrEqual(0);
+      expect(response.body.storage).toBe('mongo');
     });
   });
 
@@ -25,4 +57,1308 @@ describe('Server Integration Tests', () => {
       expect(response.body.error).toBe('Route not found');
     });
   });
+
+  describe('GET /api/transactions/export', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should stream matching transactions as CSV', async () => {
+      const spy = jest.spyOn(transactionServiceMongo, 'getExportCursor').mockReturnValue(
+        Readable.from([
+          { transactionId: 'T1', customerName: 'John Doe', date: new Date('2025-01-15'), tags: ['tech'] }
+        ])
+      );
+
+      const response = await asAdmin
+        .get('/api/transactions/export')
+        .query({ search: 'john', filters: JSON.stringify({ gender: ['Male'] }), sortBy: 'date', sortOrder: 'asc' })
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="transactions-.*\.csv"/);
+      expect(response.text.split('\r\n')[0]).toMatch(/^Transaction ID,Date,/);
+      expect(response.text).toContain('T1,2025-01-15,,John Doe');
+      expect(spy).toHaveBeenCalledWith({
+        search: 'john',
+        filters: { gender: ['Male'] },
+        sortBy: 'date',
+        sortOrder: 'asc'
+      });
+    });
+
+    it('should stream an XLSX workbook when format=xlsx', async () => {
+      jest.spyOn(transactionServiceMongo, 'getExportSummary').mockResolvedValue({
+        totalUnits: 2, totalAmount: 2000, totalDiscount: 200, recordCount: 1
+      });
+      jest.spyOn(transactionServiceMongo, 'getExportCursor').mockReturnValue(
+        Readable.from([{ transactionId: 'T1', customerName: 'John Doe' }])
+      );
+
+      const response = await asAdmin
+        .get('/api/transactions/export')
+        .query({ format: 'xlsx' })
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/spreadsheetml/);
+      expect(response.headers['content-disposition']).toMatch(/\.xlsx"/);
+      // XLSX files are zip archives
+      expect(response.body.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    it('should reject unknown export formats with 400', async () => {
+      const response = await asAdmin
+        .get('/api/transactions/export')
+        .query({ format: 'pdf' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Invalid export format/);
+    });
+
+    it('should reject invalid filters JSON with 400', async () => {
+      const response = await asAdmin
+        .get('/api/transactions/export')
+        .query({ filters: '{invalid' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/transactions/:transactionId', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return the transaction when it exists', async () => {
+      const spy = jest.spyOn(transactionServiceMongo, 'getTransactionById').mockResolvedValue({
+        transactionId: 'T1',
+        totalAmount: 2000,
+        finalAmount: 1800,
+        discountAmount: 200
+      });
+
+      const response = await asAdmin
+        .get('/api/transactions/T1')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.discountAmount).toBe(200);
+      expect(spy).toHaveBeenCalledWith('T1');
+    });
+
+    it('should return 404 when the transaction does not exist', async () => {
+      jest.spyOn(transactionServiceMongo, 'getTransactionById').mockResolvedValue(null);
+
+      const response = await asAdmin
+        .get('/api/transactions/missing')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Transaction missing not found');
+    });
+  });
+
+  describe('GET /api/customers/:customerId', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return the customer summary', async () => {
+      const summary = {
+        customerId: 'C001',
+        profile: { customerName: 'John Doe' },
+        metrics: { orderCount: 3, favouriteCategory: 'Electronics' },
+        recentTransactions: []
+      };
+      const spy = jest.spyOn(transactionServiceMongo, 'getCustomerSummary').mockResolvedValue(summary);
+
+      const response = await asAdmin
+        .get('/api/customers/C001')
+        .query({ recentLimit: '5' })
+        .expect(200);
+
+      expect(response.body.data).toEqual(summary);
+      expect(spy).toHaveBeenCalledWith('C001', { recentLimit: 5 });
+    });
+
+    it('should return 404 when the customer has no transactions', async () => {
+      jest.spyOn(transactionServiceMongo, 'getCustomerSummary').mockResolvedValue(null);
+
+      const response = await asAdmin
+        .get('/api/customers/unknown')
+        .expect(404);
+
+      expect(response.body.error).toBe('Customer unknown not found');
+    });
+
+    it('should reject an out-of-range recentLimit with 400', async () => {
+      const response = await asAdmin
+        .get('/api/customers/C001')
+        .query({ recentLimit: '0' })
+        .expect(400);
+
+      expect(response.body.errors).toContain('recentLimit must be between 1 and 100');
+    });
+  });
+
+  describe('GET /api/analytics/timeseries', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return buckets for the requested granularity', async () => {
+      const spy = jest.spyOn(analyticsServiceMongo, 'getTimeSeries').mockResolvedValue({
+        granularity: 'week',
+        buckets: []
+      });
+
+      const response = await asAdmin
+        .get('/api/analytics/timeseries')
+        .query({ granularity: 'week', filters: JSON.stringify({ tags: ['sale'] }) })
+        .expect(200);
+
+      expect(response.body.data.granularity).toBe('week');
+      expect(spy).toHaveBeenCalledWith({
+        search: undefined,
+        filters: { tags: ['sale'] },
+        granularity: 'week'
+      });
+    });
+
+    it('should reject unsupported granularity with 400', async () => {
+      const response = await asAdmin
+        .get('/api/analytics/timeseries')
+        .query({ granularity: 'hour' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid granularity');
+    });
+  });
+
+  describe('GET /api/analytics/breakdown', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return the breakdown for the requested dimension', async () => {
+      const spy = jest.spyOn(analyticsServiceMongo, 'getBreakdown').mockResolvedValue({
+        dimension: 'tags',
+        totals: {},
+        groups: []
+      });
+
+      const response = await asAdmin
+        .get('/api/analytics/breakdown')
+        .query({ dimension: 'tags', search: 'john' })
+        .expect(200);
+
+      expect(response.body.data.dimension).toBe('tags');
+      expect(spy).toHaveBeenCalledWith({ search: 'john', filters: {}, dimension: 'tags' });
+    });
+
+    it('should reject unsupported dimensions with 400', async () => {
+      const response = await asAdmin
+        .get('/api/analytics/breakdown')
+        .query({ dimension: 'phoneNumber' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid dimension');
+    });
+  });
+
+  describe('GET /api/transactions', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should decode the cursor and pass it to the service', async () => {
+      const spy = jest.spyOn(transactionServiceMongo, 'getTransactions').mockResolvedValue({ items: [] });
+      const cursor = Buffer.from(JSON.stringify({
+        s: 'date', o: 'desc', d: 'next', v: '2025-01-15T00:00:00.000Z', id: '507f1f77bcf86cd799439011'
+      })).toString('base64url');
+
+      await asAdmin
+        .get('/api/transactions')
+        .query({ cursor, page: '2' })
+        .expect(200);
+
+      const params = spy.mock.calls[0][0];
+      expect(params.page).toBe(2);
+      expect(params.cursor.direction).toBe('next');
+      expect(params.cursor.value).toEqual(new Date('2025-01-15T00:00:00.000Z'));
+    });
+
+    it('should reject a cursor issued for another sort with 400', async () => {
+      const cursor = Buffer.from(JSON.stringify({
+        s: 'date', o: 'desc', d: 'next', v: '2025-01-15T00:00:00.000Z', id: '507f1f77bcf86cd799439011'
+      })).toString('base64url');
+
+      const response = await asAdmin
+        .get('/api/transactions')
+        .query({ cursor, sortBy: 'quantity' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Cursor does not match the current sort');
+    });
+  });
+
+  describe('Transaction write API', () => {
+    const body = {
+      transactionId: 'T1',
+      customerId: 'C001',
+      customerName: 'John Doe',
+      quantity: 2,
+      totalAmount: 2000,
+      date: '2025-01-15'
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should create a transaction with 201', async () => {
+      const spy = jest.spyOn(transactionServiceMongo, 'createTransaction').mockResolvedValue(body);
+
+      const response = await asAdmin
+        .post('/api/transactions')
+        .send(body)
+        .expect(201);
+
+      expect(response.body.data.transactionId).toBe('T1');
+      expect(spy).toHaveBeenCalledWith(body);
+    });
+
+    it('should reject an invalid body with 400', async () => {
+      const response = await asAdmin
+        .post('/api/transactions')
+        .send({ ...body, age: -1 })
+        .expect(400);
+
+      expect(response.body.errors).toContain('age must be between 0 and 150');
+    });
+
+    it('should replace on PUT and patch on PATCH', async () => {
+      const replace = jest.spyOn(transactionServiceMongo, 'replaceTransaction').mockResolvedValue(body);
+      const update = jest.spyOn(transactionServiceMongo, 'updateTransaction').mockResolvedValue(body);
+      const { transactionId, ...rest } = body;
+
+      await asAdmin.put('/api/transactions/T1').send(rest).expect(200);
+      await asAdmin.patch('/api/transactions/T1').send({ quantity: 3 }).expect(200);
+
+      expect(replace).toHaveBeenCalledWith('T1', rest);
+      expect(update).toHaveBeenCalledWith('T1', { quantity: 3 });
+    });
+
+    it('should reject negative amounts and a finalAmount above totalAmount', async () => {
+      const create = jest.spyOn(transactionServiceMongo, 'createTransaction');
+
+      const response = await asAdmin
+        .post('/api/transactions')
+        .send({ ...body, quantity: -2, finalAmount: 2500 })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['quantity cannot be negative', 'finalAmount cannot exceed totalAmount']);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should check a patched amount against the stored transaction', async () => {
+      jest.spyOn(transactionServiceMongo, 'getTransactionById').mockResolvedValue({ ...body, finalAmount: 1800 });
+      const update = jest.spyOn(transactionServiceMongo, 'updateTransaction').mockResolvedValue(body);
+
+      const response = await asAdmin.patch('/api/transactions/T1').send({ finalAmount: 2500 }).expect(400);
+      await asAdmin.patch('/api/transactions/T1').send({ totalAmount: 1000 }).expect(400);
+
+      expect(response.body.errors).toEqual(['finalAmount cannot exceed totalAmount']);
+      expect(update).not.toHaveBeenCalled();
+
+      await asAdmin.patch('/api/transactions/T1').send({ finalAmount: 1500 }).expect(200);
+      expect(update).toHaveBeenCalledWith('T1', { finalAmount: 1500 });
+    });
+
+    it('should return 404 when patching an amount of a missing transaction', async () => {
+      jest.spyOn(transactionServiceMongo, 'getTransactionById').mockResolvedValue(null);
+      const update = jest.spyOn(transactionServiceMongo, 'updateTransaction');
+
+      await asAdmin.patch('/api/transactions/missing').send({ totalAmount: 10 }).expect(404);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when updating a missing transaction', async () => {
+      jest.spyOn(transactionServiceMongo, 'updateTransaction').mockResolvedValue(null);
+
+      await asAdmin.patch('/api/transactions/missing').send({ quantity: 3 }).expect(404);
+    });
+
+    it('should delete a transaction', async () => {
+      jest.spyOn(transactionServiceMongo, 'deleteTransaction').mockResolvedValue(body);
+
+      const response = await asAdmin
+        .delete('/api/transactions/T1')
+        .expect(200);
+
+      expect(response.body.data.transactionId).toBe('T1');
+    });
+
+    it('should return 404 when deleting a missing transaction', async () => {
+      jest.spyOn(transactionServiceMongo, 'deleteTransaction').mockResolvedValue(null);
+
+      await asAdmin.delete('/api/transactions/missing').expect(404);
+    });
+  });
+
+  describe('CSV imports', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should accept a CSV upload and return a job', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob')
+        .mockReturnValue({ id: 'job-1', status: 'queued' });
+
+      const response = await asAdmin
+        .post('/api/imports')
+        .attach('file', Buffer.from('Transaction ID\nT1\n'), 'sales.csv')
+        .expect(202);
+
+      expect(response.headers.location).toBe('/api/imports/job-1');
+      expect(response.body.data.id).toBe('job-1');
+      expect(createJob.mock.calls[0][0].fileName).toBe('sales.csv');
+    });
+
+    it('should pass strict options to the job', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob')
+        .mockReturnValue({ id: 'job-2', status: 'queued' });
+
+      await asAdmin
+        .post('/api/imports')
+        .field('onInvalid', 'quarantine')
+        .attach('file', Buffer.from('Transaction ID\nT1\n'), 'sales.csv')
+        .expect(202);
+
+      expect(createJob.mock.calls[0][0]).toMatchObject({ strict: true, onInvalid: 'quarantine' });
+    });
+
+    it('should pass the upsert option to the job', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob')
+        .mockReturnValue({ id: 'job-3', status: 'queued' });
+
+      await asAdmin
+        .post('/api/imports')
+        .field('upsert', 'true')
+        .attach('file', Buffer.from('Transaction ID\nT1\n'), 'sales.csv')
+        .expect(202);
+
+      expect(createJob.mock.calls[0][0]).toMatchObject({ strict: false, upsert: true });
+    });
+
+    it('should load the selected mapping profile', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob')
+        .mockReturnValue({ id: 'job-4', status: 'queued' });
+
+      await asAdmin
+        .post('/api/imports')
+        .field('profile', 'example-pos-us')
+        .attach('file', Buffer.from('Receipt #\nR1\n'), 'pos.csv')
+        .expect(202);
+
+      expect(createJob.mock.calls[0][0].profile).toMatchObject({
+        name: 'example-pos-us',
+        dateFormat: 'MM/DD/YYYY HH:mm'
+      });
+    });
+
+    it('should reject an unknown mapping profile', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob');
+
+      const response = await asAdmin
+        .post('/api/imports')
+        .field('profile', 'no-such-vendor')
+        .attach('file', Buffer.from('Receipt #\nR1\n'), 'pos.csv')
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['Mapping profile no-such-vendor not found']);
+      expect(createJob).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid import options', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob');
+
+      await asAdmin
+        .post('/api/imports')
+        .field('onInvalid', 'drop')
+        .attach('file', Buffer.from('Transaction ID\nT1\n'), 'sales.csv')
+        .expect(400);
+
+      expect(createJob).not.toHaveBeenCalled();
+    });
+
+    it('should reject a request without a file', async () => {
+      const response = await asAdmin.post('/api/imports').expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should pick the format from the file extension', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob')
+        .mockReturnValue({ id: 'job-5', status: 'queued' });
+
+      await asAdmin
+        .post('/api/imports')
+        .attach('file', Buffer.from('{"Transaction ID":"T1"}\n'), 'sales.ndjson')
+        .expect(202);
+
+      expect(createJob.mock.calls[0][0]).toMatchObject({ fileName: 'sales.ndjson', format: 'ndjson' });
+    });
+
+    it('should let the format field override the extension', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob')
+        .mockReturnValue({ id: 'job-6', status: 'queued' });
+
+      await asAdmin
+        .post('/api/imports')
+        .field('format', 'ndjson')
+        .attach('file', Buffer.from('{"Transaction ID":"T1"}\n'), 'sales.json')
+        .expect(202);
+
+      expect(createJob.mock.calls[0][0].format).toBe('ndjson');
+    });
+
+    it('should reject an unknown format', async () => {
+      const createJob = jest.spyOn(importJobService, 'createJob');
+
+      const response = await asAdmin
+        .post('/api/imports')
+        .field('format', 'xml')
+        .attach('file', Buffer.from('Transaction ID\nT1\n'), 'sales.csv')
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['Invalid format. Must be one of: csv, ndjson, json, xlsx']);
+      expect(createJob).not.toHaveBeenCalled();
+    });
+
+    it('should reject unsupported file types', async () => {
+      await asAdmin
+        .post('/api/imports')
+        .attach('file', Buffer.from('<sales/>'), 'sales.xml')
+        .expect(400);
+    });
+
+    it('should report job status', async () => {
+      jest.spyOn(importJobService, 'getJob').mockReturnValue({
+        id: 'job-1', status: 'running', rowsProcessed: 10, inserted: 8, failed: 2, etaSeconds: 5
+      });
+
+      const response = await asAdmin.get('/api/imports/job-1').expect(200);
+
+      expect(response.body.data).toMatchObject({ rowsProcessed: 10, inserted: 8, failed: 2, etaSeconds: 5 });
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      await asAdmin.get('/api/imports/unknown').expect(404);
+    });
+
+    it('should return the report of a completed job', async () => {
+      jest.spyOn(importJobService, 'getJob').mockReturnValue({ id: 'job-1', status: 'completed' });
+      jest.spyOn(importJobService, 'getReport').mockReturnValue({ mode: 'strict', errors: [] });
+
+      const response = await asAdmin.get('/api/imports/job-1/report').expect(200);
+
+      expect(response.body.data.mode).toBe('strict');
+    });
+
+    it('should return 409 while the report is not ready', async () => {
+      jest.spyOn(importJobService, 'getJob').mockReturnValue({ id: 'job-1', status: 'running' });
+      jest.spyOn(importJobService, 'getReport').mockReturnValue(null);
+
+      await asAdmin.get('/api/imports/job-1/report').expect(409);
+    });
+
+    it('should return 404 for the report of an unknown job', async () => {
+      await asAdmin.get('/api/imports/unknown/report').expect(404);
+    });
+  });
+
+  describe('Import batches', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should list batches', async () => {
+      const list = jest.spyOn(importBatchService, 'listBatches').mockResolvedValue([{ source: 'sales.csv' }]);
+
+      const response = await asAdmin.get('/api/import-batches?limit=5').expect(200);
+
+      expect(list).toHaveBeenCalledWith({ limit: 5 });
+      expect(response.body.data).toEqual([{ source: 'sales.csv' }]);
+    });
+
+    it('should reject an out-of-range limit', async () => {
+      await asAdmin.get('/api/import-batches?limit=0').expect(400);
+    });
+
+    it('should get a batch', async () => {
+      jest.spyOn(importBatchService, 'getBatch').mockResolvedValue({ source: 'sales.csv' });
+
+      await asAdmin.get('/api/import-batches/abc').expect(200);
+    });
+
+    it('should return 404 for an unknown batch', async () => {
+      jest.spyOn(importBatchService, 'getBatch').mockResolvedValue(null);
+
+      await asAdmin.get('/api/import-batches/abc').expect(404);
+    });
+
+    it('should roll back a batch', async () => {
+      const rollback = jest.spyOn(importBatchService, 'rollbackBatch')
+        .mockResolvedValue({ status: 'rolledBack', rolledBackCount: 10 });
+
+      const response = await asAdmin.post('/api/import-batches/abc/rollback?force=true').expect(200);
+
+      expect(rollback).toHaveBeenCalledWith('abc', { force: true });
+      expect(response.body.data.rolledBackCount).toBe(10);
+    });
+
+    it('should return 404 when rolling back an unknown batch', async () => {
+      jest.spyOn(importBatchService, 'rollbackBatch').mockResolvedValue(null);
+
+      await asAdmin.post('/api/import-batches/abc/rollback').expect(404);
+    });
+  });
+
+  describe('Memory storage backend', () => {
+    const dataFile = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/transactions.csv');
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      transactionRepository.configure({ backend: 'memory', dataFile });
+      await transactionRepository.connect();
+    });
+
+    afterEach(async () => {
+      await transactionRepository.disconnect();
+      transactionRepository.configure({ backend: 'mongo' });
+      jest.restoreAllMocks();
+    });
+
+    it('should report the backend in the health check', async () => {
+      const response = await asAdmin.get('/health').expect(200);
+
+      expect(response.body.storage).toBe('memory');
+    });
+
+    it('should list, filter and page transactions from the CSV', async () => {
+      const query = { filters: JSON.stringify({ customerRegion: ['South'] }), sortBy: 'date', sortOrder: 'asc', pageSize: 2 };
+      const response = await asAdmin
+        .get('/api/transactions')
+        .query(query)
+        .expect(200);
+
+      expect(response.body.data.items.map(item => item.transactionId)).toEqual(['T001', 'T003']);
+      expect(response.body.data.pagination).toMatchObject({ totalItems: 3, hasNextPage: true });
+      expect(response.body.data.aggregateStats).toEqual({
+        totalUnits: 6, totalAmount: 3500, totalDiscount: 290, recordCount: 3
+      });
+
+      const next = await asAdmin
+        .get('/api/transactions')
+        .query({ ...query, cursor: response.body.data.pagination.nextCursor })
+        .expect(200);
+
+      expect(next.body.data.items.map(item => item.transactionId)).toEqual(['T007']);
+      expect(next.body.data.pagination.hasNextPage).toBe(false);
+    });
+
+    it('should serve filter options, customers and analytics', async () => {
+      const options = await asAdmin.get('/api/filters/options').expect(200);
+      expect(options.body.data.customerRegion).toEqual(['East', 'North', 'South', 'West']);
+
+      const customer = await asAdmin.get('/api/customers/C002').expect(200);
+      expect(customer.body.data.metrics.orderCount).toBe(2);
+
+      const breakdown = await asAdmin.get('/api/analytics/breakdown?dimension=gender').expect(200);
+      expect(breakdown.body.data.groups[0]).toMatchObject({ value: 'Female', count: 4 });
+    });
+
+    it('should create, update and delete transactions in memory', async () => {
+      await asAdmin
+        .post('/api/transactions')
+        .send({
+          transactionId: 'T100',
+          customerId: 'C100',
+          customerName: 'New Customer',
+          quantity: 1,
+          totalAmount: 100,
+          finalAmount: 100,
+          date: '2024-06-01'
+        })
+        .expect(201);
+
+      await asAdmin.patch('/api/transactions/T100').send({ quantity: 3 }).expect(200);
+      const fetched = await asAdmin.get('/api/transactions/T100').expect(200);
+      expect(fetched.body.data.quantity).toBe(3);
+
+      await asAdmin.delete('/api/transactions/T100').expect(200);
+      await asAdmin.get('/api/transactions/T100').expect(404);
+    });
+
+    it('should export CSV', async () => {
+      const response = await asAdmin
+        .get('/api/transactions/export')
+        .query({ search: 'meera' })
+        .expect(200);
+
+      expect(response.text.trim().split('\r\n')).toHaveLength(2);
+      expect(response.text).toContain('T004');
+    });
+
+    it('should search for regular expression characters literally', async () => {
+      const invalid = await asAdmin.get('/api/transactions').query({ search: '(' }).expect(200);
+      expect(invalid.body.data.items).toEqual([]);
+
+      const wildcard = await asAdmin.get('/api/transactions').query({ search: 'T00.' }).expect(200);
+      expect(wildcard.body.data.items).toEqual([]);
+    });
+
+    it('should refuse imports, which need MongoDB', async () => {
+      const response = await asAdmin.get('/api/import-batches').expect(503);
+
+      expect(response.body.error).toMatch(/MongoDB storage backend/);
+    });
+  });
+
+  describe('SQLite storage backend', () => {
+    const dataFile = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/transactions.csv');
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      transactionRepository.configure({ backend: 'sqlite', sqliteFile: ':memory:' });
+      await transactionRepository.connect();
+      await transactionServiceSqlite.importFile(dataFile);
+    });
+
+    afterEach(async () => {
+      await transactionRepository.disconnect();
+      transactionRepository.configure({ backend: 'mongo' });
+      jest.restoreAllMocks();
+    });
+
+    it('should report the backend in the health check', async () => {
+      const response = await asAdmin.get('/health').expect(200);
+
+      expect(response.body.storage).toBe('sqlite');
+    });
+
+    it('should list, filter and page transactions from the database', async () => {
+      const query = { filters: JSON.stringify({ customerRegion: ['South'] }), sortBy: 'date', sortOrder: 'asc', pageSize: 2 };
+      const response = await asAdmin
+        .get('/api/transactions')
+        .query(query)
+        .expect(200);
+
+      expect(response.body.data.items.map(item => item.transactionId)).toEqual(['T001', 'T003']);
+      expect(response.body.data.aggregateStats).toEqual({
+        totalUnits: 6, totalAmount: 3500, totalDiscount: 290, recordCount: 3
+      });
+
+      const next = await asAdmin
+        .get('/api/transactions')
+        .query({ ...query, cursor: response.body.data.pagination.nextCursor })
+        .expect(200);
+
+      expect(next.body.data.items.map(item => item.transactionId)).toEqual(['T007']);
+      expect(next.body.data.pagination.hasNextPage).toBe(false);
+    });
+
+    it('should serve filter options, statistics and analytics', async () => {
+      const options = await asAdmin.get('/api/filters/options').expect(200);
+      expect(options.body.data.customerRegion).toEqual(['East', 'North', 'South', 'West']);
+
+      const statistics = await asAdmin.get('/api/statistics').expect(200);
+      expect(statistics.body.data).toMatchObject({ totalTransactions: 7, uniqueCustomers: 4 });
+
+      const series = await asAdmin.get('/api/analytics/timeseries?granularity=quarter').expect(200);
+      expect(series.body.data.buckets).toEqual([
+        { period: '2024-01-01', quantity: 14, totalAmount: 6600, finalAmount: 6070, count: 7 }
+      ]);
+    });
+
+    it('should create, update and delete transactions', async () => {
+      const body = {
+        transactionId: 'T100',
+        customerId: 'C100',
+        customerName: 'New Customer',
+        quantity: 1,
+        totalAmount: 100,
+        finalAmount: 100,
+        date: '2024-06-01'
+      };
+
+      await asAdmin.post('/api/transactions').send(body).expect(201);
+      await asAdmin.post('/api/transactions').send(body).expect(409);
+
+      await asAdmin.patch('/api/transactions/T100').send({ quantity: 3 }).expect(200);
+      const fetched = await asAdmin.get('/api/transactions/T100').expect(200);
+      expect(fetched.body.data.quantity).toBe(3);
+
+      await asAdmin.delete('/api/transactions/T100').expect(200);
+      await asAdmin.get('/api/transactions/T100').expect(404);
+    });
+
+    it('should export CSV', async () => {
+      const response = await asAdmin
+        .get('/api/transactions/export')
+        .query({ search: 'meera' })
+        .expect(200);
+
+      expect(response.text.trim().split('\r\n')).toHaveLength(2);
+      expect(response.text).toContain('T004');
+    });
+  });
+
+  describe('Degraded mode while MongoDB is down', () => {
+    const fallbackDataFile = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/transactions.csv');
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      degradedModeService.configure({ ...getResilienceConfig({}), fallbackDataFile });
+      database.status = CONNECTION_STATES.RECONNECTING;
+    });
+
+    afterEach(() => {
+      database.status = CONNECTION_STATES.DISCONNECTED;
+      degradedModeService.configure(getResilienceConfig({}));
+      jest.restoreAllMocks();
+    });
+
+    it('should report degraded status in the health check', async () => {
+      const response = await asAdmin.get('/health').expect(200);
+
+      expect(response.body).toMatchObject({
+        message: 'Server is running in degraded read-only mode',
+        storage: 'mongo',
+        degraded: true,
+        database: {
+          degraded: true,
+          connection: { status: 'reconnecting' },
+          circuit: { state: 'closed' }
+        }
+      });
+    });
+
+    it('should serve reads from the fallback CSV without querying MongoDB', async () => {
+      const mongoQuery = jest.spyOn(transactionServiceMongo, 'getTransactions');
+
+      const response = await asAdmin
+        .get('/api/transactions')
+        .query({ search: 'asha' })
+        .expect(200);
+
+      expect(mongoQuery).not.toHaveBeenCalled();
+      expect(response.headers['x-degraded-mode']).toBe('read-only');
+      expect(response.body.data.pagination.totalItems).toBe(3);
+      expect(response.body.degraded).toMatchObject({ mode: 'read-only', source: 'fallback-csv' });
+
+      const health = await asAdmin.get('/health').expect(200);
+      expect(health.body.database.fallback).toMatchObject({ loaded: true, transactions: 7 });
+    });
+
+    it('should export from the fallback CSV', async () => {
+      const response = await asAdmin
+        .get('/api/transactions/export')
+        .query({ search: 'meera' })
+        .expect(200);
+
+      expect(response.headers['x-degraded-mode']).toBe('read-only');
+      expect(response.text).toContain('T004');
+    });
+
+    it('should refuse writes and imports', async () => {
+      const response = await asAdmin
+        .delete('/api/transactions/T001')
+        .expect(503);
+
+      expect(response.body.error).toBe('MongoDB is unavailable; the API is read-only until it reconnects');
+      expect(response.body.degraded.mode).toBe('read-only');
+
+      await asAdmin.get('/api/import-batches').expect(503);
+    });
+
+    it('should switch to the fallback when a query fails to reach MongoDB', async () => {
+      database.status = CONNECTION_STATES.DISCONNECTED;
+      jest.spyOn(transactionServiceMongo, 'getStatistics')
+        .mockRejectedValue(new Error('Failed to get statistics: Server selection timed out after 5000 ms'));
+
+      const response = await asAdmin.get('/api/statistics').expect(200);
+
+      expect(response.body.data.totalTransactions).toBe(7);
+    });
+
+    it('should leave responses unchanged once MongoDB is back', async () => {
+      database.status = CONNECTION_STATES.DISCONNECTED;
+      jest.spyOn(transactionServiceMongo, 'getStatistics').mockResolvedValue({ totalTransactions: 1 });
+
+      const response = await asAdmin.get('/api/statistics').expect(200);
+
+      expect(response.headers['x-degraded-mode']).toBeUndefined();
+      expect(response.body).not.toHaveProperty('degraded');
+    });
+  });
+
+  describe('Authentication and roles', () => {
+    afterEach(() => {
+      authService.configure(getAuthConfig({}));
+      jest.restoreAllMocks();
+    });
+
+    it('should reject API requests without an access token', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .expect(401);
+
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body.error).toBe('Authentication required');
+    });
+
+    it('should reject a refresh token used as an access token', async () => {
+      const refreshToken = authService.signRefreshToken({ _id: 'u1' }, 'token-1');
+
+      const response = await request(app)
+        .get('/api/statistics')
+        .set('Authorization', `Bearer ${refreshToken}`)
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid access token');
+    });
+
+    it('should let viewers read but not export, look up customers or write', async () => {
+      const asViewer = signedInAs('viewer');
+      jest.spyOn(transactionServiceMongo, 'getStatistics').mockResolvedValue({ totalTransactions: 1 });
+
+      await asViewer.get('/api/statistics').expect(200);
+      await asViewer.get('/api/customers/C001').expect(403);
+      await asViewer.delete('/api/transactions/T001').expect(403);
+      const response = await asViewer.get('/api/transactions/export').expect(403);
+
+      expect(response.body.error).toBe('This action needs the analyst role');
+    });
+
+    it('should let analysts export but not import', async () => {
+      const asAnalyst = signedInAs('analyst');
+      jest.spyOn(transactionServiceMongo, 'getExportCursor').mockReturnValue(Readable.from([]));
+
+      await asAnalyst.get('/api/transactions/export').expect(200);
+      await asAnalyst.get('/api/import-batches').expect(403);
+    });
+
+    it('should describe the signed-in user', async () => {
+      const response = await signedInAs('analyst').get('/api/auth/me').expect(200);
+
+      expect(response.body.data).toEqual({ id: 'analyst-id', username: 'analyst', role: 'analyst', authEnabled: true });
+    });
+
+    it('should sign in with a username and password', async () => {
+      const session = { accessToken: 'a', refreshToken: 'r', tokenType: 'Bearer', expiresIn: 900, user: { username: 'priya' } };
+      const spy = jest.spyOn(authService, 'login').mockResolvedValue(session);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'priya', password: 'correct horse battery' })
+        .expect(200);
+
+      expect(spy).toHaveBeenCalledWith('priya', 'correct horse battery');
+      expect(response.body.data).toEqual(session);
+    });
+
+    it('should validate login and refresh bodies', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'priya' })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['password is required']);
+      await request(app).post('/api/auth/refresh').send({}).expect(400);
+    });
+
+    it('should reject an invalid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'garbage' })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid refresh token');
+    });
+
+    it('should allow only the configured CORS origins', async () => {
+      const allowed = await request(app)
+        .get('/health')
+        .set('Origin', 'http://localhost:3000');
+      const other = await request(app)
+        .get('/health')
+        .set('Origin', 'https://attacker.example');
+
+      expect(allowed.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+      expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    it('should treat every caller as the anonymous admin when auth is disabled', async () => {
+      authService.configure(getAuthConfig({ AUTH_ENABLED: 'false' }));
+
+      const response = await request(app).get('/api/auth/me').expect(200);
+
+      expect(response.body.data).toEqual({ id: null, username: 'anonymous', role: 'admin', authEnabled: false });
+    });
+  });
+
+  describe('API keys', () => {
+    const KEY_ID = '507f1f77bcf86cd799439011';
+
+    // ApiKey.findOne(...).lean() resolving to an active key with this scope
+    const mockStoredKey = (scope) => jest.spyOn(ApiKey, 'findOne').mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ _id: KEY_ID, name: 'bi-nightly', scope, lastUsedAt: null })
+    });
+
+    beforeEach(() => {
+      jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+      apiKeyService.clearCache();
+      jest.restoreAllMocks();
+    });
+
+    it('should accept a read key on the transaction list', async () => {
+      mockStoredKey('read');
+      jest.spyOn(transactionServiceMongo, 'getTransactions').mockResolvedValue({ items: [] });
+
+      await request(app)
+        .get('/api/transactions')
+        .set('X-API-Key', 'rsk_secret')
+        .expect(200);
+
+      expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: KEY_ID }, { lastUsedAt: expect.any(Date) });
+    });
+
+    it('should let only export keys export', async () => {
+      mockStoredKey('read');
+      const response = await request(app)
+        .get('/api/transactions/export')
+        .set('X-API-Key', 'rsk_read')
+        .expect(403);
+      expect(response.body.error).toBe('This action needs the analyst role');
+
+      mockStoredKey('export');
+      jest.spyOn(transactionServiceMongo, 'getExportCursor').mockReturnValue(Readable.from([]));
+      await request(app)
+        .get('/api/transactions/export')
+        .set('X-API-Key', 'rsk_export')
+        .expect(200);
+    });
+
+    it('should never let a key write or manage keys', async () => {
+      mockStoredKey('export');
+
+      await request(app).delete('/api/transactions/T001').set('X-API-Key', 'rsk_export').expect(403);
+      await request(app).get('/api/api-keys').set('X-API-Key', 'rsk_export').expect(403);
+    });
+
+    it('should reject an unknown key', async () => {
+      jest.spyOn(ApiKey, 'findOne').mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app)
+        .get('/api/statistics')
+        .set('X-API-Key', 'rsk_wrong')
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid API key');
+    });
+
+    it('should let admins create, list and revoke keys', async () => {
+      const created = { id: KEY_ID, name: 'bi-nightly', scope: 'read', key: 'rsk_new' };
+      const createKey = jest.spyOn(apiKeyService, 'createKey').mockResolvedValue(created);
+      jest.spyOn(apiKeyService, 'listKeys').mockResolvedValue([]);
+      jest.spyOn(apiKeyService, 'revokeKey').mockResolvedValueOnce({ id: KEY_ID }).mockResolvedValueOnce(null);
+      const asAdmin = signedInAs('admin');
+
+      const response = await asAdmin
+        .post('/api/api-keys')
+        .send({ name: 'bi-nightly', scope: 'read' })
+        .expect(201);
+      expect(response.body.data).toEqual(created);
+      expect(createKey).toHaveBeenCalledWith({ name: 'bi-nightly', scope: 'read', createdBy: 'admin' });
+
+      await asAdmin.get('/api/api-keys?includeRevoked=true').expect(200);
+      expect(apiKeyService.listKeys).toHaveBeenCalledWith({ includeRevoked: true });
+
+      await asAdmin.delete(`/api/api-keys/${KEY_ID}`).expect(200);
+      const missing = await asAdmin.delete(`/api/api-keys/${KEY_ID}`).expect(404);
+      expect(missing.body.error).toBe(`API key ${KEY_ID} not found`);
+    });
+
+    it('should keep key management away from analysts', async () => {
+      await signedInAs('analyst').post('/api/api-keys').send({ name: 'x', scope: 'read' }).expect(403);
+    });
+  });
+
+  describe('PII masking', () => {
+    const dataFile = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/transactions.csv');
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      transactionRepository.configure({ backend: 'memory', dataFile });
+      await transactionRepository.connect();
+    });
+
+    afterEach(async () => {
+      await transactionRepository.disconnect();
+      transactionRepository.configure({ backend: 'mongo' });
+      privacyService.configure(getPrivacyConfig({}));
+      jest.restoreAllMocks();
+    });
+
+    it('should find transactions by full phone number but return it masked', async () => {
+      const response = await signedInAs('viewer')
+        .get('/api/transactions')
+        .query({ search: '9876543210' })
+        .expect(200);
+
+      expect(response.body.data.items.map(item => item.transactionId)).toEqual(['T007', 'T003', 'T001']);
+      response.body.data.items.forEach(item => expect(item).toMatchObject({
+        customerName: 'Asha Iyer',
+        phoneNumber: '+91 ******3210'
+      }));
+    });
+
+    it('should show admins the full phone number', async () => {
+      const response = await signedInAs('admin').get('/api/transactions/T001').expect(200);
+
+      expect(response.body.data.phoneNumber).toBe('9876543210');
+    });
+
+    it('should mask exports below the admin role', async () => {
+      const response = await signedInAs('analyst')
+        .get('/api/transactions/export')
+        .query({ search: 'asha' })
+        .expect(200);
+
+      expect(response.text).toContain('+91 ******3210');
+      expect(response.text).not.toContain('9876543210');
+    });
+
+    it('should initial customer names when MASK_CUSTOMER_NAMES is on', async () => {
+      privacyService.configure(getPrivacyConfig({ MASK_CUSTOMER_NAMES: 'true' }));
+      const asAnalyst = signedInAs('analyst');
+
+      const transaction = await asAnalyst.get('/api/transactions/T001').expect(200);
+      expect(transaction.body.data).toMatchObject({ customerName: 'A. I.', phoneNumber: '+91 ******3210' });
+
+      const customer = await asAnalyst.get('/api/customers/C002').expect(200);
+      expect(customer.body.data.profile).toMatchObject({ customerName: 'R. K.', phoneNumber: '+91 ******6780' });
+      customer.body.data.recentTransactions.forEach(item => expect(item.customerName).toBe('R. K.'));
+    });
+  });
+
+  describe('Data subject requests', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should export a customer\'s data for admins', async () => {
+      const data = { subject: { customerId: 'C001' }, customerIds: ['C001'], transactions: [], quarantinedRows: [] };
+      const spy = jest.spyOn(dataSubjectService, 'exportSubject').mockResolvedValue(data);
+
+      const response = await signedInAs('admin')
+        .post('/api/data-subjects/export')
+        .send({ customerId: 'C001' })
+        .expect(200);
+
+      expect(spy).toHaveBeenCalledWith({ customerId: 'C001', phoneNumber: undefined });
+      expect(response.body.data).toEqual(data);
+    });
+
+    it('should erase by phone number, with a dry run', async () => {
+      const spy = jest.spyOn(dataSubjectService, 'eraseSubject')
+        .mockResolvedValue({ customers: 1, transactions: 3, quarantinedRows: 0, dryRun: true });
+
+      const response = await signedInAs('admin')
+        .post('/api/data-subjects/erase')
+        .send({ phoneNumber: '9876543210', dryRun: true })
+        .expect(200);
+
+      expect(spy).toHaveBeenCalledWith({ customerId: undefined, phoneNumber: '9876543210' }, { dryRun: true });
+      expect(response.body.data.transactions).toBe(3);
+    });
+
+    it('should require a customer ID or phone number', async () => {
+      const response = await signedInAs('admin')
+        .post('/api/data-subjects/erase')
+        .send({})
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['customerId or phoneNumber is required']);
+    });
+
+    it('should be admin only', async () => {
+      await signedInAs('analyst').post('/api/data-subjects/export').send({ customerId: 'C001' }).expect(403);
+    });
+
+    it('should need the MongoDB backend', async () => {
+      transactionRepository.configure({ backend: 'sqlite', sqliteFile: ':memory:' });
+      await transactionRepository.connect();
+
+      try {
+        const response = await signedInAs('admin')
+          .post('/api/data-subjects/erase')
+          .send({ customerId: 'C001' })
+          .expect(503);
+
+        expect(response.body.error).toBe('Data subject requests need the MongoDB storage backend (running with STORAGE_BACKEND=sqlite)');
+      } finally {
+        await transactionRepository.disconnect();
+        transactionRepository.configure({ backend: 'mongo' });
+      }
+    });
+  });
+
+  describe('Audit log', () => {
+    const body = { transactionId: 'T1', customerId: 'C001', quantity: 2, totalAmount: 2000 };
+
+    // Export events are recorded once the response has been streamed
+    const flushAudit = () => new Promise(resolve => setImmediate(resolve));
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should give every response a request id, keeping a valid incoming one', async () => {
+      const generated = await request(app).get('/health').expect(200);
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+      const kept = await request(app).get('/health').set('X-Request-Id', 'lb-1234.abc').expect(200);
+      expect(kept.headers['x-request-id']).toBe('lb-1234.abc');
+
+      const replaced = await request(app).get('/health').set('X-Request-Id', 'not a valid id').expect(200);
+      expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should record who deleted a transaction under the request id', async () => {
+      jest.spyOn(transactionServiceMongo, 'deleteTransaction').mockResolvedValue(body);
+
+      const response = await signedInAs('admin').delete('/api/transactions/T1').expect(200);
+
+      expect(auditService.record).toHaveBeenCalledWith(
+        { user: 'admin', role: 'admin', source: 'api', requestId: response.headers['x-request-id'] },
+        { action: 'transaction.delete', filter: { transactionId: 'T1' }, count: 1 }
+      );
+    });
+
+    it('should record updates with the changed fields, and nothing for a missing transaction', async () => {
+      const update = jest.spyOn(transactionServiceMongo, 'updateTransaction').mockResolvedValueOnce(body);
+
+      await signedInAs('admin').patch('/api/transactions/T1').send({ quantity: 3 }).expect(200);
+      update.mockResolvedValueOnce(null);
+      await signedInAs('admin').patch('/api/transactions/T9').send({ quantity: 3 }).expect(404);
+
+      expect(auditService.record).toHaveBeenCalledTimes(1);
+      expect(auditService.record.mock.calls[0][1]).toEqual({
+        action: 'transaction.update',
+        filter: { transactionId: 'T1' },
+        count: 1,
+        details: { fields: ['quantity'] }
+      });
+    });
+
+    it('should record exports with the filter used, without the search text, and the rows written', async () => {
+      jest.spyOn(transactionServiceMongo, 'getExportCursor').mockReturnValue(
+        Readable.from([{ transactionId: 'T1' }, { transactionId: 'T2' }])
+      );
+
+      await signedInAs('analyst')
+        .get('/api/transactions/export')
+        .query({ search: 'john', filters: JSON.stringify({ gender: ['Male'] }) })
+        .expect(200);
+      await flushAudit();
+
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ user: 'analyst', role: 'analyst' }),
+        {
+          action: 'transactions.export',
+          filter: { search: '[redacted]', filters: { gender: ['Male'] }, sortBy: undefined, sortOrder: undefined, format: 'csv' },
+          count: 2
+        }
+      );
+    });
+
+    it('should record erasures without the customer\'s identifiers, and skip dry runs', async () => {
+      jest.spyOn(dataSubjectService, 'eraseSubject')
+        .mockResolvedValueOnce({ customers: 1, transactions: 3, quarantinedRows: 0, dryRun: true })
+        .mockResolvedValueOnce({ customers: 1, transactions: 3, quarantinedRows: 1, dryRun: false });
+
+      await signedInAs('admin').post('/api/data-subjects/erase').send({ phoneNumber: '9876543210', dryRun: true }).expect(200);
+      expect(auditService.record).not.toHaveBeenCalled();
+
+      await signedInAs('admin').post('/api/data-subjects/erase').send({ phoneNumber: '9876543210' }).expect(200);
+      expect(auditService.record.mock.calls[0][1]).toEqual({
+        action: 'dataSubject.erase',
+        filter: { phoneNumber: '[redacted]' },
+        count: 3,
+        details: { customers: 1, quarantinedRows: 1 }
+      });
+    });
+
+    it('should record rollbacks of import batches', async () => {
+      jest.spyOn(importBatchService, 'rollbackBatch').mockResolvedValue({ _id: 'batch-1', status: 'rolledBack', rolledBackCount: 40 });
+
+      await signedInAs('admin').post('/api/import-batches/batch-1/rollback').expect(200);
+
+      expect(auditService.record.mock.calls[0][1]).toEqual({
+        action: 'importBatch.rollback',
+        filter: { importBatchId: 'batch-1' },
+        count: 40,
+        details: { force: false }
+      });
+    });
+
+    it('should list events for admins with the query filters', async () => {
+      const result = { items: [{ action: 'transactions.import' }], pagination: { currentPage: 1, pageSize: 50, totalItems: 1, totalPages: 1 } };
+      const spy = jest.spyOn(auditService, 'listEvents').mockResolvedValue(result);
+
+      const response = await signedInAs('admin')
+        .get('/api/audit-log')
+        .query({ user: 'alice', action: 'transactions.import', from: '2025-01-01' })
+        .expect(200);
+
+      expect(spy).toHaveBeenCalledWith({
+        user: 'alice',
+        action: 'transactions.import',
+        requestId: undefined,
+        from: '2025-01-01',
+        to: undefined,
+        page: undefined,
+        pageSize: undefined
+      });
+      expect(response.body.data).toEqual(result);
+    });
+
+    it('should reject an invalid query with 400', async () => {
+      const response = await signedInAs('admin').get('/api/audit-log').query({ from: 'last week' }).expect(400);
+
+      expect(response.body.errors).toEqual(['from must be a valid date']);
+    });
+
+    it('should be admin only', async () => {
+      await signedInAs('analyst').get('/api/audit-log').expect(403);
+    });
+  });
 });
@@ -1,4 +1,8 @@
-import { validateTransactionQuery } from '../../../src/middleware/validationMiddleware.js';
+import {
+  validateTransactionQuery,
+  validateTransactionBody,
+  validateTransactionPatch
+} from '../../../src/middleware/validationMiddleware.js';
 import { ValidationError } from '../../../src/utils/errorHandler.js';
 
 // Helper to create mock functions
@@ -165,5 +169,86 @@ describe('Validation Middleware', () => {
       expect(error).toBeInstanceOf(ValidationError);
     });
   });
-});
 
+  describe('validateTransactionBody', () => {
+    const validBody = {
+      transactionId: 'T1',
+      customerId: 'C001',
+      customerName: 'John Doe',
+      quantity: 2,
+      totalAmount: 2000,
+      date: '2025-01-15'
+    };
+
+    beforeEach(() => {
+      req.params = {};
+    });
+
+    it('should pass a complete body', () => {
+      req.body = validBody;
+
+      validateTransactionBody(req, res, next);
+
+      expect(next.calls[0][0]).toBeUndefined();
+    });
+
+    it('should take transactionId from the URL on PUT', () => {
+      const { transactionId, ...rest } = validBody;
+      req.params = { transactionId };
+      req.body = rest;
+
+      validateTransactionBody(req, res, next);
+
+      expect(next.calls[0][0]).toBeUndefined();
+    });
+
+    it('should reject a body transactionId that differs from the URL', () => {
+      req.params = { transactionId: 'T2' };
+      req.body = validBody;
+
+      validateTransactionBody(req, res, next);
+
+      expect(next.calls[0][0].message).toBe('transactionId in body does not match URL');
+    });
+
+    it('should report missing required fields', () => {
+      req.body = { transactionId: 'T1' };
+
+      validateTransactionBody(req, res, next);
+
+      const error = next.calls[0][0];
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors).toContain('customerId is required');
+    });
+  });
+
+  describe('validateTransactionPatch', () => {
+    beforeEach(() => {
+      req.params = { transactionId: 'T1' };
+    });
+
+    it('should pass a partial body', () => {
+      req.body = { quantity: 3 };
+
+      validateTransactionPatch(req, res, next);
+
+      expect(next.calls[0][0]).toBeUndefined();
+    });
+
+    it('should reject changing transactionId', () => {
+      req.body = { transactionId: 'T9' };
+
+      validateTransactionPatch(req, res, next);
+
+      expect(next.calls[0][0].message).toBe('transactionId cannot be changed');
+    });
+
+    it('should reject invalid field values', () => {
+      req.body = { gender: 'Unknown' };
+
+      validateTransactionPatch(req, res, next);
+
+      expect(next.calls[0][0].errors).toContain('gender must be one of: Male, Female, Other');
+    });
+  });
+});
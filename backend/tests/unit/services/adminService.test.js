@@ -0,0 +1,205 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import database from '../../../src/config/database.js';
+import Transaction from '../../../src/models/Transaction.js';
+import adminService from '../../../src/services/adminService.js';
+
+const cursor = (value) => ({ toArray: jest.fn().mockResolvedValue(value) });
+
+describe('AdminService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getSummary', () => {
+    it('should return the count and a sample', async () => {
+      jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(3);
+      jest.spyOn(Transaction, 'findOne').mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ transactionId: 'T1' })
+      });
+
+      expect(await adminService.getSummary()).toEqual({ count: 3, sample: { transactionId: 'T1' } });
+    });
+  });
+
+  describe('getCollectionStats', () => {
+    it('should map storage stats and list index names', async () => {
+      const aggregate = jest.spyOn(Transaction.collection, 'aggregate').mockReturnValue(cursor([{
+        storageStats: {
+          count: 10,
+          size: 5000,
+          storageSize: 2000,
+          totalIndexSize: 1000,
+          avgObjSize: 500,
+          indexSizes: { _id_: 600, transactionId_1: 400 }
+        }
+      }]));
+
+      const stats = await adminService.getCollectionStats();
+
+      expect(aggregate).toHaveBeenCalledWith([{ $collStats: { storageStats: {} } }]);
+      expect(stats).toEqual({
+        count: 10,
+        dataSize: 5000,
+        storageSize: 2000,
+        indexSize: 1000,
+        totalSize: 3000,
+        avgObjSize: 500,
+        indexes: ['_id_', 'transactionId_1']
+      });
+    });
+
+    it('should report zeros for a missing collection', async () => {
+      const error = Object.assign(new Error('ns not found'), { codeName: 'NamespaceNotFound' });
+      jest.spyOn(Transaction.collection, 'aggregate').mockReturnValue({
+        toArray: jest.fn().mockRejectedValue(error)
+      });
+
+      const stats = await adminService.getCollectionStats();
+
+      expect(stats).toMatchObject({ count: 0, totalSize: 0, indexes: [] });
+    });
+  });
+
+  describe('analyzeStorage', () => {
+    it('should estimate the remaining capacity', async () => {
+      jest.spyOn(adminService, 'getCollectionStats').mockResolvedValue({
+        count: 100, dataSize: 100 * 1024, indexSize: 0, avgObjSize: 1024
+      });
+      jest.spyOn(adminService, 'getSummary').mockResolvedValue({ count: 100, sample: { a: 1, b: 2 } });
+
+      const analysis = await adminService.analyzeStorage({ quotaBytes: 1024 * 1024 });
+
+      expect(analysis).toMatchObject({
+        usedBytes: 100 * 1024,
+        freeBytes: 924 * 1024,
+        additionalDocuments: 616,
+        estimatedCapacity: 716,
+        sampleFields: 2
+      });
+    });
+  });
+
+  describe('clearTransactions', () => {
+    it('should only count on a dry run', async () => {
+      jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(5);
+      const drop = jest.spyOn(Transaction.collection, 'drop').mockResolvedValue(true);
+
+      expect(await adminService.clearTransactions({ dryRun: true })).toEqual({ deleted: 5, dryRun: true });
+      expect(drop).not.toHaveBeenCalled();
+    });
+
+    it('should drop the collection and recreate indexes', async () => {
+      jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(5);
+      const drop = jest.spyOn(Transaction.collection, 'drop').mockResolvedValue(true);
+      const createIndexes = jest.spyOn(Transaction, 'createIndexes').mockResolvedValue();
+
+      expect(await adminService.clearTransactions()).toEqual({ deleted: 5, dryRun: false });
+      expect(drop).toHaveBeenCalled();
+      expect(createIndexes).toHaveBeenCalled();
+    });
+
+    it('should skip the indexes when asked', async () => {
+      jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(5);
+      jest.spyOn(Transaction.collection, 'drop').mockResolvedValue(true);
+      const createIndexes = jest.spyOn(Transaction, 'createIndexes').mockResolvedValue();
+
+      await adminService.clearTransactions({ recreateIndexes: false });
+
+      expect(createIndexes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeDuplicates', () => {
+    const ids = [1, 2, 3, 4, 5].map(() => new mongoose.Types.ObjectId());
+    const mockGroups = () => jest.spyOn(Transaction, 'aggregate').mockReturnValue({
+      allowDiskUse: jest.fn().mockResolvedValue([
+        { _id: 'T1', count: 3, ids: [ids[0], ids[1], ids[2]] },
+        { _id: 'T2', count: 2, ids: [ids[3], ids[4]] }
+      ])
+    });
+
+    it('should count duplicates without deleting on a dry run', async () => {
+      mockGroups();
+      const deleteMany = jest.spyOn(Transaction, 'deleteMany');
+
+      const result = await adminService.removeDuplicates({ dryRun: true });
+
+      expect(result).toEqual({ duplicateIds: 2, deleted: 3, dryRun: true });
+      expect(deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should keep the oldest document of each transaction ID', async () => {
+      mockGroups();
+      const deleteMany = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+
+      await adminService.removeDuplicates();
+
+      expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: [ids[1], ids[2], ids[4]] } });
+    });
+
+    it('should wrap database errors', async () => {
+      jest.spyOn(Transaction, 'aggregate').mockReturnValue({
+        allowDiskUse: jest.fn().mockRejectedValue(new Error('down'))
+      });
+
+      await expect(adminService.removeDuplicates()).rejects.toThrow('Failed to remove duplicates: down');
+    });
+  });
+
+  describe('dropOplog', () => {
+    const mockDatabase = (collections) => {
+      const oplog = {
+        aggregate: jest.fn().mockReturnValue(cursor([{ storageStats: { storageSize: 4096 } }])),
+        drop: jest.fn().mockResolvedValue(true)
+      };
+      jest.spyOn(database, 'getDatabase').mockReturnValue({
+        listCollections: jest.fn().mockReturnValue(cursor(collections)),
+        collection: jest.fn().mockReturnValue(oplog)
+      });
+      return oplog;
+    };
+
+    it('should report a missing oplog', async () => {
+      const oplog = mockDatabase([]);
+
+      expect(await adminService.dropOplog()).toEqual({ found: false, sizeBytes: 0, dropped: false, dryRun: false });
+      expect(oplog.drop).not.toHaveBeenCalled();
+    });
+
+    it('should leave the oplog in place on a dry run', async () => {
+      const oplog = mockDatabase([{ name: 'oplog.rs' }]);
+
+      const result = await adminService.dropOplog({ dryRun: true });
+
+      expect(result).toEqual({ found: true, sizeBytes: 4096, dropped: false, dryRun: true });
+      expect(oplog.drop).not.toHaveBeenCalled();
+    });
+
+    it('should drop the oplog', async () => {
+      const oplog = mockDatabase([{ name: 'oplog.rs' }]);
+
+      const result = await adminService.dropOplog();
+
+      expect(result.dropped).toBe(true);
+      expect(oplog.drop).toHaveBeenCalled();
+    });
+  });
+
+  describe('buildOptimizedIndexes', () => {
+    it('should create each index and return the names', async () => {
+      const createIndex = jest.spyOn(Transaction.collection, 'createIndex')
+        .mockImplementation(async (keys) => Object.keys(keys).join('_'));
+
+      const names = await adminService.buildOptimizedIndexes();
+
+      expect(createIndex).toHaveBeenCalledWith({ transactionId: 1 }, { unique: true });
+      expect(createIndex).toHaveBeenCalledWith({ importBatchId: 1 }, { sparse: true });
+      expect(names).toContain('transactionId');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { jest } from '@jest/globals';
+import Transaction from '../../../src/models/Transaction.js';
+import analyticsServiceMongo, { BREAKDOWN_GROUP_LIMIT } from '../../../src/services/analyticsServiceMongo.js';
+
+describe('AnalyticsServiceMongo', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildDateBucket', () => {
+    it('should truncate dates to the requested unit', () => {
+      expect(analyticsServiceMongo.buildDateBucket('month')).toEqual({
+        $dateTrunc: { date: '$date', unit: 'month' }
+      });
+    });
+
+    it('should start weeks on Monday', () => {
+      expect(analyticsServiceMongo.buildDateBucket('week')).toEqual({
+        $dateTrunc: { date: '$date', unit: 'week', startOfWeek: 'monday' }
+      });
+    });
+  });
+
+  describe('getTimeSeries', () => {
+    it('should match the filtered set and format buckets', async () => {
+      const spy = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+        { _id: new Date('2025-01-01T00:00:00.000Z'), quantity: 5, totalAmount: 500, finalAmount: 450, count: 2 }
+      ]);
+
+      const result = await analyticsServiceMongo.getTimeSeries({
+        filters: { gender: ['Male'] },
+        granularity: 'month'
+      });
+
+      expect(spy.mock.calls[0][0][0]).toEqual({ $match: { gender: { $in: ['Male'] } } });
+      expect(result).toEqual({
+        granularity: 'month',
+        buckets: [
+          { period: '2025-01-01', quantity: 5, totalAmount: 500, finalAmount: 450, count: 2 }
+        ]
+      });
+    });
+
+    it('should wrap database errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(Transaction, 'aggregate').mockRejectedValue(new Error('boom'));
+
+      await expect(analyticsServiceMongo.getTimeSeries()).rejects.toThrow('Failed to get time series: boom');
+    });
+  });
+
+  describe('buildBreakdownStages', () => {
+    it('should group by the dimension field', () => {
+      const stages = analyticsServiceMongo.buildBreakdownStages('paymentMethod');
+
+      expect(stages).toHaveLength(1);
+      expect(stages[0].$group._id).toBe('$paymentMethod');
+    });
+
+    it('should unwind tags before grouping', () => {
+      const stages = analyticsServiceMongo.buildBreakdownStages('tags');
+
+      expect(stages[0]).toEqual({ $unwind: '$tags' });
+      expect(stages[1].$group._id).toBe('$tags');
+    });
+
+    it('should bucket ages for ageBand', () => {
+      const [stage] = analyticsServiceMongo.buildBreakdownStages('ageBand');
+
+      expect(stage.$bucket.groupBy).toBe('$age');
+      expect(stage.$bucket.default).toBe('Unknown');
+    });
+  });
+
+  describe('formatAgeBand', () => {
+    it('should label bounded bands', () => {
+      expect(analyticsServiceMongo.formatAgeBand(0)).toBe('0-17');
+      expect(analyticsServiceMongo.formatAgeBand(25)).toBe('25-34');
+    });
+
+    it('should label the open-ended top band', () => {
+      expect(analyticsServiceMongo.formatAgeBand(65)).toBe('65+');
+    });
+
+    it('should pass the default bucket through', () => {
+      expect(analyticsServiceMongo.formatAgeBand('Unknown')).toBe('Unknown');
+    });
+  });
+
+  describe('getBreakdown', () => {
+    it('should compute shares of the filtered totals', async () => {
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+        totals: [{ count: 4, totalQuantity: 10, totalAmount: 1000, finalAmount: 900 }],
+        groups: [
+          { _id: 'Electronics', count: 3, totalQuantity: 7, totalAmount: 750, finalAmount: 700, averageOrderValue: 233.33, averageQuantity: 2.33 },
+          { _id: 'Books', count: 1, totalQuantity: 3, totalAmount: 250, finalAmount: 200, averageOrderValue: 200, averageQuantity: 3 }
+        ]
+      }]);
+
+      const result = await analyticsServiceMongo.getBreakdown({ dimension: 'productCategory' });
+
+      expect(result.dimension).toBe('productCategory');
+      expect(result.totals.count).toBe(4);
+      expect(result.groups[0]).toMatchObject({ value: 'Electronics', countShare: 75, amountShare: 75 });
+      expect(result.groups[1]).toMatchObject({ value: 'Books', countShare: 25, amountShare: 25 });
+    });
+
+    it('should return only the top groups by amount and flag the rest', async () => {
+      const groups = Array.from({ length: BREAKDOWN_GROUP_LIMIT + 1 }, (_, index) => ({
+        _id: `Employee ${index}`, count: 1, totalQuantity: 1, totalAmount: 1000 - index, finalAmount: 900
+      }));
+      const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+        totals: [{ count: groups.length, totalQuantity: groups.length, totalAmount: 50000, finalAmount: 45900 }],
+        groups
+      }]);
+
+      const result = await analyticsServiceMongo.getBreakdown({ dimension: 'employeeName' });
+
+      const groupStages = aggregate.mock.calls[0][0][1].$facet.groups;
+      expect(groupStages.slice(-2)).toEqual([
+        { $sort: { totalAmount: -1, _id: 1 } },
+        { $limit: BREAKDOWN_GROUP_LIMIT + 1 }
+      ]);
+      expect(result.truncated).toBe(true);
+      expect(result.groups).toHaveLength(BREAKDOWN_GROUP_LIMIT);
+      expect(result.groups.at(-1).value).toBe(`Employee ${BREAKDOWN_GROUP_LIMIT - 1}`);
+    });
+
+    it('should not flag a breakdown with every group', async () => {
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+        totals: [{ count: 1, totalQuantity: 1, totalAmount: 100, finalAmount: 90 }],
+        groups: [{ _id: 'Books', count: 1, totalQuantity: 1, totalAmount: 100, finalAmount: 90 }]
+      }]);
+
+      const result = await analyticsServiceMongo.getBreakdown({ dimension: 'productCategory' });
+
+      expect(result.truncated).toBe(false);
+      expect(result.groups).toHaveLength(1);
+    });
+
+    it('should return zero totals for an empty set', async () => {
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ totals: [], groups: [] }]);
+
+      const result = await analyticsServiceMongo.getBreakdown({ dimension: 'gender' });
+
+      expect(result.totals).toEqual({ count: 0, totalQuantity: 0, totalAmount: 0, finalAmount: 0 });
+      expect(result.groups).toEqual([]);
+    });
+
+    it('should label age bands', async () => {
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+        totals: [{ count: 1, totalQuantity: 1, totalAmount: 100, finalAmount: 90 }],
+        groups: [{ _id: 18, count: 1, totalQuantity: 1, totalAmount: 100, finalAmount: 90 }]
+      }]);
+
+      const result = await analyticsServiceMongo.getBreakdown({ dimension: 'ageBand' });
+
+      expect(result.groups[0].value).toBe('18-24');
+    });
+  });
+});
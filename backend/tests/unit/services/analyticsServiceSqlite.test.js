@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import transactionServiceSqlite from '../../../src/services/transactionServiceSqlite.js';
+import analyticsServiceSqlite from '../../../src/services/analyticsServiceSqlite.js';
+import { BREAKDOWN_GROUP_LIMIT } from '../../../src/services/analyticsServiceMongo.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.resolve(__dirname, '../../fixtures/transactions.csv');
+
+describe('AnalyticsServiceSqlite', () => {
+  beforeAll(async () => {
+    transactionServiceSqlite.open(':memory:');
+    await transactionServiceSqlite.importFile(FIXTURE);
+  });
+
+  afterAll(() => {
+    transactionServiceSqlite.close();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildDateBucket', () => {
+    const bucketOf = (date, granularity) => transactionServiceSqlite.connection
+      .prepare(`SELECT ${analyticsServiceSqlite.buildDateBucket(granularity)} AS period FROM (SELECT ? AS date) t`)
+      .get(new Date(date).getTime())
+      .period;
+
+    it('should truncate like $dateTrunc in UTC', () => {
+      const date = '2024-08-15T13:45:00Z'; // a Thursday
+
+      expect(bucketOf(date, 'day')).toBe('2024-08-15');
+      expect(bucketOf(date, 'week')).toBe('2024-08-12');
+      expect(bucketOf(date, 'month')).toBe('2024-08-01');
+      expect(bucketOf(date, 'quarter')).toBe('2024-07-01');
+      expect(bucketOf(date, 'year')).toBe('2024-01-01');
+    });
+
+    it('should start weeks on Monday for Sundays and Mondays', () => {
+      expect(bucketOf('2024-08-18T10:00:00Z', 'week')).toBe('2024-08-12');
+      expect(bucketOf('2024-08-12T00:00:00Z', 'week')).toBe('2024-08-12');
+    });
+  });
+
+  describe('getTimeSeries', () => {
+    it('should bucket matching transactions in date order', async () => {
+      const result = await analyticsServiceSqlite.getTimeSeries({
+        granularity: 'month',
+        filters: { gender: ['Male'] }
+      });
+
+      expect(result).toEqual({
+        granularity: 'month',
+        buckets: [
+          { period: '2024-01-01', quantity: 1, totalAmount: 500, finalAmount: 500, count: 1 },
+          { period: '2024-03-01', quantity: 4, totalAmount: 400, finalAmount: 400, count: 1 }
+        ]
+      });
+    });
+  });
+
+  describe('getBreakdown', () => {
+    it('should compute totals, averages and shares per value', async () => {
+      const result = await analyticsServiceSqlite.getBreakdown({ dimension: 'paymentMethod', search: 'asha' });
+
+      expect(result.totals).toEqual({ count: 3, totalQuantity: 6, totalAmount: 3500, finalAmount: 3210 });
+      expect(result.groups[0]).toEqual({
+        value: 'UPI',
+        count: 2,
+        totalQuantity: 5,
+        totalAmount: 2900,
+        finalAmount: 2610,
+        averageOrderValue: 1305,
+        averageQuantity: 2.5,
+        countShare: 66.67,
+        amountShare: 82.86
+      });
+    });
+
+    it('should return only the top groups by amount and flag the rest', async () => {
+      const ids = Array.from({ length: BREAKDOWN_GROUP_LIMIT + 1 }, (_, index) => `LIMIT${index}`);
+      for (const [index, transactionId] of ids.entries()) {
+        await transactionServiceSqlite.createTransaction({
+          transactionId,
+          customerId: 'C900',
+          customerName: 'Limit Test',
+          employeeName: `Employee ${index}`,
+          quantity: 1,
+          totalAmount: 1000 + index,
+          date: '2024-06-01'
+        });
+      }
+
+      try {
+        const result = await analyticsServiceSqlite.getBreakdown({ dimension: 'employeeName', search: 'LIMIT' });
+
+        expect(result.truncated).toBe(true);
+        expect(result.groups).toHaveLength(BREAKDOWN_GROUP_LIMIT);
+        expect(result.groups[0].value).toBe(`Employee ${BREAKDOWN_GROUP_LIMIT}`);
+        expect(result.groups.map(group => group.value)).not.toContain('Employee 0');
+        expect(result.totals.count).toBe(BREAKDOWN_GROUP_LIMIT + 1);
+      } finally {
+        for (const transactionId of ids) {
+          await transactionServiceSqlite.deleteTransaction(transactionId);
+        }
+      }
+    });
+
+    it('should count a transaction once per tag', async () => {
+      const result = await analyticsServiceSqlite.getBreakdown({ dimension: 'tags' });
+      const sale = result.groups.find(group => group.value === 'sale');
+
+      expect(sale).toMatchObject({ count: 3, totalAmount: 4100 });
+      expect(result.totals.count).toBe(7);
+    });
+
+    it('should group ages into labelled bands', async () => {
+      const result = await analyticsServiceSqlite.getBreakdown({ dimension: 'ageBand' });
+
+      expect(result.groups.map(group => [group.value, group.count])).toEqual([
+        ['25-34', 3],
+        ['0-17', 1],
+        ['65+', 1],
+        ['35-44', 2]
+      ]);
+    });
+
+    it('should reject dimensions that are not columns', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(analyticsServiceSqlite.getBreakdown({ dimension: 'age) FROM x --' }))
+        .rejects.toThrow('Failed to get breakdown: Unsupported breakdown dimension');
+    });
+  });
+});
@@ -0,0 +1,239 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import ApiKey from '../../../src/models/ApiKey.js';
+import apiKeyService from '../../../src/services/apiKeyService.js';
+
+const KEY_ID = '507f1f77bcf86cd799439011';
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('ApiKeyService', () => {
+  // ApiKey.findOne(...).lean() resolving to the stored key
+  const mockFindOne = (apiKey) => jest.spyOn(ApiKey, 'findOne').mockReturnValue({
+    lean: jest.fn().mockResolvedValue(apiKey)
+  });
+
+  const storedKey = (overrides = {}) => ({
+    _id: KEY_ID,
+    name: 'bi-nightly',
+    prefix: 'rsk_abcdefgh',
+    keyHash: sha256('rsk_secret'),
+    scope: 'read',
+    createdBy: 'alice',
+    createdAt: new Date('2025-01-01'),
+    lastUsedAt: null,
+    revokedAt: null,
+    ...overrides
+  });
+
+  let updateOne;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    apiKeyService.clearCache();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('createKey', () => {
+    it('should store only the hash and return the key once', async () => {
+      const create = jest.spyOn(ApiKey, 'create').mockImplementation(async (doc) => ({
+        _id: KEY_ID,
+        createdAt: new Date('2025-01-01'),
+        ...doc
+      }));
+
+      const result = await apiKeyService.createKey({ name: ' bi-nightly ', scope: 'export', createdBy: 'alice' });
+
+      expect(result.key).toMatch(/^rsk_[A-Za-z0-9_-]{43}$/);
+      const stored = create.mock.calls[0][0];
+      expect(stored).toEqual({
+        name: 'bi-nightly',
+        prefix: result.key.slice(0, 12),
+        keyHash: sha256(result.key),
+        scope: 'export',
+        createdBy: 'alice'
+      });
+      expect(result).toMatchObject({ id: KEY_ID, name: 'bi-nightly', scope: 'export', lastUsedAt: null });
+      expect(result).not.toHaveProperty('keyHash');
+    });
+
+    it('should give every key a different value', async () => {
+      jest.spyOn(ApiKey, 'create').mockImplementation(async (doc) => ({ _id: KEY_ID, ...doc }));
+
+      const first = await apiKeyService.createKey({ name: 'a', scope: 'read' });
+      const second = await apiKeyService.createKey({ name: 'b', scope: 'read' });
+
+      expect(first.key).not.toBe(second.key);
+    });
+
+    it('should reject a missing name or an unknown scope', async () => {
+      const create = jest.spyOn(ApiKey, 'create');
+
+      await expect(apiKeyService.createKey({ name: '', scope: 'write' })).rejects.toMatchObject({
+        statusCode: 400,
+        errors: ['name must be 1-100 characters', 'Invalid scope. Must be one of: read, export']
+      });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listKeys', () => {
+    const mockFind = (keys) => {
+      const query = { sort: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(keys) };
+      return jest.spyOn(ApiKey, 'find').mockReturnValue(query);
+    };
+
+    it('should list active keys without their hashes', async () => {
+      const find = mockFind([storedKey()]);
+
+      const keys = await apiKeyService.listKeys();
+
+      expect(find).toHaveBeenCalledWith({ revokedAt: null });
+      expect(keys).toEqual([{
+        id: KEY_ID,
+        name: 'bi-nightly',
+        prefix: 'rsk_abcdefgh',
+        scope: 'read',
+        createdBy: 'alice',
+        createdAt: new Date('2025-01-01'),
+        lastUsedAt: null,
+        revokedAt: null
+      }]);
+    });
+
+    it('should include revoked keys on request', async () => {
+      const find = mockFind([]);
+
+      await apiKeyService.listKeys({ includeRevoked: true });
+
+      expect(find).toHaveBeenCalledWith({});
+    });
+  });
+
+  describe('revokeKey', () => {
+    it('should return null for an unknown or malformed id', async () => {
+      jest.spyOn(ApiKey, 'findById').mockResolvedValue(null);
+
+      await expect(apiKeyService.revokeKey(KEY_ID)).resolves.toBeNull();
+      await expect(apiKeyService.revokeKey('not-an-id')).resolves.toBeNull();
+      expect(ApiKey.findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the first revocation time', async () => {
+      const revokedAt = new Date('2025-02-01');
+      const apiKey = { ...storedKey({ revokedAt }), save: jest.fn() };
+      jest.spyOn(ApiKey, 'findById').mockResolvedValue(apiKey);
+
+      const result = await apiKeyService.revokeKey(KEY_ID);
+
+      expect(result.revokedAt).toBe(revokedAt);
+      expect(apiKey.save).not.toHaveBeenCalled();
+    });
+
+    it('should stop a cached key from working at once', async () => {
+      const findOne = mockFindOne(storedKey());
+      await apiKeyService.authenticate('rsk_secret');
+
+      const apiKey = { ...storedKey(), save: jest.fn().mockResolvedValue() };
+      jest.spyOn(ApiKey, 'findById').mockResolvedValue(apiKey);
+      await apiKeyService.revokeKey(KEY_ID);
+
+      expect(apiKey.save).toHaveBeenCalled();
+      expect(apiKey.revokedAt).toBeInstanceOf(Date);
+
+      findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+      await expect(apiKeyService.authenticate('rsk_secret')).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Invalid API key'
+      });
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should act with the role of the key scope', async () => {
+      const findOne = mockFindOne(storedKey({ scope: 'export' }));
+
+      const caller = await apiKeyService.authenticate('rsk_secret');
+
+      expect(findOne).toHaveBeenCalledWith({ keyHash: sha256('rsk_secret'), revokedAt: null });
+      expect(caller).toEqual({ id: KEY_ID, username: 'api-key:bi-nightly', role: 'analyst', scope: 'export' });
+    });
+
+    it('should reject an unknown or revoked key', async () => {
+      mockFindOne(null);
+
+      await expect(apiKeyService.authenticate('rsk_wrong')).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Invalid API key'
+      });
+    });
+
+    it('should look a key up again only after a minute', async () => {
+      jest.useFakeTimers({ now: new Date('2025-03-01T00:00:00Z') });
+      const findOne = mockFindOne(storedKey());
+
+      await apiKeyService.authenticate('rsk_secret');
+      jest.advanceTimersByTime(30 * 1000);
+      await apiKeyService.authenticate('rsk_secret');
+      expect(findOne).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(31 * 1000);
+      await apiKeyService.authenticate('rsk_secret');
+      expect(findOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should record the last use at most once a minute', async () => {
+      jest.useFakeTimers({ now: new Date('2025-03-01T00:00:00Z') });
+      mockFindOne(storedKey());
+
+      await apiKeyService.authenticate('rsk_secret');
+      jest.advanceTimersByTime(10 * 1000);
+      await apiKeyService.authenticate('rsk_secret');
+
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: KEY_ID },
+        { lastUsedAt: new Date('2025-03-01T00:00:00Z') }
+      );
+
+      jest.advanceTimersByTime(60 * 1000);
+      await apiKeyService.authenticate('rsk_secret');
+      expect(updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not fail the request when the last use cannot be saved', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      updateOne.mockRejectedValue(new Error('write conflict'));
+      mockFindOne(storedKey());
+
+      await expect(apiKeyService.authenticate('rsk_secret')).resolves.toMatchObject({ role: 'viewer' });
+    });
+
+    it('should keep accepting a checked key while MongoDB is unreachable', async () => {
+      jest.useFakeTimers({ now: new Date('2025-03-01T00:00:00Z') });
+      const findOne = mockFindOne(storedKey());
+      await apiKeyService.authenticate('rsk_secret');
+
+      findOne.mockReturnValue({
+        lean: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:27017'))
+      });
+      jest.advanceTimersByTime(5 * 60 * 1000);
+
+      await expect(apiKeyService.authenticate('rsk_secret')).resolves.toMatchObject({ role: 'viewer' });
+    });
+
+    it('should report 503 for an unchecked key while MongoDB is unreachable', async () => {
+      jest.spyOn(ApiKey, 'findOne').mockReturnValue({
+        lean: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:27017'))
+      });
+
+      await expect(apiKeyService.authenticate('rsk_secret')).rejects.toMatchObject({
+        statusCode: 503,
+        message: 'Accounts are unavailable until MongoDB reconnects; cannot check the API key'
+      });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import AuditEvent from '../../../src/models/AuditEvent.js';
+import auditService from '../../../src/services/auditService.js';
+
+describe('AuditService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('actors', () => {
+    it('should take the caller and request id from an API request', () => {
+      const req = { id: 'req-1', user: { username: 'alice', role: 'admin' } };
+
+      expect(auditService.fromRequest(req)).toEqual({ user: 'alice', role: 'admin', source: 'api', requestId: 'req-1' });
+      expect(auditService.fromRequest({})).toEqual({ user: 'anonymous', role: null, source: 'api', requestId: null });
+    });
+
+    it('should name script runs after the operating system user', () => {
+      const actor = auditService.fromCli();
+
+      expect(actor).toMatchObject({ role: null, source: 'cli' });
+      expect(actor.user).toMatch(/^cli:.+/);
+      expect(actor.requestId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(auditService.fromCli().requestId).not.toBe(actor.requestId);
+    });
+  });
+
+  describe('record', () => {
+    const actor = { user: 'alice', role: 'admin', source: 'api', requestId: 'req-1' };
+
+    it('should store the actor with the event', async () => {
+      const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+      await auditService.record(actor, { action: 'transaction.delete', filter: { transactionId: 'T001' }, count: 1 });
+
+      expect(create).toHaveBeenCalledWith({
+        ...actor,
+        action: 'transaction.delete',
+        filter: { transactionId: 'T001' },
+        count: 1,
+        outcome: 'success',
+        error: undefined,
+        details: undefined
+      });
+    });
+
+    it('should log instead of failing when the event cannot be stored', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('not primary'));
+
+      await expect(auditService.record(actor, { action: 'transactions.export', count: 10 })).resolves.toBeUndefined();
+
+      expect(consoleError).toHaveBeenCalledWith('MongoDB audit log error:', expect.any(Error));
+      expect(consoleError.mock.calls[1][1]).toContain('"action":"transactions.export"');
+    });
+  });
+
+  describe('listEvents', () => {
+    const mockFind = (events) => {
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(events)
+      };
+      jest.spyOn(AuditEvent, 'find').mockReturnValue(query);
+      return query;
+    };
+
+    it('should filter, page and sort newest first', async () => {
+      const query = mockFind([{ action: 'transactions.import' }]);
+      const count = jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(51);
+
+      const result = await auditService.listEvents({
+        user: 'alice',
+        action: 'transactions.import',
+        from: '2025-01-01',
+        to: '2025-02-01',
+        page: '2',
+        pageSize: '25'
+      });
+
+      const expectedQuery = {
+        user: 'alice',
+        action: 'transactions.import',
+        at: { $gte: new Date('2025-01-01'), $lte: new Date('2025-02-01') }
+      };
+      expect(AuditEvent.find).toHaveBeenCalledWith(expectedQuery);
+      expect(count).toHaveBeenCalledWith(expectedQuery);
+      expect(query.sort).toHaveBeenCalledWith({ at: -1, _id: -1 });
+      expect(query.skip).toHaveBeenCalledWith(25);
+      expect(query.limit).toHaveBeenCalledWith(25);
+      expect(result).toEqual({
+        items: [{ action: 'transactions.import' }],
+        pagination: { currentPage: 2, pageSize: 25, totalItems: 51, totalPages: 3 }
+      });
+    });
+
+    it('should default to the first 50 events', async () => {
+      const query = mockFind([]);
+      jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(0);
+
+      const result = await auditService.listEvents();
+
+      expect(AuditEvent.find).toHaveBeenCalledWith({});
+      expect(query.limit).toHaveBeenCalledWith(50);
+      expect(result.pagination).toEqual({ currentPage: 1, pageSize: 50, totalItems: 0, totalPages: 0 });
+    });
+
+    it('should reject an invalid query before reading', async () => {
+      const find = jest.spyOn(AuditEvent, 'find');
+
+      await expect(auditService.listEvents({ to: 'soon' })).rejects.toMatchObject({
+        statusCode: 400,
+        errors: ['to must be a valid date']
+      });
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('should wrap database errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(AuditEvent, 'find').mockImplementation(() => {
+        throw new Error('boom');
+      });
+
+      await expect(auditService.listEvents()).rejects.toThrow('Failed to query audit log: boom');
+    });
+  });
+
+  describe('AuditEvent model', () => {
+    it('should refuse updates and deletes', async () => {
+      await expect(AuditEvent.updateOne({}, { user: 'mallory' })).rejects.toThrow('The audit log is append-only');
+      await expect(AuditEvent.updateMany({}, { count: 0 })).rejects.toThrow('The audit log is append-only');
+      await expect(AuditEvent.findOneAndUpdate({}, { count: 0 })).rejects.toThrow('The audit log is append-only');
+      await expect(AuditEvent.replaceOne({}, {})).rejects.toThrow('The audit log is append-only');
+      await expect(AuditEvent.deleteMany({})).rejects.toThrow('The audit log is append-only');
+      await expect(AuditEvent.findOneAndDelete({})).rejects.toThrow('The audit log is append-only');
+    });
+
+    it('should refuse to save changes to a stored event', async () => {
+      const event = AuditEvent.hydrate({ _id: '507f1f77bcf86cd799439011', user: 'alice', source: 'api', action: 'transactions.import' });
+      event.count = 0;
+
+      await expect(event.save()).rejects.toThrow('The audit log is append-only');
+    });
+  });
+});
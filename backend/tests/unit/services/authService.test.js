@@ -0,0 +1,290 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import User from '../../../src/models/User.js';
+import { getAuthConfig, getCorsOrigin } from '../../../src/config/auth.js';
+import authService, { hasRole, TOKEN_TYPES } from '../../../src/services/authService.js';
+import { hashPassword } from '../../../src/utils/passwords.js';
+
+const SECRET = 'a-test-secret-that-is-long-enough-for-hs256';
+
+describe('AuthService', () => {
+  let passwordHash;
+
+  // A user document as returned by User.findOne
+  const userDocument = (overrides = {}) => {
+    const user = {
+      _id: '507f1f77bcf86cd799439011',
+      username: 'priya',
+      passwordHash,
+      role: 'analyst',
+      disabled: false,
+      refreshTokens: [],
+      createdAt: new Date('2025-01-01'),
+      ...overrides
+    };
+    user.save = jest.fn().mockResolvedValue(user);
+    return user;
+  };
+
+  beforeAll(async () => {
+    passwordHash = await hashPassword('correct horse battery');
+  });
+
+  beforeEach(() => {
+    authService.configure(getAuthConfig({ JWT_SECRET: SECRET }));
+  });
+
+  afterEach(() => {
+    authService.configure(getAuthConfig({}));
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('getAuthConfig', () => {
+    it('should enable auth with 15 minute access and 7 day refresh tokens by default', () => {
+      expect(getAuthConfig({})).toEqual({
+        enabled: true,
+        jwtSecret: null,
+        accessTokenTtl: 900,
+        refreshTokenTtl: 604800
+      });
+    });
+
+    it('should reject unsafe production settings', () => {
+      expect(() => getAuthConfig({ NODE_ENV: 'production' }))
+        .toThrow('JWT_SECRET must be set when NODE_ENV=production');
+      expect(() => getAuthConfig({ NODE_ENV: 'production', JWT_SECRET: SECRET, AUTH_ENABLED: 'false' }))
+        .toThrow('AUTH_ENABLED=false is not allowed when NODE_ENV=production');
+      expect(() => getAuthConfig({ JWT_SECRET: 'short' }))
+        .toThrow('JWT_SECRET must be at least 32 characters');
+      expect(() => getAuthConfig({ AUTH_ENABLED: 'maybe' }))
+        .toThrow('Invalid AUTH_ENABLED "maybe". Must be true or false');
+    });
+  });
+
+  describe('getCorsOrigin', () => {
+    it('should allow only the dev server by default and no origins in production', () => {
+      expect(getCorsOrigin({})).toEqual(['http://localhost:3000']);
+      expect(getCorsOrigin({ NODE_ENV: 'production' })).toBe(false);
+    });
+
+    it('should read a comma-separated list', () => {
+      expect(getCorsOrigin({ CORS_ORIGIN: 'https://a.example, https://b.example' }))
+        .toEqual(['https://a.example', 'https://b.example']);
+      expect(getCorsOrigin({ CORS_ORIGIN: '*' })).toBe('*');
+    });
+  });
+
+  describe('hasRole', () => {
+    it('should rank viewer < analyst < admin', () => {
+      expect(hasRole('admin', 'analyst')).toBe(true);
+      expect(hasRole('analyst', 'analyst')).toBe(true);
+      expect(hasRole('viewer', 'analyst')).toBe(false);
+      expect(hasRole('owner', 'viewer')).toBe(false);
+    });
+  });
+
+  describe('tokens', () => {
+    it('should round-trip the user in an access token', () => {
+      const token = authService.signAccessToken({ id: 'u1', username: 'priya', role: 'viewer' });
+
+      expect(authService.verifyAccessToken(token)).toEqual({ id: 'u1', username: 'priya', role: 'viewer' });
+    });
+
+    it('should reject expired tokens', () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+      const token = authService.signAccessToken({ id: 'u1', username: 'priya', role: 'viewer' });
+
+      jest.setSystemTime(new Date('2025-01-01T00:15:01Z'));
+
+      expect(() => authService.verifyAccessToken(token)).toThrow('The access token has expired');
+    });
+
+    it('should reject refresh tokens, foreign signatures and unsigned tokens as access tokens', () => {
+      const refreshToken = authService.signRefreshToken(userDocument(), 'token-1');
+      const foreign = jwt.sign({ type: TOKEN_TYPES.ACCESS, role: 'admin' }, 'another-secret-that-is-long-enough-too', { issuer: 'retail-sales-api' });
+      const unsigned = jwt.sign({ type: TOKEN_TYPES.ACCESS, role: 'admin' }, null, { algorithm: 'none', issuer: 'retail-sales-api' });
+
+      [refreshToken, foreign, unsigned, 'garbage'].forEach(token => {
+        const error = (() => {
+          try {
+            authService.verifyAccessToken(token);
+          } catch (e) {
+            return e;
+          }
+          return null;
+        })();
+        expect(error).toMatchObject({ statusCode: 401, message: 'Invalid access token' });
+      });
+    });
+  });
+
+  describe('login', () => {
+    it('should return tokens and store the refresh token id', async () => {
+      const user = userDocument();
+      const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      const session = await authService.login(' Priya ', 'correct horse battery');
+
+      expect(findOne).toHaveBeenCalledWith({ username: 'priya' });
+      expect(session).toMatchObject({
+        user: { id: user._id, username: 'priya', role: 'analyst', disabled: false },
+        tokenType: 'Bearer',
+        expiresIn: 900
+      });
+      expect(session.user.passwordHash).toBeUndefined();
+      expect(authService.verifyAccessToken(session.accessToken)).toEqual({ id: user._id, username: 'priya', role: 'analyst' });
+      expect(user.refreshTokens).toHaveLength(1);
+      expect(jwt.decode(session.refreshToken).jti).toBe(user.refreshTokens[0].tokenId);
+      expect(user.lastLoginAt).toBeInstanceOf(Date);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should drop expired refresh token ids', async () => {
+      const user = userDocument({
+        refreshTokens: [
+          { tokenId: 'old', expiresAt: new Date(Date.now() - 1000) },
+          { tokenId: 'current', expiresAt: new Date(Date.now() + 60000) }
+        ]
+      });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      await authService.login('priya', 'correct horse battery');
+
+      expect(user.refreshTokens.map(token => token.tokenId)).toEqual(['current', expect.any(String)]);
+    });
+
+    it.each([
+      ['a wrong password', () => userDocument(), 'wrong password'],
+      ['an unknown username', () => null, 'correct horse battery'],
+      ['a disabled account', () => userDocument({ disabled: true }), 'correct horse battery']
+    ])('should refuse %s with the same message', async (_, user, password) => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(user());
+
+      await expect(authService.login('priya', password)).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Invalid username or password'
+      });
+    });
+
+    it('should report 503 while MongoDB is unreachable', async () => {
+      jest.spyOn(User, 'findOne').mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:27017'));
+
+      await expect(authService.login('priya', 'correct horse battery')).rejects.toMatchObject({
+        statusCode: 503,
+        message: 'Accounts are unavailable until MongoDB reconnects; cannot log in'
+      });
+    });
+  });
+
+  describe('refresh', () => {
+    it('should use up the presented token and issue a new pair', async () => {
+      const user = userDocument();
+      const refreshToken = authService.signRefreshToken(user, 'token-1');
+      const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+
+      const session = await authService.refresh(refreshToken);
+
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: user._id, 'refreshTokens.tokenId': 'token-1' },
+        { $pull: { refreshTokens: { tokenId: 'token-1' } } },
+        { new: true }
+      );
+      expect(jwt.decode(session.refreshToken).jti).not.toBe('token-1');
+      expect(authService.verifyAccessToken(session.accessToken).role).toBe('analyst');
+    });
+
+    it('should refuse a token that was already used or revoked', async () => {
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(authService.refresh(authService.signRefreshToken(userDocument(), 'token-1')))
+        .rejects.toThrow('The refresh token has been revoked');
+    });
+
+    it('should refuse access tokens', async () => {
+      const accessToken = authService.signAccessToken(userDocument());
+
+      await expect(authService.refresh(accessToken)).rejects.toThrow('Invalid refresh token');
+    });
+  });
+
+  describe('logout', () => {
+    it('should remove the refresh token id', async () => {
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const revoked = await authService.logout(authService.signRefreshToken(userDocument(), 'token-1'));
+
+      expect(revoked).toBe(true);
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: '507f1f77bcf86cd799439011' },
+        { $pull: { refreshTokens: { tokenId: 'token-1' } } }
+      );
+    });
+
+    it('should ignore invalid tokens', async () => {
+      const updateOne = jest.spyOn(User, 'updateOne');
+
+      await expect(authService.logout('garbage')).resolves.toBe(false);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createUser', () => {
+    it('should store a password hash, never the password', async () => {
+      const create = jest.spyOn(User, 'create').mockImplementation(async (data) => ({ _id: 'u1', disabled: false, ...data }));
+
+      const user = await authService.createUser({ username: 'Priya', password: 'correct horse battery', role: 'admin' });
+
+      expect(user).toMatchObject({ id: 'u1', username: 'Priya', role: 'admin' });
+      expect(create.mock.calls[0][0].passwordHash).toMatch(/^scrypt\$/);
+      expect(JSON.stringify(create.mock.calls[0][0])).not.toContain('correct horse battery');
+    });
+
+    it('should validate the fields', async () => {
+      await expect(authService.createUser({ username: 'x', password: 'short', role: 'owner' }))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          errors: [
+            'username must be 3-64 letters, digits, dots, dashes or underscores',
+            'password must be 10-128 characters',
+            'Invalid role. Must be one of: viewer, analyst, admin'
+          ]
+        });
+    });
+
+    it('should report a taken username as a conflict', async () => {
+      jest.spyOn(User, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(authService.createUser({ username: 'Priya', password: 'correct horse battery' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'User priya already exists' });
+    });
+  });
+
+  describe('updateUser', () => {
+    it('should sign out sessions when the password changes', async () => {
+      const user = userDocument({ refreshTokens: [{ tokenId: 'token-1', expiresAt: new Date(Date.now() + 60000) }] });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      await authService.updateUser('priya', { password: 'a brand new password' });
+
+      expect(user.refreshTokens).toEqual([]);
+      expect(user.passwordHash).not.toBe(passwordHash);
+    });
+
+    it('should keep sessions on a role change', async () => {
+      const user = userDocument({ refreshTokens: [{ tokenId: 'token-1', expiresAt: new Date(Date.now() + 60000) }] });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      const updated = await authService.updateUser('priya', { role: 'admin' });
+
+      expect(updated.role).toBe('admin');
+      expect(user.refreshTokens).toHaveLength(1);
+    });
+
+    it('should return null for an unknown user', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+      await expect(authService.updateUser('nobody', { disabled: true })).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import mongoose from 'mongoose';
+import Transaction from '../../../src/models/Transaction.js';
+import adminService from '../../../src/services/adminService.js';
+import backupService from '../../../src/services/backupService.js';
+
+const DOCS = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    transactionId: 'T1',
+    customerName: 'Asha',
+    totalAmount: 200.5,
+    date: new Date('2024-01-05T00:00:00Z'),
+    tags: ['new'],
+    importBatchId: new mongoose.Types.ObjectId()
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    transactionId: 'T2',
+    customerName: 'Ravi',
+    totalAmount: 100,
+    date: new Date('2024-02-10T00:00:00Z'),
+    tags: []
+  }
+];
+
+/**
+ * Mock Transaction.find(...).sort().lean().batchSize().cursor() over documents
+ */
+const mockFind = (docs) => {
+  const chain = {
+    sort: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockReturnThis(),
+    batchSize: jest.fn().mockReturnThis(),
+    cursor: jest.fn().mockReturnValue((async function* () { yield* docs; })())
+  };
+  return jest.spyOn(Transaction, 'find').mockReturnValue(chain);
+};
+
+describe('BackupService', () => {
+  let root;
+  let dir;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-service-'));
+    dir = path.join(root, 'backup');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('createBackup', () => {
+    it('should write gzip NDJSON and a manifest', async () => {
+      mockFind(DOCS);
+
+      const manifest = await backupService.createBackup({ dir });
+
+      const lines = zlib.gunzipSync(fs.readFileSync(path.join(dir, 'transactions.ndjson.gz')))
+        .toString('utf8')
+        .trim()
+        .split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0])).toMatchObject({
+        transactionId: 'T1',
+        date: { $date: '2024-01-05T00:00:00Z' },
+        _id: { $oid: String(DOCS[0]._id) }
+      });
+
+      expect(manifest).toMatchObject({
+        format: 'transactions-ndjson-gzip',
+        version: 1,
+        collection: 'transactions',
+        file: 'transactions.ndjson.gz',
+        filters: {},
+        count: 2
+      });
+      expect(manifest.bytes).toBe(fs.statSync(path.join(dir, 'transactions.ndjson.gz')).size);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8')).sha256).toBe(manifest.sha256);
+    });
+
+    it('should apply the API filters', async () => {
+      const find = mockFind([]);
+      const filters = { gender: ['Female'], dateRange: { start: '2024-01-01' } };
+
+      const manifest = await backupService.createBackup({ dir, filters });
+
+      expect(find).toHaveBeenCalledWith({
+        gender: { $in: ['Female'] },
+        date: { $gte: new Date('2024-01-01') }
+      });
+      expect(manifest).toMatchObject({ filters, count: 0 });
+    });
+
+    it('should refuse to overwrite an existing directory', async () => {
+      fs.mkdirSync(dir);
+
+      await expect(backupService.createBackup({ dir })).rejects.toThrow('already exists');
+    });
+
+    it('should remove a partial backup when the dump fails', async () => {
+      jest.spyOn(Transaction, 'find').mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        batchSize: jest.fn().mockReturnThis(),
+        cursor: jest.fn().mockReturnValue((async function* () {
+          yield DOCS[0];
+          throw new Error('cursor killed');
+        })())
+      });
+
+      await expect(backupService.createBackup({ dir }))
+        .rejects.toThrow('Failed to back up transactions: cursor killed');
+      expect(fs.existsSync(dir)).toBe(false);
+    });
+  });
+
+  describe('restoreBackup', () => {
+    let buildIndexes;
+
+    beforeEach(async () => {
+      mockFind(DOCS);
+      await backupService.createBackup({ dir });
+      buildIndexes = jest.spyOn(adminService, 'buildOptimizedIndexes').mockResolvedValue(['a', 'b']);
+      jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(7);
+    });
+
+    it('should insert the original documents and rebuild indexes', async () => {
+      const insertMany = jest.spyOn(Transaction.collection, 'insertMany')
+        .mockImplementation(async (docs) => ({ insertedCount: docs.length }));
+
+      const result = await backupService.restoreBackup({ dir });
+
+      const [restored, options] = insertMany.mock.calls[0];
+      expect(options).toEqual({ ordered: false });
+      expect(restored).toEqual(DOCS);
+      expect(restored[0].date).toBeInstanceOf(Date);
+      expect(restored[0].importBatchId).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(buildIndexes).toHaveBeenCalled();
+      expect(result).toMatchObject({ existing: 7, dropped: 0, restored: 2, skipped: 0, indexes: ['a', 'b'] });
+    });
+
+    it('should insert in batches', async () => {
+      const insertMany = jest.spyOn(Transaction.collection, 'insertMany')
+        .mockImplementation(async (docs) => ({ insertedCount: docs.length }));
+
+      await backupService.restoreBackup({ dir, batchSize: 1 });
+
+      expect(insertMany).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only verify on a dry run', async () => {
+      const insertMany = jest.spyOn(Transaction.collection, 'insertMany');
+
+      const result = await backupService.restoreBackup({ dir, dryRun: true });
+
+      expect(insertMany).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ dryRun: true, existing: 7, manifest: { count: 2 } });
+    });
+
+    it('should drop existing data first when asked', async () => {
+      const clear = jest.spyOn(adminService, 'clearTransactions').mockResolvedValue({ deleted: 7 });
+      jest.spyOn(Transaction.collection, 'insertMany').mockResolvedValue({ insertedCount: 2 });
+
+      const result = await backupService.restoreBackup({ dir, drop: true });
+
+      expect(clear).toHaveBeenCalledWith({ recreateIndexes: false });
+      expect(result.dropped).toBe(7);
+    });
+
+    it('should skip documents that already exist', async () => {
+      const error = Object.assign(new Error('E11000 duplicate key'), {
+        writeErrors: [{ code: 11000 }],
+        result: { insertedCount: 1 }
+      });
+      jest.spyOn(Transaction.collection, 'insertMany').mockRejectedValue(error);
+
+      const result = await backupService.restoreBackup({ dir });
+
+      expect(result).toMatchObject({ restored: 1, skipped: 1 });
+    });
+
+    it('should fail on other write errors', async () => {
+      jest.spyOn(Transaction.collection, 'insertMany').mockRejectedValue(new Error('disk full'));
+
+      await expect(backupService.restoreBackup({ dir }))
+        .rejects.toThrow('Failed to restore transactions: disk full');
+      expect(buildIndexes).not.toHaveBeenCalled();
+    });
+
+    it('should reject a data file that does not match the checksum', async () => {
+      fs.writeFileSync(path.join(dir, 'transactions.ndjson.gz'), zlib.gzipSync('{}\n'));
+      const insertMany = jest.spyOn(Transaction.collection, 'insertMany');
+
+      await expect(backupService.restoreBackup({ dir }))
+        .rejects.toThrow('Backup data file does not match the manifest checksum');
+      expect(insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject a directory without a manifest', async () => {
+      await expect(backupService.restoreBackup({ dir: root })).rejects.toThrow('No manifest.json');
+    });
+
+    it('should reject an unknown backup format', async () => {
+      fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ format: 'csv', version: 1 }));
+
+      await expect(backupService.restoreBackup({ dir })).rejects.toThrow('Unsupported backup format: csv v1');
+    });
+  });
+});
@@ -0,0 +1,515 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import mongoose from 'mongoose';
+import Transaction from '../../../src/models/Transaction.js';
+import QuarantinedRow from '../../../src/models/QuarantinedRow.js';
+import ImportBatch from '../../../src/models/ImportBatch.js';
+import importBatchService from '../../../src/services/importBatchService.js';
+import DataImporter, { validateRow } from '../../../src/services/dataImporter.js';
+import { normalizeProfile } from '../../../src/utils/columnMapping.js';
+
+const CSV = [
+  'Transaction ID,Customer ID,Customer Name,Quantity,Total Amount,Final Amount,Date,Tags',
+  'T1,C1,Asha,2,200,180,2024-01-05,"new,loyal"',
+  'T2,C2,Ravi,1,100,100,2024-02-10,',
+  'T3,C1,Asha,3,300,270,2024-03-15,loyal'
+].join('\n');
+
+describe('DataImporter', () => {
+  const batchId = new mongoose.Types.ObjectId();
+  let filePath;
+  let startBatch;
+  let finishBatch;
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `data-importer-${Date.now()}.csv`);
+    fs.writeFileSync(filePath, CSV);
+    startBatch = jest.spyOn(importBatchService, 'startBatch').mockResolvedValue({ _id: batchId });
+    finishBatch = jest.spyOn(importBatchService, 'finishBatch').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    fs.rmSync(filePath, { force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should parse CSV rows into transactions', () => {
+    const importer = new DataImporter();
+    const parsed = importer.parseTransaction({
+      'Transaction ID': 'T1',
+      'Quantity': '2',
+      'Tags': 'a, b,',
+      'Date': '2024-01-05'
+    });
+
+    expect(parsed.transactionId).toBe('T1');
+    expect(parsed.quantity).toBe(2);
+    expect(parsed.tags).toEqual(['a', 'b']);
+    expect(parsed.date).toEqual(new Date('2024-01-05'));
+  });
+
+  it('should insert rows in batches and report progress', async () => {
+    const insertMany = jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+    const onProgress = jest.fn();
+    const importer = new DataImporter({ batchSize: 2, quiet: true, onProgress });
+
+    const stats = await importer.importFile(filePath);
+
+    expect(insertMany).toHaveBeenCalledTimes(2);
+    expect(insertMany.mock.calls[0][0]).toHaveLength(2);
+    expect(insertMany.mock.calls[1][0]).toHaveLength(1);
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    expect(stats).toMatchObject({
+      rowsProcessed: 3,
+      inserted: 3,
+      failed: 0,
+      totalBytes: Buffer.byteLength(CSV),
+      bytesProcessed: Buffer.byteLength(CSV)
+    });
+  });
+
+  it('should record the batch and stamp inserted documents with its id', async () => {
+    const insertMany = jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+    const importer = new DataImporter({ quiet: true, source: 'sales.csv' });
+
+    const stats = await importer.importFile(filePath);
+
+    expect(startBatch).toHaveBeenCalledWith({
+      source: 'sales.csv',
+      options: { strict: false, onInvalid: null, upsert: false, profile: 'default', format: 'csv' }
+    });
+    expect(insertMany.mock.calls[0][0].every(doc => doc.importBatchId === batchId)).toBe(true);
+    expect(stats.batchId).toBe(String(batchId));
+
+    const checksum = createHash('sha256').update(CSV).digest('hex');
+    expect(finishBatch).toHaveBeenCalledWith(batchId, expect.objectContaining({
+      status: 'completed',
+      checksum,
+      stats: expect.objectContaining({ inserted: 3 })
+    }));
+    expect(importer.getReport().checksum).toBe(checksum);
+  });
+
+  it('should mark the batch as failed when reading fails', async () => {
+    jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+    const importer = new DataImporter({ quiet: true });
+    jest.spyOn(importer, 'readRows').mockRejectedValue(new Error('disk error'));
+
+    await expect(importer.importFile(filePath)).rejects.toThrow('disk error');
+
+    expect(finishBatch).toHaveBeenCalledWith(batchId, expect.objectContaining({
+      status: 'failed',
+      error: 'disk error'
+    }));
+  });
+
+  it('should count duplicate keys as failures', async () => {
+    const error = Object.assign(new Error('E11000 duplicate key'), {
+      code: 11000,
+      writeErrors: [{ index: 0 }]
+    });
+    jest.spyOn(Transaction, 'insertMany').mockRejectedValue(error);
+    const importer = new DataImporter({ quiet: true });
+
+    const stats = await importer.importFile(filePath);
+
+    expect(stats.inserted).toBe(2);
+    expect(stats.failed).toBe(1);
+  });
+
+  it('should count a failed batch without aborting the import', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Transaction, 'insertMany').mockRejectedValue(new Error('connection lost'));
+    const importer = new DataImporter({ quiet: true });
+
+    const stats = await importer.importFile(filePath);
+
+    expect(stats.inserted).toBe(0);
+    expect(stats.failed).toBe(3);
+  });
+
+  it('should reject a missing file', async () => {
+    const importer = new DataImporter({ quiet: true });
+
+    await expect(importer.importFile(path.join(os.tmpdir(), 'missing.csv')))
+      .rejects.toThrow('File not found');
+    expect(startBatch).not.toHaveBeenCalled();
+  });
+
+  describe('input formats', () => {
+    const RECORDS = [
+      { 'Transaction ID': 'T1', 'Customer ID': 'C1', 'Customer Name': 'Asha', 'Quantity': 2, 'Total Amount': 200, 'Date': '2024-01-05', 'Tags': ['new', 'loyal'] },
+      { 'Transaction ID': 'T2', 'Customer ID': 'C2', 'Customer Name': 'Ravi', 'Quantity': 1, 'Total Amount': 100, 'Date': '2024-02-10', 'Tags': 'loyal' }
+    ];
+    let jsonPath;
+
+    afterEach(() => {
+      fs.rmSync(jsonPath, { force: true });
+    });
+
+    it('should import NDJSON picked from the extension and keep array tags', async () => {
+      jsonPath = filePath.replace(/\.csv$/, '.ndjson');
+      fs.writeFileSync(jsonPath, RECORDS.map(record => JSON.stringify(record)).join('\n'));
+      const insertMany = jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true });
+
+      const stats = await importer.importFile(jsonPath);
+
+      const docs = insertMany.mock.calls[0][0];
+      expect(docs[0]).toMatchObject({ transactionId: 'T1', quantity: 2, totalAmount: 200, tags: ['new', 'loyal'] });
+      expect(docs[1].tags).toEqual(['loyal']);
+      expect(stats).toMatchObject({ rowsProcessed: 2, inserted: 2 });
+      expect(importer.getReport().format).toBe('ndjson');
+    });
+
+    it('should use an explicit format over the extension', async () => {
+      jsonPath = filePath.replace(/\.csv$/, '.txt');
+      fs.writeFileSync(jsonPath, JSON.stringify(RECORDS));
+      const insertMany = jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true, format: 'json' });
+
+      await importer.importFile(jsonPath);
+
+      expect(insertMany.mock.calls[0][0].map(doc => doc.transactionId)).toEqual(['T1', 'T2']);
+    });
+
+    it('should report unparseable lines in strict mode', async () => {
+      jsonPath = filePath.replace(/\.csv$/, '.jsonl');
+      fs.writeFileSync(jsonPath, `${JSON.stringify(RECORDS[0])}\n{"Transaction ID": \n`);
+      jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true, strict: true });
+
+      const stats = await importer.importFile(jsonPath);
+
+      expect(stats).toMatchObject({ rowsProcessed: 2, inserted: 1, invalid: 1 });
+      expect(importer.getReport().errors).toEqual([
+        { row: 2, column: '', value: '{"Transaction ID":', reason: expect.stringMatching(/^is not valid JSON/) }
+      ]);
+    });
+
+    it('should count unparseable lines as failed in lenient mode', async () => {
+      jsonPath = filePath.replace(/\.csv$/, '.ndjson');
+      fs.writeFileSync(jsonPath, `${JSON.stringify(RECORDS[0])}\n[1, 2]\n`);
+      jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true });
+
+      const stats = await importer.importFile(jsonPath);
+
+      expect(stats).toMatchObject({ rowsProcessed: 2, inserted: 1, failed: 1 });
+    });
+  });
+
+  describe('upsert mode', () => {
+    it('should upsert by transactionId and count inserted, updated and unchanged rows', async () => {
+      const insertMany = jest.spyOn(Transaction, 'insertMany');
+      const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({
+        upsertedCount: 1,
+        matchedCount: 2,
+        modifiedCount: 1
+      });
+      const importer = new DataImporter({ quiet: true, upsert: true });
+
+      const stats = await importer.importFile(filePath);
+
+      expect(insertMany).not.toHaveBeenCalled();
+      const [operations, options] = bulkWrite.mock.calls[0];
+      expect(options).toEqual({ ordered: false });
+      expect(operations).toHaveLength(3);
+      expect(operations[0].updateOne).toMatchObject({
+        filter: { transactionId: 'T1' },
+        update: {
+          $set: { transactionId: 'T1', quantity: 2 },
+          $setOnInsert: { importBatchId: batchId }
+        },
+        upsert: true
+      });
+      expect(operations[0].updateOne.update.$set).not.toHaveProperty('importBatchId');
+      expect(stats).toMatchObject({ inserted: 1, updated: 1, unchanged: 1, failed: 0 });
+      expect(importer.getReport().writeMode).toBe('upsert');
+    });
+
+    it('should keep the counts of a partially failed bulk write', async () => {
+      const error = Object.assign(new Error('bulk write failed'), {
+        result: { upsertedCount: 1, matchedCount: 1, modifiedCount: 0 },
+        writeErrors: [{ index: 2 }]
+      });
+      jest.spyOn(Transaction, 'bulkWrite').mockRejectedValue(error);
+      const importer = new DataImporter({ quiet: true, upsert: true });
+
+      const stats = await importer.importFile(filePath);
+
+      expect(stats).toMatchObject({ inserted: 1, updated: 0, unchanged: 1, failed: 1 });
+    });
+
+    it('should reject rows without a transactionId instead of generating one', async () => {
+      fs.writeFileSync(filePath, [
+        'Transaction ID,Customer ID,Customer Name,Quantity,Total Amount,Date',
+        'T1,C1,Asha,2,200,2024-01-05',
+        ',C2,Ravi,1,100,2024-02-10'
+      ].join('\n'));
+      const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0, modifiedCount: 0 });
+      const importer = new DataImporter({ quiet: true, upsert: true });
+
+      const stats = await importer.importFile(filePath);
+
+      expect(bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.filter)).toEqual([{ transactionId: 'T1' }]);
+      expect(stats).toMatchObject({ inserted: 1, invalid: 1, failed: 0 });
+      expect(importer.getReport().errors).toEqual([
+        { row: 2, column: 'Transaction ID', value: '', reason: 'is required to upsert' }
+      ]);
+    });
+
+    it('should quarantine rows without a transactionId when asked', async () => {
+      fs.writeFileSync(filePath, [
+        'Transaction ID,Customer ID,Customer Name,Quantity,Total Amount,Date',
+        ',C2,Ravi,1,100,2024-02-10'
+      ].join('\n'));
+      const quarantine = jest.spyOn(QuarantinedRow, 'insertMany').mockResolvedValue([]);
+      const bulkWrite = jest.spyOn(Transaction, 'bulkWrite');
+      const importer = new DataImporter({ quiet: true, upsert: true, strict: true, onInvalid: 'quarantine' });
+
+      const stats = await importer.importFile(filePath);
+
+      expect(bulkWrite).not.toHaveBeenCalled();
+      expect(quarantine.mock.calls[0][0][0].issues).toEqual([{ column: 'Transaction ID', value: '', reason: 'is required' }]);
+      expect(stats).toMatchObject({ invalid: 1, quarantined: 1 });
+    });
+
+    it('should count documents failing the schema as failed before writing', async () => {
+      fs.writeFileSync(filePath, [
+        'Transaction ID,Customer ID,Customer Name,Quantity,Total Amount,Date,Gender',
+        'T1,C1,Asha,2,200,2024-01-05,Female',
+        'T2,C2,Ravi,1,100,2024-02-10,Unknown',
+        'T3,,Meera,1,100,2024-02-11,'
+      ].join('\n'));
+      const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0, modifiedCount: 0 });
+      const importer = new DataImporter({ quiet: true, upsert: true });
+
+      const stats = await importer.importFile(filePath);
+
+      expect(bulkWrite.mock.calls[0][0]).toHaveLength(1);
+      expect(stats).toMatchObject({ inserted: 1, failed: 2 });
+    });
+
+    it('should count the whole batch as failed on other errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(Transaction, 'bulkWrite').mockRejectedValue(new Error('connection lost'));
+      const importer = new DataImporter({ quiet: true, upsert: true });
+
+      const stats = await importer.importFile(filePath);
+
+      expect(stats).toMatchObject({ inserted: 0, failed: 3 });
+    });
+  });
+
+  describe('strict mode', () => {
+    const BAD_CSV = [
+      'Transaction ID,Customer ID,Customer Name,Quantity,Total Amount,Date,Age',
+      'T1,C1,Asha,2,200,2024-01-05,30',
+      'T2,C2,Ravi,two,100,not-a-date,30',
+      'T3,,Meera,1,100,2024-02-01,200'
+    ].join('\n');
+
+    beforeEach(() => {
+      fs.writeFileSync(filePath, BAD_CSV);
+    });
+
+    it('should reject invalid rows and report each error', async () => {
+      const insertMany = jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const quarantine = jest.spyOn(QuarantinedRow, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true, strict: true });
+
+      const stats = await importer.importFile(filePath);
+
+      expect(insertMany.mock.calls[0][0].map(row => row.transactionId)).toEqual(['T1']);
+      expect(quarantine).not.toHaveBeenCalled();
+      expect(stats).toMatchObject({ rowsProcessed: 3, inserted: 1, invalid: 2, quarantined: 0 });
+
+      const report = importer.getReport();
+      expect(report).toMatchObject({
+        source: path.basename(filePath),
+        mode: 'strict',
+        onInvalid: 'reject',
+        errorsTruncated: false
+      });
+      expect(report.errors).toEqual([
+        { row: 2, column: 'Quantity', value: 'two', reason: 'is not a number' },
+        { row: 2, column: 'Date', value: 'not-a-date', reason: 'is not a valid date' },
+        { row: 3, column: 'Customer ID', value: '', reason: 'is required' },
+        { row: 3, column: 'Age', value: '200', reason: 'must be between 0 and 150' }
+      ]);
+    });
+
+    it('should quarantine invalid rows with their raw values', async () => {
+      jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const quarantine = jest.spyOn(QuarantinedRow, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true, strict: true, onInvalid: 'quarantine', source: 'upload.csv' });
+
+      const stats = await importer.importFile(filePath);
+
+      const rows = quarantine.mock.calls[0][0];
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({ source: 'upload.csv', importBatchId: batchId, row: 2, raw: { Quantity: 'two' } });
+      expect(rows[0].issues).toHaveLength(2);
+      expect(stats.quarantined).toBe(2);
+    });
+
+    it('should write the report to a file', async () => {
+      jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const reportPath = `${filePath}.report.json`;
+      const importer = new DataImporter({ quiet: true, strict: true, reportPath });
+
+      try {
+        await importer.importFile(filePath);
+
+        const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+        expect(report.stats.invalid).toBe(2);
+        expect(report.errors).toHaveLength(4);
+        expect(report.finishedAt).not.toBeNull();
+      } finally {
+        fs.rmSync(reportPath, { force: true });
+      }
+    });
+
+    it('should default bad values when not strict', async () => {
+      const insertMany = jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true });
+
+      const stats = await importer.importFile(filePath);
+
+      // Defaults cannot fix a missing Customer ID or an age of 200, which the schema rejects
+      expect(insertMany.mock.calls[0][0]).toHaveLength(2);
+      expect(insertMany.mock.calls[0][0][1].quantity).toBe(0);
+      expect(stats).toMatchObject({ invalid: 0, inserted: 2, failed: 1 });
+      expect(importer.getReport().errors).toEqual([]);
+    });
+
+    it('should count rows failing the schema as failed, not inserted', async () => {
+      fs.writeFileSync(filePath, [
+        'Transaction ID,Customer ID,Customer Name,Quantity,Total Amount,Date,Gender',
+        'T1,C1,Asha,2,200,2024-01-05,Female',
+        'T2,C2,Ravi,1,100,2024-02-10,Unknown',
+        'T3,,Meera,1,100,2024-02-11,'
+      ].join('\n'));
+      const insertMany = jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true });
+
+      const stats = await importer.importFile(filePath);
+
+      expect(insertMany.mock.calls[0][0].map(doc => doc.transactionId)).toEqual(['T1']);
+      expect(stats).toMatchObject({ rowsProcessed: 3, inserted: 1, failed: 2 });
+    });
+
+    it('should record as inserted exactly what a rollback deletes', async () => {
+      fs.writeFileSync(filePath, [
+        'Transaction ID,Customer ID,Customer Name,Quantity,Total Amount,Date,Gender',
+        'T1,C1,Asha,2,200,2024-01-05,Female',
+        'T2,C2,Ravi,1,100,2024-02-10,Unknown',
+        'T3,C3,Meera,1,100,2024-02-11,Male'
+      ].join('\n'));
+      const stored = [];
+      jest.spyOn(Transaction, 'insertMany').mockImplementation(async docs => {
+        stored.push(...docs);
+        return docs;
+      });
+
+      await new DataImporter({ quiet: true }).importFile(filePath);
+
+      const { stats } = finishBatch.mock.calls[0][1];
+      jest.spyOn(importBatchService, 'getBatch').mockResolvedValue({ _id: batchId, status: 'completed' });
+      jest.spyOn(Transaction, 'deleteMany').mockImplementation(async ({ importBatchId }) => ({
+        deletedCount: stored.filter(doc => doc.importBatchId === importBatchId).length
+      }));
+      jest.spyOn(QuarantinedRow, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(ImportBatch, 'findByIdAndUpdate').mockImplementation((id, update) => ({
+        lean: async () => update.$set
+      }));
+
+      const rolledBack = await importBatchService.rollbackBatch(batchId.toString());
+
+      expect(stats).toMatchObject({ inserted: 2, failed: 1 });
+      expect(rolledBack.rolledBackCount).toBe(stats.inserted);
+    });
+  });
+
+  describe('mapping profiles', () => {
+    const profile = normalizeProfile({
+      name: 'vendor',
+      columns: { transactionId: 'Receipt', customerId: 'Member', totalAmount: 'Gross', date: 'Sold On', tags: 'Labels' },
+      dateFormat: 'DD/MM/YYYY',
+      decimalSeparator: ',',
+      tagDelimiter: '|'
+    });
+
+    it('should parse rows with the profile headers and formats', () => {
+      const importer = new DataImporter({ profile });
+
+      expect(importer.parseTransaction({
+        Receipt: 'R1',
+        Member: 'M1',
+        Gross: '12,50',
+        'Sold On': '05/01/2024',
+        Labels: 'vip|new'
+      })).toMatchObject({
+        transactionId: 'R1',
+        customerId: 'M1',
+        totalAmount: 12.5,
+        date: new Date('2024-01-05T00:00:00.000Z'),
+        tags: ['vip', 'new']
+      });
+    });
+
+    it('should validate against the profile formats and name its headers', () => {
+      const row = { Receipt: 'R1', Member: 'M1', 'Customer Name': 'Asha', Quantity: '1', Gross: '12.50', 'Sold On': '2024-01-05' };
+
+      expect(validateRow(row, profile)).toEqual([
+        { column: 'Gross', value: '12.50', reason: 'is not a number' },
+        { column: 'Sold On', value: '2024-01-05', reason: 'is not a valid date' }
+      ]);
+    });
+
+    it('should record the profile on the batch and report', async () => {
+      jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+      const importer = new DataImporter({ quiet: true, profile });
+
+      await importer.importFile(filePath);
+
+      expect(startBatch.mock.calls[0][0].options.profile).toBe('vendor');
+      expect(importer.getReport().profile).toBe('vendor');
+    });
+  });
+
+  describe('validateRow', () => {
+    const validRow = {
+      'Transaction ID': 'T1',
+      'Customer ID': 'C1',
+      'Customer Name': 'Asha',
+      'Quantity': '2',
+      'Total Amount': '200',
+      'Date': '2024-01-05'
+    };
+
+    it('should accept a complete row', () => {
+      expect(validateRow(validRow)).toEqual([]);
+    });
+
+    it('should reject values the lenient parser would default', () => {
+      expect(validateRow({ ...validRow, 'Total Amount': '12abc' })).toEqual([
+        { column: 'Total Amount', value: '12abc', reason: 'is not a number' }
+      ]);
+      expect(validateRow({ ...validRow, 'Final Amount': '-5' })).toEqual([
+        { column: 'Final Amount', value: '-5', reason: 'must not be negative' }
+      ]);
+      expect(validateRow({ ...validRow, Gender: 'X' })[0].reason).toBe('must be one of Male, Female, Other');
+    });
+
+    it('should treat null placeholders as missing', () => {
+      expect(validateRow({ ...validRow, Date: 'null' })).toEqual([
+        { column: 'Date', value: 'null', reason: 'is required' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import Transaction from '../../../src/models/Transaction.js';
+import QuarantinedRow from '../../../src/models/QuarantinedRow.js';
+import dataSubjectService, { ERASED_CUSTOMER_NAME } from '../../../src/services/dataSubjectService.js';
+
+describe('DataSubjectService', () => {
+  // Model.find(...).sort(...).select(...).lean() resolving to the documents
+  const mockFind = (Model, documents) => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(documents)
+    };
+    return jest.spyOn(Model, 'find').mockReturnValue(query);
+  };
+
+  const transaction = {
+    transactionId: 'T001',
+    customerId: 'C001',
+    customerName: 'Asha Iyer',
+    phoneNumber: '9876543210',
+    quantity: 2,
+    totalAmount: 2000,
+    finalAmount: 1800
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveSubject', () => {
+    it('should match a customer ID, a phone number as given or as digits, or either', () => {
+      expect(dataSubjectService.resolveSubject({ customerId: ' C001 ' }).transactionQuery)
+        .toEqual({ customerId: { $in: ['C001'] } });
+      expect(dataSubjectService.resolveSubject({ phoneNumber: '98765 43210' }).transactionQuery)
+        .toEqual({ phoneNumber: { $in: ['98765 43210', '9876543210'] } });
+      expect(dataSubjectService.resolveSubject({ customerId: 'C001', phoneNumber: '9876543210' }).transactionQuery)
+        .toEqual({ $or: [{ customerId: { $in: ['C001'] } }, { phoneNumber: { $in: ['9876543210'] } }] });
+    });
+
+    it('should require a customer ID or phone number', () => {
+      expect(() => dataSubjectService.resolveSubject({})).toThrow('Invalid data subject');
+
+      let error;
+      try {
+        dataSubjectService.resolveSubject({ customerId: '' });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toMatchObject({ statusCode: 400, errors: ['customerId must be 1-100 characters'] });
+    });
+  });
+
+  describe('exportSubject', () => {
+    it('should collect transactions and quarantined rows under the default headers', async () => {
+      const findTransactions = mockFind(Transaction, [transaction]);
+      const quarantined = { source: 'march.csv', row: 4, raw: { 'Customer ID': 'C001', Quantity: 'x' } };
+      const findRows = mockFind(QuarantinedRow, [quarantined]);
+
+      const result = await dataSubjectService.exportSubject({ phoneNumber: '9876543210' });
+
+      expect(findTransactions).toHaveBeenCalledWith({ phoneNumber: { $in: ['9876543210'] } });
+      const rowQuery = findRows.mock.calls[0][0].$or;
+      expect(rowQuery).toContainEqual({ 'raw.Customer ID': { $in: ['C001'] } });
+      expect(rowQuery).toContainEqual({ 'raw.phone_number': { $in: ['9876543210'] } });
+      expect(result).toEqual({
+        subject: { phoneNumber: '9876543210' },
+        generatedAt: expect.any(String),
+        customerIds: ['C001'],
+        transactions: [transaction],
+        quarantinedRows: [quarantined]
+      });
+    });
+
+    it('should return empty lists for an unknown customer', async () => {
+      mockFind(Transaction, []);
+      mockFind(QuarantinedRow, []);
+
+      const result = await dataSubjectService.exportSubject({ customerId: 'C999' });
+
+      expect(result).toMatchObject({ customerIds: [], transactions: [], quarantinedRows: [] });
+    });
+
+    it('should wrap database errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(Transaction, 'find').mockImplementation(() => {
+        throw new Error('boom');
+      });
+
+      await expect(dataSubjectService.exportSubject({ customerId: 'C001' }))
+        .rejects.toThrow('Failed to export customer data: boom');
+    });
+  });
+
+  describe('eraseSubject', () => {
+    beforeEach(() => {
+      jest.spyOn(Transaction, 'distinct').mockResolvedValue(['C001', 'C009']);
+    });
+
+    it('should only count on a dry run', async () => {
+      const count = jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(5);
+      jest.spyOn(QuarantinedRow, 'countDocuments').mockResolvedValue(1);
+      const update = jest.spyOn(Transaction, 'updateMany');
+
+      const result = await dataSubjectService.eraseSubject({ phoneNumber: '9876543210' }, { dryRun: true });
+
+      expect(result).toEqual({ customers: 2, transactions: 5, quarantinedRows: 1, dryRun: true });
+      expect(count).toHaveBeenCalledWith({ customerId: { $in: ['C001', 'C009'] } });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should give each customer ID its own pseudonym and clear name and phone only', async () => {
+      const update = jest.spyOn(Transaction, 'updateMany')
+        .mockResolvedValueOnce({ modifiedCount: 3 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+      const remove = jest.spyOn(QuarantinedRow, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+      const result = await dataSubjectService.eraseSubject({ phoneNumber: '9876543210' });
+
+      expect(result).toEqual({ customers: 2, transactions: 4, quarantinedRows: 2, dryRun: false });
+      expect(update.mock.calls.map(([filter]) => filter)).toEqual([{ customerId: 'C001' }, { customerId: 'C009' }]);
+
+      const [first, second] = update.mock.calls.map(([, change]) => change.$set);
+      expect(Object.keys(first).sort()).toEqual(['customerId', 'customerName', 'phoneNumber']);
+      expect(first).toMatchObject({ customerName: ERASED_CUSTOMER_NAME, phoneNumber: '' });
+      expect(first.customerId).toMatch(/^ERASED-[0-9A-F]{12}$/);
+      expect(second.customerId).not.toBe(first.customerId);
+
+      expect(remove.mock.calls[0][0].$or).toContainEqual({ 'raw.Customer ID': { $in: ['C001', 'C009'] } });
+    });
+
+    it('should wrap database errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Transaction.distinct.mockRejectedValue(new Error('boom'));
+
+      await expect(dataSubjectService.eraseSubject({ customerId: 'C001' }))
+        .rejects.toThrow('Failed to erase customer data: boom');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import database, { CONNECTION_STATES, getBackoffDelay } from '../../../src/config/database.js';
+import { getResilienceConfig } from '../../../src/config/resilience.js';
+import degradedModeService, { isConnectionError } from '../../../src/services/degradedModeService.js';
+import transactionServiceMemory from '../../../src/services/transactionServiceMemory.js';
+import { ServiceUnavailableError } from '../../../src/utils/errorHandler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.resolve(__dirname, '../../fixtures/transactions.csv');
+
+const connectionError = () => new Error('Failed to get transactions: connect ECONNREFUSED 127.0.0.1:27017');
+
+describe('DegradedModeService', () => {
+  const configure = (overrides = {}) => degradedModeService.configure({
+    ...getResilienceConfig({}),
+    fallbackDataFile: FIXTURE,
+    circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 60000 },
+    ...overrides
+  });
+
+  const readFallback = () => transactionServiceMemory.getStatistics();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    configure();
+  });
+
+  afterEach(() => {
+    database.status = CONNECTION_STATES.DISCONNECTED;
+    configure({ fallbackDataFile: null });
+    jest.restoreAllMocks();
+  });
+
+  describe('getResilienceConfig', () => {
+    it('should default to no fallback and the standard timings', () => {
+      expect(getResilienceConfig({})).toEqual({
+        fallbackDataFile: null,
+        fallbackProfile: null,
+        reconnect: { baseDelayMs: 1000, maxDelayMs: 30000 },
+        circuitBreaker: { failureThreshold: 5, resetTimeoutMs: 30000 }
+      });
+    });
+
+    it('should read overrides and reject invalid numbers', () => {
+      expect(getResilienceConfig({ FALLBACK_DATA_FILE: 'x.csv', CIRCUIT_FAILURE_THRESHOLD: '3' }))
+        .toMatchObject({ fallbackDataFile: 'x.csv', circuitBreaker: { failureThreshold: 3 } });
+      expect(() => getResilienceConfig({ RECONNECT_BASE_DELAY_MS: '-1' }))
+        .toThrow('Invalid RECONNECT_BASE_DELAY_MS "-1". Must be a positive integer');
+    });
+  });
+
+  describe('isConnectionError', () => {
+    it('should recognise driver errors by name or message', () => {
+      expect(isConnectionError(Object.assign(new Error('x'), { name: 'MongoServerSelectionError' }))).toBe(true);
+      expect(isConnectionError(connectionError())).toBe(true);
+      expect(isConnectionError(new Error('Operation `transactions.find()` buffering timed out after 10000ms'))).toBe(true);
+    });
+
+    it('should not treat query errors as outages', () => {
+      expect(isConnectionError(new Error('Failed to get transactions: Invalid regular expression'))).toBe(false);
+      expect(isConnectionError(undefined)).toBe(false);
+    });
+  });
+
+  describe('run', () => {
+    it('should pass calls through while MongoDB is up', async () => {
+      const result = await degradedModeService.run(() => Promise.resolve('mongo'), { fallback: readFallback });
+
+      expect(result).toBe('mongo');
+      expect(degradedModeService.isDegraded()).toBe(false);
+    });
+
+    it('should rethrow errors that are not connection failures', async () => {
+      await expect(degradedModeService.run(() => Promise.reject(new Error('Database error')), { fallback: readFallback }))
+        .rejects.toThrow('Database error');
+      expect(degradedModeService.breaker.failures).toBe(0);
+    });
+
+    it('should serve reads from the fallback CSV when a call cannot reach MongoDB', async () => {
+      const result = await degradedModeService.run(() => Promise.reject(connectionError()), { fallback: readFallback });
+
+      expect(result.totalTransactions).toBe(7);
+      expect(degradedModeService.getStatus().fallback).toEqual({ dataFile: FIXTURE, loaded: true, transactions: 7 });
+    });
+
+    it('should stop calling MongoDB once the circuit opens', async () => {
+      const call = jest.fn().mockRejectedValue(connectionError());
+
+      await degradedModeService.run(call, { fallback: readFallback });
+      await degradedModeService.run(call, { fallback: readFallback });
+      await degradedModeService.run(call, { fallback: readFallback });
+
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(degradedModeService.isDegraded()).toBe(true);
+      expect(degradedModeService.getResponseStatus()).toMatchObject({ mode: 'read-only', source: 'fallback-csv' });
+    });
+
+    it('should skip MongoDB while the connection is being retried', async () => {
+      database.status = CONNECTION_STATES.RECONNECTING;
+      const call = jest.fn();
+
+      const result = await degradedModeService.run(call, { fallback: readFallback });
+
+      expect(call).not.toHaveBeenCalled();
+      expect(result.totalTransactions).toBe(7);
+    });
+
+    it('should refuse writes while degraded', async () => {
+      database.status = CONNECTION_STATES.RECONNECTING;
+
+      await expect(degradedModeService.run(jest.fn(), { write: true }))
+        .rejects.toThrow('MongoDB is unavailable; the API is read-only until it reconnects');
+    });
+
+    it('should refuse reads without a fallback file', async () => {
+      configure({ fallbackDataFile: null });
+      database.status = CONNECTION_STATES.RECONNECTING;
+
+      const error = await degradedModeService.run(jest.fn(), { fallback: readFallback }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ServiceUnavailableError);
+      expect(error.statusCode).toBe(503);
+    });
+
+    it('should report a fallback file that cannot be loaded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      configure({ fallbackDataFile: 'missing.csv' });
+      database.status = CONNECTION_STATES.RECONNECTING;
+
+      await expect(degradedModeService.run(jest.fn(), { fallback: readFallback }))
+        .rejects.toThrow('MongoDB is unavailable and the fallback data could not be loaded');
+    });
+  });
+
+  describe('recovery', () => {
+    it('should leave degraded mode and drop the fallback when MongoDB reconnects', async () => {
+      const call = jest.fn().mockRejectedValue(connectionError());
+      await degradedModeService.run(call, { fallback: readFallback });
+      await degradedModeService.run(call, { fallback: readFallback });
+
+      database.emit('connected');
+
+      expect(degradedModeService.isDegraded()).toBe(false);
+      expect(degradedModeService.getResponseStatus()).toBeNull();
+      expect(degradedModeService.getStatus().fallback.loaded).toBe(false);
+      expect(transactionServiceMemory.transactions).toEqual([]);
+    });
+  });
+
+  describe('database reconnect', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      await database.disconnect();
+      database.isConnected = false;
+      jest.useRealTimers();
+    });
+
+    it('should double the delay per attempt up to the ceiling', () => {
+      const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+      expect([0, 1, 2, 3].map(attempt => getBackoffDelay(attempt, options))).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    it('should retry with backoff until a connection succeeds', async () => {
+      // Never connected in tests, so readyState is 0 and each attempt calls connect()
+      expect(mongoose.connection.readyState).toBe(0);
+      const connect = jest.spyOn(database, 'connect')
+        .mockRejectedValueOnce(connectionError())
+        .mockImplementationOnce(async () => database.markConnected());
+      const connected = jest.fn();
+      database.once('connected', connected);
+
+      database.scheduleReconnect({ baseDelayMs: 100, maxDelayMs: 1000 });
+      expect(database.getStatus()).toMatchObject({ status: 'reconnecting', reconnectAttempts: 0 });
+
+      await jest.advanceTimersByTimeAsync(100);
+      expect(connect).toHaveBeenCalledTimes(1);
+      expect(database.getStatus().reconnectAttempts).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(199);
+      expect(connect).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+
+      expect(connect).toHaveBeenCalledTimes(2);
+      expect(connected).toHaveBeenCalled();
+      expect(database.getStatus()).toMatchObject({ status: 'connected', reconnectAttempts: 0, nextRetryAt: null });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import ImportBatch from '../../../src/models/ImportBatch.js';
+import QuarantinedRow from '../../../src/models/QuarantinedRow.js';
+import Transaction from '../../../src/models/Transaction.js';
+import importBatchService from '../../../src/services/importBatchService.js';
+
+const leanResult = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+describe('ImportBatchService', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startBatch', () => {
+    it('should create a running batch', async () => {
+      const create = jest.spyOn(ImportBatch, 'create')
+        .mockResolvedValue({ toObject: () => ({ _id: id, status: 'running' }) });
+
+      const batch = await importBatchService.startBatch({ source: 'sales.csv', options: { upsert: true } });
+
+      expect(create).toHaveBeenCalledWith({ source: 'sales.csv', options: { upsert: true }, status: 'running' });
+      expect(batch._id).toBe(id);
+    });
+
+    it('should wrap database errors', async () => {
+      jest.spyOn(ImportBatch, 'create').mockRejectedValue(new Error('down'));
+
+      await expect(importBatchService.startBatch({ source: 'sales.csv' }))
+        .rejects.toThrow('Failed to record import batch: down');
+    });
+  });
+
+  describe('finishBatch', () => {
+    it('should store the status, checksum and row counts', async () => {
+      const update = jest.spyOn(ImportBatch, 'findByIdAndUpdate').mockReturnValue(leanResult({ _id: id }));
+
+      await importBatchService.finishBatch(id, {
+        status: 'completed',
+        checksum: 'abc',
+        stats: { rowsProcessed: 3, inserted: 2, failed: 1, bytesProcessed: 100, batchId: String(id) }
+      });
+
+      const [, { $set }] = update.mock.calls[0];
+      expect($set).toMatchObject({ status: 'completed', checksum: 'abc', rowsProcessed: 3, inserted: 2, failed: 1 });
+      expect($set.finishedAt).toBeInstanceOf(Date);
+      expect($set).not.toHaveProperty('bytesProcessed');
+      expect($set).not.toHaveProperty('batchId');
+    });
+
+    it('should record the failure message', async () => {
+      const update = jest.spyOn(ImportBatch, 'findByIdAndUpdate').mockReturnValue(leanResult({ _id: id }));
+
+      await importBatchService.finishBatch(id, { status: 'failed', error: 'disk error' });
+
+      expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'failed', error: 'disk error' });
+    });
+  });
+
+  describe('listBatches', () => {
+    it('should return the newest batches first', async () => {
+      const query = { sort: jest.fn().mockReturnThis(), limit: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue([]) };
+      jest.spyOn(ImportBatch, 'find').mockReturnValue(query);
+
+      await importBatchService.listBatches({ limit: 5 });
+
+      expect(query.sort).toHaveBeenCalledWith({ startedAt: -1 });
+      expect(query.limit).toHaveBeenCalledWith(5);
+    });
+  });
+
+  describe('getBatch', () => {
+    it('should return null for malformed ids without querying', async () => {
+      const findById = jest.spyOn(ImportBatch, 'findById');
+
+      expect(await importBatchService.getBatch('not-an-id')).toBeNull();
+      expect(findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollbackBatch', () => {
+    it('should delete the documents the batch created and mark it rolled back', async () => {
+      jest.spyOn(ImportBatch, 'findById').mockReturnValue(leanResult({ _id: id, status: 'completed' }));
+      const deleteTransactions = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({ deletedCount: 42 });
+      const deleteQuarantine = jest.spyOn(QuarantinedRow, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      const update = jest.spyOn(ImportBatch, 'findByIdAndUpdate')
+        .mockReturnValue(leanResult({ _id: id, status: 'rolledBack', rolledBackCount: 42 }));
+
+      const batch = await importBatchService.rollbackBatch(String(id));
+
+      expect(deleteTransactions).toHaveBeenCalledWith({ importBatchId: id });
+      expect(deleteQuarantine).toHaveBeenCalledWith({ importBatchId: id });
+      expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'rolledBack', rolledBackCount: 42 });
+      expect(batch.rolledBackCount).toBe(42);
+    });
+
+    it('should return null for unknown batches', async () => {
+      jest.spyOn(ImportBatch, 'findById').mockReturnValue(leanResult(null));
+
+      expect(await importBatchService.rollbackBatch(String(id))).toBeNull();
+    });
+
+    it('should refuse to roll back twice', async () => {
+      jest.spyOn(ImportBatch, 'findById').mockReturnValue(leanResult({ _id: id, status: 'rolledBack' }));
+
+      await expect(importBatchService.rollbackBatch(String(id))).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should require force for running batches', async () => {
+      jest.spyOn(ImportBatch, 'findById').mockReturnValue(leanResult({ _id: id, status: 'running' }));
+      jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(QuarantinedRow, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(ImportBatch, 'findByIdAndUpdate').mockReturnValue(leanResult({ _id: id, status: 'rolledBack' }));
+
+      await expect(importBatchService.rollbackBatch(String(id))).rejects.toMatchObject({ statusCode: 409 });
+      await expect(importBatchService.rollbackBatch(String(id), { force: true }))
+        .resolves.toMatchObject({ status: 'rolledBack' });
+    });
+  });
+});
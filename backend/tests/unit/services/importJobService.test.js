@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Transaction from '../../../src/models/Transaction.js';
+import importBatchService from '../../../src/services/importBatchService.js';
+import importJobService from '../../../src/services/importJobService.js';
+import auditService from '../../../src/services/auditService.js';
+
+// Rows need the columns the Transaction schema requires, or they are counted as failed
+const writeCsv = (rows, header = 'Transaction ID,Customer ID,Customer Name,Quantity,Total Amount,Date') => {
+  const filePath = path.join(os.tmpdir(), `import-job-${Date.now()}-${Math.random()}.csv`);
+  fs.writeFileSync(filePath, [header, ...rows].join('\n'));
+  return filePath;
+};
+
+describe('ImportJobService', () => {
+  beforeEach(() => {
+    jest.spyOn(importBatchService, 'startBatch').mockResolvedValue({ _id: 'batch-1' });
+    jest.spyOn(importBatchService, 'finishBatch').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should queue a job and run it to completion', async () => {
+    jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+    const filePath = writeCsv(['T1,C1,Asha,1,100,2024-01-05', 'T2,C2,Ravi,2,200,2024-01-06']);
+
+    const job = importJobService.createJob({ filePath, fileName: 'sales.csv' });
+
+    expect(job).toMatchObject({ status: 'queued', fileName: 'sales.csv', profile: 'default', progress: 0, etaSeconds: null });
+
+    await importJobService.waitForIdle();
+
+    expect(importJobService.getJob(job.id)).toMatchObject({
+      status: 'completed',
+      batchId: 'batch-1',
+      rowsProcessed: 2,
+      inserted: 2,
+      failed: 0,
+      progress: 100,
+      etaSeconds: 0
+    });
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(importJobService.getReport(job.id)).toMatchObject({
+      source: 'sales.csv',
+      mode: 'lenient',
+      stats: { inserted: 2 }
+    });
+  });
+
+  it('should run strict jobs and count invalid rows', async () => {
+    jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+    const filePath = writeCsv(['T1,C1,Asha,abc,100,2024-01-05']);
+
+    const job = importJobService.createJob({ filePath, fileName: 'bad.csv', strict: true });
+
+    expect(job).toMatchObject({ strict: true, onInvalid: 'reject' });
+
+    await importJobService.waitForIdle();
+
+    expect(importJobService.getJob(job.id)).toMatchObject({ status: 'completed', invalid: 1, inserted: 0 });
+    expect(importJobService.getReport(job.id).errors).toContainEqual(
+      { row: 1, column: 'Quantity', value: 'abc', reason: 'is not a number' }
+    );
+  });
+
+  it('should run upsert jobs and report updated rows', async () => {
+    jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({ upsertedCount: 0, matchedCount: 1, modifiedCount: 1 });
+    const filePath = writeCsv(['T1,C1,Asha,1,100,2024-01-05']);
+
+    const job = importJobService.createJob({ filePath, fileName: 'again.csv', upsert: true });
+    await importJobService.waitForIdle();
+
+    expect(importJobService.getJob(job.id)).toMatchObject({ upsert: true, updated: 1, unchanged: 0, inserted: 0 });
+    expect(importJobService.getJob(job.id)).not.toHaveProperty('elapsedMs');
+  });
+
+  it('should mark a job as failed when the import throws', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const filePath = path.join(os.tmpdir(), 'does-not-exist.csv');
+
+    const job = importJobService.createJob({ filePath, fileName: 'gone.csv' });
+    await importJobService.waitForIdle();
+
+    const status = importJobService.getJob(job.id);
+    expect(status.status).toBe('failed');
+    expect(status.error).toContain('File not found');
+    expect(importJobService.getReport(job.id)).toBeNull();
+  });
+
+  it('should record the finished import for whoever started it', async () => {
+    const record = jest.spyOn(auditService, 'record').mockResolvedValue();
+    jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+    const actor = { user: 'alice', role: 'admin', source: 'api', requestId: 'req-1' };
+
+    const job = importJobService.createJob({ filePath: writeCsv(['T1,C1,Asha,1,100,2024-01-05', 'T2,C2,Ravi,2,200,2024-01-06']), fileName: 'sales.csv', auditActor: actor });
+    await importJobService.waitForIdle();
+
+    expect(record).toHaveBeenCalledWith(actor, {
+      action: 'transactions.import',
+      filter: { fileName: 'sales.csv' },
+      count: 2,
+      outcome: 'success',
+      error: undefined,
+      details: { jobId: job.id, batchId: 'batch-1', upsert: false, inserted: 2, updated: 0, failed: 0, quarantined: 0 }
+    });
+    expect(importJobService.getJob(job.id)).not.toHaveProperty('auditActor');
+  });
+
+  it('should leave rows failing the schema out of the recorded count', async () => {
+    const record = jest.spyOn(auditService, 'record').mockResolvedValue();
+    jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+
+    importJobService.createJob({
+      filePath: writeCsv(['T1,C1,Asha,1,100,2024-01-05', 'T2,,Ravi,2,200,2024-01-06']),
+      fileName: 'sales.csv',
+      auditActor: { user: 'alice' }
+    });
+    await importJobService.waitForIdle();
+
+    expect(record.mock.calls[0][1]).toMatchObject({ count: 1, details: { inserted: 1, failed: 1 } });
+  });
+
+  it('should record failed imports as failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const record = jest.spyOn(auditService, 'record').mockResolvedValue();
+
+    importJobService.createJob({
+      filePath: path.join(os.tmpdir(), 'does-not-exist.csv'),
+      fileName: 'gone.csv',
+      auditActor: { user: 'alice' }
+    });
+    await importJobService.waitForIdle();
+
+    expect(record.mock.calls[0][1]).toMatchObject({ action: 'transactions.import', count: 0, outcome: 'failure', error: expect.stringContaining('File not found') });
+  });
+
+  it('should return null for unknown jobs', () => {
+    expect(importJobService.getJob('unknown')).toBeNull();
+  });
+
+  it('should estimate time remaining from bytes processed', () => {
+    const startedAt = new Date(Date.now() - 10000);
+    const status = importJobService.toJobResponse({
+      status: 'running',
+      startedAt,
+      bytesProcessed: 250,
+      totalBytes: 1000
+    });
+
+    expect(status.progress).toBe(25);
+    expect(status.etaSeconds).toBe(30);
+  });
+});
@@ -0,0 +1,53 @@
+import { getPrivacyConfig } from '../../../src/config/privacy.js';
+import privacyService from '../../../src/services/privacyService.js';
+
+describe('PrivacyService', () => {
+  const record = { customerName: 'Asha Iyer', phoneNumber: '9876543210' };
+
+  afterEach(() => {
+    privacyService.configure(getPrivacyConfig({}));
+  });
+
+  describe('getPrivacyConfig', () => {
+    it('should mask phone numbers only, as Indian numbers, by default', () => {
+      expect(getPrivacyConfig({})).toEqual({ maskNames: false, countryCode: '91' });
+    });
+
+    it('should read MASK_CUSTOMER_NAMES and PHONE_COUNTRY_CODE', () => {
+      expect(getPrivacyConfig({ MASK_CUSTOMER_NAMES: 'TRUE', PHONE_COUNTRY_CODE: '+44' }))
+        .toEqual({ maskNames: true, countryCode: '44' });
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => getPrivacyConfig({ MASK_CUSTOMER_NAMES: 'yes' }))
+        .toThrow('Invalid MASK_CUSTOMER_NAMES "yes". Must be true or false');
+      expect(() => getPrivacyConfig({ PHONE_COUNTRY_CODE: '91a' }))
+        .toThrow('Invalid PHONE_COUNTRY_CODE "91a". Must be 1-3 digits');
+    });
+  });
+
+  describe('maskerFor', () => {
+    it('should return records unchanged for admins', () => {
+      const mask = privacyService.maskerFor({ role: 'admin' });
+
+      expect(mask(record)).toBe(record);
+      expect(privacyService.canViewPii({ role: 'admin' })).toBe(true);
+    });
+
+    it('should mask records for viewers, analysts and unknown callers', () => {
+      ['viewer', 'analyst'].forEach(role => {
+        expect(privacyService.maskerFor({ role })(record)).toEqual({
+          customerName: 'Asha Iyer',
+          phoneNumber: '+91 ******3210'
+        });
+      });
+      expect(privacyService.canViewPii(undefined)).toBe(false);
+    });
+
+    it('should initial names when configured', () => {
+      privacyService.configure(getPrivacyConfig({ MASK_CUSTOMER_NAMES: 'true' }));
+
+      expect(privacyService.maskerFor({ role: 'viewer' })(record).customerName).toBe('A. I.');
+    });
+  });
+});
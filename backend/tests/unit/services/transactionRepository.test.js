@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import database from '../../../src/config/database.js';
+import { getStorageConfig } from '../../../src/config/storage.js';
+import transactionRepository, { REPOSITORY_METHODS } from '../../../src/services/transactionRepository.js';
+import transactionServiceMongo from '../../../src/services/transactionServiceMongo.js';
+import transactionServiceMemory from '../../../src/services/transactionServiceMemory.js';
+import analyticsServiceMongo from '../../../src/services/analyticsServiceMongo.js';
+import analyticsServiceMemory from '../../../src/services/analyticsServiceMemory.js';
+import transactionServiceSqlite from '../../../src/services/transactionServiceSqlite.js';
+import analyticsServiceSqlite from '../../../src/services/analyticsServiceSqlite.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.resolve(__dirname, '../../fixtures/transactions.csv');
+
+describe('TransactionRepository', () => {
+  afterEach(() => {
+    transactionRepository.configure({ backend: 'mongo' });
+    transactionServiceMemory.clear();
+    transactionServiceSqlite.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('getStorageConfig', () => {
+    it('should default to MongoDB', () => {
+      expect(getStorageConfig({})).toEqual({
+        backend: 'mongo',
+        dataFile: 'data/sales_data.csv',
+        profile: null,
+        sqliteFile: 'data/sales.sqlite'
+      });
+    });
+
+    it('should read the memory backend settings', () => {
+      expect(getStorageConfig({ STORAGE_BACKEND: ' Memory ', DATA_FILE: 'x.csv', DATA_PROFILE: 'example-pos-eu' }))
+        .toMatchObject({ backend: 'memory', dataFile: 'x.csv', profile: 'example-pos-eu' });
+    });
+
+    it('should read the sqlite database file', () => {
+      expect(getStorageConfig({ STORAGE_BACKEND: 'sqlite', SQLITE_FILE: 'test.sqlite' }))
+        .toMatchObject({ backend: 'sqlite', sqliteFile: 'test.sqlite' });
+    });
+
+    it('should reject unknown backends', () => {
+      expect(() => getStorageConfig({ STORAGE_BACKEND: 'postgres' }))
+        .toThrow('Invalid STORAGE_BACKEND "postgres". Must be one of: mongo, memory, sqlite');
+    });
+  });
+
+  describe('backends', () => {
+    it.each([
+      ['mongo', transactionServiceMongo, analyticsServiceMongo],
+      ['memory', transactionServiceMemory, analyticsServiceMemory],
+      ['sqlite', transactionServiceSqlite, analyticsServiceSqlite]
+    ])('should implement the whole interface on %s', (backend, transactions, analytics) => {
+      REPOSITORY_METHODS.transactions.forEach(method => expect(typeof transactions[method]).toBe('function'));
+      REPOSITORY_METHODS.analytics.forEach(method => expect(typeof analytics[method]).toBe('function'));
+    });
+
+    it('should reject an unknown backend', () => {
+      expect(() => transactionRepository.configure({ backend: 'postgres' })).toThrow('Unknown storage backend: postgres');
+    });
+  });
+
+  describe('delegation', () => {
+    it('should forward calls to the MongoDB services by default', async () => {
+      const getTransactions = jest.spyOn(transactionServiceMongo, 'getTransactions').mockResolvedValue({ items: [] });
+      const getBreakdown = jest.spyOn(analyticsServiceMongo, 'getBreakdown').mockResolvedValue({ groups: [] });
+
+      await transactionRepository.getTransactions({ page: 2 });
+      await transactionRepository.getBreakdown({ dimension: 'gender' });
+
+      expect(transactionRepository.backend).toBe('mongo');
+      expect(getTransactions).toHaveBeenCalledWith({ page: 2 });
+      expect(getBreakdown).toHaveBeenCalledWith({ dimension: 'gender' });
+    });
+
+    it('should connect to MongoDB on the mongo backend', async () => {
+      const connect = jest.spyOn(database, 'connect').mockResolvedValue();
+
+      await transactionRepository.connect();
+
+      expect(connect).toHaveBeenCalled();
+    });
+
+    it('should load the data file and serve it on the memory backend', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const connect = jest.spyOn(database, 'connect');
+      const mongoQuery = jest.spyOn(transactionServiceMongo, 'getTransactions');
+
+      transactionRepository.configure({ backend: 'memory', dataFile: FIXTURE });
+      await transactionRepository.connect();
+      const result = await transactionRepository.getTransactions({ pageSize: 2 });
+
+      expect(connect).not.toHaveBeenCalled();
+      expect(mongoQuery).not.toHaveBeenCalled();
+      expect(result.pagination.totalItems).toBe(7);
+      expect(result.items.map(item => item.transactionId)).toEqual(['T007', 'T006']);
+
+      await transactionRepository.disconnect();
+      expect(transactionServiceMemory.transactions).toEqual([]);
+    });
+
+    it('should open the database file on the sqlite backend', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const connect = jest.spyOn(database, 'connect');
+
+      transactionRepository.configure({ backend: 'sqlite', sqliteFile: ':memory:' });
+      await transactionRepository.connect();
+
+      expect(connect).not.toHaveBeenCalled();
+      expect((await transactionRepository.getStatistics()).totalTransactions).toBe(0);
+
+      await transactionRepository.disconnect();
+      expect(transactionServiceSqlite.db).toBeNull();
+    });
+  });
+
+  describe('parity between the memory and sqlite backends', () => {
+    // Leave out the generated _id and the cursors that encode it
+    const withoutIds = (result) => JSON.parse(JSON.stringify(result, (key, value) =>
+      (['_id', 'nextCursor', 'prevCursor'].includes(key) ? undefined : value)
+    ));
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await transactionServiceMemory.loadFile(FIXTURE);
+      transactionServiceSqlite.open(':memory:');
+      await transactionServiceSqlite.importFile(FIXTURE);
+    });
+
+    const queries = [
+      ['getTransactions', { pageSize: 3 }],
+      ['getTransactions', { sortBy: 'quantity', sortOrder: 'asc', page: 2, pageSize: 3 }],
+      ['getTransactions', { sortBy: 'customerName', sortOrder: 'desc', search: 'a' }],
+      ['getTransactions', { filters: { tags: ['sale'], ageRange: { min: 18, max: 40 } } }],
+      ['getTransactionById', 'T004'],
+      ['getCustomerSummary', 'C002'],
+      ['getExportSummary', { filters: { customerRegion: ['North', 'East'] } }],
+      ['getFilterOptions', { filters: { dateRange: { start: '2024-02-01' } } }],
+      ['getStatistics', undefined],
+      ['getTimeSeries', { granularity: 'week' }],
+      ['getBreakdown', { dimension: 'tags' }],
+      ['getBreakdown', { dimension: 'ageBand', search: 'i' }]
+    ];
+
+    it.each(queries)('should return the same %s results for %j', async (method, params) => {
+      transactionRepository.configure({ backend: 'memory' });
+      const memory = await transactionRepository[method](params);
+
+      transactionRepository.configure({ backend: 'sqlite' });
+      const sqlite = await transactionRepository[method](params);
+
+      expect(withoutIds(sqlite)).toEqual(withoutIds(memory));
+    });
+
+    it('should export the same rows', async () => {
+      const params = { sortBy: 'customerName', sortOrder: 'asc' };
+
+      const memory = await transactionServiceMemory.getExportCursor(params).toArray();
+      const sqlite = await transactionServiceSqlite.getExportCursor(params).toArray();
+
+      expect(sqlite).toEqual(memory);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import transactionServiceMemory from '../../../src/services/transactionServiceMemory.js';
+import { decodeCursor } from '../../../src/utils/cursor.js';
+import { ValidationError, ConflictError } from '../../../src/utils/errorHandler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.resolve(__dirname, '../../fixtures/transactions.csv');
+
+const ids = (result) => result.items.map(item => item.transactionId);
+
+describe('TransactionServiceMemory', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await transactionServiceMemory.loadFile(FIXTURE);
+  });
+
+  afterEach(() => {
+    transactionServiceMemory.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('loadFile', () => {
+    it('should load CSV rows as model-shaped transactions and skip duplicates', async () => {
+      const result = await transactionServiceMemory.loadFile(FIXTURE);
+
+      expect(result).toEqual({ loaded: 7, skipped: 1 });
+      const [first] = transactionServiceMemory.transactions;
+      expect(first.date).toBeInstanceOf(Date);
+      expect(first.tags).toEqual(['wireless', 'sale']);
+      expect(first._id).toBeDefined();
+    });
+
+    it('should fail for a missing file', async () => {
+      await expect(transactionServiceMemory.loadFile('missing.csv'))
+        .rejects.toThrow('Failed to load transactions: File not found');
+    });
+  });
+
+  describe('getTransactions', () => {
+    it('should sort by date descending by default with aggregate stats', async () => {
+      const result = await transactionServiceMemory.getTransactions({ pageSize: 3 });
+
+      expect(ids(result)).toEqual(['T007', 'T006', 'T005']);
+      expect(result.items[0].date).toBe('2024-03-30');
+      expect(result.pagination).toMatchObject({
+        currentPage: 1,
+        pageSize: 3,
+        totalItems: 7,
+        totalPages: 3,
+        hasNextPage: true,
+        hasPreviousPage: false,
+        prevCursor: null
+      });
+      expect(result.aggregateStats).toEqual({
+        totalUnits: 14,
+        totalAmount: 6600,
+        totalDiscount: 530,
+        recordCount: 7
+      });
+    });
+
+    it('should apply the same filters as the MongoDB service', async () => {
+      const result = await transactionServiceMemory.getTransactions({
+        filters: {
+          gender: ['Female'],
+          tags: ['sale', 'casual'],
+          ageRange: { min: 0, max: 29 },
+          dateRange: { start: '2024-01-01', end: '2024-02-28' }
+        }
+      });
+
+      expect(ids(result)).toEqual(['T003', 'T001']);
+    });
+
+    it('should search names, phone numbers and ids case-insensitively', async () => {
+      expect(ids(await transactionServiceMemory.getTransactions({ search: 'ravi' }))).toEqual(['T005', 'T002']);
+      expect(ids(await transactionServiceMemory.getTransactions({ search: '99887' }))).toEqual(['T004']);
+      expect(ids(await transactionServiceMemory.getTransactions({ search: 't006' }))).toEqual(['T006']);
+    });
+
+    it('should break ties in the sort key by load order', async () => {
+      const result = await transactionServiceMemory.getTransactions({ sortBy: 'quantity', sortOrder: 'asc' });
+
+      expect(ids(result)).toEqual(['T002', 'T004', 'T007', 'T001', 'T006', 'T003', 'T005']);
+    });
+
+    it('should walk forward and back with cursors', async () => {
+      const sort = { sortBy: 'date', sortOrder: 'desc' };
+      const first = await transactionServiceMemory.getTransactions({ ...sort, pageSize: 3 });
+
+      const second = await transactionServiceMemory.getTransactions({
+        ...sort,
+        pageSize: 3,
+        cursor: decodeCursor(first.pagination.nextCursor, sort)
+      });
+      expect(ids(second)).toEqual(['T004', 'T003', 'T002']);
+      expect(second.pagination).toMatchObject({ hasNextPage: true, hasPreviousPage: true });
+
+      const back = await transactionServiceMemory.getTransactions({
+        ...sort,
+        pageSize: 3,
+        cursor: decodeCursor(second.pagination.prevCursor, sort)
+      });
+      expect(ids(back)).toEqual(ids(first));
+      expect(back.pagination).toMatchObject({ currentPage: 1, hasPreviousPage: false, prevCursor: null });
+    });
+
+    it('should search for regular expression characters literally', async () => {
+      expect(ids(await transactionServiceMemory.getTransactions({ search: '(' }))).toEqual([]);
+      expect(ids(await transactionServiceMemory.getTransactions({ search: 'T00.' }))).toEqual([]);
+    });
+  });
+
+  describe('getFilterOptions', () => {
+    it('should return the same keys as the MongoDB service', async () => {
+      const options = await transactionServiceMemory.getFilterOptions({ search: 'asha' });
+
+      expect(options).toEqual({
+        customerRegion: ['South'],
+        gender: ['Female'],
+        productCategory: ['Beauty', 'Clothing', 'Electronics'],
+        tags: ['casual', 'sale', 'skincare', 'wireless'],
+        paymentMethod: ['Credit Card', 'UPI'],
+        ageRange: { min: 29, max: 30 }
+      });
+    });
+
+    it('should fall back to 0-100 when nothing matches', async () => {
+      const options = await transactionServiceMemory.getFilterOptions({ search: 'nobody' });
+
+      expect(options.ageRange).toEqual({ min: 0, max: 100 });
+      expect(options.tags).toEqual([]);
+    });
+  });
+
+  describe('getStatistics', () => {
+    it('should summarise every transaction', async () => {
+      expect(await transactionServiceMemory.getStatistics()).toEqual({
+        totalTransactions: 7,
+        uniqueCustomers: 4,
+        uniqueProducts: 5,
+        totalRevenue: 6600,
+        averageOrderValue: 6070 / 7,
+        minOrderValue: 400,
+        maxOrderValue: 1800
+      });
+    });
+  });
+
+  describe('getCustomerSummary', () => {
+    it('should build the profile from the latest purchase', async () => {
+      const summary = await transactionServiceMemory.getCustomerSummary('C001', { recentLimit: 2 });
+
+      expect(summary.profile).toEqual({
+        customerName: 'Asha Iyer',
+        phoneNumber: '9876543210',
+        gender: 'Female',
+        age: 30,
+        customerRegion: 'South'
+      });
+      expect(summary.metrics).toEqual({
+        firstPurchaseDate: '2024-01-05',
+        lastPurchaseDate: '2024-03-30',
+        orderCount: 3,
+        totalUnits: 6,
+        totalSpend: 3210,
+        totalDiscount: 290,
+        favouriteCategory: 'Beauty',
+        favouritePaymentMethod: 'UPI'
+      });
+      expect(summary.recentTransactions.map(t => t.transactionId)).toEqual(['T007', 'T003']);
+    });
+
+    it('should return null for an unknown customer', async () => {
+      expect(await transactionServiceMemory.getCustomerSummary('C999')).toBeNull();
+    });
+  });
+
+  describe('exports', () => {
+    it('should stream matching rows in sort order without _id', async () => {
+      const rows = await transactionServiceMemory
+        .getExportCursor({ filters: { paymentMethod: ['Cash'] }, sortBy: 'date', sortOrder: 'asc' })
+        .toArray();
+
+      expect(rows.map(row => row.transactionId)).toEqual(['T002', 'T005']);
+      expect(rows[0]).not.toHaveProperty('_id');
+      expect(rows[0].date).toBeInstanceOf(Date);
+    });
+
+    it('should summarise the export', async () => {
+      expect(await transactionServiceMemory.getExportSummary({ filters: { paymentMethod: ['Cash'] } }))
+        .toEqual({ totalUnits: 5, totalAmount: 900, totalDiscount: 0, recordCount: 2 });
+    });
+  });
+
+  describe('writes', () => {
+    const body = {
+      transactionId: 'T100',
+      customerId: 'C100',
+      customerName: 'New Customer',
+      quantity: 1,
+      totalAmount: 100,
+      finalAmount: 90,
+      date: '2024-05-01'
+    };
+
+    it('should create a transaction that queries can see', async () => {
+      const created = await transactionServiceMemory.createTransaction(body);
+
+      expect(created).toMatchObject({ transactionId: 'T100', date: '2024-05-01', discountAmount: 10 });
+      expect(ids(await transactionServiceMemory.getTransactions({ pageSize: 1 }))).toEqual(['T100']);
+    });
+
+    it('should reject duplicates and invalid fields like the model does', async () => {
+      await expect(transactionServiceMemory.createTransaction({ ...body, transactionId: 'T001' }))
+        .rejects.toBeInstanceOf(ConflictError);
+      await expect(transactionServiceMemory.createTransaction({ ...body, gender: 'Unknown' }))
+        .rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should replace, update and delete by transactionId', async () => {
+      const replaced = await transactionServiceMemory.replaceTransaction('T001', body);
+      expect(replaced).toMatchObject({ transactionId: 'T001', customerId: 'C100' });
+      expect(replaced.gender).toBeUndefined();
+
+      const updated = await transactionServiceMemory.updateTransaction('T002', { quantity: 9 });
+      expect(updated).toMatchObject({ transactionId: 'T002', customerName: 'Ravi Kumar', quantity: 9 });
+
+      const deleted = await transactionServiceMemory.deleteTransaction('T003');
+      expect(deleted.transactionId).toBe('T003');
+      expect(await transactionServiceMemory.getTransactionById('T003')).toBeNull();
+      expect((await transactionServiceMemory.getStatistics()).totalTransactions).toBe(6);
+    });
+
+    it('should return null when the transaction does not exist', async () => {
+      expect(await transactionServiceMemory.replaceTransaction('T999', body)).toBeNull();
+      expect(await transactionServiceMemory.updateTransaction('T999', { quantity: 1 })).toBeNull();
+      expect(await transactionServiceMemory.deleteTransaction('T999')).toBeNull();
+    });
+  });
+});
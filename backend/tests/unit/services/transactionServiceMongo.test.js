@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Transaction from '../../../src/models/Transaction.js';
+import transactionServiceMongo from '../../../src/services/transactionServiceMongo.js';
+import { decodeCursor } from '../../../src/utils/cursor.js';
+import { ValidationError, ConflictError } from '../../../src/utils/errorHandler.js';
+
+/**
+ * Mocks Transaction.find with a chainable query resolving to rows
+ */
+const mockFind = (rows) => {
+  const query = {
+    sort: jest.fn().mockReturnThis(),
+    skip: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockReturnThis(),
+    select: jest.fn().mockResolvedValue(rows)
+  };
+  const find = jest.spyOn(Transaction, 'find').mockReturnValue(query);
+  return { find, query };
+};
+
+const makeRows = (count) => Array.from({ length: count }, (_, i) => ({
+  _id: new mongoose.Types.ObjectId(),
+  transactionId: `T${i + 1}`,
+  date: new Date(Date.UTC(2025, 0, 31 - i))
+}));
+
+describe('TransactionServiceMongo', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildSortQuery', () => {
+    it('should add an _id tie-breaker in the same direction', () => {
+      expect(transactionServiceMongo.buildSortQuery('date', 'desc')).toEqual({ date: -1, _id: -1 });
+      expect(transactionServiceMongo.buildSortQuery('quantity', 'asc')).toEqual({ quantity: 1, _id: 1 });
+    });
+  });
+
+  describe('buildSearchQuery', () => {
+    it('should match the term literally in every searched field', () => {
+      const query = transactionServiceMongo.buildSearchQuery(' (a+)+$ ');
+
+      expect(query.$or).toHaveLength(5);
+      expect(query.$or[0]).toEqual({ customerName: { $regex: '\\(a\\+\\)\\+\\$', $options: 'i' } });
+    });
+
+    it('should return an empty query for a blank term', () => {
+      expect(transactionServiceMongo.buildSearchQuery('  ')).toEqual({});
+    });
+  });
+
+  describe('buildKeysetQuery', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    it('should select rows after the cursor for descending next', () => {
+      const query = transactionServiceMongo.buildKeysetQuery('quantity', 'desc', { value: 5, id, direction: 'next' });
+
+      expect(query).toEqual({
+        $or: [
+          { quantity: { $lt: 5 } },
+          { quantity: 5, _id: { $lt: id } }
+        ]
+      });
+    });
+
+    it('should select rows after the cursor for ascending next', () => {
+      const query = transactionServiceMongo.buildKeysetQuery('quantity', 'asc', { value: 5, id, direction: 'next' });
+
+      expect(query.$or[0]).toEqual({ quantity: { $gt: 5 } });
+    });
+
+    it('should flip the comparison for prev', () => {
+      const query = transactionServiceMongo.buildKeysetQuery('quantity', 'desc', { value: 5, id, direction: 'prev' });
+
+      expect(query.$or[0]).toEqual({ quantity: { $gt: 5 } });
+    });
+  });
+
+  describe('getTransactions', () => {
+    beforeEach(() => {
+      jest.spyOn(Transaction, 'getAggregateStats').mockResolvedValue({
+        totalUnits: 30, totalAmount: 3000, totalDiscount: 300, recordCount: 30
+      });
+    });
+
+    it('should use skip in offset mode and issue cursors', async () => {
+      const { query } = mockFind(makeRows(10));
+
+      const result = await transactionServiceMongo.getTransactions({ page: 2, pageSize: 10 });
+
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(result.pagination).toMatchObject({ currentPage: 2, hasNextPage: true, hasPreviousPage: true });
+      expect(result.pagination.nextCursor).toBeTruthy();
+      expect(result.pagination.prevCursor).toBeTruthy();
+    });
+
+    it('should not issue a prevCursor on the first page', async () => {
+      mockFind(makeRows(10));
+
+      const result = await transactionServiceMongo.getTransactions({ page: 1, pageSize: 10 });
+
+      expect(result.pagination.prevCursor).toBeNull();
+    });
+
+    it('should walk forward from a cursor without skip', async () => {
+      const rows = makeRows(11);
+      const { find, query } = mockFind(rows);
+      const cursor = { value: new Date('2025-02-01'), id: new mongoose.Types.ObjectId(), direction: 'next' };
+
+      const result = await transactionServiceMongo.getTransactions({ page: 2, pageSize: 10, cursor });
+
+      expect(query.skip).not.toHaveBeenCalled();
+      expect(query.limit).toHaveBeenCalledWith(11);
+      expect(query.sort).toHaveBeenCalledWith({ date: -1, _id: -1 });
+      expect(find.mock.calls[0][0].$and).toHaveLength(2);
+      expect(result.items).toHaveLength(10);
+      expect(result.pagination).toMatchObject({ currentPage: 2, hasNextPage: true, hasPreviousPage: true });
+
+      const next = decodeCursor(result.pagination.nextCursor, { sortBy: 'date', sortOrder: 'desc' });
+      expect(next.id.equals(rows[9]._id)).toBe(true);
+    });
+
+    it('should report no next page when the cursor reaches the end', async () => {
+      mockFind(makeRows(4));
+      const cursor = { value: new Date('2025-02-01'), id: new mongoose.Types.ObjectId(), direction: 'next' };
+
+      const result = await transactionServiceMongo.getTransactions({ page: 3, pageSize: 10, cursor });
+
+      expect(result.pagination.hasNextPage).toBe(false);
+      expect(result.pagination.nextCursor).toBeNull();
+    });
+
+    it('should walk backward with reversed sort and restore order', async () => {
+      const rows = makeRows(3);
+      const { query } = mockFind([...rows].reverse());
+      const cursor = { value: new Date('2025-01-01'), id: new mongoose.Types.ObjectId(), direction: 'prev' };
+
+      const result = await transactionServiceMongo.getTransactions({ page: 2, pageSize: 10, cursor });
+
+      expect(query.sort).toHaveBeenCalledWith({ date: 1, _id: 1 });
+      expect(result.items.map(item => item.transactionId)).toEqual(['T1', 'T2', 'T3']);
+      expect(result.pagination).toMatchObject({ currentPage: 1, hasPreviousPage: false, hasNextPage: true });
+    });
+  });
+
+  describe('write operations', () => {
+    const data = {
+      transactionId: 'T1',
+      customerId: 'C001',
+      customerName: 'John Doe',
+      quantity: 2,
+      totalAmount: 2000,
+      finalAmount: 1800,
+      date: new Date('2025-01-15')
+    };
+
+    it('should create a transaction with derived discountAmount', async () => {
+      jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => new Transaction(doc));
+
+      const result = await transactionServiceMongo.createTransaction(data);
+
+      expect(result.transactionId).toBe('T1');
+      expect(result.discountAmount).toBe(200);
+      expect(result.date).toBe('2025-01-15');
+    });
+
+    it('should map duplicate keys to ConflictError', async () => {
+      jest.spyOn(Transaction, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(transactionServiceMongo.createTransaction(data)).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('should map schema validation failures to ValidationError', async () => {
+      const validationError = new Transaction({ ...data, age: 200 }).validateSync();
+      jest.spyOn(Transaction, 'create').mockRejectedValue(validationError);
+
+      const error = await transactionServiceMongo.createTransaction(data).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors.length).toBeGreaterThan(0);
+    });
+
+    it('should return null when updating a missing transaction', async () => {
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(transactionServiceMongo.updateTransaction('missing', { quantity: 1 })).resolves.toBeNull();
+    });
+
+    it('should keep the URL transactionId when replacing', async () => {
+      const spy = jest.spyOn(Transaction, 'findOneAndReplace').mockResolvedValue(new Transaction(data));
+
+      await transactionServiceMongo.replaceTransaction('T1', { ...data, transactionId: undefined });
+
+      expect(spy.mock.calls[0][0]).toEqual({ transactionId: 'T1' });
+      expect(spy.mock.calls[0][1].transactionId).toBe('T1');
+    });
+
+    it('should return the deleted transaction', async () => {
+      jest.spyOn(Transaction, 'findOneAndDelete').mockResolvedValue(new Transaction(data));
+
+      const result = await transactionServiceMongo.deleteTransaction('T1');
+
+      expect(result.transactionId).toBe('T1');
+    });
+  });
+});
@@ -0,0 +1,292 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import transactionServiceSqlite from '../../../src/services/transactionServiceSqlite.js';
+import { decodeCursor } from '../../../src/utils/cursor.js';
+import { ValidationError, ConflictError } from '../../../src/utils/errorHandler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.resolve(__dirname, '../../fixtures/transactions.csv');
+
+const ids = (result) => result.items.map(item => item.transactionId);
+
+describe('TransactionServiceSqlite', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-service-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    transactionServiceSqlite.open(':memory:');
+    await transactionServiceSqlite.importFile(FIXTURE);
+  });
+
+  afterEach(() => {
+    transactionServiceSqlite.close();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Write rows as an NDJSON file in the dataset's column names
+   * @param {string} name - File name
+   * @param {Array<Object>} rows - Rows
+   * @returns {string} File path
+   */
+  const writeNdjson = (name, rows) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, rows.map(row => JSON.stringify(row)).join('\n'));
+    return filePath;
+  };
+
+  const ndjsonRow = (id, overrides = {}) => ({
+    'Transaction ID': id,
+    'Customer ID': 'C500',
+    'Customer Name': 'Bulk Buyer',
+    'Quantity': '1',
+    'Total Amount': '100',
+    'Final Amount': '100',
+    'Date': '2024-06-01',
+    ...overrides
+  });
+
+  describe('open', () => {
+    it('should create the database file and keep rows across connections', async () => {
+      const file = path.join(tempDir, 'nested', 'sales.sqlite');
+
+      transactionServiceSqlite.open(file);
+      await transactionServiceSqlite.importFile(FIXTURE);
+      transactionServiceSqlite.open(file);
+
+      expect(transactionServiceSqlite.count()).toBe(7);
+    });
+
+    it('should fail clearly when no database is open', async () => {
+      transactionServiceSqlite.close();
+
+      expect(() => transactionServiceSqlite.count()).toThrow('SQLite database is not open');
+      await expect(transactionServiceSqlite.getStatistics())
+        .rejects.toThrow('Failed to get statistics: SQLite database is not open');
+    });
+  });
+
+  describe('importFile', () => {
+    it('should skip rows whose transactionId is already stored', async () => {
+      const result = await transactionServiceSqlite.importFile(FIXTURE);
+
+      expect(result).toEqual({ rowsProcessed: 8, imported: 0, updated: 0, duplicates: 8, invalid: 0 });
+      expect(transactionServiceSqlite.count()).toBe(7);
+    });
+
+    it('should update existing rows in upsert mode', async () => {
+      const file = writeNdjson('upsert.ndjson', [ndjsonRow('T001', { 'Customer Name': 'Renamed' })]);
+
+      const result = await transactionServiceSqlite.importFile(file, { upsert: true });
+
+      expect(result).toMatchObject({ imported: 0, updated: 1 });
+      expect((await transactionServiceSqlite.getTransactionById('T001')).customerName).toBe('Renamed');
+    });
+
+    it('should count rows the model rejects as invalid', async () => {
+      const file = writeNdjson('invalid.ndjson', [
+        ndjsonRow('T200'),
+        ndjsonRow('T201', { 'Customer ID': '' }),
+        ndjsonRow('T202', { 'Gender': 'Unknown' })
+      ]);
+
+      const result = await transactionServiceSqlite.importFile(file);
+
+      expect(result).toEqual({ rowsProcessed: 3, imported: 1, updated: 0, duplicates: 0, invalid: 2 });
+    });
+
+    it('should fail for a missing file', async () => {
+      await expect(transactionServiceSqlite.importFile('missing.csv')).rejects.toThrow('File not found');
+    });
+  });
+
+  describe('getTransactions', () => {
+    it('should sort by date descending by default with aggregate stats', async () => {
+      const result = await transactionServiceSqlite.getTransactions({ pageSize: 3 });
+
+      expect(ids(result)).toEqual(['T007', 'T006', 'T005']);
+      expect(result.items[0].date).toBe('2024-03-30');
+      expect(result.items[0].tags).toEqual(['casual']);
+      expect(result.pagination).toMatchObject({ totalItems: 7, totalPages: 3, hasNextPage: true });
+      expect(result.aggregateStats).toEqual({
+        totalUnits: 14,
+        totalAmount: 6600,
+        totalDiscount: 530,
+        recordCount: 7
+      });
+    });
+
+    it('should apply the same filters as the MongoDB service', async () => {
+      const result = await transactionServiceSqlite.getTransactions({
+        filters: {
+          gender: ['Female'],
+          tags: ['sale', 'casual'],
+          ageRange: { min: 0, max: 29 },
+          dateRange: { start: '2024-01-01', end: '2024-02-28' }
+        }
+      });
+
+      expect(ids(result)).toEqual(['T003', 'T001']);
+    });
+
+    it('should search names, phone numbers and ids case-insensitively', async () => {
+      expect(ids(await transactionServiceSqlite.getTransactions({ search: 'ravi' }))).toEqual(['T005', 'T002']);
+      expect(ids(await transactionServiceSqlite.getTransactions({ search: '99887' }))).toEqual(['T004']);
+    });
+
+    it('should search for regular expression characters literally', async () => {
+      expect(ids(await transactionServiceSqlite.getTransactions({ search: '^t00[16]$' }))).toEqual([]);
+      expect(ids(await transactionServiceSqlite.getTransactions({ search: '(' }))).toEqual([]);
+      expect(ids(await transactionServiceSqlite.getTransactions({ search: 't00.' }))).toEqual([]);
+    });
+
+    it('should walk forward and back with cursors', async () => {
+      const sort = { sortBy: 'date', sortOrder: 'desc' };
+      const first = await transactionServiceSqlite.getTransactions({ ...sort, pageSize: 3 });
+
+      const second = await transactionServiceSqlite.getTransactions({
+        ...sort,
+        pageSize: 3,
+        cursor: decodeCursor(first.pagination.nextCursor, sort)
+      });
+      expect(ids(second)).toEqual(['T004', 'T003', 'T002']);
+
+      const back = await transactionServiceSqlite.getTransactions({
+        ...sort,
+        pageSize: 3,
+        cursor: decodeCursor(second.pagination.prevCursor, sort)
+      });
+      expect(ids(back)).toEqual(ids(first));
+      expect(back.pagination).toMatchObject({ currentPage: 1, hasPreviousPage: false, prevCursor: null });
+    });
+
+    it('should reject sort fields that are not columns', async () => {
+      await expect(transactionServiceSqlite.getTransactions({ sortBy: 'date; DROP TABLE transactions' }))
+        .rejects.toThrow('Unsupported sort field');
+    });
+  });
+
+  describe('getFilterOptions', () => {
+    it('should return distinct non-empty values and the age range', async () => {
+      expect(await transactionServiceSqlite.getFilterOptions({ search: 'asha' })).toEqual({
+        customerRegion: ['South'],
+        gender: ['Female'],
+        productCategory: ['Beauty', 'Clothing', 'Electronics'],
+        tags: ['casual', 'sale', 'skincare', 'wireless'],
+        paymentMethod: ['Credit Card', 'UPI'],
+        ageRange: { min: 29, max: 30 }
+      });
+    });
+
+    it('should fall back to 0-100 when nothing matches', async () => {
+      const options = await transactionServiceSqlite.getFilterOptions({ search: 'nobody' });
+
+      expect(options.ageRange).toEqual({ min: 0, max: 100 });
+      expect(options.tags).toEqual([]);
+    });
+  });
+
+  describe('getCustomerSummary', () => {
+    it('should build the profile from the latest purchase', async () => {
+      const summary = await transactionServiceSqlite.getCustomerSummary('C001', { recentLimit: 2 });
+
+      expect(summary.profile).toMatchObject({ customerName: 'Asha Iyer', age: 30 });
+      expect(summary.metrics).toMatchObject({
+        firstPurchaseDate: '2024-01-05',
+        lastPurchaseDate: '2024-03-30',
+        orderCount: 3,
+        totalSpend: 3210,
+        favouriteCategory: 'Beauty',
+        favouritePaymentMethod: 'UPI'
+      });
+      expect(summary.recentTransactions.map(t => t.transactionId)).toEqual(['T007', 'T003']);
+    });
+
+    it('should return null for an unknown customer', async () => {
+      expect(await transactionServiceSqlite.getCustomerSummary('C999')).toBeNull();
+    });
+  });
+
+  describe('exports', () => {
+    it('should stream matching rows in sort order without _id', async () => {
+      const rows = await transactionServiceSqlite
+        .getExportCursor({ filters: { paymentMethod: ['Cash'] }, sortBy: 'date', sortOrder: 'asc' })
+        .toArray();
+
+      expect(rows.map(row => row.transactionId)).toEqual(['T002', 'T005']);
+      expect(rows[0]).not.toHaveProperty('_id');
+      expect(rows[0].date).toBeInstanceOf(Date);
+    });
+
+    it('should read exports larger than one page without repeating rows', async () => {
+      const file = writeNdjson('bulk.ndjson', Array.from({ length: 1005 }, (_, i) => ndjsonRow(`B${i}`)));
+      await transactionServiceSqlite.importFile(file);
+
+      const rows = await transactionServiceSqlite.getExportCursor({ search: 'bulk' }).toArray();
+
+      expect(rows).toHaveLength(1005);
+      expect(new Set(rows.map(row => row.transactionId)).size).toBe(1005);
+    });
+  });
+
+  describe('writes', () => {
+    const body = {
+      transactionId: 'T100',
+      customerId: 'C100',
+      customerName: 'New Customer',
+      quantity: 1,
+      totalAmount: 100,
+      finalAmount: 90,
+      date: '2024-05-01'
+    };
+
+    it('should create a transaction that queries can see', async () => {
+      const created = await transactionServiceSqlite.createTransaction(body);
+
+      expect(created).toMatchObject({ transactionId: 'T100', date: '2024-05-01', discountAmount: 10 });
+      expect(ids(await transactionServiceSqlite.getTransactions({ pageSize: 1 }))).toEqual(['T100']);
+    });
+
+    it('should reject duplicates and invalid fields like the model does', async () => {
+      await expect(transactionServiceSqlite.createTransaction({ ...body, transactionId: 'T001' }))
+        .rejects.toBeInstanceOf(ConflictError);
+      await expect(transactionServiceSqlite.createTransaction({ ...body, gender: 'Unknown' }))
+        .rejects.toBeInstanceOf(ValidationError);
+      await expect(transactionServiceSqlite.updateTransaction('T002', { transactionId: 'T001' }))
+        .rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('should replace, update and delete by transactionId', async () => {
+      const { _id } = await transactionServiceSqlite.getTransactionById('T001');
+      const replaced = await transactionServiceSqlite.replaceTransaction('T001', body);
+      expect(replaced).toMatchObject({ transactionId: 'T001', customerId: 'C100' });
+      expect(replaced.gender).toBeUndefined();
+      expect(String(replaced._id)).toBe(String(_id));
+
+      const updated = await transactionServiceSqlite.updateTransaction('T002', { quantity: 9 });
+      expect(updated).toMatchObject({ transactionId: 'T002', customerName: 'Ravi Kumar', quantity: 9 });
+
+      const deleted = await transactionServiceSqlite.deleteTransaction('T003');
+      expect(deleted.transactionId).toBe('T003');
+      expect(await transactionServiceSqlite.getTransactionById('T003')).toBeNull();
+      expect((await transactionServiceSqlite.getStatistics()).totalTransactions).toBe(6);
+    });
+
+    it('should return null when the transaction does not exist', async () => {
+      expect(await transactionServiceSqlite.replaceTransaction('T999', body)).toBeNull();
+      expect(await transactionServiceSqlite.updateTransaction('T999', { quantity: 1 })).toBeNull();
+      expect(await transactionServiceSqlite.deleteTransaction('T999')).toBeNull();
+    });
+  });
+});
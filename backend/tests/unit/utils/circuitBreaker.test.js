@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from '../../../src/utils/circuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  const fail = () => Promise.reject(new Error('connection refused'));
+
+  beforeEach(() => {
+    now = 1000;
+    breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 500, now: () => now });
+  });
+
+  it('should pass calls through while closed', async () => {
+    await expect(breaker.execute(() => 42)).resolves.toBe(42);
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should open after consecutive failures and fail fast', async () => {
+    await expect(breaker.execute(fail)).rejects.toThrow('connection refused');
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    await expect(breaker.execute(fail)).rejects.toThrow('connection refused');
+
+    const call = jest.fn();
+    const error = await breaker.execute(call).catch(e => e);
+
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.retryAt).toEqual(new Date(1500));
+    expect(call).not.toHaveBeenCalled();
+    expect(breaker.getStatus()).toEqual({ state: 'open', failures: 2, retryAt: new Date(1500).toISOString() });
+  });
+
+  it('should reset the failure count after a success', async () => {
+    await breaker.execute(fail).catch(() => {});
+    await breaker.execute(() => 'ok');
+    await breaker.execute(fail).catch(() => {});
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should allow a trial call after the timeout and close on success', async () => {
+    await breaker.execute(fail).catch(() => {});
+    await breaker.execute(fail).catch(() => {});
+
+    now += 500;
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+    await expect(breaker.execute(() => 'back')).resolves.toBe('back');
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should reopen when the trial call fails', async () => {
+    await breaker.execute(fail).catch(() => {});
+    await breaker.execute(fail).catch(() => {});
+    now += 500;
+
+    await breaker.execute(fail).catch(() => {});
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.getStatus().retryAt).toBe(new Date(2000).toISOString());
+  });
+
+  it('should not count errors the predicate rejects', async () => {
+    breaker = new CircuitBreaker({ failureThreshold: 1, isFailure: error => error.message !== 'bad request' });
+
+    await breaker.execute(() => Promise.reject(new Error('bad request'))).catch(() => {});
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should report state changes', async () => {
+    const onStateChange = jest.fn();
+    breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 500, now: () => now, onStateChange });
+
+    await breaker.execute(fail).catch(() => {});
+    now += 500;
+    await breaker.execute(() => 'ok');
+
+    expect(onStateChange.mock.calls).toEqual([
+      ['open', 'closed'],
+      ['half-open', 'open'],
+      ['closed', 'half-open']
+    ]);
+  });
+});
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  loadProfile,
+  loadProfileFile,
+  listProfiles,
+  readField,
+  parseDecimal,
+  parseDateValue,
+  splitTags
+} from '../../../src/utils/columnMapping.js';
+
+describe('columnMapping', () => {
+  describe('normalizeProfile', () => {
+    it('should replace mapped headers and keep the defaults for other fields', () => {
+      const profile = normalizeProfile({
+        name: 'vendor',
+        columns: { transactionId: 'Receipt', totalAmount: ['Gross', 'Amount'] }
+      });
+
+      expect(profile.columns.transactionId).toEqual(['Receipt']);
+      expect(profile.columns.totalAmount).toEqual(['Gross', 'Amount']);
+      expect(profile.columns.customerId).toEqual(DEFAULT_PROFILE.columns.customerId);
+      expect(profile).toMatchObject({ decimalSeparator: '.', thousandsSeparator: '', tagDelimiter: ',' });
+    });
+
+    it('should use the fallback name when the profile has none', () => {
+      expect(normalizeProfile({}, 'vendor-x').name).toBe('vendor-x');
+    });
+
+    it('should collect every problem in the profile', () => {
+      expect(() => normalizeProfile({
+        columns: { unknownField: 'X', quantity: [] },
+        dateFormat: 'DD/MM',
+        decimalSeparator: ',',
+        thousandsSeparator: ',',
+        tagDelimiter: ''
+      })).toThrow(expect.objectContaining({
+        statusCode: 400,
+        errors: [
+          'Unknown field in columns: unknownField',
+          'columns.quantity must be a header name or a list of header names',
+          'dateFormat must contain YYYY, MM and DD',
+          'thousandsSeparator must differ from decimalSeparator',
+          'tagDelimiter must be a non-empty string'
+        ]
+      }));
+    });
+
+    it('should reject non-object profiles', () => {
+      expect(() => normalizeProfile(['a'])).toThrow('Invalid mapping profile');
+    });
+  });
+
+  describe('loading profiles', () => {
+    it('should return the default profile when no name is given', async () => {
+      expect(await loadProfile()).toBe(DEFAULT_PROFILE);
+      expect(await loadProfile('default')).toBe(DEFAULT_PROFILE);
+    });
+
+    it('should load the bundled YAML and JSON examples', async () => {
+      const eu = await loadProfile('example-pos-eu');
+      const us = await loadProfile('example-pos-us');
+
+      expect(eu).toMatchObject({ name: 'example-pos-eu', dateFormat: 'DD.MM.YYYY', decimalSeparator: ',' });
+      expect(us.columns.transactionId).toEqual(['Receipt #']);
+    });
+
+    it('should refuse names that could escape the profiles folder', async () => {
+      await expect(loadProfile('../secrets')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should report unknown profiles', async () => {
+      await expect(loadProfile('no-such-vendor')).rejects.toMatchObject({
+        errors: ['Mapping profile no-such-vendor not found']
+      });
+    });
+
+    it('should load a profile file by path and name it after the file', async () => {
+      const filePath = path.join(os.tmpdir(), `vendor-${Date.now()}.yml`);
+      fs.writeFileSync(filePath, 'columns:\n  quantity: Units\n');
+
+      try {
+        const profile = await loadProfileFile(filePath);
+        expect(profile.name).toBe(path.basename(filePath, '.yml'));
+        expect(profile.columns.quantity).toEqual(['Units']);
+      } finally {
+        fs.rmSync(filePath, { force: true });
+      }
+    });
+
+    it('should reject unparseable files and unsupported extensions', async () => {
+      const filePath = path.join(os.tmpdir(), `broken-${Date.now()}.json`);
+      fs.writeFileSync(filePath, '{ not json');
+
+      try {
+        await expect(loadProfileFile(filePath)).rejects.toThrow('Invalid mapping profile');
+        await expect(loadProfileFile('vendor.txt')).rejects.toMatchObject({
+          errors: ['Unsupported profile file type: .txt']
+        });
+      } finally {
+        fs.rmSync(filePath, { force: true });
+      }
+    });
+
+    it('should list the available profiles', async () => {
+      expect(await listProfiles()).toEqual(expect.arrayContaining(['default', 'example-pos-eu', 'example-pos-us']));
+    });
+  });
+
+  describe('readField', () => {
+    it('should use the first header with a value', () => {
+      expect(readField({ customer_id: 'C1', 'Customer ID': 'C2' }, 'customerId'))
+        .toEqual({ column: 'customer_id', value: 'C1' });
+    });
+
+    it('should name the last mapped header when the value is missing', () => {
+      expect(readField({}, 'customerId')).toEqual({ column: 'Customer ID', value: '' });
+    });
+
+    it('should follow the profile mapping', () => {
+      const profile = normalizeProfile({ columns: { customerId: 'Member' } });
+      expect(readField({ Member: 'M1', customerId: 'C1' }, 'customerId', profile))
+        .toEqual({ column: 'Member', value: 'M1' });
+    });
+  });
+
+  describe('parseDecimal', () => {
+    it('should parse plain numbers by default', () => {
+      expect(parseDecimal(' 12.5 ')).toBe(12.5);
+      expect(parseDecimal('12abc')).toBeNaN();
+      expect(parseDecimal(undefined)).toBeNaN();
+    });
+
+    it('should honour the profile separators', () => {
+      const profile = normalizeProfile({ decimalSeparator: ',', thousandsSeparator: '.' });
+      expect(parseDecimal('1.234,56', profile)).toBe(1234.56);
+      expect(parseDecimal('1,2,3', profile)).toBeNaN();
+      expect(parseDecimal('12.50', normalizeProfile({ decimalSeparator: ',' }))).toBeNaN();
+    });
+  });
+
+  describe('parseDateValue', () => {
+    it('should parse JavaScript dates when the profile has no format', () => {
+      expect(parseDateValue('2024-01-05')).toEqual(new Date('2024-01-05'));
+      expect(parseDateValue('not-a-date')).toBeNull();
+      expect(parseDateValue('')).toBeNull();
+    });
+
+    it('should parse dates in the profile format as UTC', () => {
+      const profile = normalizeProfile({ dateFormat: 'MM/DD/YYYY HH:mm' });
+      expect(parseDateValue('1/5/2024 13:45', profile)).toEqual(new Date('2024-01-05T13:45:00.000Z'));
+      expect(parseDateValue('2024-01-05', profile)).toBeNull();
+    });
+
+    it('should reject dates that roll over', () => {
+      const profile = normalizeProfile({ dateFormat: 'DD.MM.YYYY' });
+      expect(parseDateValue('31.02.2024', profile)).toBeNull();
+      expect(parseDateValue('29.02.2024', profile)).toEqual(new Date('2024-02-29T00:00:00.000Z'));
+    });
+  });
+
+  describe('splitTags', () => {
+    it('should split on the profile delimiter', () => {
+      const profile = normalizeProfile({ tagDelimiter: '|' });
+      expect(splitTags('a | b,c |', profile)).toEqual(['a', 'b,c']);
+      expect(splitTags('a, b')).toEqual(['a', 'b']);
+      expect(splitTags(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { Readable } from 'stream';
+import {
+  EXPORT_COLUMNS,
+  escapeCsvValue,
+  toCsvRow,
+  toCsvHeader,
+  createCsvTransform
+} from '../../../src/utils/csvWriter.js';
+
+const collect = async (stream) => {
+  let output = '';
+  for await (const chunk of stream) {
+    output += chunk.toString();
+  }
+  return output;
+};
+
+describe('CsvWriter', () => {
+  describe('escapeCsvValue', () => {
+    it('should return empty string for null and undefined', () => {
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(undefined)).toBe('');
+    });
+
+    it('should leave plain values untouched', () => {
+      expect(escapeCsvValue('John Doe')).toBe('John Doe');
+      expect(escapeCsvValue(42)).toBe('42');
+    });
+
+    it('should quote values containing commas', () => {
+      expect(escapeCsvValue('Doe, John')).toBe('"Doe, John"');
+    });
+
+    it('should double embedded quotes', () => {
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    });
+
+    it('should quote values containing line breaks', () => {
+      expect(escapeCsvValue('line1\nline2')).toBe('"line1\nline2"');
+    });
+
+    it('should format dates as YYYY-MM-DD', () => {
+      expect(escapeCsvValue(new Date('2025-01-15T10:00:00.000Z'))).toBe('2025-01-15');
+    });
+
+    it('should join arrays with commas and quote the result', () => {
+      expect(escapeCsvValue(['tech', 'sale'])).toBe('"tech,sale"');
+    });
+  });
+
+  describe('toCsvHeader', () => {
+    it('should list every export column header', () => {
+      const header = toCsvHeader();
+      expect(header.endsWith('\r\n')).toBe(true);
+      expect(header.trim().split(',')).toHaveLength(EXPORT_COLUMNS.length);
+      expect(header.startsWith('Transaction ID,Date,')).toBe(true);
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('should write values in column order', () => {
+      const columns = [
+        { key: 'a', header: 'A' },
+        { key: 'b', header: 'B' }
+      ];
+      expect(toCsvRow({ b: 2, a: 1 }, columns)).toBe('1,2\r\n');
+    });
+
+    it('should leave missing fields blank', () => {
+      const columns = [
+        { key: 'a', header: 'A' },
+        { key: 'b', header: 'B' }
+      ];
+      expect(toCsvRow({ a: 1 }, columns)).toBe('1,\r\n');
+    });
+  });
+
+  describe('createCsvTransform', () => {
+    const columns = [
+      { key: 'name', header: 'Name' },
+      { key: 'quantity', header: 'Quantity' }
+    ];
+
+    it('should emit header followed by one line per record', async () => {
+      const source = Readable.from([
+        { name: 'John', quantity: 2 },
+        { name: 'Alice', quantity: 1 }
+      ]);
+
+      const output = await collect(source.pipe(createCsvTransform(columns)));
+
+      expect(output).toBe('Name,Quantity\r\nJohn,2\r\nAlice,1\r\n');
+    });
+
+    it('should emit only the header when there are no records', async () => {
+      const output = await collect(Readable.from([]).pipe(createCsvTransform(columns)));
+
+      expect(output).toBe('Name,Quantity\r\n');
+    });
+  });
+});
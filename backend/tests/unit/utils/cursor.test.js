@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor } from '../../../src/utils/cursor.js';
+import { ValidationError } from '../../../src/utils/errorHandler.js';
+
+describe('Cursor', () => {
+  const id = new mongoose.Types.ObjectId();
+  const sort = { sortBy: 'date', sortOrder: 'desc' };
+
+  it('should round-trip a date cursor', () => {
+    const date = new Date('2025-01-15T10:00:00.000Z');
+    const cursor = encodeCursor({ _id: id, date }, { ...sort, direction: 'next' });
+
+    const decoded = decodeCursor(cursor, sort);
+
+    expect(decoded.value).toEqual(date);
+    expect(decoded.id.equals(id)).toBe(true);
+    expect(decoded.direction).toBe('next');
+  });
+
+  it('should keep non-date sort values as-is', () => {
+    const options = { sortBy: 'customerName', sortOrder: 'asc' };
+    const cursor = encodeCursor({ _id: id, customerName: 'Alice' }, { ...options, direction: 'prev' });
+
+    expect(decodeCursor(cursor, options).value).toBe('Alice');
+  });
+
+  it('should produce a URL-safe string', () => {
+    const cursor = encodeCursor({ _id: id, date: new Date() }, { ...sort, direction: 'next' });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(() => decodeCursor('not-a-cursor', sort)).toThrow(ValidationError);
+    expect(() => decodeCursor(Buffer.from('{"d":"next","id":"x"}').toString('base64url'), sort))
+      .toThrow('Invalid cursor');
+  });
+
+  it('should reject cursors issued for a different sort', () => {
+    const cursor = encodeCursor({ _id: id, quantity: 2 }, { sortBy: 'quantity', sortOrder: 'asc', direction: 'next' });
+
+    expect(() => decodeCursor(cursor, sort)).toThrow('Cursor does not match the current sort');
+  });
+});
@@ -1,4 +1,5 @@
 import dataLoader from '../../../src/utils/dataLoader.js';
+import { DEFAULT_PROFILE, normalizeProfile } from '../../../src/utils/columnMapping.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -67,6 +68,41 @@ describe('DataLoader', () => {
     });
   });
 
+  describe('mapping profiles', () => {
+    afterEach(() => {
+      dataLoader.clearCache();
+    });
+
+    it('should parse rows with the profile headers and formats', async () => {
+      const profile = normalizeProfile({
+        columns: { customerId: 'Member', totalAmount: 'Gross', date: 'Sold On', tags: 'Labels' },
+        dateFormat: 'DD.MM.YYYY',
+        decimalSeparator: ',',
+        tagDelimiter: '|'
+      });
+      dataLoader.profile = profile;
+
+      expect(dataLoader.parseTransaction({
+        Member: 'M1',
+        Gross: '12,5',
+        'Sold On': '05.01.2024',
+        Labels: 'a|b'
+      })).toMatchObject({
+        customerId: 'M1',
+        totalAmount: 12.5,
+        date: '2024-01-05T00:00:00.000Z',
+        tags: ['a', 'b']
+      });
+    });
+
+    it('should reset to the default profile when the cache is cleared', () => {
+      dataLoader.profile = normalizeProfile({ name: 'vendor' });
+      dataLoader.clearCache();
+
+      expect(dataLoader.profile).toBe(DEFAULT_PROFILE);
+    });
+  });
+
   describe('parseTransaction', () => {
     it('should parse a complete transaction row', () => {
       const row = {
@@ -1,4 +1,4 @@
-import { ValidationError, NotFoundError, InternalError, formatErrorResponse } from '../../../src/utils/errorHandler.js';
+import { ValidationError, NotFoundError, ConflictError, ServiceUnavailableError, InternalError, formatErrorResponse } from '../../../src/utils/errorHandler.js';
 
 describe('ErrorHandler', () => {
   describe('ValidationError', () => {
@@ -28,6 +28,26 @@ describe('ErrorHandler', () => {
     });
   });
 
+  describe('ConflictError', () => {
+    it('should create a conflict error', () => {
+      const error = new ConflictError('Already exists');
+      
+      expect(error.name).toBe('ConflictError');
+      expect(error.message).toBe('Already exists');
+      expect(error.statusCode).toBe(409);
+    });
+  });
+
+  describe('ServiceUnavailableError', () => {
+    it('should create a service unavailable error', () => {
+      const error = new ServiceUnavailableError('Not available');
+      
+      expect(error.name).toBe('ServiceUnavailableError');
+      expect(error.message).toBe('Not available');
+      expect(error.statusCode).toBe(503);
+    });
+  });
+
   describe('InternalError', () => {
     it('should create an internal server error', () => {
       const error = new InternalError('Server error');
@@ -62,6 +82,17 @@ describe('ErrorHandler', () => {
       });
     });
 
+    it('should format ConflictError correctly', () => {
+      const error = new ConflictError('Already exists');
+      const response = formatErrorResponse(error);
+      
+      expect(response).toEqual({
+        success: false,
+        error: 'Already exists',
+        statusCode: 409
+      });
+    });
+
     it('should format InternalError correctly', () => {
       const error = new InternalError('Server error');
       const response = formatErrorResponse(error);
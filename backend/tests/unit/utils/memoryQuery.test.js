@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import {
+  compareValues,
+  matchesQuery,
+  sortDocuments,
+  sumOf,
+  averageOf,
+  minOf,
+  maxOf,
+  distinctValues
+} from '../../../src/utils/memoryQuery.js';
+
+const DOC = {
+  customerName: 'Asha Iyer',
+  age: 29,
+  tags: ['wireless', 'sale'],
+  date: new Date('2024-01-05T00:00:00Z')
+};
+
+describe('memoryQuery', () => {
+  describe('matchesQuery', () => {
+    it('should match equality and $in, including on array fields', () => {
+      expect(matchesQuery(DOC, { age: 29 })).toBe(true);
+      expect(matchesQuery(DOC, { age: '29' })).toBe(false);
+      expect(matchesQuery(DOC, { tags: { $in: ['sale', 'new'] } })).toBe(true);
+      expect(matchesQuery(DOC, { tags: { $in: ['new'] } })).toBe(false);
+      expect(matchesQuery(DOC, { tags: 'wireless' })).toBe(true);
+    });
+
+    it('should compare ranges only against values of the same type', () => {
+      expect(matchesQuery(DOC, { age: { $gte: 18, $lte: 29 } })).toBe(true);
+      expect(matchesQuery(DOC, { age: { $gt: 29 } })).toBe(false);
+      expect(matchesQuery(DOC, { date: { $gte: new Date('2024-01-01'), $lt: new Date('2024-02-01') } })).toBe(true);
+      expect(matchesQuery(DOC, { customerName: { $gt: 10 } })).toBe(false);
+      expect(matchesQuery({}, { age: { $lte: 100 } })).toBe(false);
+    });
+
+    it('should apply $regex with $options', () => {
+      expect(matchesQuery(DOC, { customerName: { $regex: 'asha', $options: 'i' } })).toBe(true);
+      expect(matchesQuery(DOC, { customerName: { $regex: 'asha' } })).toBe(false);
+      expect(matchesQuery(DOC, { phoneNumber: { $regex: '98', $options: 'i' } })).toBe(false);
+    });
+
+    it('should combine $and and $or', () => {
+      const query = {
+        $and: [
+          { age: { $gte: 18 } },
+          { $or: [{ customerName: 'Nobody' }, { tags: { $in: ['sale'] } }] }
+        ]
+      };
+
+      expect(matchesQuery(DOC, query)).toBe(true);
+      expect(matchesQuery({ ...DOC, tags: [] }, query)).toBe(false);
+    });
+
+    it('should match everything for an empty query', () => {
+      expect(matchesQuery(DOC, {})).toBe(true);
+    });
+
+    it('should reject operators it does not support', () => {
+      expect(() => matchesQuery(DOC, { age: { $exists: true } })).toThrow('Unsupported query operator: $exists');
+      expect(() => matchesQuery(DOC, { $text: { $search: 'asha' } })).toThrow('Unsupported query operator: $text');
+    });
+  });
+
+  describe('compareValues and sortDocuments', () => {
+    it('should order missing values, numbers and strings like MongoDB', () => {
+      expect([3, 'b', null, 1, 'a'].sort(compareValues)).toEqual([null, 1, 3, 'a', 'b']);
+    });
+
+    it('should compare strings by code unit, so upper case sorts first', () => {
+      expect(['bob', 'Zed', 'amy'].sort(compareValues)).toEqual(['Zed', 'amy', 'bob']);
+    });
+
+    it('should sort by several keys and directions', () => {
+      const first = new mongoose.Types.ObjectId();
+      const second = new mongoose.Types.ObjectId();
+      const docs = [
+        { _id: first, quantity: 2 },
+        { _id: second, quantity: 2 },
+        { _id: new mongoose.Types.ObjectId(), quantity: 5 }
+      ];
+
+      const sorted = sortDocuments(docs, { quantity: -1, _id: -1 });
+
+      expect(sorted.map(doc => doc.quantity)).toEqual([5, 2, 2]);
+      expect(sorted[1]._id).toBe(second);
+      expect(docs[0]._id).toBe(first);
+    });
+  });
+
+  describe('accumulators', () => {
+    const docs = [{ amount: 10 }, { amount: 30 }, { amount: 'n/a' }, {}];
+
+    it('should skip values that are not numbers', () => {
+      expect(sumOf(docs, doc => doc.amount)).toBe(40);
+      expect(averageOf(docs, doc => doc.amount)).toBe(20);
+      expect(minOf(docs, doc => doc.amount)).toBe(10);
+      expect(maxOf(docs, doc => doc.amount)).toBe(30);
+    });
+
+    it('should return 0 for an empty sum and null for other empty accumulators', () => {
+      expect(sumOf([], doc => doc.amount)).toBe(0);
+      expect(averageOf([], doc => doc.amount)).toBeNull();
+      expect(minOf([{}], doc => doc.amount)).toBeNull();
+      expect(maxOf([], doc => doc.amount)).toBeNull();
+    });
+  });
+
+  describe('distinctValues', () => {
+    it('should unwind arrays and sort the distinct values', () => {
+      const docs = [{ tags: ['b', 'a'] }, { tags: ['a'] }, { tags: [] }, {}];
+
+      expect(distinctValues(docs, 'tags')).toEqual(['a', 'b']);
+    });
+  });
+});
@@ -0,0 +1,22 @@
+import { hashPassword, verifyPassword } from '../../../src/utils/passwords.js';
+
+describe('passwords', () => {
+  it('should verify the password a hash was made from', async () => {
+    const hash = await hashPassword('correct horse battery');
+
+    expect(hash).toMatch(/^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    await expect(verifyPassword('correct horse battery', hash)).resolves.toBe(true);
+    await expect(verifyPassword('Correct horse battery', hash)).resolves.toBe(false);
+  });
+
+  it('should salt each hash', async () => {
+    const [first, second] = await Promise.all([hashPassword('same password'), hashPassword('same password')]);
+
+    expect(first).not.toBe(second);
+  });
+
+  it('should reject malformed hashes', async () => {
+    await expect(verifyPassword('anything', 'plain-text')).resolves.toBe(false);
+    await expect(verifyPassword('anything', undefined)).resolves.toBe(false);
+  });
+});
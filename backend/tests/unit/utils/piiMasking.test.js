@@ -0,0 +1,67 @@
+import { maskPhoneNumber, toInitials, maskRecord, maskRecords } from '../../../src/utils/piiMasking.js';
+
+describe('piiMasking', () => {
+  describe('maskPhoneNumber', () => {
+    it('should keep the last four digits and add the default country code', () => {
+      expect(maskPhoneNumber('9876543210', '91')).toBe('+91 ******3210');
+      expect(maskPhoneNumber('98765 43210', '91')).toBe('+91 ******3210');
+    });
+
+    it('should keep a country code stored with the number', () => {
+      expect(maskPhoneNumber('+91 98765 43210', '44')).toBe('+91 ******3210');
+      expect(maskPhoneNumber('+1 (555) 123-4567', '91')).toBe('+1 ******4567');
+    });
+
+    it('should hide short numbers entirely and leave empty values alone', () => {
+      expect(maskPhoneNumber('1234', '91')).toBe('****');
+      expect(maskPhoneNumber('', '91')).toBe('');
+      expect(maskPhoneNumber(null, '91')).toBeNull();
+    });
+  });
+
+  describe('toInitials', () => {
+    it('should shorten each part of a name', () => {
+      expect(toInitials('Asha Iyer')).toBe('A. I.');
+      expect(toInitials('  ravi   kumar ')).toBe('R. K.');
+      expect(toInitials('Meera')).toBe('M.');
+      expect(toInitials(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('maskRecord', () => {
+    const record = { transactionId: 'T001', customerName: 'Asha Iyer', phoneNumber: '9876543210' };
+
+    it('should mask the phone number and leave names unless asked', () => {
+      expect(maskRecord(record, { countryCode: '91' })).toEqual({
+        transactionId: 'T001',
+        customerName: 'Asha Iyer',
+        phoneNumber: '+91 ******3210'
+      });
+      expect(maskRecord(record, { countryCode: '91', maskNames: true }).customerName).toBe('A. I.');
+    });
+
+    it('should not modify the record or add missing fields', () => {
+      maskRecord(record, { countryCode: '91', maskNames: true });
+
+      expect(record.phoneNumber).toBe('9876543210');
+      expect(maskRecord({ transactionId: 'T002' }, { countryCode: '91', maskNames: true }))
+        .toEqual({ transactionId: 'T002' });
+    });
+  });
+
+  describe('maskRecords', () => {
+    it('should mask each record of an async iterable', async () => {
+      async function* source() {
+        yield { id: 1 };
+        yield { id: 2 };
+      }
+
+      const masked = [];
+      for await (const record of maskRecords(source(), item => ({ ...item, masked: true }))) {
+        masked.push(record);
+      }
+
+      expect(masked).toEqual([{ id: 1, masked: true }, { id: 2, masked: true }]);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { parseFilters } from '../../../src/utils/queryParams.js';
+import { ValidationError } from '../../../src/utils/errorHandler.js';
+
+describe('QueryParams', () => {
+  describe('parseFilters', () => {
+    it('should return empty object when filters are missing', () => {
+      expect(parseFilters(undefined)).toEqual({});
+      expect(parseFilters('')).toEqual({});
+    });
+
+    it('should parse JSON strings', () => {
+      expect(parseFilters('{"gender":["Male"]}')).toEqual({ gender: ['Male'] });
+    });
+
+    it('should pass objects through unchanged', () => {
+      const filters = { tags: ['sale'] };
+      expect(parseFilters(filters)).toBe(filters);
+    });
+
+    it('should throw ValidationError for invalid JSON', () => {
+      expect(() => parseFilters('{invalid')).toThrow(ValidationError);
+    });
+  });
+});
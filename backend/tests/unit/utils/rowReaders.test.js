@@ -0,0 +1,126 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { detectFormat, openRowReader, UnparseableRow } from '../../../src/utils/rowReaders.js';
+
+/**
+ * Reads every row from a file
+ */
+const readAll = async (filePath, format) => {
+  const { rows } = openRowReader(filePath, format);
+  const result = [];
+  for await (const row of rows) {
+    result.push(row);
+  }
+  return result;
+};
+
+describe('rowReaders', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'row-readers-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('detectFormat', () => {
+    it('should map extensions to formats', () => {
+      expect(detectFormat('sales.CSV')).toBe('csv');
+      expect(detectFormat('/tmp/sales.jsonl')).toBe('ndjson');
+      expect(detectFormat('sales.ndjson')).toBe('ndjson');
+      expect(detectFormat('sales.json')).toBe('json');
+      expect(detectFormat('sales.xlsx')).toBe('xlsx');
+    });
+
+    it('should return null for unknown extensions', () => {
+      expect(detectFormat('sales.xml')).toBeNull();
+      expect(detectFormat('')).toBeNull();
+    });
+  });
+
+  describe('ndjson', () => {
+    it('should yield one object per line and skip blank lines', async () => {
+      const filePath = path.join(dir, 'rows.ndjson');
+      fs.writeFileSync(filePath, '{"id":"T1","tags":["a","b"]}\n\n{"id":"T2"}');
+
+      const rows = await readAll(filePath, 'ndjson');
+
+      expect(rows).toEqual([{ id: 'T1', tags: ['a', 'b'] }, { id: 'T2' }]);
+    });
+
+    it('should yield unparseable lines in place', async () => {
+      const filePath = path.join(dir, 'rows.ndjson');
+      fs.writeFileSync(filePath, '{"id":"T1"}\nnot json\n"text"\n');
+
+      const rows = await readAll(filePath, 'ndjson');
+
+      expect(rows[0]).toEqual({ id: 'T1' });
+      expect(rows[1]).toBeInstanceOf(UnparseableRow);
+      expect(rows[1].text).toBe('not json');
+      expect(rows[2]).toMatchObject({ reason: 'is not a JSON object', text: '"text"' });
+    });
+  });
+
+  describe('json', () => {
+    it('should yield each element of the array', async () => {
+      const filePath = path.join(dir, 'rows.json');
+      fs.writeFileSync(filePath, '[\n  {"id":"T1","note":"has ] and } \\" inside"},\n  {"id":"T2","nested":{"a":[1]}}\n]\n');
+
+      const rows = await readAll(filePath, 'json');
+
+      expect(rows).toEqual([
+        { id: 'T1', note: 'has ] and } " inside' },
+        { id: 'T2', nested: { a: [1] } }
+      ]);
+    });
+
+    it('should read an empty array', async () => {
+      const filePath = path.join(dir, 'rows.json');
+      fs.writeFileSync(filePath, '[]');
+
+      expect(await readAll(filePath, 'json')).toEqual([]);
+    });
+
+    it('should reject a file that is not an array of objects', async () => {
+      const filePath = path.join(dir, 'rows.json');
+      fs.writeFileSync(filePath, '{"id":"T1"}');
+
+      await expect(readAll(filePath, 'json')).rejects.toThrow('JSON import must be an array of objects');
+    });
+
+    it('should reject a truncated array', async () => {
+      const filePath = path.join(dir, 'rows.json');
+      fs.writeFileSync(filePath, '[{"id":"T1"}, {"id":');
+
+      await expect(readAll(filePath, 'json')).rejects.toThrow('JSON import ended before the closing ]');
+    });
+  });
+
+  describe('xlsx', () => {
+    it('should read the first worksheet using its first row as headers', async () => {
+      const filePath = path.join(dir, 'rows.xlsx');
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Sales');
+      sheet.addRow(['Transaction ID', 'Quantity', 'Date', 'Tags']);
+      sheet.addRow(['T1', 2, new Date(Date.UTC(2024, 0, 5)), 'a,b']);
+      sheet.addRow(['T2', 1, null, { richText: [{ text: 'lo' }, { text: 'yal' }] }]);
+      workbook.addWorksheet('Notes').addRow(['ignored']);
+      await workbook.xlsx.writeFile(filePath);
+
+      const rows = await readAll(filePath, 'xlsx');
+
+      expect(rows).toEqual([
+        { 'Transaction ID': 'T1', Quantity: 2, Date: new Date(Date.UTC(2024, 0, 5)), Tags: 'a,b' },
+        { 'Transaction ID': 'T2', Quantity: 1, Date: '', Tags: 'loyal' }
+      ]);
+    });
+  });
+
+  it('should reject an unsupported format', () => {
+    expect(() => openRowReader(path.join(dir, 'rows.xml'), 'xml')).toThrow('Unsupported import format: xml');
+  });
+});
@@ -0,0 +1,110 @@
+import { createRandom, generateTransactions, validateGeneratorOptions } from '../../../src/utils/syntheticData.js';
+import { validateRow } from '../../../src/services/dataImporter.js';
+import { EXPORT_COLUMNS } from '../../../src/utils/csvWriter.js';
+
+const generate = (options) => [...generateTransactions({ count: 2000, ...options })];
+
+describe('syntheticData', () => {
+  describe('createRandom', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const first = createRandom('demo');
+      const second = createRandom('demo');
+      const values = Array.from({ length: 5 }, () => first());
+
+      expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+      expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+      expect(createRandom('other')()).not.toBe(values[0]);
+    });
+  });
+
+  describe('generateTransactions', () => {
+    it('should be reproducible from the seed', () => {
+      expect(generate({ seed: 42, count: 50 })).toEqual(generate({ seed: 42, count: 50 }));
+      expect(generate({ seed: 43, count: 50 })).not.toEqual(generate({ seed: 42, count: 50 }));
+    });
+
+    it('should generate the requested number of unique transactions', () => {
+      const transactions = generate({ seed: 1 });
+
+      expect(transactions).toHaveLength(2000);
+      expect(new Set(transactions.map(t => t.transactionId)).size).toBe(2000);
+    });
+
+    it('should never discount above the total', () => {
+      const transactions = generate({ seed: 2 });
+
+      expect(transactions.every(t => t.finalAmount <= t.totalAmount && t.finalAmount > 0)).toBe(true);
+      expect(transactions.some(t => t.finalAmount < t.totalAmount)).toBe(true);
+      expect(transactions.filter(t => t.finalAmount < t.totalAmount).every(t => t.tags.includes('sale'))).toBe(true);
+    });
+
+    it('should have customers who buy repeatedly with a stable profile', () => {
+      const transactions = generate({ seed: 3 });
+      const byCustomer = new Map();
+      transactions.forEach(t => {
+        byCustomer.set(t.customerId, [...(byCustomer.get(t.customerId) || []), t]);
+      });
+
+      expect(byCustomer.size).toBeLessThan(500);
+      const [, purchases] = [...byCustomer].sort((a, b) => b[1].length - a[1].length)[0];
+      expect(purchases.length).toBeGreaterThan(10);
+      expect(new Set(purchases.map(t => `${t.customerName}|${t.phoneNumber}|${t.age}`)).size).toBe(1);
+    });
+
+    it('should honour an explicit customer pool size', () => {
+      const transactions = generate({ seed: 4, customers: 10 });
+
+      expect(new Set(transactions.map(t => t.customerId)).size).toBeLessThanOrEqual(10);
+    });
+
+    it('should use ten-digit phone numbers that cannot be real mobile numbers', () => {
+      const phoneNumbers = generate({ seed: 5, count: 200 }).map(t => t.phoneNumber);
+
+      // Same shape as the source CSV's numbers, but Indian mobiles start with 6-9
+      expect(phoneNumbers.every(phone => /^[1-5]\d{9}$/.test(phone))).toBe(true);
+      expect(new Set(phoneNumbers.map(phone => phone[0])).size).toBeGreaterThan(1);
+    });
+
+    it('should keep dates in range and favour the festive season', () => {
+      const transactions = generate({ seed: 6, count: 6000, startDate: '2024-01-01', endDate: '2024-12-31' });
+      const months = new Array(12).fill(0);
+      transactions.forEach(t => months[t.date.getUTCMonth()]++);
+
+      expect(transactions.every(t => t.date >= new Date('2024-01-01') && t.date < new Date('2025-01-01'))).toBe(true);
+      expect(months[10]).toBeGreaterThan(months[1] * 1.5);
+    });
+
+    it('should produce rows that pass strict import validation', () => {
+      const rows = generate({ seed: 7, count: 300 }).map(t => Object.fromEntries(
+        EXPORT_COLUMNS.map(({ key, header }) => [
+          header,
+          key === 'date' ? t.date.toISOString() : Array.isArray(t[key]) ? t[key].join(',') : String(t[key])
+        ])
+      ));
+
+      expect(rows.flatMap(row => validateRow(row))).toEqual([]);
+    });
+
+    it('should reject invalid options', () => {
+      expect(() => generate({ count: 0 })).toThrow('count must be a positive integer');
+    });
+  });
+
+  describe('validateGeneratorOptions', () => {
+    it('should check count, customers and the date range', () => {
+      const result = validateGeneratorOptions({ count: 1.5, customers: 0, startDate: '2024-02-01', endDate: '2024-01-01' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'count must be a positive integer',
+        'customers must be a positive integer',
+        'startDate cannot be after endDate'
+      ]);
+    });
+
+    it('should reject unparseable dates', () => {
+      expect(validateGeneratorOptions({ count: 1, startDate: 'soon', endDate: '2024-01-01' }).errors)
+        .toEqual(['startDate and endDate must be valid dates']);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { validatePagination, validateSort, validateFilters } from '../../../src/utils/validators.js';
+import { validatePagination, validateSort, validateFilters, validateGranularity, validateDimension, validateImportOptions, validateTransactionInput, validateTransactionAmounts, validateCredentials, validateUserInput, validateApiKeyInput, validateDataSubject, validateAuditQuery } from '../../../src/utils/validators.js';
 
 describe('Validators', () => {
   describe('validatePagination', () => {
@@ -111,5 +111,243 @@ describe('Validators', () => {
       expect(result.isValid).toBe(true);
     });
   });
-});
 
+  describe('validateGranularity', () => {
+    it('should pass for supported granularities', () => {
+      ['day', 'week', 'month', 'quarter', 'year'].forEach(granularity => {
+        expect(validateGranularity(granularity).isValid).toBe(true);
+      });
+    });
+
+    it('should pass when granularity is omitted', () => {
+      expect(validateGranularity(undefined).isValid).toBe(true);
+    });
+
+    it('should fail for unsupported granularity', () => {
+      const result = validateGranularity('hour');
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toContain('Invalid granularity');
+    });
+  });
+
+  describe('validateDimension', () => {
+    it('should pass for supported dimensions', () => {
+      ['productCategory', 'customerRegion', 'gender', 'paymentMethod', 'tags', 'employeeName', 'ageBand']
+        .forEach(dimension => {
+          expect(validateDimension(dimension).isValid).toBe(true);
+        });
+    });
+
+    it('should fail for unsupported dimension', () => {
+      const result = validateDimension('phoneNumber');
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toContain('Invalid dimension');
+    });
+  });
+
+  describe('validateImportOptions', () => {
+    it('should pass for omitted or supported options', () => {
+      expect(validateImportOptions().isValid).toBe(true);
+      expect(validateImportOptions({ strict: 'true', onInvalid: 'quarantine' }).isValid).toBe(true);
+    });
+
+    it('should fail for unsupported values', () => {
+      const result = validateImportOptions({ strict: 'yes', onInvalid: 'drop', upsert: '1' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'strict must be true or false',
+        'upsert must be true or false',
+        'Invalid onInvalid. Must be one of: reject, quarantine'
+      ]);
+    });
+
+    it('should accept only supported import formats', () => {
+      expect(validateImportOptions({ format: 'xlsx' }).isValid).toBe(true);
+      expect(validateImportOptions({ format: 'xml' }).errors).toEqual([
+        'Invalid format. Must be one of: csv, ndjson, json, xlsx'
+      ]);
+    });
+  });
+
+  describe('validateTransactionInput', () => {
+    const validTransaction = {
+      transactionId: 'T1',
+      customerId: 'C001',
+      customerName: 'John Doe',
+      gender: 'Male',
+      age: 35,
+      quantity: 2,
+      totalAmount: 2000,
+      finalAmount: 1800,
+      date: '2025-01-15',
+      tags: ['tech']
+    };
+
+    it('should pass a complete transaction', () => {
+      expect(validateTransactionInput(validTransaction).isValid).toBe(true);
+    });
+
+    it('should require schema-required fields', () => {
+      const result = validateTransactionInput({});
+      expect(result.errors).toEqual(expect.arrayContaining([
+        'transactionId is required',
+        'customerId is required',
+        'customerName is required',
+        'quantity is required',
+        'totalAmount is required',
+        'date is required'
+      ]));
+    });
+
+    it('should skip required checks in partial mode', () => {
+      expect(validateTransactionInput({ quantity: 5 }, { partial: true }).isValid).toBe(true);
+    });
+
+    it('should reject non-object bodies', () => {
+      expect(validateTransactionInput([]).errors).toContain('Request body must be a JSON object');
+    });
+
+    it('should reject unknown fields', () => {
+      const result = validateTransactionInput({ ...validTransaction, brand: 'Dell' });
+      expect(result.errors).toContain('Unknown field: brand');
+    });
+
+    it('should enforce age bounds', () => {
+      const result = validateTransactionInput({ ...validTransaction, age: 151 });
+      expect(result.errors).toContain('age must be between 0 and 150');
+    });
+
+    it('should reject negative amounts', () => {
+      const result = validateTransactionInput({ ...validTransaction, quantity: -1, totalAmount: -2000, finalAmount: -1800 });
+      expect(result.errors).toContain('quantity cannot be negative');
+      expect(result.errors).toContain('totalAmount cannot be negative');
+      expect(result.errors).toContain('finalAmount cannot be negative');
+    });
+
+    it('should reject a finalAmount above totalAmount', () => {
+      const result = validateTransactionInput({ ...validTransaction, finalAmount: 2001 });
+      expect(result.errors).toEqual(['finalAmount cannot exceed totalAmount']);
+      expect(validateTransactionInput({ ...validTransaction, finalAmount: 2000 }).isValid).toBe(true);
+    });
+
+    it('should check amounts in partial mode', () => {
+      expect(validateTransactionInput({ quantity: -5 }, { partial: true }).errors).toEqual(['quantity cannot be negative']);
+      expect(validateTransactionInput({ totalAmount: 10, finalAmount: 20 }, { partial: true }).errors)
+        .toEqual(['finalAmount cannot exceed totalAmount']);
+    });
+
+    it('should enforce the gender enum', () => {
+      const result = validateTransactionInput({ ...validTransaction, gender: 'X' });
+      expect(result.errors).toContain('gender must be one of: Male, Female, Other');
+    });
+
+    it('should check field types', () => {
+      const result = validateTransactionInput({ ...validTransaction, quantity: '2', customerId: 5 });
+      expect(result.errors).toContain('quantity must be a number');
+      expect(result.errors).toContain('customerId must be a string');
+    });
+
+    it('should reject invalid dates and tags', () => {
+      const result = validateTransactionInput({ ...validTransaction, date: 'not-a-date', tags: 'tech' });
+      expect(result.errors).toContain('date must be a valid date');
+      expect(result.errors).toContain('tags must be an array of strings');
+    });
+  });
+
+  describe('validateTransactionAmounts', () => {
+    it('should only check the amounts present', () => {
+      expect(validateTransactionAmounts({}).isValid).toBe(true);
+      expect(validateTransactionAmounts({ finalAmount: 900 }).isValid).toBe(true);
+      expect(validateTransactionAmounts({ totalAmount: 800, finalAmount: 900 }).errors).toEqual(['finalAmount cannot exceed totalAmount']);
+    });
+  });
+
+  describe('validateCredentials', () => {
+    it('should require non-empty strings', () => {
+      expect(validateCredentials({ username: 'priya', password: 'secret' }).isValid).toBe(true);
+      expect(validateCredentials({ username: '  ', password: 5 }).errors)
+        .toEqual(['username is required', 'password is required']);
+      expect(validateCredentials(undefined, ['refreshToken']).errors).toEqual(['refreshToken is required']);
+    });
+  });
+
+  describe('validateUserInput', () => {
+    const roles = ['viewer', 'analyst', 'admin'];
+
+    it('should accept a complete account', () => {
+      expect(validateUserInput({ username: 'priya.s', password: 'correct horse battery', role: 'analyst' }, roles).isValid)
+        .toBe(true);
+    });
+
+    it('should check only the fields present when partial', () => {
+      expect(validateUserInput({ role: 'admin' }, roles, { partial: true }).isValid).toBe(true);
+      expect(validateUserInput({ password: 'short' }, roles, { partial: true }).errors)
+        .toEqual(['password must be 10-128 characters']);
+    });
+
+    it('should reject bad usernames and unknown roles', () => {
+      const result = validateUserInput({ username: 'has space', password: 'correct horse battery', role: 'owner' }, roles);
+      expect(result.errors).toEqual([
+        'username must be 3-64 letters, digits, dots, dashes or underscores',
+        'Invalid role. Must be one of: viewer, analyst, admin'
+      ]);
+    });
+  });
+
+  describe('validateApiKeyInput', () => {
+    const scopes = ['read', 'export'];
+
+    it('should accept a name and a known scope', () => {
+      expect(validateApiKeyInput({ name: 'bi-nightly', scope: 'read' }, scopes).isValid).toBe(true);
+    });
+
+    it('should reject blank or overlong names and unknown scopes', () => {
+      expect(validateApiKeyInput({ name: '   ', scope: 'admin' }, scopes).errors).toEqual([
+        'name must be 1-100 characters',
+        'Invalid scope. Must be one of: read, export'
+      ]);
+      expect(validateApiKeyInput({ name: 'x'.repeat(101), scope: 'export' }, scopes).errors)
+        .toEqual(['name must be 1-100 characters']);
+    });
+  });
+
+  describe('validateDataSubject', () => {
+    it('should accept a customer ID, a phone number or both', () => {
+      expect(validateDataSubject({ customerId: 'C001' }).isValid).toBe(true);
+      expect(validateDataSubject({ phoneNumber: '+91 98765 43210' }).isValid).toBe(true);
+      expect(validateDataSubject({ customerId: 'C001', phoneNumber: '9876543210' }).isValid).toBe(true);
+    });
+
+    it('should require one of them as a non-empty string', () => {
+      expect(validateDataSubject({}).errors).toEqual(['customerId or phoneNumber is required']);
+      expect(validateDataSubject(undefined).errors).toEqual(['customerId or phoneNumber is required']);
+      expect(validateDataSubject({ customerId: ' ', phoneNumber: 9876543210 }).errors).toEqual([
+        'customerId must be 1-100 characters',
+        'phoneNumber must be 1-100 characters'
+      ]);
+    });
+  });
+
+  describe('validateAuditQuery', () => {
+    it('should accept filters, a date range and pagination', () => {
+      expect(validateAuditQuery({}).isValid).toBe(true);
+      expect(validateAuditQuery({
+        user: 'alice',
+        action: 'transaction.delete',
+        from: '2025-01-01',
+        to: '2025-01-31T23:59:59Z',
+        page: '2',
+        pageSize: '100'
+      }).isValid).toBe(true);
+    });
+
+    it('should reject invalid dates, a reversed range and bad pagination', () => {
+      expect(validateAuditQuery({ from: 'yesterday', pageSize: '500' }).errors).toEqual([
+        'Page size must be between 1 and 100',
+        'from must be a valid date'
+      ]);
+      expect(validateAuditQuery({ from: '2025-02-01', to: '2025-01-01' }).errors).toEqual(['from must not be after to']);
+      expect(validateAuditQuery({ user: ['a', 'b'] }).errors).toEqual(['user must be a string']);
+    });
+  });
+});
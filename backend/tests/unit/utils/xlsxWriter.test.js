@@ -0,0 +1,94 @@
+import { PassThrough, Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { describeFilters, toXlsxRow, writeXlsxExport } from '../../../src/utils/xlsxWriter.js';
+
+describe('XlsxWriter', () => {
+  describe('describeFilters', () => {
+    it('should report no filters when none are active', () => {
+      const rows = describeFilters({});
+
+      expect(rows).toEqual([
+        ['Filters', 'None (all transactions)'],
+        ['Sort', 'date (desc)']
+      ]);
+    });
+
+    it('should describe search and multi-select filters', () => {
+      const rows = describeFilters({
+        search: ' john ',
+        filters: { customerRegion: ['North', 'South'], tags: ['sale'] },
+        sortBy: 'quantity',
+        sortOrder: 'asc'
+      });
+
+      expect(rows).toContainEqual(['Search', 'john']);
+      expect(rows).toContainEqual(['Customer Region', 'North, South']);
+      expect(rows).toContainEqual(['Tags', 'sale']);
+      expect(rows).toContainEqual(['Sort', 'quantity (asc)']);
+    });
+
+    it('should describe age and date ranges', () => {
+      const rows = describeFilters({
+        filters: {
+          ageRange: { min: 20, max: 40 },
+          dateRange: { start: '2025-01-01', end: null }
+        }
+      });
+
+      expect(rows).toContainEqual(['Age Range', '20 - 40']);
+      expect(rows).toContainEqual(['Date Range', '2025-01-01 to any']);
+    });
+
+    it('should ignore the default full age range', () => {
+      const rows = describeFilters({ filters: { ageRange: { min: 0, max: 100 } } });
+
+      expect(rows[0]).toEqual(['Filters', 'None (all transactions)']);
+    });
+  });
+
+  describe('toXlsxRow', () => {
+    it('should map values in column order and join arrays', () => {
+      const columns = [
+        { key: 'name', header: 'Name' },
+        { key: 'tags', header: 'Tags' },
+        { key: 'missing', header: 'Missing' }
+      ];
+
+      expect(toXlsxRow({ tags: ['a', 'b'], name: 'John' }, columns)).toEqual(['John', 'a, b', null]);
+    });
+  });
+
+  describe('writeXlsxExport', () => {
+    it('should write rows and a summary sheet', async () => {
+      const stream = new PassThrough();
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+
+      await writeXlsxExport({
+        stream,
+        cursor: Readable.from([
+          { transactionId: 'T1', customerName: 'John Doe', quantity: 2 },
+          { transactionId: 'T2', customerName: 'Alice', quantity: 1 }
+        ]),
+        summary: { totalUnits: 3, totalAmount: 300, totalDiscount: 30, recordCount: 2 },
+        criteria: { filters: { gender: ['Male'] } }
+      });
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(Buffer.concat(chunks));
+
+      const rowsSheet = workbook.getWorksheet('Transactions');
+      expect(rowsSheet.getRow(1).getCell(1).value).toBe('Transaction ID');
+      expect(rowsSheet.getRow(2).getCell(1).value).toBe('T1');
+      expect(rowsSheet.getRow(3).getCell(1).value).toBe('T2');
+
+      const summaryValues = [];
+      workbook.getWorksheet('Summary').eachRow(row => {
+        summaryValues.push([row.getCell(1).value, row.getCell(2).value]);
+      });
+      expect(summaryValues).toContainEqual(['Total Units', 3]);
+      expect(summaryValues).toContainEqual(['Record Count', 2]);
+      expect(summaryValues).toContainEqual(['Gender', 'Male']);
+    });
+  });
+});
@@ -5,6 +5,7 @@ import { TopBar } from './components/TopBar';
 import { StatsCards } from './components/StatsCards';
 import { TransactionTable } from './components/TransactionTable';
 import { Pagination } from './components/Pagination';
+import { LoginScreen } from './components/LoginScreen';
 import { 
   fetchTransactions, 
   selectSearch,
@@ -12,12 +13,14 @@ import {
   selectPagination,
   selectTransactions,
   selectAggregateStats,
+  selectCursor,
   setSearch
 } from './store/slices/transactionSlice';
 import { selectActiveFilters } from './store/slices/filterSlice';
+import { restoreSession, selectCurrentUser, selectAuthChecked } from './store/slices/authSlice';
 import './App.css';
 
-function App() {
+function Dashboard() {
   const dispatch = useDispatch();
   const search = useSelector(selectSearch);
   const { sortBy, sortOrder } = useSelector(selectSort);
@@ -25,6 +28,7 @@ function App() {
   const filters = useSelector(selectActiveFilters);
   const transactions = useSelector(selectTransactions);
   const aggregateStats = useSelector(selectAggregateStats);
+  const cursor = useSelector(selectCursor);
   const [searchTerm, setSearchTerm] = useState(search);
 
   // Use aggregate stats from backend (based on all filtered data, not just current page)
@@ -46,8 +50,9 @@ function App() {
       sortOrder,
       page: currentPage,
       pageSize,
+      cursor,
     }));
-  }, [dispatch, search, filters, sortBy, sortOrder, currentPage, pageSize]);
+  }, [dispatch, search, filters, sortBy, sortOrder, currentPage, pageSize, cursor]);
 
   // Handle search with debounce
   useEffect(() => {
@@ -66,6 +71,7 @@ function App() {
       sortOrder,
       page: currentPage,
       pageSize,
+      cursor,
     }));
   };
 
@@ -100,5 +106,22 @@ function App() {
   );
 }
 
+function App() {
+  const dispatch = useDispatch();
+  const user = useSelector(selectCurrentUser);
+  const authChecked = useSelector(selectAuthChecked);
+
+  // Resume a stored session before deciding whether to show the login screen
+  useEffect(() => {
+    dispatch(restoreSession());
+  }, [dispatch]);
+
+  if (!authChecked) {
+    return null;
+  }
+
+  return user ? <Dashboard /> : <LoginScreen />;
+}
+
 export default App;
 
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { login, selectAuthLoading, selectAuthError } from '../../store/slices/authSlice';
+import './LoginScreen.css';
+
+/**
+ * LoginScreen component - sign-in form shown until the user is signed in
+ * @returns {JSX.Element}
+ */
+export function LoginScreen() {
+  const dispatch = useDispatch();
+  const loading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatch(login({ username: username.trim(), password }));
+  };
+
+  return (
+    <div className="login-screen">
+      <form className="login-card" onSubmit={handleSubmit} aria-labelledby="login-title">
+        <h1 id="login-title" className="login-title">Sales Management System</h1>
+        <p className="login-subtitle">Sign in to continue</p>
+
+        {error && (
+          <div className="login-error" role="alert">
+            {error}
+          </div>
+        )}
+
+        <label htmlFor="login-username" className="login-label">Username</label>
+        <input
+          id="login-username"
+          className="login-input"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          required
+          autoFocus
+        />
+
+        <label htmlFor="login-password" className="login-label">Password</label>
+        <input
+          id="login-password"
+          className="login-input"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+
+        <button
+          type="submit"
+          className="login-button"
+          disabled={loading || !username.trim() || !password}
+        >
+          {loading ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { LoginScreen } from './LoginScreen';
+import authReducer from '../../store/slices/authSlice';
+import { login } from '../../services/api';
+
+vi.mock('../../services/api', () => ({
+  login: vi.fn(),
+  logout: vi.fn(),
+  fetchCurrentUser: vi.fn()
+}));
+
+const createMockStore = () => {
+  return configureStore({
+    reducer: {
+      auth: authReducer,
+    },
+  });
+};
+
+const renderLogin = (store) => render(
+  <Provider store={store}>
+    <LoginScreen />
+  </Provider>
+);
+
+const fillIn = (username, password) => {
+  fireEvent.change(screen.getByLabelText(/username/i), { target: { value: username } });
+  fireEvent.change(screen.getByLabelText(/password/i), { target: { value: password } });
+};
+
+describe('LoginScreen', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = createMockStore();
+  });
+
+  it('should keep the button disabled until both fields are filled in', () => {
+    renderLogin(store);
+
+    const button = screen.getByRole('button', { name: /sign in/i });
+    expect(button).toBeDisabled();
+
+    fillIn('priya', 'correct horse battery');
+    expect(button).toBeEnabled();
+  });
+
+  it('should sign in with the entered credentials', async () => {
+    login.mockResolvedValue({ id: 'u1', username: 'priya', role: 'viewer' });
+    renderLogin(store);
+
+    fillIn(' priya ', 'correct horse battery');
+    fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+
+    await waitFor(() => {
+      expect(store.getState().auth.user).toEqual({ id: 'u1', username: 'priya', role: 'viewer' });
+    });
+    expect(login).toHaveBeenCalledWith('priya', 'correct horse battery');
+  });
+
+  it('should show why sign-in failed', async () => {
+    login.mockRejectedValue(new Error('Invalid username or password'));
+    renderLogin(store);
+
+    fillIn('priya', 'wrong password');
+    fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid username or password');
+  });
+});
@@ -0,0 +1 @@
+export { LoginScreen } from './LoginScreen';
@@ -1,5 +1,5 @@
 import { useDispatch, useSelector } from 'react-redux';
-import { setPage, setPageSize, selectPagination } from '../../store/slices/transactionSlice';
+import { setPage, stepPage, setPageSize, selectPagination } from '../../store/slices/transactionSlice';
 import './Pagination.css';
 
 const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
@@ -19,17 +19,29 @@ export function Pagination() {
     totalPages = 0,
     hasNextPage = false,
     hasPreviousPage = false,
+    nextCursor = null,
+    prevCursor = null,
   } = pagination;
 
+  // Walking page by page uses keyset cursors (fast at any depth);
+  // fall back to offset paging when no cursor is available
   const handlePrevious = () => {
     if (hasPreviousPage) {
-      dispatch(setPage(currentPage - 1));
+      if (prevCursor) {
+        dispatch(stepPage({ page: currentPage - 1, cursor: prevCursor }));
+      } else {
+        dispatch(setPage(currentPage - 1));
+      }
     }
   };
 
   const handleNext = () => {
     if (hasNextPage) {
-      dispatch(setPage(currentPage + 1));
+      if (nextCursor) {
+        dispatch(stepPage({ page: currentPage + 1, cursor: nextCursor }));
+      } else {
+        dispatch(setPage(currentPage + 1));
+      }
     }
   };
 
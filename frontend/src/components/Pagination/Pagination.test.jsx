@@ -280,6 +280,50 @@ describe('Pagination', () => {
       expect(store.getState().transactions.pagination.currentPage).toBe(2);
     });
 
+    it('should step with the next cursor when available', () => {
+      const store = createMockStore({
+        currentPage: 2,
+        hasNextPage: true,
+        hasPreviousPage: true,
+        nextCursor: 'next-token',
+        prevCursor: 'prev-token',
+      });
+      
+      render(
+        <Provider store={store}>
+          <Pagination />
+        </Provider>
+      );
+
+      fireEvent.click(screen.getByLabelText(/next page/i));
+
+      const state = store.getState().transactions;
+      expect(state.pagination.currentPage).toBe(3);
+      expect(state.cursor).toBe('next-token');
+    });
+
+    it('should step with the previous cursor when available', () => {
+      const store = createMockStore({
+        currentPage: 2,
+        hasNextPage: true,
+        hasPreviousPage: true,
+        nextCursor: 'next-token',
+        prevCursor: 'prev-token',
+      });
+      
+      render(
+        <Provider store={store}>
+          <Pagination />
+        </Provider>
+      );
+
+      fireEvent.click(screen.getByLabelText(/previous page/i));
+
+      const state = store.getState().transactions;
+      expect(state.pagination.currentPage).toBe(1);
+      expect(state.cursor).toBe('prev-token');
+    });
+
     it('should dispatch setPageSize and setPage(1) on page size change', () => {
       const store = createMockStore({
         currentPage: 5,
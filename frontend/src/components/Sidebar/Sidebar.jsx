@@ -1,4 +1,6 @@
 import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { selectCurrentUser } from '../../store/slices/authSlice';
 import './Sidebar.css';
 
 /**
@@ -6,6 +8,7 @@ import './Sidebar.css';
  * @returns {JSX.Element}
  */
 export function Sidebar() {
+  const user = useSelector(selectCurrentUser);
   const [expandedSections, setExpandedSections] = useState({
     services: false,
     invoices: false
@@ -31,7 +34,7 @@ export function Sidebar() {
         </div>
         <div className="profile-info">
           <div className="profile-name">Vault</div>
-          <div className="profile-user">Anurag Yadav</div>
+          <div className="profile-user">{user ? `${user.username} · ${user.role}` : ''}</div>
         </div>
         <button className="profile-dropdown" aria-label="Profile options">
           <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
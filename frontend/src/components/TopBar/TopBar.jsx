@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   setCustomerRegion,
@@ -9,7 +10,9 @@ import {
   setDateRange,
   selectActiveFilters,
 } from '../../store/slices/filterSlice';
-import { setSort, selectSort } from '../../store/slices/transactionSlice';
+import { setSort, selectSort, selectSearch } from '../../store/slices/transactionSlice';
+import { logout, selectCurrentUser, selectHasRole } from '../../store/slices/authSlice';
+import { downloadExport } from '../../services/api';
 import './TopBar.css';
 
 /**
@@ -20,6 +23,26 @@ export function TopBar({ onRefresh, searchTerm, onSearchChange }) {
   const dispatch = useDispatch();
   const activeFilters = useSelector(selectActiveFilters);
   const sort = useSelector(selectSort);
+  const search = useSelector(selectSearch);
+  const user = useSelector(selectCurrentUser);
+  const canExport = useSelector(selectHasRole('analyst'));
+  const [exportError, setExportError] = useState(null);
+
+  const exportParams = {
+    search,
+    filters: activeFilters,
+    sortBy: sort.sortBy,
+    sortOrder: sort.sortOrder
+  };
+
+  const handleExport = async (format) => {
+    setExportError(null);
+    try {
+      await downloadExport({ ...exportParams, format });
+    } catch (error) {
+      setExportError(error.message);
+    }
+  };
 
   const handleSortChange = (e) => {
     const value = e.target.value;
@@ -47,9 +70,46 @@ export function TopBar({ onRefresh, searchTerm, onSearchChange }) {
               aria-label="Search transactions"
             />
           </div>
+
+          {canExport && (
+            <>
+              <button
+                type="button"
+                className="export-button"
+                onClick={() => handleExport()}
+                aria-label="Export results as CSV"
+              >
+                Export CSV
+              </button>
+
+              <button
+                type="button"
+                className="export-button"
+                onClick={() => handleExport('xlsx')}
+                aria-label="Export results as Excel"
+              >
+                Export Excel
+              </button>
+            </>
+          )}
+
+          {user?.authEnabled !== false && (
+            <button
+              type="button"
+              className="signout-button"
+              onClick={() => dispatch(logout())}
+              aria-label={`Sign out ${user?.username || ''}`.trim()}
+            >
+              Sign out
+            </button>
+          )}
         </div>
       </div>
 
+      {exportError && (
+        <p className="export-error" role="alert">Export failed: {exportError}</p>
+      )}
+
       <div className="filters-bar">
         <button 
           className="refresh-button" 
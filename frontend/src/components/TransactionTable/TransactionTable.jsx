@@ -1,5 +1,6 @@
 import { useSelector } from 'react-redux';
 import { selectTransactions, selectLoading, selectError } from '../../store/slices/transactionSlice';
+import { selectHasRole } from '../../store/slices/authSlice';
 import { LoadingSkeleton } from '../LoadingSkeleton';
 import './TransactionTable.css';
 
@@ -11,6 +12,8 @@ export function TransactionTable() {
   const transactions = useSelector(selectTransactions);
   const loading = useSelector(selectLoading);
   const error = useSelector(selectError);
+  // Below admin the API masks phone numbers, so there is nothing worth copying
+  const canCopyPhone = useSelector(selectHasRole('admin'));
 
   if (loading) {
     return <LoadingSkeleton type="table" count={10} />;
@@ -74,16 +77,18 @@ export function TransactionTable() {
                 <td data-label="Phone Number">
                   <div className="phone-cell">
                     {transaction.phoneNumber}
-                    <button 
-                      className="copy-button"
-                      onClick={() => copyToClipboard(transaction.phoneNumber)}
-                      aria-label="Copy phone number"
-                    >
-                      <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M10.6667 2H3.33333C2.59695 2 2 2.59695 2 3.33333V10.6667C2 11.403 2.59695 12 3.33333 12H10.6667C11.403 12 12 11.403 12 10.6667V3.33333C12 2.59695 11.403 2 10.6667 2Z" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
-                        <path d="M4 14H12.6667C13.403 14 14 13.403 14 12.6667V4" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
-                      </svg>
-                    </button>
+                    {canCopyPhone && transaction.phoneNumber && (
+                      <button
+                        className="copy-button"
+                        onClick={() => copyToClipboard(transaction.phoneNumber)}
+                        aria-label="Copy phone number"
+                      >
+                        <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                          <path d="M10.6667 2H3.33333C2.59695 2 2 2.59695 2 3.33333V10.6667C2 11.403 2.59695 12 3.33333 12H10.6667C11.403 12 12 11.403 12 10.6667V3.33333C12 2.59695 11.403 2 10.6667 2Z" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+                          <path d="M4 14H12.6667C13.403 14 14 13.403 14 12.6667V4" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+                        </svg>
+                      </button>
+                    )}
                   </div>
                 </td>
                 <td data-label="Gender">{transaction.gender}</td>
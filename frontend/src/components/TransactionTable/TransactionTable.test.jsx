@@ -5,6 +5,7 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import { TransactionTable } from './TransactionTable';
 import transactionReducer from '../../store/slices/transactionSlice';
 import filterReducer from '../../store/slices/filterSlice';
+import authReducer from '../../store/slices/authSlice';
 
 const mockTransactions = [
   {
@@ -33,13 +34,15 @@ const mockTransactions = [
   },
 ];
 
-const createMockStore = (transactionState = {}) => {
+const createMockStore = (transactionState = {}, user = { username: 'priya', role: 'viewer' }) => {
   return configureStore({
     reducer: {
       transactions: transactionReducer,
       filters: filterReducer,
+      auth: authReducer,
     },
     preloadedState: {
+      auth: { user, checked: true, loading: false, error: null },
       transactions: {
         items: [],
         pagination: {},
@@ -392,5 +395,34 @@ describe('TransactionTable', () => {
       expect(spinner).toHaveAttribute('aria-hidden', 'true');
     });
   });
-});
 
+  describe('Phone Number Copy', () => {
+    const withPhone = [{ ...mockTransactions[0], phoneNumber: '9876543210' }];
+
+    it('should offer admins a copy of the phone number', () => {
+      const store = createMockStore({ items: withPhone }, { username: 'alice', role: 'admin' });
+
+      render(
+        <Provider store={store}>
+          <TransactionTable />
+        </Provider>
+      );
+
+      expect(screen.getByText('9876543210')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Copy phone number' })).toBeInTheDocument();
+    });
+
+    it('should not offer a copy of masked numbers below admin', () => {
+      const store = createMockStore({ items: [{ ...withPhone[0], phoneNumber: '+91 ******3210' }] });
+
+      render(
+        <Provider store={store}>
+          <TransactionTable />
+        </Provider>
+      );
+
+      expect(screen.getByText('+91 ******3210')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Copy phone number' })).not.toBeInTheDocument();
+    });
+  });
+});
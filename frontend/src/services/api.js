@@ -4,21 +4,73 @@
  */
 
 import axios from 'axios';
+import {
+  getSession,
+  saveSession,
+  clearSession,
+  withAccessToken,
+  refreshSession
+} from './authSession';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
 // Create axios instance with default config
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5000',
+  baseURL: API_BASE_URL,
   timeout: 60000, // 60 seconds to handle large dataset queries
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
+// Requests that a 401 from never triggers a token refresh
+const SESSION_ENDPOINTS = ['/api/auth/login', '/api/auth/refresh', '/api/auth/logout'];
+
+/**
+ * Exchanges a refresh token for a new session
+ * @param {string} refreshToken - Refresh token from the stored session
+ * @returns {Promise<Object>} accessToken, refreshToken and user
+ */
+const requestTokenRefresh = async (refreshToken) => {
+  const response = await api.post('/api/auth/refresh', { refreshToken });
+  return response.data.data;
+};
+
+/**
+ * Reads a Blob as text
+ * FileReader rather than Blob.text(), which the jsdom test environment lacks
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} Its contents
+ */
+const readBlobText = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+/**
+ * Reads the server's error message from a failed response
+ * Downloads request a Blob, so their JSON error body arrives as a Blob too
+ * @param {*} data - Response body
+ * @returns {Promise<string|undefined>} The body's error field, if any
+ */
+const readErrorMessage = async (data) => {
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    try {
+      return JSON.parse(await readBlobText(data)).error;
+    } catch {
+      return undefined;
+    }
+  }
+  return data?.error;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
-    // Add any auth tokens here if needed
-    return config;
+    // Send the signed-in user's access token
+    return withAccessToken(config);
   },
   (error) => {
     return Promise.reject(error);
@@ -30,20 +82,68 @@ api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const { config, response } = error;
+
+    // The access token expired: renew it once and retry
+    if (response?.status === 401 && config && !config.retried && !SESSION_ENDPOINTS.includes(config.url)) {
+      config.retried = true;
+      try {
+        await refreshSession(requestTokenRefresh);
+        return await api(config);
+      } catch {
+        // Report the original error below
+      }
+    }
+
     // Handle errors globally
-    const errorMessage = error.response?.data?.error || error.message || 'An error occurred';
-    return Promise.reject(new Error(errorMessage));
+    const errorMessage = (await readErrorMessage(response?.data)) || error.message || 'An error occurred';
+    return Promise.reject(Object.assign(new Error(errorMessage), { status: response?.status }));
   }
 );
 
 /**
- * Fetches transactions with query parameters
+ * Signs in and stores the session
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Signed-in user (id, username, role)
+ */
+export const login = async (username, password) => {
+  const response = await api.post('/api/auth/login', { username, password });
+  saveSession(response.data.data);
+  return response.data.data.user;
+};
+
+/**
+ * Signs out: forgets the session and revokes its refresh token
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  const refreshToken = getSession()?.refreshToken;
+  clearSession();
+
+  if (refreshToken) {
+    // Signed out locally either way
+    await api.post('/api/auth/logout', { refreshToken }).catch(() => {});
+  }
+};
+
+/**
+ * Fetches the signed-in user (works without signing in when the API has auth disabled)
+ * @returns {Promise<Object>} id, username, role and authEnabled
+ */
+export const fetchCurrentUser = async () => {
+  const response = await api.get('/api/auth/me');
+  return response.data.data;
+};
+
+/**
+ * Builds transaction query parameters shared by listing and export
  * @param {Object} params - Query parameters
- * @returns {Promise<Object>} Transaction data with pagination
+ * @returns {URLSearchParams} Encoded query parameters
  */
-export const fetchTransactions = async (params = {}) => {
-  const { search, filters, sortBy, sortOrder, page, pageSize } = params;
+const buildTransactionQuery = (params = {}) => {
+  const { search, filters, sortBy, sortOrder, page, pageSize, cursor } = params;
 
   const queryParams = new URLSearchParams();
 
@@ -52,14 +152,63 @@ export const fetchTransactions = async (params = {}) => {
   if (sortOrder) queryParams.append('sortOrder', sortOrder);
   if (page) queryParams.append('page', page.toString());
   if (pageSize) queryParams.append('pageSize', pageSize.toString());
+  if (cursor) queryParams.append('cursor', cursor);
   if (filters && Object.keys(filters).length > 0) {
     queryParams.append('filters', JSON.stringify(filters));
   }
 
+  return queryParams;
+};
+
+/**
+ * Fetches transactions with query parameters
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Transaction data with pagination
+ */
+export const fetchTransactions = async (params = {}) => {
+  const queryParams = buildTransactionQuery(params);
+
   const response = await api.get(`/api/transactions?${queryParams.toString()}`);
   return response.data.data;
 };
 
+/**
+ * Builds the download URL for exporting the current result set
+ * @param {Object} params - Search, filter, sort and format (csv/xlsx) parameters
+ * @returns {string} Absolute export URL
+ */
+export const buildExportUrl = (params = {}) => {
+  const { search, filters, sortBy, sortOrder, format } = params;
+  const queryParams = buildTransactionQuery({ search, filters, sortBy, sortOrder });
+
+  if (format) queryParams.append('format', format);
+
+  return `${API_BASE_URL}/api/transactions/export?${queryParams.toString()}`;
+};
+
+/**
+ * Downloads the current result set as a CSV or XLSX file
+ * Fetched through the API client so the request carries the access token
+ * @param {Object} params - Search, filter, sort and format (csv/xlsx) parameters
+ * @returns {Promise<void>}
+ */
+export const downloadExport = async (params = {}) => {
+  const response = await api.get(buildExportUrl(params), {
+    responseType: 'blob',
+    timeout: 0 // Large exports can take longer than the default timeout
+  });
+
+  const disposition = response.headers?.['content-disposition'] || '';
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `transactions.${params.format || 'csv'}`;
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
 /**
  * Fetches available filter options
  * @param {Object} params - Optional search/filter params
@@ -1,14 +1,25 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import axios from 'axios';
 import {
   fetchTransactions,
   fetchFilterOptions,
   fetchStatistics,
-  checkHealth
+  checkHealth,
+  buildExportUrl
 } from './api';
 
-// Mock axios
-vi.mock('axios');
+// api.js creates its axios instance on import, so the mock must exist first
+const mockApi = vi.hoisted(() => ({
+  get: vi.fn(),
+  post: vi.fn(),
+  interceptors: {
+    request: { use: vi.fn() },
+    response: { use: vi.fn() }
+  }
+}));
+
+vi.mock('axios', () => ({
+  default: { create: vi.fn(() => mockApi) }
+}));
 
 describe('API Service', () => {
   beforeEach(() => {
@@ -26,35 +37,18 @@ describe('API Service', () => {
           }
         }
       };
+      mockApi.get.mockResolvedValue(mockData);
 
-      axios.create = vi.fn(() => ({
-        get: vi.fn().mockResolvedValue(mockData),
-        interceptors: {
-          request: { use: vi.fn() },
-          response: { use: vi.fn() }
-        }
-      }));
-
-      // Re-import to get mocked instance
-      const { fetchTransactions } = await import('./api');
       const result = await fetchTransactions();
 
       expect(result).toBeDefined();
     });
 
     it('should build query string with all parameters', async () => {
-      const mockGet = vi.fn().mockResolvedValue({
+      const mockGet = mockApi.get.mockResolvedValue({
         data: { data: { items: [], pagination: {} } }
       });
 
-      axios.create = vi.fn(() => ({
-        get: mockGet,
-        interceptors: {
-          request: { use: vi.fn() },
-          response: { use: vi.fn() }
-        }
-      }));
-
       const params = {
         search: 'test',
         sortBy: 'date',
@@ -64,7 +58,6 @@ describe('API Service', () => {
         filters: { gender: ['Male'] }
       };
 
-      const { fetchTransactions } = await import('./api');
       await fetchTransactions(params);
 
       expect(mockGet).toHaveBeenCalled();
@@ -75,23 +68,14 @@ describe('API Service', () => {
     });
 
     it('should handle filters parameter', async () => {
-      const mockGet = vi.fn().mockResolvedValue({
+      const mockGet = mockApi.get.mockResolvedValue({
         data: { data: { items: [], pagination: {} } }
       });
 
-      axios.create = vi.fn(() => ({
-        get: mockGet,
-        interceptors: {
-          request: { use: vi.fn() },
-          response: { use: vi.fn() }
-        }
-      }));
-
       const params = {
         filters: { gender: ['Male'], ageRange: { min: 25, max: 50 } }
       };
 
-      const { fetchTransactions } = await import('./api');
       await fetchTransactions(params);
 
       const callArg = mockGet.mock.calls[0][0];
@@ -99,19 +83,10 @@ describe('API Service', () => {
     });
 
     it('should skip empty parameters', async () => {
-      const mockGet = vi.fn().mockResolvedValue({
+      const mockGet = mockApi.get.mockResolvedValue({
         data: { data: { items: [], pagination: {} } }
       });
 
-      axios.create = vi.fn(() => ({
-        get: mockGet,
-        interceptors: {
-          request: { use: vi.fn() },
-          response: { use: vi.fn() }
-        }
-      }));
-
-      const { fetchTransactions } = await import('./api');
       await fetchTransactions({});
 
       const callArg = mockGet.mock.calls[0][0];
@@ -121,7 +96,7 @@ describe('API Service', () => {
 
   describe('fetchFilterOptions', () => {
     it('should fetch filter options', async () => {
-      const mockGet = vi.fn().mockResolvedValue({
+      const mockGet = mockApi.get.mockResolvedValue({
         data: {
           data: {
             regions: ['North', 'South'],
@@ -130,34 +105,16 @@ describe('API Service', () => {
         }
       });
 
-      axios.create = vi.fn(() => ({
-        get: mockGet,
-        interceptors: {
-          request: { use: vi.fn() },
-          response: { use: vi.fn() }
-        }
-      }));
-
-      const { fetchFilterOptions } = await import('./api');
       const result = await fetchFilterOptions();
 
       expect(mockGet).toHaveBeenCalledWith('/api/filters/options?');
     });
 
     it('should include search parameter if provided', async () => {
-      const mockGet = vi.fn().mockResolvedValue({
+      const mockGet = mockApi.get.mockResolvedValue({
         data: { data: {} }
       });
 
-      axios.create = vi.fn(() => ({
-        get: mockGet,
-        interceptors: {
-          request: { use: vi.fn() },
-          response: { use: vi.fn() }
-        }
-      }));
-
-      const { fetchFilterOptions } = await import('./api');
       await fetchFilterOptions({ search: 'test' });
 
       const callArg = mockGet.mock.calls[0][0];
@@ -167,7 +124,7 @@ describe('API Service', () => {
 
   describe('fetchStatistics', () => {
     it('should fetch statistics', async () => {
-      const mockGet = vi.fn().mockResolvedValue({
+      const mockGet = mockApi.get.mockResolvedValue({
         data: {
           data: {
             totalTransactions: 1000,
@@ -176,15 +133,6 @@ describe('API Service', () => {
         }
       });
 
-      axios.create = vi.fn(() => ({
-        get: mockGet,
-        interceptors: {
-          request: { use: vi.fn() },
-          response: { use: vi.fn() }
-        }
-      }));
-
-      const { fetchStatistics } = await import('./api');
       const result = await fetchStatistics();
 
       expect(mockGet).toHaveBeenCalledWith('/api/statistics');
@@ -193,23 +141,38 @@ describe('API Service', () => {
 
   describe('checkHealth', () => {
     it('should check server health', async () => {
-      const mockGet = vi.fn().mockResolvedValue({
+      const mockGet = mockApi.get.mockResolvedValue({
         data: { success: true, message: 'Server is running' }
       });
 
-      axios.create = vi.fn(() => ({
-        get: mockGet,
-        interceptors: {
-          request: { use: vi.fn() },
-          response: { use: vi.fn() }
-        }
-      }));
-
-      const { checkHealth } = await import('./api');
       const result = await checkHealth();
 
       expect(mockGet).toHaveBeenCalledWith('/health');
     });
   });
-});
 
+  describe('buildExportUrl', () => {
+    it('should build export URL with search, filters and sort', () => {
+      const url = buildExportUrl({
+        search: 'john',
+        filters: { gender: ['Male'] },
+        sortBy: 'date',
+        sortOrder: 'asc',
+        page: 3
+      });
+
+      expect(url).toContain('/api/transactions/export?');
+      expect(url).toContain('search=john');
+      expect(url).toContain('sortBy=date');
+      expect(url).toContain('sortOrder=asc');
+      expect(url).toContain('filters=');
+      expect(url).not.toContain('page=');
+    });
+
+    it('should include the export format when given', () => {
+      const url = buildExportUrl({ format: 'xlsx' });
+
+      expect(url).toContain('format=xlsx');
+    });
+  });
+});
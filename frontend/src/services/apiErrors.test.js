@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import axios, { AxiosError } from 'axios';
+
+/**
+ * Loads the API module with an adapter that fails every request
+ * @param {number} status - Response status
+ * @param {*} data - Response body
+ * @returns {Promise<Object>} The API module
+ */
+const loadApiFailingWith = async (status, data) => {
+  vi.resetModules();
+  axios.defaults.adapter = (config) => Promise.reject(new AxiosError(
+    `Request failed with status code ${status}`,
+    'ERR_BAD_REQUEST',
+    config,
+    null,
+    { status, data, headers: {}, config }
+  ));
+  return import('./api');
+};
+
+describe('API error messages', () => {
+  const defaultAdapter = axios.defaults.adapter;
+
+  afterEach(() => {
+    axios.defaults.adapter = defaultAdapter;
+  });
+
+  it('should report the server\'s message for a failed export download', async () => {
+    const body = new Blob([JSON.stringify({ success: false, error: 'This action needs the analyst role' })], {
+      type: 'application/json'
+    });
+    const { downloadExport } = await loadApiFailingWith(403, body);
+
+    await expect(downloadExport({ format: 'csv' })).rejects.toMatchObject({
+      message: 'This action needs the analyst role',
+      status: 403
+    });
+  });
+
+  it('should fall back to the status message when a Blob body is not JSON', async () => {
+    const { downloadExport } = await loadApiFailingWith(502, new Blob(['<html>Bad gateway</html>']));
+
+    await expect(downloadExport()).rejects.toThrow('Request failed with status code 502');
+  });
+
+  it('should keep reading JSON error bodies', async () => {
+    const { fetchStatistics } = await loadApiFailingWith(400, { success: false, error: 'Invalid filters format' });
+
+    await expect(fetchStatistics()).rejects.toThrow('Invalid filters format');
+  });
+});
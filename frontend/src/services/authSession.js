@@ -0,0 +1,96 @@
+/**
+ * Auth Session
+ * Keeps the signed-in user's tokens and renews the access token
+ */
+
+const STORAGE_KEY = 'retailSales.session';
+
+const expiredListeners = new Set();
+
+// One refresh at a time: parallel 401s wait for the same new token
+let pendingRefresh = null;
+
+/**
+ * Reads the stored session
+ * @returns {Object|null} accessToken, refreshToken and user, or null when signed out
+ */
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Stores the tokens and user returned by login or refresh
+ * @param {Object} session - accessToken, refreshToken and user
+ */
+export const saveSession = ({ accessToken, refreshToken, user }) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ accessToken, refreshToken, user }));
+};
+
+/**
+ * Forgets the stored session
+ */
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Adds the access token to a request config
+ * @param {Object} config - Axios request config
+ * @returns {Object} The same config
+ */
+export const withAccessToken = (config) => {
+  const accessToken = getSession()?.accessToken;
+
+  if (accessToken) {
+    config.headers = config.headers || {};
+    config.headers.Authorization = `Bearer ${accessToken}`;
+  }
+
+  return config;
+};
+
+/**
+ * Registers a callback for when the session can no longer be renewed
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe
+ */
+export const onSessionExpired = (listener) => {
+  expiredListeners.add(listener);
+  return () => expiredListeners.delete(listener);
+};
+
+/**
+ * Exchanges the stored refresh token for new tokens
+ * When that fails the session is cleared and expiry listeners are told
+ * @param {Function} requestRefresh - Posts a refresh token, resolves with the new session
+ * @returns {Promise<Object>} New session
+ */
+export const refreshSession = (requestRefresh) => {
+  if (!pendingRefresh) {
+    const refreshToken = getSession()?.refreshToken;
+
+    pendingRefresh = (async () => {
+      if (!refreshToken) {
+        throw new Error('Not signed in');
+      }
+
+      try {
+        const session = await requestRefresh(refreshToken);
+        saveSession(session);
+        return session;
+      } catch (error) {
+        clearSession();
+        expiredListeners.forEach(listener => listener());
+        throw error;
+      }
+    })().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+
+  return pendingRefresh;
+};
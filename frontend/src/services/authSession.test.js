@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getSession,
+  saveSession,
+  clearSession,
+  withAccessToken,
+  onSessionExpired,
+  refreshSession
+} from './authSession';
+
+const session = {
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1',
+  user: { id: 'u1', username: 'priya', role: 'analyst' }
+};
+
+describe('authSession', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('storage', () => {
+    it('should save, read and clear the session', () => {
+      saveSession({ ...session, tokenType: 'Bearer' });
+      expect(getSession()).toEqual(session);
+
+      clearSession();
+      expect(getSession()).toBeNull();
+    });
+
+    it('should treat unreadable storage as signed out', () => {
+      localStorage.setItem('retailSales.session', '{not json');
+
+      expect(getSession()).toBeNull();
+    });
+  });
+
+  describe('withAccessToken', () => {
+    it('should add the bearer token when signed in', () => {
+      saveSession(session);
+
+      expect(withAccessToken({ headers: {} }).headers.Authorization).toBe('Bearer access-1');
+    });
+
+    it('should leave requests alone when signed out', () => {
+      expect(withAccessToken({ headers: {} }).headers).toEqual({});
+    });
+  });
+
+  describe('refreshSession', () => {
+    it('should store the renewed tokens', async () => {
+      saveSession(session);
+      const renewed = { ...session, accessToken: 'access-2', refreshToken: 'refresh-2' };
+      const requestRefresh = vi.fn().mockResolvedValue(renewed);
+
+      await expect(refreshSession(requestRefresh)).resolves.toEqual(renewed);
+
+      expect(requestRefresh).toHaveBeenCalledWith('refresh-1');
+      expect(getSession().accessToken).toBe('access-2');
+    });
+
+    it('should share one refresh between parallel callers', async () => {
+      saveSession(session);
+      const requestRefresh = vi.fn().mockResolvedValue(session);
+
+      await Promise.all([refreshSession(requestRefresh), refreshSession(requestRefresh)]);
+
+      expect(requestRefresh).toHaveBeenCalledTimes(1);
+    });
+
+    it('should end the session when the refresh token is rejected', async () => {
+      saveSession(session);
+      const listener = vi.fn();
+      const unsubscribe = onSessionExpired(listener);
+
+      await expect(refreshSession(vi.fn().mockRejectedValue(new Error('The refresh token has been revoked'))))
+        .rejects.toThrow('The refresh token has been revoked');
+
+      expect(getSession()).toBeNull();
+      expect(listener).toHaveBeenCalledTimes(1);
+      unsubscribe();
+    });
+
+    it('should fail quietly when nobody is signed in', async () => {
+      const listener = vi.fn();
+      const unsubscribe = onSessionExpired(listener);
+      const requestRefresh = vi.fn();
+
+      await expect(refreshSession(requestRefresh)).rejects.toThrow('Not signed in');
+
+      expect(requestRefresh).not.toHaveBeenCalled();
+      expect(listener).not.toHaveBeenCalled();
+      unsubscribe();
+    });
+  });
+});
@@ -5,11 +5,14 @@
 import { configureStore } from '@reduxjs/toolkit';
 import transactionReducer from './slices/transactionSlice';
 import filterReducer from './slices/filterSlice';
+import authReducer, { sessionExpired } from './slices/authSlice';
+import { onSessionExpired } from '../services/authSession';
 
 export const store = configureStore({
   reducer: {
     transactions: transactionReducer,
-    filters: filterReducer
+    filters: filterReducer,
+    auth: authReducer
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -20,6 +23,9 @@ export const store = configureStore({
     }),
 });
 
+// Back to the login screen when the session can no longer be renewed
+onSessionExpired(() => store.dispatch(sessionExpired()));
+
 // Export store types for TypeScript support
 export const getState = () => store.getState();
 export const dispatch = (action) => store.dispatch(action);
@@ -0,0 +1,113 @@
+/**
+ * Auth Slice - Manages the signed-in user
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+  login as apiLogin,
+  logout as apiLogout,
+  fetchCurrentUser
+} from '../../services/api';
+
+// Lowest to highest, as on the API: each role can do everything the ones before it can
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+// Initial state
+const initialState = {
+  user: null,
+  // False until the stored session has been checked with the API
+  checked: false,
+  loading: false,
+  error: null
+};
+
+/**
+ * Async thunk to resume a stored session (or any session when the API has auth disabled)
+ */
+export const restoreSession = createAsyncThunk(
+  'auth/restoreSession',
+  async () => {
+    try {
+      return await fetchCurrentUser();
+    } catch {
+      return null;
+    }
+  }
+);
+
+/**
+ * Async thunk to sign in
+ */
+export const login = createAsyncThunk(
+  'auth/login',
+  async ({ username, password }, { rejectWithValue }) => {
+    try {
+      return await apiLogin(username, password);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Async thunk to sign out
+ */
+export const logout = createAsyncThunk('auth/logout', () => apiLogout());
+
+/**
+ * Auth slice
+ */
+const authSlice = createSlice({
+  name: 'auth',
+  initialState,
+  reducers: {
+    // The refresh token was rejected; the user has to sign in again
+    sessionExpired: (state) => {
+      state.user = null;
+      state.error = 'Your session has expired. Please sign in again.';
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(restoreSession.fulfilled, (state, action) => {
+        state.user = action.payload;
+        state.checked = true;
+      })
+      .addCase(login.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(login.fulfilled, (state, action) => {
+        state.loading = false;
+        state.user = action.payload;
+      })
+      .addCase(login.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload || 'Sign-in failed';
+      })
+      .addCase(logout.fulfilled, (state) => {
+        state.user = null;
+        state.error = null;
+      });
+  }
+});
+
+// Export actions
+export const { sessionExpired } = authSlice.actions;
+
+// Selectors
+export const selectCurrentUser = (state) => state.auth.user;
+export const selectAuthChecked = (state) => state.auth.checked;
+export const selectAuthLoading = (state) => state.auth.loading;
+export const selectAuthError = (state) => state.auth.error;
+
+/**
+ * Whether the signed-in user has a role or a higher one
+ * @param {string} role - Lowest role needed
+ * @returns {Function} Selector
+ */
+export const selectHasRole = (role) => (state) =>
+  ROLES.indexOf(state.auth.user?.role) >= ROLES.indexOf(role);
+
+// Export reducer
+export default authSlice.reducer;
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { configureStore } from '@reduxjs/toolkit';
+import { login as apiLogin, logout as apiLogout, fetchCurrentUser } from '../../services/api';
+import authReducer, {
+  restoreSession,
+  login,
+  logout,
+  sessionExpired,
+  selectCurrentUser,
+  selectAuthChecked,
+  selectAuthLoading,
+  selectAuthError,
+  selectHasRole
+} from './authSlice';
+
+vi.mock('../../services/api', () => ({
+  login: vi.fn(),
+  logout: vi.fn(),
+  fetchCurrentUser: vi.fn()
+}));
+
+const analyst = { id: 'u1', username: 'priya', role: 'analyst' };
+
+describe('authSlice', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = configureStore({
+      reducer: {
+        auth: authReducer
+      }
+    });
+  });
+
+  describe('restoreSession', () => {
+    it('should resume a valid session', async () => {
+      fetchCurrentUser.mockResolvedValue(analyst);
+
+      await store.dispatch(restoreSession());
+
+      expect(selectCurrentUser(store.getState())).toEqual(analyst);
+      expect(selectAuthChecked(store.getState())).toBe(true);
+    });
+
+    it('should show the login screen when there is no session', async () => {
+      fetchCurrentUser.mockRejectedValue(new Error('Authentication required'));
+
+      await store.dispatch(restoreSession());
+
+      expect(selectCurrentUser(store.getState())).toBeNull();
+      expect(selectAuthChecked(store.getState())).toBe(true);
+      expect(selectAuthError(store.getState())).toBeNull();
+    });
+  });
+
+  describe('login', () => {
+    it('should sign in', async () => {
+      apiLogin.mockResolvedValue(analyst);
+
+      const promise = store.dispatch(login({ username: 'priya', password: 'secret' }));
+      expect(selectAuthLoading(store.getState())).toBe(true);
+      await promise;
+
+      expect(apiLogin).toHaveBeenCalledWith('priya', 'secret');
+      expect(selectCurrentUser(store.getState())).toEqual(analyst);
+      expect(selectAuthLoading(store.getState())).toBe(false);
+    });
+
+    it('should keep the error message when sign-in fails', async () => {
+      apiLogin.mockRejectedValue(new Error('Invalid username or password'));
+
+      await store.dispatch(login({ username: 'priya', password: 'wrong' }));
+
+      expect(selectCurrentUser(store.getState())).toBeNull();
+      expect(selectAuthError(store.getState())).toBe('Invalid username or password');
+    });
+  });
+
+  describe('logout and expiry', () => {
+    beforeEach(async () => {
+      apiLogin.mockResolvedValue(analyst);
+      await store.dispatch(login({ username: 'priya', password: 'secret' }));
+    });
+
+    it('should sign out', async () => {
+      await store.dispatch(logout());
+
+      expect(apiLogout).toHaveBeenCalled();
+      expect(selectCurrentUser(store.getState())).toBeNull();
+    });
+
+    it('should ask to sign in again when the session expires', () => {
+      store.dispatch(sessionExpired());
+
+      expect(selectCurrentUser(store.getState())).toBeNull();
+      expect(selectAuthError(store.getState())).toBe('Your session has expired. Please sign in again.');
+    });
+  });
+
+  describe('selectHasRole', () => {
+    it('should compare against the role order', async () => {
+      apiLogin.mockResolvedValue(analyst);
+      await store.dispatch(login({ username: 'priya', password: 'secret' }));
+
+      expect(selectHasRole('viewer')(store.getState())).toBe(true);
+      expect(selectHasRole('analyst')(store.getState())).toBe(true);
+      expect(selectHasRole('admin')(store.getState())).toBe(false);
+    });
+
+    it('should be false when signed out', () => {
+      expect(selectHasRole('viewer')(store.getState())).toBe(false);
+    });
+  });
+});
@@ -14,7 +14,9 @@ const initialState = {
     totalItems: 0,
     totalPages: 0,
     hasNextPage: false,
-    hasPreviousPage: false
+    hasPreviousPage: false,
+    nextCursor: null,
+    prevCursor: null
   },
   aggregateStats: {
     totalUnits: 0,
@@ -26,9 +28,19 @@ const initialState = {
   error: null,
   search: '',
   sortBy: 'date',
-  sortOrder: 'desc'
+  sortOrder: 'desc',
+  // Keyset cursor for the page being requested; null means offset (page number) mode
+  cursor: null
 };
 
+/**
+ * Filter changes invalidate any keyset cursor
+ */
+const isFilterChange = (action) =>
+  action.type.startsWith('filters/set') ||
+  action.type === 'filters/clearAllFilters' ||
+  action.type === 'filters/resetFilterState';
+
 /**
  * Async thunk to fetch transactions
  */
@@ -54,23 +66,33 @@ const transactionSlice = createSlice({
     // Set search term
     setSearch: (state, action) => {
       state.search = action.payload;
+      state.cursor = null;
     },
     
     // Set sort parameters
     setSort: (state, action) => {
       state.sortBy = action.payload.sortBy || state.sortBy;
       state.sortOrder = action.payload.sortOrder || state.sortOrder;
+      state.cursor = null;
     },
     
-    // Set page
+    // Set page (offset mode, supports jumping to any page)
     setPage: (state, action) => {
       state.pagination.currentPage = action.payload;
+      state.cursor = null;
+    },
+    
+    // Step to an adjacent page using a keyset cursor from the last response
+    stepPage: (state, action) => {
+      state.pagination.currentPage = action.payload.page;
+      state.cursor = action.payload.cursor;
     },
     
     // Set page size
     setPageSize: (state, action) => {
       state.pagination.pageSize = action.payload;
       state.pagination.currentPage = 1; // Reset to first page
+      state.cursor = null;
     },
     
     // Clear transactions
@@ -100,6 +122,10 @@ const transactionSlice = createSlice({
       .addCase(fetchTransactions.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload || 'Failed to fetch transactions';
+      })
+      // Drop the cursor when filters change
+      .addMatcher(isFilterChange, (state) => {
+        state.cursor = null;
       });
   }
 });
@@ -109,6 +135,7 @@ export const {
   setSearch,
   setSort,
   setPage,
+  stepPage,
   setPageSize,
   clearTransactions,
   resetTransactionState
@@ -121,6 +148,7 @@ export const selectAggregateStats = (state) => state.transactions.aggregateStats
 export const selectLoading = (state) => state.transactions.loading;
 export const selectError = (state) => state.transactions.error;
 export const selectSearch = (state) => state.transactions.search;
+export const selectCursor = (state) => state.transactions.cursor;
 
 // Memoized selector for sort parameters
 const selectSortBy = (state) => state.transactions.sortBy;
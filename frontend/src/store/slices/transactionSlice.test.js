@@ -4,6 +4,7 @@ import transactionReducer, {
   setSearch,
   setSort,
   setPage,
+  stepPage,
   setPageSize,
   clearTransactions,
   resetTransactionState,
@@ -13,8 +14,10 @@ import transactionReducer, {
   selectLoading,
   selectError,
   selectSearch,
-  selectSort
+  selectSort,
+  selectCursor
 } from './transactionSlice';
+import { setGender } from './filterSlice';
 
 describe('transactionSlice', () => {
   let store;
@@ -50,6 +53,42 @@ describe('transactionSlice', () => {
       expect(state.pagination.currentPage).toBe(5);
     });
 
+    it('should handle stepPage', () => {
+      store.dispatch(stepPage({ page: 2, cursor: 'abc' }));
+      
+      const state = store.getState().transactions;
+      expect(state.pagination.currentPage).toBe(2);
+      expect(selectCursor(store.getState())).toBe('abc');
+    });
+
+    it('should clear the cursor when jumping with setPage', () => {
+      store.dispatch(stepPage({ page: 2, cursor: 'abc' }));
+      store.dispatch(setPage(7));
+      
+      expect(selectCursor(store.getState())).toBe(null);
+    });
+
+    it('should clear the cursor when search, sort or page size change', () => {
+      store.dispatch(stepPage({ page: 2, cursor: 'abc' }));
+      store.dispatch(setSearch('john'));
+      expect(selectCursor(store.getState())).toBe(null);
+
+      store.dispatch(stepPage({ page: 2, cursor: 'abc' }));
+      store.dispatch(setSort({ sortBy: 'quantity' }));
+      expect(selectCursor(store.getState())).toBe(null);
+
+      store.dispatch(stepPage({ page: 2, cursor: 'abc' }));
+      store.dispatch(setPageSize(50));
+      expect(selectCursor(store.getState())).toBe(null);
+    });
+
+    it('should clear the cursor when filters change', () => {
+      store.dispatch(stepPage({ page: 2, cursor: 'abc' }));
+      store.dispatch(setGender(['Male']));
+      
+      expect(selectCursor(store.getState())).toBe(null);
+    });
+
     it('should handle setPageSize', () => {
       store.dispatch(setPageSize(20));
       